@@ -0,0 +1,768 @@
+// Gas benchmark cases for CanaryDossier through CanaryDossierV6 (see tasks/benchmark.js)
+const { SignedAction, signAction } = require("../lib/signatures");
+
+/**
+ * @typedef {Object} BenchContext
+ * @property {import("ethers").Contract} contract Connected to `owner`
+ * @property {number} version Major contract version (1 to 6)
+ * @property {import("ethers").Signer} owner Creates the dossiers
+ * @property {import("ethers").Signer} guardian Signing guardian, last in every guardian list
+ * @property {function(number): string[]} addresses `n` distinct non-signer addresses
+ */
+
+/**
+ * @typedef {Object} GasCase
+ * @property {string} fn Contract function measured
+ * @property {number} [since] First contract version with the function (default 1)
+ * @property {Object<string, number[]>} [sizes] One parameter name and the sizes to measure it at
+ * @property {function(BenchContext, Object): Promise<void>} [setup] Runs before measuring, not measured
+ * @property {function(BenchContext, Object): Promise<*>} measure Sends the transaction, or for views
+ *   returns its gas estimate
+ */
+
+/**
+ * @dev Create `count` dossiers for the owner
+ * @param {Object} [shape] recipients, files and guardians per dossier
+ */
+async function createDossiers(ctx, count, shape = {}) {
+  for (let i = 0; i < count; i++) {
+    await (await createDossier(ctx, shape)).wait();
+  }
+}
+
+function createDossier(ctx, { recipients = 1, files = 1, guardians = 0 } = {}) {
+  const args = [
+    "Benchmark",
+    "Gas benchmark dossier",
+    86400,
+    ctx.addresses(recipients),
+    Array.from({ length: files }, (_, i) => `ipfs://QmBenchmarkFile${i}`)
+  ];
+  if (ctx.version >= 3) {
+    const guardianList = guardians > 0
+      ? [...ctx.addresses(guardians - 1).map(guardianAddress), ctx.guardian.address]
+      : [];
+    args.push(guardianList, guardians > 0 ? 1 : 0);
+  }
+  if (ctx.version >= 6) {
+    args.push(3600);
+  }
+  return ctx.contract.createDossier(...args);
+}
+
+// Guardians must not overlap the recipients, which come from the start of the same pool
+function guardianAddress(address) {
+  return `0x${(BigInt(address) + 0x10000n).toString(16).padStart(40, "0")}`;
+}
+
+// Delegates likewise stay clear of recipients and guardians
+function delegateAddress(address) {
+  return `0x${(BigInt(address) + 0x20000n).toString(16).padStart(40, "0")}`;
+}
+
+// ...and so does the owner a recovery moves dossiers to
+function newOwnerAddress(ctx) {
+  return `0x${(BigInt(ctx.addresses(1)[0]) + 0x30000n).toString(16).padStart(40, "0")}`;
+}
+
+// Release tier recipients must not be recipients of the dossier itself (or of another tier)
+function tierRecipientAddress(address, tier) {
+  return `0x${(BigInt(address) + 0x40000n * BigInt(tier)).toString(16).padStart(40, "0")}`;
+}
+
+/**
+ * @dev Give dossier 0 `tiers` release tiers, a day apart, of `recipients` recipients and files each
+ */
+async function addReleaseTiers(ctx, tiers, { recipients = 1, files = 1 } = {}) {
+  for (let tier = 1; tier <= tiers; tier++) {
+    await (await addReleaseTier(ctx, tier, { recipients, files })).wait();
+  }
+}
+
+function addReleaseTier(ctx, tier, { recipients = 1, files = 1 } = {}) {
+  return ctx.contract.addReleaseTier(
+    0,
+    tier * 86400,
+    Array.from({ length: files }, (_, i) => `ipfs://QmBenchmarkTier${tier}File${i}`),
+    ctx.addresses(recipients).map((address) => tierRecipientAddress(address, tier))
+  );
+}
+
+/**
+ * @dev Give each of the first `count` dossiers `delegates` check-in delegates, the signing guardian last
+ */
+async function addDelegates(ctx, count, delegates) {
+  const addresses = [...ctx.addresses(delegates - 1).map(delegateAddress), ctx.guardian.address];
+  for (let dossierId = 0; dossierId < count; dossierId++) {
+    for (const delegate of addresses.slice(0, delegates)) {
+      await (await ctx.contract.addDelegate(dossierId, delegate)).wait();
+    }
+  }
+}
+
+/**
+ * @dev Start recovery of dossier 0 by the signing guardian, as its recovery address or its guardian
+ * @param {Object} [options]
+ * @param {boolean} [options.guardian] Approve as the dossier's guardian (threshold 1)
+ * @param {boolean} [options.ready] Also let the timelock pass
+ */
+async function startRecovery(ctx, { guardian = false, ready = false } = {}) {
+  const asGuardian = ctx.contract.connect(ctx.guardian);
+  const owner = await ownerAddress(ctx);
+  if (guardian) {
+    await (await asGuardian.approveRecovery(owner, 0, newOwnerAddress(ctx))).wait();
+  } else {
+    await (await ctx.contract.setRecoveryAddress(0, ctx.guardian.address)).wait();
+    await (await asGuardian.initiateRecovery(owner, 0, newOwnerAddress(ctx))).wait();
+  }
+  if (ready) {
+    await ctx.owner.provider.send("evm_increaseTime", [Number(await ctx.contract.RECOVERY_TIMELOCK())]);
+  }
+}
+
+/**
+ * @dev Let the signing guardian veto release of dossier 0 on its own, optionally vetoing already
+ */
+async function enableVeto(ctx, { vetoed = false } = {}) {
+  await (await ctx.contract.setVetoPolicy(0, 86400, 1)).wait();
+  if (vetoed) {
+    await (await ctx.contract.connect(ctx.guardian).vetoRelease(await ownerAddress(ctx), 0)).wait();
+  }
+}
+
+async function ownerAddress(ctx) {
+  return ctx.owner.getAddress();
+}
+
+function view(ctx, fn, ...args) {
+  return ctx.contract[fn].estimateGas(...args);
+}
+
+// Owner signs `action` for dossier 0 with nonce 0, the guardian signer relays it through `fn`
+async function relaySigned(ctx, action, fn) {
+  const { chainId } = await ctx.owner.provider.getNetwork();
+  const signed = await signAction(ctx.owner, {
+    action,
+    chainId,
+    contractAddress: await ctx.contract.getAddress(),
+    version: ctx.version,
+    dossierId: 0,
+    nonce: 0,
+    deadline: 2n ** 40n
+  });
+  return ctx.contract.connect(ctx.guardian)[fn](signed.owner, 0, signed.nonce, signed.deadline, signed.signature);
+}
+
+/** @type {GasCase[]} */
+const CASES = [
+  // Lifecycle
+  {
+    fn: "createDossier",
+    sizes: { recipients: [1, 10, 20] },
+    measure: (ctx, { recipients }) => createDossier(ctx, { recipients })
+  },
+  {
+    fn: "createDossier",
+    sizes: { files: [10, 100] },
+    measure: (ctx, { files }) => createDossier(ctx, { files })
+  },
+  {
+    fn: "createDossier",
+    since: 3,
+    sizes: { guardians: [1, 10, 20] },
+    measure: (ctx, { guardians }) => createDossier(ctx, { guardians })
+  },
+  {
+    fn: "createDossier",
+    sizes: { existing: [0, 49] },
+    setup: (ctx, { existing }) => createDossiers(ctx, existing),
+    measure: (ctx) => createDossier(ctx)
+  },
+  {
+    fn: "checkIn",
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.checkIn(0)
+  },
+  {
+    fn: "checkInWithSig",
+    since: 4,
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => relaySigned(ctx, SignedAction.CHECK_IN, "checkInWithSig")
+  },
+  {
+    fn: "checkInAll",
+    sizes: { dossiers: [1, 10, 50] },
+    setup: (ctx, { dossiers }) => createDossiers(ctx, dossiers),
+    measure: (ctx) => ctx.contract.checkInAll()
+  },
+  {
+    fn: "pauseDossier",
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.pauseDossier(0)
+  },
+  {
+    fn: "resumeDossier",
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await (await ctx.contract.pauseDossier(0)).wait();
+    },
+    measure: (ctx) => ctx.contract.resumeDossier(0)
+  },
+  {
+    fn: "pauseWithSig",
+    since: 4,
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => relaySigned(ctx, SignedAction.PAUSE, "pauseWithSig")
+  },
+  {
+    fn: "resumeWithSig",
+    since: 4,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await (await ctx.contract.pauseDossier(0)).wait();
+    },
+    measure: (ctx) => relaySigned(ctx, SignedAction.RESUME, "resumeWithSig")
+  },
+  {
+    fn: "pauseAll",
+    since: 3,
+    sizes: { dossiers: [1, 10, 50] },
+    setup: (ctx, { dossiers }) => createDossiers(ctx, dossiers),
+    measure: (ctx) => ctx.contract.pauseAll()
+  },
+  {
+    fn: "resumeAll",
+    since: 3,
+    sizes: { dossiers: [1, 10, 50] },
+    setup: async (ctx, { dossiers }) => {
+      await createDossiers(ctx, dossiers);
+      await (await ctx.contract.pauseAll()).wait();
+    },
+    measure: (ctx) => ctx.contract.resumeAll()
+  },
+  {
+    fn: "releaseNow",
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.releaseNow(0)
+  },
+  {
+    fn: "permanentlyDisableDossier",
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.permanentlyDisableDossier(0)
+  },
+
+  // Editing
+  {
+    fn: "updateCheckInInterval",
+    since: 2,
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.updateCheckInInterval(0, 7 * 86400)
+  },
+  {
+    fn: "updateGracePeriod",
+    since: 6,
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.updateGracePeriod(0, 3 * 86400)
+  },
+  {
+    fn: "addFileHash",
+    since: 2,
+    sizes: { files: [1, 99] },
+    setup: (ctx, { files }) => createDossiers(ctx, 1, { files }),
+    measure: (ctx) => ctx.contract.addFileHash(0, "ipfs://QmBenchmarkAdded")
+  },
+  {
+    fn: "addMultipleFileHashes",
+    since: 2,
+    sizes: { files: [1, 10, 99] },
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx, { files }) =>
+      ctx.contract.addMultipleFileHashes(0, Array.from({ length: files }, (_, i) => `ipfs://QmBenchmarkAdded${i}`))
+  },
+  {
+    fn: "addRecipient",
+    since: 2,
+    sizes: { recipients: [1, 19] },
+    setup: (ctx, { recipients }) => createDossiers(ctx, 1, { recipients }),
+    measure: (ctx) => ctx.contract.addRecipient(0, ctx.guardian.address)
+  },
+  {
+    fn: "removeRecipient",
+    since: 2,
+    sizes: { recipients: [2, 20] },
+    setup: (ctx, { recipients }) => createDossiers(ctx, 1, { recipients }),
+    measure: (ctx, { recipients }) => ctx.contract.removeRecipient(0, ctx.addresses(recipients)[recipients - 1])
+  },
+
+  // Guardians
+  {
+    fn: "addGuardian",
+    since: 3,
+    sizes: { guardians: [0, 19] },
+    setup: (ctx, { guardians }) => createDossiers(ctx, 1, { guardians }),
+    measure: (ctx) => ctx.contract.addGuardian(0, guardianAddress(ctx.addresses(20)[19]))
+  },
+  {
+    fn: "removeGuardian",
+    since: 3,
+    sizes: { guardians: [1, 20] },
+    setup: (ctx, { guardians }) => createDossiers(ctx, 1, { guardians }),
+    measure: (ctx) => ctx.contract.removeGuardian(0, ctx.guardian.address)
+  },
+  {
+    fn: "updateGuardianThreshold",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 5 }),
+    measure: (ctx) => ctx.contract.updateGuardianThreshold(0, 3)
+  },
+  {
+    fn: "confirmRelease",
+    since: 3,
+    sizes: { guardians: [1, 20] },
+    setup: (ctx, { guardians }) => createDossiers(ctx, 1, { guardians }),
+    measure: async (ctx) => ctx.contract.connect(ctx.guardian).confirmRelease(await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "revokeConfirmation",
+    since: 3,
+    sizes: { guardians: [1, 20] },
+    setup: async (ctx, { guardians }) => {
+      await createDossiers(ctx, 1, { guardians });
+      await (await ctx.contract.connect(ctx.guardian).confirmRelease(await ownerAddress(ctx), 0)).wait();
+    },
+    measure: async (ctx) => ctx.contract.connect(ctx.guardian).revokeConfirmation(await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "addDelegate",
+    since: 5,
+    sizes: { delegates: [0, 9] },
+    setup: async (ctx, { delegates }) => {
+      await createDossiers(ctx, 1);
+      await addDelegates(ctx, 1, delegates);
+    },
+    measure: (ctx) => ctx.contract.addDelegate(0, delegateAddress(ctx.addresses(10)[9]))
+  },
+  {
+    fn: "removeDelegate",
+    since: 5,
+    sizes: { delegates: [1, 10] },
+    setup: async (ctx, { delegates }) => {
+      await createDossiers(ctx, 1);
+      await addDelegates(ctx, 1, delegates);
+    },
+    measure: (ctx) => ctx.contract.removeDelegate(0, ctx.guardian.address)
+  },
+  {
+    fn: "checkInAsDelegate",
+    since: 5,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await addDelegates(ctx, 1, 1);
+    },
+    measure: async (ctx) => ctx.contract.connect(ctx.guardian).checkInAsDelegate(await ownerAddress(ctx), 0)
+  },
+
+  // Recovery
+  {
+    fn: "setRecoveryAddress",
+    since: 5,
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => ctx.contract.setRecoveryAddress(0, ctx.guardian.address)
+  },
+  {
+    fn: "initiateRecovery",
+    since: 5,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await (await ctx.contract.setRecoveryAddress(0, ctx.guardian.address)).wait();
+    },
+    measure: async (ctx) =>
+      ctx.contract.connect(ctx.guardian).initiateRecovery(await ownerAddress(ctx), 0, newOwnerAddress(ctx))
+  },
+  {
+    fn: "approveRecovery",
+    since: 5,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: async (ctx) =>
+      ctx.contract.connect(ctx.guardian).approveRecovery(await ownerAddress(ctx), 0, newOwnerAddress(ctx))
+  },
+  {
+    fn: "cancelRecovery",
+    since: 5,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await startRecovery(ctx);
+    },
+    measure: (ctx) => ctx.contract.cancelRecovery(0)
+  },
+  {
+    fn: "executeRecovery",
+    since: 5,
+    sizes: { recipients: [1, 20] },
+    setup: async (ctx, { recipients }) => {
+      await createDossiers(ctx, 1, { recipients });
+      await startRecovery(ctx, { ready: true });
+    },
+    measure: async (ctx) => ctx.contract.executeRecovery(await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "executeRecovery",
+    since: 5,
+    sizes: { guardians: [1, 20] },
+    setup: async (ctx, { guardians }) => {
+      await createDossiers(ctx, 1, { guardians });
+      await startRecovery(ctx, { guardian: true, ready: true });
+    },
+    measure: async (ctx) => ctx.contract.executeRecovery(await ownerAddress(ctx), 0)
+  },
+
+  // Veto
+  {
+    fn: "setVetoPolicy",
+    since: 6,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: (ctx) => ctx.contract.setVetoPolicy(0, 86400, 1)
+  },
+  {
+    fn: "vetoRelease",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await enableVeto(ctx);
+    },
+    measure: async (ctx) => ctx.contract.connect(ctx.guardian).vetoRelease(await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "revokeVeto",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await enableVeto(ctx, { vetoed: true });
+    },
+    measure: async (ctx) => ctx.contract.connect(ctx.guardian).revokeVeto(await ownerAddress(ctx), 0)
+  },
+
+  // Release tiers
+  {
+    fn: "addReleaseTier",
+    since: 6,
+    sizes: { recipients: [1, 20] },
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx, { recipients }) => addReleaseTier(ctx, 1, { recipients })
+  },
+  {
+    // The last of the most tiers
+    fn: "addReleaseTier",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await addReleaseTiers(ctx, 4);
+    },
+    measure: (ctx) => addReleaseTier(ctx, 5)
+  },
+  {
+    fn: "removeReleaseTier",
+    since: 6,
+    sizes: { recipients: [1, 20] },
+    setup: async (ctx, { recipients }) => {
+      await createDossiers(ctx, 1);
+      await addReleaseTiers(ctx, 1, { recipients });
+    },
+    measure: (ctx) => ctx.contract.removeReleaseTier(0)
+  },
+  {
+    fn: "setSuccessor",
+    since: 6,
+    measure: (ctx) => ctx.contract.setSuccessor(ctx.addresses(1)[0])
+  },
+  {
+    // Expired with its guardian's confirmation, finalized by a third party
+    fn: "finalizeExpiry",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await (await ctx.contract.connect(ctx.guardian).confirmRelease(await ownerAddress(ctx), 0)).wait();
+      await ctx.owner.provider.send("evm_increaseTime", [2 * 86400]);
+    },
+    measure: async (ctx) => ctx.contract.connect(ctx.guardian).finalizeExpiry(await ownerAddress(ctx), 0)
+  },
+
+  // Views, measured as the gas estimate of a call
+  {
+    fn: "shouldDossierStayEncrypted",
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: async (ctx) => view(ctx, "shouldDossierStayEncrypted", await ownerAddress(ctx), 0)
+  },
+  {
+    // Released, so the guardian threshold is checked
+    fn: "shouldDossierStayEncrypted",
+    since: 3,
+    sizes: { guardians: [20] },
+    setup: async (ctx, { guardians }) => {
+      await createDossiers(ctx, 1, { guardians });
+      await (await ctx.contract.releaseNow(0)).wait();
+    },
+    measure: async (ctx) => view(ctx, "shouldDossierStayEncrypted", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getDossier",
+    sizes: { files: [1, 100] },
+    setup: (ctx, { files }) => createDossiers(ctx, 1, { files, recipients: 20 }),
+    measure: async (ctx) => view(ctx, "getDossier", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getUserDossierIds",
+    sizes: { dossiers: [1, 50] },
+    setup: (ctx, { dossiers }) => createDossiers(ctx, dossiers),
+    measure: async (ctx) => view(ctx, "getUserDossierIds", await ownerAddress(ctx))
+  },
+  {
+    fn: "getUserDossierIdsPaginated",
+    since: 4,
+    sizes: { limit: [10, 50] },
+    setup: (ctx) => createDossiers(ctx, 50),
+    measure: async (ctx, { limit }) => view(ctx, "getUserDossierIdsPaginated", await ownerAddress(ctx), 0, limit)
+  },
+  {
+    fn: "userExists",
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: async (ctx) => view(ctx, "userExists", await ownerAddress(ctx))
+  },
+  {
+    fn: "isGuardian",
+    since: 3,
+    sizes: { guardians: [1, 20] },
+    setup: (ctx, { guardians }) => createDossiers(ctx, 1, { guardians }),
+    measure: async (ctx) => view(ctx, "isGuardian", await ownerAddress(ctx), 0, ctx.guardian.address)
+  },
+  {
+    fn: "hasGuardianConfirmed",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: async (ctx) => view(ctx, "hasGuardianConfirmed", await ownerAddress(ctx), 0, ctx.guardian.address)
+  },
+  {
+    fn: "isGuardianThresholdMet",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: async (ctx) => view(ctx, "isGuardianThresholdMet", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getGuardianConfirmationCount",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: async (ctx) => view(ctx, "getGuardianConfirmationCount", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getGuardians",
+    since: 3,
+    sizes: { guardians: [1, 20] },
+    setup: (ctx, { guardians }) => createDossiers(ctx, 1, { guardians }),
+    measure: async (ctx) => view(ctx, "getGuardians", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getGuardianThreshold",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: async (ctx) => view(ctx, "getGuardianThreshold", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getDossiersWhereGuardian",
+    since: 3,
+    sizes: { dossiers: [1, 50] },
+    setup: (ctx, { dossiers }) => createDossiers(ctx, dossiers, { guardians: 1 }),
+    measure: (ctx) => view(ctx, "getDossiersWhereGuardian", ctx.guardian.address)
+  },
+  {
+    fn: "isDelegate",
+    since: 5,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await addDelegates(ctx, 1, 1);
+    },
+    measure: async (ctx) => view(ctx, "isDelegate", await ownerAddress(ctx), 0, ctx.guardian.address)
+  },
+  {
+    fn: "getDelegates",
+    since: 5,
+    sizes: { delegates: [1, 10] },
+    setup: async (ctx, { delegates }) => {
+      await createDossiers(ctx, 1);
+      await addDelegates(ctx, 1, delegates);
+    },
+    measure: async (ctx) => view(ctx, "getDelegates", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getDossiersWhereDelegate",
+    since: 5,
+    sizes: { dossiers: [1, 50] },
+    setup: async (ctx, { dossiers }) => {
+      await createDossiers(ctx, dossiers);
+      await addDelegates(ctx, dossiers, 1);
+    },
+    measure: (ctx) => view(ctx, "getDossiersWhereDelegate", ctx.guardian.address)
+  },
+  {
+    fn: "getDossiersWhereRecipient",
+    since: 3,
+    sizes: { dossiers: [1, 50] },
+    setup: (ctx, { dossiers }) => createDossiers(ctx, dossiers),
+    measure: (ctx) => view(ctx, "getDossiersWhereRecipient", ctx.addresses(1)[0])
+  },
+  {
+    fn: "getDossiersWhereGuardianPaginated",
+    since: 4,
+    sizes: { limit: [10, 50] },
+    setup: (ctx) => createDossiers(ctx, 50, { guardians: 1 }),
+    measure: (ctx, { limit }) => view(ctx, "getDossiersWhereGuardianPaginated", ctx.guardian.address, 0, limit)
+  },
+  {
+    fn: "getDossiersWhereDelegatePaginated",
+    since: 5,
+    sizes: { limit: [10, 50] },
+    setup: async (ctx) => {
+      await createDossiers(ctx, 50);
+      await addDelegates(ctx, 50, 1);
+    },
+    measure: (ctx, { limit }) => view(ctx, "getDossiersWhereDelegatePaginated", ctx.guardian.address, 0, limit)
+  },
+  {
+    fn: "getDossiersWhereRecipientPaginated",
+    since: 4,
+    sizes: { limit: [10, 50] },
+    setup: (ctx) => createDossiers(ctx, 50),
+    measure: (ctx, { limit }) => view(ctx, "getDossiersWhereRecipientPaginated", ctx.addresses(1)[0], 0, limit)
+  },
+  {
+    fn: "getDossiersSummary",
+    since: 4,
+    sizes: { dossiers: [1, 50] },
+    setup: (ctx, { dossiers }) => createDossiers(ctx, dossiers, { guardians: 1 }),
+    measure: async (ctx, { dossiers }) => {
+      const owner = await ownerAddress(ctx);
+      return view(ctx, "getDossiersSummary", Array.from({ length: dossiers }, (_, i) => ({ owner, dossierId: i })));
+    }
+  },
+  {
+    fn: "isGuardianOfAny",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1, { guardians: 1 }),
+    measure: (ctx) => view(ctx, "isGuardianOfAny", ctx.guardian.address)
+  },
+  {
+    fn: "isDelegateOfAny",
+    since: 5,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await addDelegates(ctx, 1, 1);
+    },
+    measure: (ctx) => view(ctx, "isDelegateOfAny", ctx.guardian.address)
+  },
+  {
+    fn: "hasApprovedRecovery",
+    since: 5,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await startRecovery(ctx, { guardian: true });
+    },
+    measure: async (ctx) => view(ctx, "hasApprovedRecovery", await ownerAddress(ctx), 0, ctx.guardian.address)
+  },
+  {
+    fn: "isReleaseVetoed",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await enableVeto(ctx, { vetoed: true });
+    },
+    measure: async (ctx) => view(ctx, "isReleaseVetoed", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "hasGuardianVetoed",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await enableVeto(ctx, { vetoed: true });
+    },
+    measure: async (ctx) => view(ctx, "hasGuardianVetoed", await ownerAddress(ctx), 0, ctx.guardian.address)
+  },
+  {
+    // Expired and vetoed, the longest path
+    fn: "getDossierStatus",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1, { guardians: 1 });
+      await enableVeto(ctx, { vetoed: true });
+      await ctx.owner.provider.send("evm_increaseTime", [2 * 86400]);
+    },
+    measure: async (ctx) => view(ctx, "getDossierStatus", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "getReleaseInfo",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await (await ctx.contract.releaseNow(0)).wait();
+    },
+    measure: async (ctx) => view(ctx, "getReleaseInfo", await ownerAddress(ctx), 0)
+  },
+  {
+    // Expired, so the tier delay is checked
+    fn: "shouldTierStayEncrypted",
+    since: 6,
+    setup: async (ctx) => {
+      await createDossiers(ctx, 1);
+      await addReleaseTiers(ctx, 1);
+      await ctx.owner.provider.send("evm_increaseTime", [2 * 86400]);
+    },
+    measure: async (ctx) => view(ctx, "shouldTierStayEncrypted", await ownerAddress(ctx), 0, 1)
+  },
+  {
+    fn: "getReleaseTiers",
+    since: 6,
+    sizes: { tiers: [1, 5] },
+    setup: async (ctx, { tiers }) => {
+      await createDossiers(ctx, 1);
+      await addReleaseTiers(ctx, tiers);
+    },
+    measure: async (ctx) => view(ctx, "getReleaseTiers", await ownerAddress(ctx), 0)
+  },
+  {
+    fn: "isRecipientOfAny",
+    since: 3,
+    setup: (ctx) => createDossiers(ctx, 1),
+    measure: (ctx) => view(ctx, "isRecipientOfAny", ctx.addresses(1)[0])
+  },
+  {
+    fn: "version",
+    since: 6,
+    measure: (ctx) => view(ctx, "version")
+  },
+  {
+    // An unknown ID is compared against every feature group
+    fn: "supportsInterface",
+    since: 6,
+    measure: (ctx) => view(ctx, "supportsInterface", "0xffffffff")
+  }
+];
+
+// Public state variable getters and constants; not benchmarked
+const IGNORED_FUNCTIONS = [
+  "dossiers",
+  "userDossierIds",
+  "userDossierCount",
+  "guardianConfirmations",
+  "guardianDossiers",
+  "recipientDossiers",
+  "delegateDossiers",
+  "nonces",
+  "recoveryAddresses",
+  "recoveryRequests",
+  "vetoes",
+  "operator",
+  "successor"
+];
+
+module.exports = {
+  CASES,
+  IGNORED_FUNCTIONS
+};
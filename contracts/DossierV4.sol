@@ -0,0 +1,1136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title CanaryDossierV4
+ * @dev V3 plus check-ins signed offline (EIP-712) and submitted by anyone on the owner's behalf,
+ *   paginated reverse lookups and batched dossier summaries
+ * @notice Create dossiers with optional guardians, update them, and release encrypted data conditionally
+ */
+contract CanaryDossierV4 {
+    
+    // Events
+    event DossierCreated(address indexed user, uint256 indexed dossierId, string name);
+    event CheckInPerformed(address indexed user, uint256 indexed dossierId);
+    event DossierPaused(address indexed user, uint256 indexed dossierId);
+    event DossierResumed(address indexed user, uint256 indexed dossierId);
+    event DossierReleased(address indexed user, uint256 indexed dossierId);
+    event DossierPermanentlyDisabled(address indexed user, uint256 indexed dossierId);
+    event CheckInIntervalUpdated(address indexed user, uint256 indexed dossierId, uint256 newInterval);
+    event FileHashAdded(address indexed user, uint256 indexed dossierId, string fileHash);
+    event RecipientAdded(address indexed user, uint256 indexed dossierId, address recipient);
+    event RecipientRemoved(address indexed user, uint256 indexed dossierId, address recipient);
+    event GuardianAdded(address indexed user, uint256 indexed dossierId, address guardian);
+    event GuardianRemoved(address indexed user, uint256 indexed dossierId, address guardian);
+    event GuardianThresholdUpdated(address indexed user, uint256 indexed dossierId, uint256 newThreshold);
+    event GuardianConfirmed(address indexed user, uint256 indexed dossierId, address indexed guardian);
+    event GuardianRevokedConfirmation(address indexed user, uint256 indexed dossierId, address indexed guardian);
+    event CheckInRelayed(address indexed user, uint256 indexed dossierId, address indexed relayer, uint256 nonce);
+
+    // Structs
+    struct Dossier {
+        uint256 id;
+        string name;
+        string description;
+        bool isActive;
+        bool isPermanentlyDisabled;
+        bool isReleased;
+        uint256 checkInInterval;
+        uint256 lastCheckIn;
+        string[] encryptedFileHashes;
+        address[] recipients;
+        address[] guardians;
+        uint256 guardianThreshold;
+        uint256 guardianConfirmationCount;
+    }
+
+    struct DossierReference {
+        address owner;
+        uint256 dossierId;
+    }
+
+    // A reference in a ReferenceList, linked to its neighbours by node number
+    struct ReferenceNode {
+        DossierReference ref;
+        // One slot for both links, so relinking a neighbour rewrites a slot that is already set
+        uint128 prev;
+        uint128 next;
+    }
+
+    // Reverse lookup set kept in insertion order. Node numbers come from referenceNodeCount and
+    // are never reused, so a node number is a paging cursor that stays valid when references are
+    // removed. Node 0 closes the ring: its `next` is the first node and its `prev` the last.
+    struct ReferenceList {
+        uint256 length;
+        mapping(uint256 => ReferenceNode) nodes;
+        // Node of each (owner, dossierId) in the set, 0 when absent
+        mapping(address => mapping(uint256 => uint256)) nodeOf;
+    }
+
+    struct DossierSummary {
+        address owner;
+        uint256 dossierId;
+        bool exists;
+        bool isActive;
+        bool isReleased;
+        bool isPermanentlyDisabled;
+        bool shouldStayEncrypted;
+        uint256 lastCheckIn;
+        uint256 checkInInterval;
+        uint256 guardianCount;
+        uint256 guardianThreshold;
+        uint256 guardianConfirmationCount;
+    }
+    
+    // State variables
+    mapping(address => mapping(uint256 => Dossier)) public dossiers;
+    mapping(address => uint256[]) public userDossierIds;
+    mapping(address => uint256) public userDossierCount;
+    mapping(address => mapping(uint256 => mapping(address => bool))) public guardianConfirmations;
+
+    // Reverse lookups
+    mapping(address => ReferenceList) internal guardianDossiers;
+    mapping(address => ReferenceList) internal recipientDossiers;
+    // Last node number handed out, shared by every ReferenceList
+    uint256 internal referenceNodeCount;
+    
+    // Next signature nonce for each owner, shared by check-in, pause and resume
+    mapping(address => uint256) public nonces;
+
+    // Constants
+    uint256 public constant MIN_CHECK_IN_INTERVAL = 1 hours;
+    uint256 public constant MAX_CHECK_IN_INTERVAL = 30 days;
+    uint256 public constant GRACE_PERIOD = 1 hours;
+    uint256 public constant MAX_DOSSIERS_PER_USER = 50;
+    uint256 public constant MAX_RECIPIENTS_PER_DOSSIER = 20;
+    uint256 public constant MAX_FILES_PER_DOSSIER = 100;
+    uint256 public constant MAX_GUARDIANS_PER_DOSSIER = 20;
+
+    // EIP-712
+    bytes32 public constant CHECK_IN_TYPEHASH =
+        keccak256("CheckIn(address owner,uint256 dossierId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant PAUSE_TYPEHASH =
+        keccak256("Pause(address owner,uint256 dossierId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant RESUME_TYPEHASH =
+        keccak256("Resume(address owner,uint256 dossierId,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant NAME_HASH = keccak256("CanaryDossier");
+    bytes32 private constant VERSION_HASH = keccak256("4");
+    
+    // Modifiers
+    modifier validDossier(address _user, uint256 _dossierId) {
+        // Kept in a function so the check is not inlined into every caller (contract size)
+        _requireDossierExists(_user, _dossierId);
+        _;
+    }
+
+    function _dossierExists(address _user, uint256 _dossierId) internal view returns (bool) {
+        // Check both ID match AND that the dossier has been initialized (recipients.length > 0)
+        return dossiers[_user][_dossierId].id == _dossierId &&
+            dossiers[_user][_dossierId].recipients.length > 0;
+    }
+
+    function _requireDossierExists(address _user, uint256 _dossierId) internal view {
+        require(_dossierExists(_user, _dossierId), "Dossier does not exist");
+    }
+    
+    modifier dossierEditable(address _user, uint256 _dossierId) {
+        require(!dossiers[_user][_dossierId].isPermanentlyDisabled, "Dossier permanently disabled");
+        require(!dossiers[_user][_dossierId].isReleased, "Dossier already released");
+        require(dossiers[_user][_dossierId].isActive, "Dossier must be active to edit");
+        _;
+    }
+
+    // Internal helpers for the reverse lookup sets
+
+    /**
+     * @dev Append a reference to an insertion-ordered set in constant time
+     * @return false if the reference was already present
+     */
+    function _addReference(ReferenceList storage list, address owner, uint256 dossierId) internal returns (bool) {
+        if (list.nodeOf[owner][dossierId] != 0) return false;
+
+        uint256 node = ++referenceNodeCount;
+        uint128 last = list.nodes[0].prev;
+        list.nodes[node] = ReferenceNode(DossierReference(owner, dossierId), last, 0);
+        list.nodes[last].next = uint128(node);
+        list.nodes[0].prev = uint128(node);
+        list.nodeOf[owner][dossierId] = node;
+        list.length++;
+        return true;
+    }
+
+    /**
+     * @dev Unlink a reference from an insertion-ordered set in constant time; the others keep their order
+     * @notice The unlinked node keeps its links, so a cursor at it still resumes in the right place
+     * @return false if the reference was not present
+     */
+    function _removeReference(ReferenceList storage list, address owner, uint256 dossierId) internal returns (bool) {
+        uint256 node = list.nodeOf[owner][dossierId];
+        if (node == 0) return false;
+
+        uint128 prev = list.nodes[node].prev;
+        uint128 next = list.nodes[node].next;
+        list.nodes[prev].next = next;
+        list.nodes[next].prev = prev;
+        delete list.nodeOf[owner][dossierId];
+        list.length--;
+        return true;
+    }
+
+    /**
+     * @dev First node after `cursor` in insertion order, 0 past the end or for a cursor never handed out
+     * @notice A cursor whose reference was removed follows its `prev` links back to the closest
+     *   earlier node still in the set, so nothing after it is skipped or repeated
+     */
+    function _nodeAfter(ReferenceList storage list, uint256 cursor) internal view returns (uint256 node) {
+        if (cursor > referenceNodeCount) return 0;
+        node = cursor;
+        while (node != 0 && list.nodeOf[list.nodes[node].ref.owner][list.nodes[node].ref.dossierId] != node) {
+            node = list.nodes[node].prev;
+        }
+        return list.nodes[node].next;
+    }
+
+    /**
+     * @dev Copy up to `limit` references following `cursor`, 0 for the first page
+     * @return page References in the order they were added
+     * @return nextCursor Cursor of the following page, 0 once the set is exhausted
+     */
+    function _page(ReferenceList storage list, uint256 cursor, uint256 limit)
+        internal
+        view
+        returns (DossierReference[] memory page, uint256 nextCursor)
+    {
+        uint256 node = _nodeAfter(list, cursor);
+        page = new DossierReference[](list.length < limit ? list.length : limit);
+        uint256 count = 0;
+        nextCursor = cursor;
+        while (node != 0 && count < page.length) {
+            page[count++] = list.nodes[node].ref;
+            nextCursor = node;
+            node = list.nodes[node].next;
+        }
+        if (node == 0) {
+            nextCursor = 0;
+        }
+        // Trim the slots a short last page did not fill
+        assembly ("memory-safe") {
+            mstore(page, count)
+        }
+    }
+
+    /**
+     * @dev Create a new dossier
+     */
+    function createDossier(
+        string memory _name,
+        string memory _description,
+        uint256 _checkInInterval,
+        address[] memory _recipients,
+        string[] memory _encryptedFileHashes,
+        address[] memory _guardians,
+        uint256 _guardianThreshold
+    ) external returns (uint256 dossierId) {
+        require(
+            _checkInInterval >= MIN_CHECK_IN_INTERVAL && 
+            _checkInInterval <= MAX_CHECK_IN_INTERVAL,
+            "Invalid check-in interval"
+        );
+        require(userDossierCount[msg.sender] < MAX_DOSSIERS_PER_USER, "Max dossiers reached");
+        require(_recipients.length > 0 && _recipients.length <= MAX_RECIPIENTS_PER_DOSSIER, "Invalid recipients");
+        require(_encryptedFileHashes.length > 0 && _encryptedFileHashes.length <= MAX_FILES_PER_DOSSIER, "Invalid files");
+        require(_guardians.length <= MAX_GUARDIANS_PER_DOSSIER, "Too many guardians");
+
+        // If guardians are provided, threshold must be valid
+        if (_guardians.length > 0) {
+            require(_guardianThreshold > 0 && _guardianThreshold <= _guardians.length, "Invalid guardian threshold");
+            // Validate no duplicate guardians
+            for (uint256 i = 0; i < _guardians.length; i++) {
+                require(_guardians[i] != address(0), "Invalid guardian address");
+                for (uint256 j = i + 1; j < _guardians.length; j++) {
+                    require(_guardians[i] != _guardians[j], "Duplicate guardian");
+                }
+            }
+        } else {
+            require(_guardianThreshold == 0, "Threshold must be 0 when no guardians");
+        }
+
+        dossierId = userDossierCount[msg.sender];
+        
+        dossiers[msg.sender][dossierId] = Dossier({
+            id: dossierId,
+            name: _name,
+            description: _description,
+            isActive: true,
+            isPermanentlyDisabled: false,
+            isReleased: false,
+            checkInInterval: _checkInInterval,
+            lastCheckIn: block.timestamp,
+            encryptedFileHashes: _encryptedFileHashes,
+            recipients: _recipients,
+            guardians: _guardians,
+            guardianThreshold: _guardianThreshold,
+            guardianConfirmationCount: 0
+        });
+        
+        userDossierIds[msg.sender].push(dossierId);
+        userDossierCount[msg.sender]++;
+
+        // Add reverse mappings for recipients
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            _addReference(
+                recipientDossiers[_recipients[i]],
+                msg.sender,
+                dossierId
+            );
+        }
+
+        // Add reverse mappings for guardians
+        for (uint256 i = 0; i < _guardians.length; i++) {
+            _addReference(
+                guardianDossiers[_guardians[i]],
+                msg.sender,
+                dossierId
+            );
+        }
+
+        emit DossierCreated(msg.sender, dossierId, _name);
+    }
+    
+    /**
+     * @dev Update check-in interval for a dossier
+     * @notice Can only be done on active dossiers that haven't been released or disabled
+     */
+    function updateCheckInInterval(uint256 _dossierId, uint256 _newInterval) 
+        external 
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        require(
+            _newInterval >= MIN_CHECK_IN_INTERVAL && 
+            _newInterval <= MAX_CHECK_IN_INTERVAL,
+            "Invalid check-in interval"
+        );
+        
+        dossiers[msg.sender][_dossierId].checkInInterval = _newInterval;
+        emit CheckInIntervalUpdated(msg.sender, _dossierId, _newInterval);
+    }
+    
+    /**
+     * @dev Add an encrypted file hash to an existing dossier
+     * @notice Can only add files to active dossiers
+     */
+    function addFileHash(uint256 _dossierId, string memory _fileHash) 
+        external 
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        require(
+            dossiers[msg.sender][_dossierId].encryptedFileHashes.length < MAX_FILES_PER_DOSSIER,
+            "Max files per dossier reached"
+        );
+        require(bytes(_fileHash).length > 0, "File hash cannot be empty");
+        
+        dossiers[msg.sender][_dossierId].encryptedFileHashes.push(_fileHash);
+        emit FileHashAdded(msg.sender, _dossierId, _fileHash);
+    }
+    
+    /**
+     * @dev Add multiple encrypted file hashes to an existing dossier
+     * @notice Batch operation for adding multiple files at once
+     */
+    function addMultipleFileHashes(uint256 _dossierId, string[] memory _fileHashes) 
+        external 
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        uint256 currentFileCount = dossiers[msg.sender][_dossierId].encryptedFileHashes.length;
+        require(
+            currentFileCount + _fileHashes.length <= MAX_FILES_PER_DOSSIER,
+            "Would exceed max files per dossier"
+        );
+        
+        for (uint256 i = 0; i < _fileHashes.length; i++) {
+            require(bytes(_fileHashes[i]).length > 0, "File hash cannot be empty");
+            dossiers[msg.sender][_dossierId].encryptedFileHashes.push(_fileHashes[i]);
+            emit FileHashAdded(msg.sender, _dossierId, _fileHashes[i]);
+        }
+    }
+    
+    /**
+     * @dev Add a recipient to an existing dossier
+     */
+    function addRecipient(uint256 _dossierId, address _recipient) 
+        external 
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        require(
+            dossiers[msg.sender][_dossierId].recipients.length < MAX_RECIPIENTS_PER_DOSSIER,
+            "Max recipients reached"
+        );
+        require(_recipient != address(0), "Invalid recipient address");
+        
+        // Check if recipient already exists
+        address[] memory currentRecipients = dossiers[msg.sender][_dossierId].recipients;
+        for (uint256 i = 0; i < currentRecipients.length; i++) {
+            require(currentRecipients[i] != _recipient, "Recipient already exists");
+        }
+        
+        dossiers[msg.sender][_dossierId].recipients.push(_recipient);
+
+        // Add to reverse mapping
+        _addReference(
+            recipientDossiers[_recipient],
+            msg.sender,
+            _dossierId
+        );
+
+        emit RecipientAdded(msg.sender, _dossierId, _recipient);
+    }
+    
+    /**
+     * @dev Remove a recipient from a dossier
+     */
+    function removeRecipient(uint256 _dossierId, address _recipient) 
+        external 
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        address[] storage recipients = dossiers[msg.sender][_dossierId].recipients;
+        require(recipients.length > 1, "Cannot remove last recipient");
+        
+        bool found = false;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (recipients[i] == _recipient) {
+                // Move the last element to this position and pop
+                recipients[i] = recipients[recipients.length - 1];
+                recipients.pop();
+                found = true;
+
+                // Remove from reverse mapping
+                _removeReference(
+                    recipientDossiers[_recipient],
+                    msg.sender,
+                    _dossierId
+                );
+
+                break;
+            }
+        }
+
+        require(found, "Recipient not found");
+        emit RecipientRemoved(msg.sender, _dossierId, _recipient);
+    }
+
+    /**
+     * @dev Add a guardian to an existing dossier
+     */
+    function addGuardian(uint256 _dossierId, address _guardian)
+        external
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        require(
+            dossiers[msg.sender][_dossierId].guardians.length < MAX_GUARDIANS_PER_DOSSIER,
+            "Max guardians reached"
+        );
+        require(_guardian != address(0), "Invalid guardian address");
+        require(_guardian != msg.sender, "Owner cannot be guardian");
+
+        // Check if guardian already exists
+        address[] memory currentGuardians = dossiers[msg.sender][_dossierId].guardians;
+        for (uint256 i = 0; i < currentGuardians.length; i++) {
+            require(currentGuardians[i] != _guardian, "Guardian already exists");
+        }
+
+        dossiers[msg.sender][_dossierId].guardians.push(_guardian);
+
+        // If this is the first guardian, set threshold to 1
+        if (dossiers[msg.sender][_dossierId].guardianThreshold == 0) {
+            dossiers[msg.sender][_dossierId].guardianThreshold = 1;
+        }
+
+        // Add to reverse mapping
+        _addReference(
+            guardianDossiers[_guardian],
+            msg.sender,
+            _dossierId
+        );
+
+        emit GuardianAdded(msg.sender, _dossierId, _guardian);
+    }
+
+    /**
+     * @dev Remove a guardian from a dossier
+     */
+    function removeGuardian(uint256 _dossierId, address _guardian)
+        external
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        address[] storage guardians = dossiers[msg.sender][_dossierId].guardians;
+
+        bool found = false;
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] == _guardian) {
+                // If guardian had confirmed, decrement confirmation count
+                if (guardianConfirmations[msg.sender][_dossierId][_guardian]) {
+                    dossiers[msg.sender][_dossierId].guardianConfirmationCount--;
+                    guardianConfirmations[msg.sender][_dossierId][_guardian] = false;
+                }
+
+                // Move the last element to this position and pop
+                guardians[i] = guardians[guardians.length - 1];
+                guardians.pop();
+                found = true;
+
+                // Remove from reverse mapping
+                _removeReference(
+                    guardianDossiers[_guardian],
+                    msg.sender,
+                    _dossierId
+                );
+
+                break;
+            }
+        }
+
+        require(found, "Guardian not found");
+
+        // Adjust threshold if needed (threshold can't exceed guardian count)
+        if (dossiers[msg.sender][_dossierId].guardianThreshold > guardians.length) {
+            dossiers[msg.sender][_dossierId].guardianThreshold = guardians.length;
+        }
+
+        // If no guardians left, set threshold to 0
+        if (guardians.length == 0) {
+            dossiers[msg.sender][_dossierId].guardianThreshold = 0;
+        }
+
+        emit GuardianRemoved(msg.sender, _dossierId, _guardian);
+    }
+
+    /**
+     * @dev Update guardian threshold for a dossier
+     */
+    function updateGuardianThreshold(uint256 _dossierId, uint256 _newThreshold)
+        external
+        validDossier(msg.sender, _dossierId)
+        dossierEditable(msg.sender, _dossierId)
+    {
+        uint256 guardianCount = dossiers[msg.sender][_dossierId].guardians.length;
+
+        if (guardianCount > 0) {
+            require(_newThreshold > 0 && _newThreshold <= guardianCount, "Invalid guardian threshold");
+        } else {
+            require(_newThreshold == 0, "Cannot set threshold without guardians");
+        }
+
+        dossiers[msg.sender][_dossierId].guardianThreshold = _newThreshold;
+        emit GuardianThresholdUpdated(msg.sender, _dossierId, _newThreshold);
+    }
+
+    /**
+     * @dev Guardian confirms release of a dossier
+     * @notice Can only be called by a guardian of the dossier
+     */
+    function confirmRelease(address _owner, uint256 _dossierId)
+        external
+        validDossier(_owner, _dossierId)
+    {
+        require(!dossiers[_owner][_dossierId].isPermanentlyDisabled, "Dossier permanently disabled");
+        require(!guardianConfirmations[_owner][_dossierId][msg.sender], "Already confirmed");
+
+        // Verify caller is a guardian
+        bool isGuardian = false;
+        address[] memory guardians = dossiers[_owner][_dossierId].guardians;
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] == msg.sender) {
+                isGuardian = true;
+                break;
+            }
+        }
+        require(isGuardian, "Not a guardian");
+
+        guardianConfirmations[_owner][_dossierId][msg.sender] = true;
+        dossiers[_owner][_dossierId].guardianConfirmationCount++;
+
+        emit GuardianConfirmed(_owner, _dossierId, msg.sender);
+    }
+
+    /**
+     * @dev Guardian revokes their confirmation for release
+     * @notice Can only be called by a guardian who has confirmed, and only before release
+     */
+    function revokeConfirmation(address _owner, uint256 _dossierId)
+        external
+        validDossier(_owner, _dossierId)
+    {
+        require(!dossiers[_owner][_dossierId].isPermanentlyDisabled, "Dossier permanently disabled");
+        require(!dossiers[_owner][_dossierId].isReleased, "Dossier already released");
+        require(guardianConfirmations[_owner][_dossierId][msg.sender], "Not confirmed");
+
+        // Verify caller is still a guardian
+        bool isGuardian = false;
+        address[] memory guardians = dossiers[_owner][_dossierId].guardians;
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] == msg.sender) {
+                isGuardian = true;
+                break;
+            }
+        }
+        require(isGuardian, "Not a guardian");
+
+        guardianConfirmations[_owner][_dossierId][msg.sender] = false;
+        dossiers[_owner][_dossierId].guardianConfirmationCount--;
+
+        emit GuardianRevokedConfirmation(_owner, _dossierId, msg.sender);
+    }
+
+    /**
+     * @dev Check-in for a specific dossier
+     */
+    function checkIn(uint256 _dossierId) external validDossier(msg.sender, _dossierId) {
+        _checkIn(msg.sender, _dossierId);
+    }
+
+    /**
+     * @dev Check in on the owner's behalf with a signature made offline
+     * @notice Anyone can submit the owner's EIP-712 CheckIn signature, so an owner who cannot send
+     *   transactions can hand it to a relayer. Each signature is valid once (the owner's nonce
+     *   must match) and only until its deadline.
+     * @param _signature 65-byte r, s, v signature of the CheckIn typed data
+     */
+    function checkInWithSig(
+        address _owner,
+        uint256 _dossierId,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external validDossier(_owner, _dossierId) {
+        _useSignature(CHECK_IN_TYPEHASH, _owner, _dossierId, _nonce, _deadline, _signature);
+        _checkIn(_owner, _dossierId);
+        emit CheckInRelayed(_owner, _dossierId, msg.sender, _nonce);
+    }
+
+    /**
+     * @dev Pause on the owner's behalf with an EIP-712 Pause signature
+     * @notice Same nonce and deadline rules as checkInWithSig
+     */
+    function pauseWithSig(
+        address _owner,
+        uint256 _dossierId,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external validDossier(_owner, _dossierId) {
+        _useSignature(PAUSE_TYPEHASH, _owner, _dossierId, _nonce, _deadline, _signature);
+        _pauseDossier(_owner, _dossierId);
+    }
+
+    /**
+     * @dev Resume on the owner's behalf with an EIP-712 Resume signature
+     * @notice Same nonce and deadline rules as checkInWithSig
+     */
+    function resumeWithSig(
+        address _owner,
+        uint256 _dossierId,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external validDossier(_owner, _dossierId) {
+        _useSignature(RESUME_TYPEHASH, _owner, _dossierId, _nonce, _deadline, _signature);
+        _resumeDossier(_owner, _dossierId);
+    }
+
+    /**
+     * @dev Verify an owner's signature over (owner, dossierId, nonce, deadline) and consume the nonce
+     */
+    function _useSignature(
+        bytes32 _typeHash,
+        address _owner,
+        uint256 _dossierId,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(_nonce == nonces[_owner], "Invalid nonce");
+
+        bytes32 structHash = keccak256(abi.encode(_typeHash, _owner, _dossierId, _nonce, _deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        require(_recoverSigner(digest, _signature) == _owner, "Invalid signature");
+
+        nonces[_owner]++;
+    }
+
+    /**
+     * @dev EIP-712 domain separator for owner signatures
+     * @notice Computed on each call so signatures stay bound to the current chain after a fork
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, NAME_HASH, VERSION_HASH, block.chainid, address(this)));
+    }
+
+    function _checkIn(address _user, uint256 _dossierId) internal {
+        require(!dossiers[_user][_dossierId].isPermanentlyDisabled, "Dossier permanently disabled");
+        require(!dossiers[_user][_dossierId].isReleased, "Dossier already released");
+        require(dossiers[_user][_dossierId].isActive, "Dossier is paused");
+
+        dossiers[_user][_dossierId].lastCheckIn = block.timestamp;
+        emit CheckInPerformed(_user, _dossierId);
+    }
+
+    /**
+     * @dev Recover the signer of a digest
+     * @return address(0) for malformed or malleable (high s) signatures
+     */
+    function _recoverSigner(bytes32 _digest, bytes calldata _signature) internal pure returns (address) {
+        if (_signature.length != 65) return address(0);
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) return address(0);
+        if (v != 27 && v != 28) return address(0);
+
+        return ecrecover(_digest, v, r, s);
+    }
+    
+    /**
+     * @dev Check-in for all active dossiers
+     */
+    function checkInAll() external {
+        uint256[] memory userDossiers = userDossierIds[msg.sender];
+        require(userDossiers.length > 0, "No dossiers found");
+        
+        for (uint256 i = 0; i < userDossiers.length; i++) {
+            uint256 dossierId = userDossiers[i];
+            if (dossiers[msg.sender][dossierId].isActive && 
+                !dossiers[msg.sender][dossierId].isPermanentlyDisabled &&
+                !dossiers[msg.sender][dossierId].isReleased) {
+                dossiers[msg.sender][dossierId].lastCheckIn = block.timestamp;
+                emit CheckInPerformed(msg.sender, dossierId);
+            }
+        }
+    }
+    
+    /**
+     * @dev Pause all active dossiers for the caller
+     */
+    function pauseAll() external {
+        uint256[] memory userDossiers = userDossierIds[msg.sender];
+        require(userDossiers.length > 0, "No dossiers found");
+
+        uint256 pausedCount = 0;
+        for (uint256 i = 0; i < userDossiers.length; i++) {
+            uint256 dossierId = userDossiers[i];
+            Dossier storage dossier = dossiers[msg.sender][dossierId];
+
+            // Only pause if active and not disabled/released
+            if (dossier.isActive &&
+                !dossier.isPermanentlyDisabled &&
+                !dossier.isReleased) {
+                dossier.isActive = false;
+                emit DossierPaused(msg.sender, dossierId);
+                pausedCount++;
+            }
+        }
+
+        require(pausedCount > 0, "No active dossiers to pause");
+    }
+
+    /**
+     * @dev Resume all paused dossiers for the caller
+     */
+    function resumeAll() external {
+        uint256[] memory userDossiers = userDossierIds[msg.sender];
+        require(userDossiers.length > 0, "No dossiers found");
+
+        uint256 resumedCount = 0;
+        for (uint256 i = 0; i < userDossiers.length; i++) {
+            uint256 dossierId = userDossiers[i];
+            Dossier storage dossier = dossiers[msg.sender][dossierId];
+
+            // Only resume if paused and not disabled/released
+            if (!dossier.isActive &&
+                !dossier.isPermanentlyDisabled &&
+                !dossier.isReleased) {
+                dossier.isActive = true;
+                dossier.lastCheckIn = block.timestamp;
+                emit DossierResumed(msg.sender, dossierId);
+                resumedCount++;
+            }
+        }
+
+        require(resumedCount > 0, "No paused dossiers to resume");
+    }
+
+    /**
+     * @dev Check if dossier should stay encrypted (for TACo integration)
+     */
+    function shouldDossierStayEncrypted(address _user, uint256 _dossierId)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (bool)
+    {
+        return _shouldStayEncrypted(dossiers[_user][_dossierId]);
+    }
+
+    function _shouldStayEncrypted(Dossier storage dossier) internal view returns (bool) {
+        // Permanently disabled dossiers always stay encrypted
+        if (dossier.isPermanentlyDisabled) {
+            return true;
+        }
+
+        // If released, check guardian requirements
+        if (dossier.isReleased) {
+            // If guardians exist, check if threshold is met
+            if (dossier.guardians.length > 0) {
+                return dossier.guardianConfirmationCount < dossier.guardianThreshold;
+            }
+            // No guardians, can release
+            return false;
+        }
+
+        // Paused dossiers stay encrypted
+        if (!dossier.isActive) {
+            return true;
+        }
+
+        // Check if check-in has been missed
+        uint256 timeSinceLastCheckIn = block.timestamp - dossier.lastCheckIn;
+        bool checkInMissed = timeSinceLastCheckIn > (dossier.checkInInterval + GRACE_PERIOD);
+
+        // If check-in is current, stay encrypted
+        if (!checkInMissed) {
+            return true;
+        }
+
+        // Check-in missed - check guardian requirements
+        if (dossier.guardians.length > 0) {
+            // Guardians exist, check if threshold is met
+            return dossier.guardianConfirmationCount < dossier.guardianThreshold;
+        }
+
+        // No guardians and check-in missed, release
+        return false;
+    }
+    
+    /**
+     * @dev Pause a dossier (temporarily stops check-in requirements)
+     */
+    function pauseDossier(uint256 _dossierId) external validDossier(msg.sender, _dossierId) {
+        _pauseDossier(msg.sender, _dossierId);
+    }
+
+    function _pauseDossier(address _user, uint256 _dossierId) internal {
+        require(!dossiers[_user][_dossierId].isPermanentlyDisabled, "Dossier permanently disabled");
+        require(!dossiers[_user][_dossierId].isReleased, "Dossier already released");
+        require(dossiers[_user][_dossierId].isActive, "Dossier already paused");
+        
+        dossiers[_user][_dossierId].isActive = false;
+        emit DossierPaused(_user, _dossierId);
+    }
+    
+    /**
+     * @dev Resume a paused dossier
+     */
+    function resumeDossier(uint256 _dossierId) external validDossier(msg.sender, _dossierId) {
+        _resumeDossier(msg.sender, _dossierId);
+    }
+
+    function _resumeDossier(address _user, uint256 _dossierId) internal {
+        require(!dossiers[_user][_dossierId].isPermanentlyDisabled, "Cannot resume permanently disabled dossier");
+        require(!dossiers[_user][_dossierId].isReleased, "Cannot resume released dossier");
+        require(!dossiers[_user][_dossierId].isActive, "Dossier already active");
+        
+        dossiers[_user][_dossierId].isActive = true;
+        dossiers[_user][_dossierId].lastCheckIn = block.timestamp;
+        emit DossierResumed(_user, _dossierId);
+    }
+    
+    /**
+     * @dev Release dossier data immediately
+     * @notice If guardians are configured, they must still confirm before actual decryption occurs
+     */
+    function releaseNow(uint256 _dossierId) external validDossier(msg.sender, _dossierId) {
+        require(!dossiers[msg.sender][_dossierId].isPermanentlyDisabled, "Dossier already permanently disabled");
+        require(!dossiers[msg.sender][_dossierId].isReleased, "Dossier already released");
+        
+        dossiers[msg.sender][_dossierId].isReleased = true;
+        dossiers[msg.sender][_dossierId].isActive = false;
+        
+        emit DossierReleased(msg.sender, _dossierId);
+    }
+    
+    /**
+     * @dev Permanently disable a dossier
+     */
+    function permanentlyDisableDossier(uint256 _dossierId) external validDossier(msg.sender, _dossierId) {
+        require(!dossiers[msg.sender][_dossierId].isPermanentlyDisabled, "Dossier already permanently disabled");
+        
+        dossiers[msg.sender][_dossierId].isPermanentlyDisabled = true;
+        dossiers[msg.sender][_dossierId].isActive = false;
+        
+        emit DossierPermanentlyDisabled(msg.sender, _dossierId);
+    }
+    
+    /**
+     * @dev Get dossier details
+     */
+    function getDossier(address _user, uint256 _dossierId) 
+        external 
+        view 
+        validDossier(_user, _dossierId)
+        returns (Dossier memory) 
+    {
+        return dossiers[_user][_dossierId];
+    }
+    
+    /**
+     * @dev Get user's dossier IDs
+     */
+    function getUserDossierIds(address _user) external view returns (uint256[] memory) {
+        return userDossierIds[_user];
+    }
+    
+    /**
+     * @dev Get one page of a user's dossier IDs
+     * @return ids Up to `_limit` IDs starting at `_offset`
+     * @return total Number of dossier IDs the user has
+     */
+    function getUserDossierIdsPaginated(address _user, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        uint256[] storage all = userDossierIds[_user];
+        total = all.length;
+        if (_offset >= total) {
+            return (new uint256[](0), total);
+        }
+
+        uint256 end = total - _offset < _limit ? total : _offset + _limit;
+        ids = new uint256[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            ids[i - _offset] = all[i];
+        }
+    }
+
+    /**
+     * @dev Check if user has any dossiers
+     */
+    function userExists(address _user) external view returns (bool) {
+        return userDossierIds[_user].length > 0;
+    }
+
+    /**
+     * @dev Check if an address is a guardian for a dossier
+     */
+    function isGuardian(address _user, uint256 _dossierId, address _guardian)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (bool)
+    {
+        address[] memory guardians = dossiers[_user][_dossierId].guardians;
+        for (uint256 i = 0; i < guardians.length; i++) {
+            if (guardians[i] == _guardian) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Check if a guardian has confirmed release
+     */
+    function hasGuardianConfirmed(address _user, uint256 _dossierId, address _guardian)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (bool)
+    {
+        return guardianConfirmations[_user][_dossierId][_guardian];
+    }
+
+    /**
+     * @dev Check if guardian threshold is met for release
+     */
+    function isGuardianThresholdMet(address _user, uint256 _dossierId)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (bool)
+    {
+        Dossier memory dossier = dossiers[_user][_dossierId];
+
+        // If no guardians, threshold is automatically met
+        if (dossier.guardians.length == 0) {
+            return true;
+        }
+
+        return dossier.guardianConfirmationCount >= dossier.guardianThreshold;
+    }
+
+    /**
+     * @dev Get guardian confirmation count
+     */
+    function getGuardianConfirmationCount(address _user, uint256 _dossierId)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (uint256)
+    {
+        return dossiers[_user][_dossierId].guardianConfirmationCount;
+    }
+
+    /**
+     * @dev Get all guardians for a dossier
+     */
+    function getGuardians(address _user, uint256 _dossierId)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (address[] memory)
+    {
+        return dossiers[_user][_dossierId].guardians;
+    }
+
+    /**
+     * @dev Get guardian threshold for a dossier
+     */
+    function getGuardianThreshold(address _user, uint256 _dossierId)
+        external
+        view
+        validDossier(_user, _dossierId)
+        returns (uint256)
+    {
+        return dossiers[_user][_dossierId].guardianThreshold;
+    }
+
+    /**
+     * @dev Get all dossiers where an address is a guardian
+     * @notice Returns array of DossierReferences (owner + dossierId pairs) in the order
+     *   they were added
+     */
+    function getDossiersWhereGuardian(address _guardian)
+        external
+        view
+        returns (DossierReference[] memory)
+    {
+        (DossierReference[] memory refs, ) = _page(guardianDossiers[_guardian], 0, type(uint256).max);
+        return refs;
+    }
+
+    /**
+     * @dev Get all dossiers where an address is a recipient
+     * @notice Returns array of DossierReferences (owner + dossierId pairs) in the order
+     *   they were added
+     */
+    function getDossiersWhereRecipient(address _recipient)
+        external
+        view
+        returns (DossierReference[] memory)
+    {
+        (DossierReference[] memory refs, ) = _page(recipientDossiers[_recipient], 0, type(uint256).max);
+        return refs;
+    }
+
+    /**
+     * @dev Get one page of the dossiers where an address is a guardian
+     * @notice Pages follow the order of getDossiersWhereGuardian. Pass 0 as `_cursor` for the first page
+     *   and the returned `nextCursor` for each following one; references added or removed in
+     *   between do not make a later page skip or repeat the others
+     * @return refs Up to `_limit` references after `_cursor`
+     * @return total Number of dossiers the address guards
+     * @return nextCursor Cursor of the following page, 0 after the last one
+     */
+    function getDossiersWhereGuardianPaginated(address _guardian, uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (DossierReference[] memory refs, uint256 total, uint256 nextCursor)
+    {
+        (refs, nextCursor) = _page(guardianDossiers[_guardian], _cursor, _limit);
+        total = guardianDossiers[_guardian].length;
+    }
+
+    /**
+     * @dev Get one page of the dossiers where an address is a recipient
+     * @notice Pages follow the order of getDossiersWhereRecipient. Pass 0 as `_cursor` for the first page
+     *   and the returned `nextCursor` for each following one; references added or removed in
+     *   between do not make a later page skip or repeat the others
+     * @return refs Up to `_limit` references after `_cursor`
+     * @return total Number of dossiers addressed to the recipient
+     * @return nextCursor Cursor of the following page, 0 after the last one
+     */
+    function getDossiersWhereRecipientPaginated(address _recipient, uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (DossierReference[] memory refs, uint256 total, uint256 nextCursor)
+    {
+        (refs, nextCursor) = _page(recipientDossiers[_recipient], _cursor, _limit);
+        total = recipientDossiers[_recipient].length;
+    }
+
+    /**
+     * @dev Get compact status for a batch of dossiers
+     * @notice Unknown references are returned with exists == false instead of reverting
+     */
+    function getDossiersSummary(DossierReference[] calldata _refs)
+        external
+        view
+        returns (DossierSummary[] memory summaries)
+    {
+        summaries = new DossierSummary[](_refs.length);
+        for (uint256 i = 0; i < _refs.length; i++) {
+            address owner = _refs[i].owner;
+            uint256 dossierId = _refs[i].dossierId;
+            summaries[i].owner = owner;
+            summaries[i].dossierId = dossierId;
+            if (!_dossierExists(owner, dossierId)) {
+                continue;
+            }
+
+            Dossier storage dossier = dossiers[owner][dossierId];
+
+            summaries[i].exists = true;
+            summaries[i].isActive = dossier.isActive;
+            summaries[i].isReleased = dossier.isReleased;
+            summaries[i].isPermanentlyDisabled = dossier.isPermanentlyDisabled;
+            summaries[i].shouldStayEncrypted = _shouldStayEncrypted(dossier);
+            summaries[i].lastCheckIn = dossier.lastCheckIn;
+            summaries[i].checkInInterval = dossier.checkInInterval;
+            summaries[i].guardianCount = dossier.guardians.length;
+            summaries[i].guardianThreshold = dossier.guardianThreshold;
+            summaries[i].guardianConfirmationCount = dossier.guardianConfirmationCount;
+        }
+    }
+
+    /**
+     * @dev Check if an address is a guardian of any dossier
+     */
+    function isGuardianOfAny(address _guardian)
+        external
+        view
+        returns (bool)
+    {
+        return guardianDossiers[_guardian].length > 0;
+    }
+
+    /**
+     * @dev Check if an address is a recipient of any dossier
+     */
+    function isRecipientOfAny(address _recipient)
+        external
+        view
+        returns (bool)
+    {
+        return recipientDossiers[_recipient].length > 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../DossierV3.sol";
+import "../DossierV4.sol";
+
+/**
+ * @title IndexedReferenceSetBenchmark
+ * @dev Exposes the index-mapped linked reverse lookups of CanaryDossierV4 (and later) for gas benchmarking
+ * @notice Not for deployment; see tasks/benchmark.js
+ */
+contract IndexedReferenceSetBenchmark is CanaryDossierV4 {
+    function add(address holder, address owner, uint256 dossierId) external {
+        _addReference(guardianDossiers[holder], owner, dossierId);
+    }
+
+    function remove(address holder, address owner, uint256 dossierId) external {
+        _removeReference(guardianDossiers[holder], owner, dossierId);
+    }
+
+    /**
+     * @dev Add references (owner, fromId) .. (owner, fromId + count - 1)
+     */
+    function seed(address holder, address owner, uint256 fromId, uint256 count) external {
+        for (uint256 i = fromId; i < fromId + count; i++) {
+            _addReference(guardianDossiers[holder], owner, i);
+        }
+    }
+
+    function referenceCount(address holder) external view returns (uint256) {
+        return guardianDossiers[holder].length;
+    }
+}
+
+/**
+ * @title SortedReferenceSetBenchmark
+ * @dev Exposes the sorted-array reverse lookups of CanaryDossierV3 to compare gas against
+ *   IndexedReferenceSetBenchmark
+ * @notice Not for deployment; see tasks/benchmark.js
+ */
+contract SortedReferenceSetBenchmark is CanaryDossierV3 {
+    function add(address holder, address owner, uint256 dossierId) external {
+        _insertSorted(guardianDossiers[holder], DossierReference(owner, dossierId));
+    }
+
+    function remove(address holder, address owner, uint256 dossierId) external {
+        _removeSorted(guardianDossiers[holder], owner, dossierId);
+    }
+
+    /**
+     * @dev Add references (owner, fromId) .. (owner, fromId + count - 1)
+     */
+    function seed(address holder, address owner, uint256 fromId, uint256 count) external {
+        for (uint256 i = fromId; i < fromId + count; i++) {
+            _insertSorted(guardianDossiers[holder], DossierReference(owner, i));
+        }
+    }
+
+    function referenceCount(address holder) external view returns (uint256) {
+        return guardianDossiers[holder].length;
+    }
+}
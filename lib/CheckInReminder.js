@@ -0,0 +1,267 @@
+// Escalating check-in reminders for dossier owners
+const { EventEmitter } = require("events");
+const { DossierStatus } = require("./dossier");
+
+// 24 hours before, 1 hour before, and once the deadline has passed
+const DEFAULT_OFFSETS = [86400, 3600, 0];
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} owner
+ * @property {number} offset Seconds before the due time this level fires at (0 = overdue)
+ * @property {number} level Index of the offset, higher is more urgent
+ * @property {bigint} dueAt Earliest deadline across the owner's dossiers
+ * @property {bigint} now Chain timestamp the reminder was raised at
+ * @property {{ id: bigint, name: string, deadline: bigint, graceEndsAt: bigint, status: string }[]} dossiers
+ *   Dossiers due within this level's window, soonest first
+ */
+
+/**
+ * @dev Dossiers that a check-in would reset: active ones, including those past their deadline
+ */
+function needsCheckIn(dossier) {
+  return (
+    dossier.status === DossierStatus.ACTIVE ||
+    dossier.status === DossierStatus.IN_GRACE ||
+    dossier.status === DossierStatus.EXPIRED
+  );
+}
+
+function formatDuration(seconds) {
+  const s = Number(seconds);
+  if (s >= 3600) {
+    const hours = Math.floor(s / 3600);
+    return `${hours}h${s % 3600 >= 60 ? ` ${Math.floor((s % 3600) / 60)}m` : ""}`;
+  }
+  return `${Math.max(0, Math.floor(s / 60))}m`;
+}
+
+/**
+ * @dev Default rendering of a reminder as a plain-text message
+ * @param {Reminder} reminder
+ */
+function renderReminder(reminder) {
+  const overdue = reminder.now > reminder.dueAt;
+  const subject = overdue
+    ? `Canary: check-in overdue for ${reminder.dossiers.length} dossier(s)`
+    : `Canary: check in within ${formatDuration(reminder.dueAt - reminder.now)}`;
+
+  const lines = reminder.dossiers.map((dossier) => {
+    const deadline = new Date(Number(dossier.deadline) * 1000).toISOString();
+    return `  #${dossier.id} ${dossier.name} (${dossier.status}, due ${deadline})`;
+  });
+
+  const text = [
+    `The following dossiers owned by ${reminder.owner} need a check-in:`,
+    "",
+    ...lines,
+    "",
+    overdue
+      ? "Missed check-ins release a dossier once the grace period ends. Check in now to keep it sealed."
+      : "Check in before the deadline to keep these dossiers sealed.",
+    "Run `npx hardhat dossier:checkin-all` to check in every dossier at once."
+  ].join("\n");
+
+  return { subject, text };
+}
+
+/**
+ * @dev Computes each owner's next check-in deadline and sends escalating reminders
+ * @notice State is tracked per owner and due time: once a check-in moves the due time,
+ *   escalation starts again from the first level. Levels already passed when first seen
+ *   are skipped, so only the most urgent one is sent.
+ *   Emits "reminder" (Reminder, message) and "error" (error, reminder) for failed deliveries.
+ */
+class CheckInReminder extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import("./DossierClient").DossierClient} options.client
+   * @param {string[]} options.owners Addresses to remind
+   * @param {{ send(message: import("./transports").ReminderMessage): Promise<any> }} options.transport
+   * @param {Object<string, string>} [options.contacts] Delivery address per owner (defaults to the owner address)
+   * @param {number[]} [options.offsets] Seconds before the due time for each reminder level
+   * @param {(reminder: Reminder) => { subject: string, text: string }} [options.render]
+   * @param {number} [options.pollInterval] Maximum milliseconds between checks while started
+   */
+  constructor({
+    client,
+    owners,
+    transport,
+    contacts = {},
+    offsets = DEFAULT_OFFSETS,
+    render = renderReminder,
+    pollInterval = 60000
+  }) {
+    super();
+    if (!transport) {
+      throw new Error("CheckInReminder requires a transport");
+    }
+    this.client = client;
+    this.owners = owners;
+    this.transport = transport;
+    this.contacts = Object.fromEntries(Object.entries(contacts).map(([owner, to]) => [owner.toLowerCase(), to]));
+    this.offsets = [...offsets].sort((a, b) => b - a);
+    this.render = render;
+    this.pollInterval = pollInterval;
+
+    this._sent = new Map();
+    this._timer = undefined;
+  }
+
+  /**
+   * @dev Earliest deadline across an owner's dossiers that still need check-ins
+   * @returns {Promise<{ dueAt: bigint | undefined, dossiers: import("./dossier").Dossier[], now: bigint }>}
+   */
+  async nextDue(owner) {
+    const [all, now] = await Promise.all([this.client.listDossiers({ owner }), this.client.getTimestamp()]);
+    const dossiers = all
+      .filter(needsCheckIn)
+      .sort((a, b) => (a.deadline < b.deadline ? -1 : a.deadline > b.deadline ? 1 : 0));
+    return { dueAt: dossiers.length > 0 ? dossiers[0].deadline : undefined, dossiers, now };
+  }
+
+  /**
+   * @dev Send every reminder that is due now
+   * @returns {Promise<Reminder[]>}
+   */
+  async check() {
+    const sent = [];
+    for (const owner of this.owners) {
+      const reminder = await this._evaluate(owner);
+      if (reminder) {
+        await this._deliver(reminder);
+        sent.push(reminder);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * @dev Check in every active dossier of an owner now (checkInAll) and reset their reminders
+   * @param {import("ethers").Signer} signer Owner to check in as
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async checkInAll(signer) {
+    const receipt = await this.client.connect(signer).checkInAll();
+    this._sent.delete((await signer.getAddress()).toLowerCase());
+    return receipt;
+  }
+
+  /**
+   * @dev Check now, then keep checking until stop()
+   */
+  async start() {
+    this._timer = null;
+    await this._tick();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+
+  async _tick() {
+    let delay = this.pollInterval;
+    try {
+      await this.check();
+      const next = await this._nextReminderAt();
+      if (next !== undefined) {
+        const now = await this.client.getTimestamp();
+        delay = Math.max(0, Math.min(delay, Number(next.at - now + 1n) * 1000));
+      }
+    } catch (error) {
+      this.emit("error", error);
+    }
+    if (this._timer !== undefined) {
+      this._timer = setTimeout(() => this._tick(), delay);
+    }
+  }
+
+  async _evaluate(owner) {
+    const { dueAt, dossiers, now } = await this.nextDue(owner);
+    if (dueAt === undefined) {
+      return undefined;
+    }
+
+    // Most urgent level whose window has opened; offset 0 opens once the deadline has passed
+    const level = this._levelAt(dueAt, now);
+    if (level === -1) {
+      return undefined;
+    }
+
+    const key = owner.toLowerCase();
+    const previous = this._sent.get(key);
+    if (previous && previous.dueAt === dueAt && previous.level >= level) {
+      return undefined;
+    }
+    this._sent.set(key, { dueAt, level });
+
+    const offset = this.offsets[level];
+    return {
+      owner,
+      offset,
+      level,
+      dueAt,
+      now,
+      dossiers: dossiers
+        .filter((dossier) => this._levelAt(dossier.deadline, now) >= level)
+        .map(({ id, name, deadline, graceEndsAt, status }) => ({ id, name, deadline, graceEndsAt, status }))
+    };
+  }
+
+  _levelAt(dueAt, now) {
+    let level = -1;
+    this.offsets.forEach((offset, i) => {
+      const opensAt = dueAt - BigInt(offset);
+      if (offset === 0 ? now > opensAt : now >= opensAt) {
+        level = i;
+      }
+    });
+    return level;
+  }
+
+  /**
+   * @dev Chain timestamp of the next reminder across all owners
+   */
+  async _nextReminderAt() {
+    let next;
+    for (const owner of this.owners) {
+      const { dueAt } = await this.nextDue(owner);
+      if (dueAt === undefined) {
+        continue;
+      }
+      const previous = this._sent.get(owner.toLowerCase());
+      const level = previous && previous.dueAt === dueAt ? previous.level + 1 : 0;
+      if (level >= this.offsets.length) {
+        continue;
+      }
+      const at = dueAt - BigInt(this.offsets[level]);
+      if (next === undefined || at < next.at) {
+        next = { owner, at };
+      }
+    }
+    return next;
+  }
+
+  async _deliver(reminder) {
+    const { subject, text } = this.render(reminder);
+    const message = {
+      to: this.contacts[reminder.owner.toLowerCase()] || reminder.owner,
+      subject,
+      text,
+      reminder
+    };
+    this.emit("reminder", reminder, message);
+    try {
+      await this.transport.send(message);
+    } catch (error) {
+      this.emit("error", error, reminder);
+    }
+  }
+}
+
+module.exports = {
+  CheckInReminder,
+  DEFAULT_OFFSETS,
+  renderReminder
+};
@@ -0,0 +1,831 @@
+// Client for CanaryDossierV3 (and later) with named parameters and decoded results; see DossierFacade
+// for CanaryDossier and CanaryDossierV2
+const { Contract, ZeroAddress } = require("ethers");
+const { CONTRACT_VERSIONS, loadArtifact } = require("./artifacts");
+const {
+  decodeDossier,
+  decodeLifecycle,
+  decodeReleaseInfo,
+  decodeReleaseTrigger,
+  decodeSummary
+} = require("./dossier");
+const { wrapError } = require("./errors");
+const { SignedAction, signAction } = require("./signatures");
+
+/**
+ * @typedef {Object} CreateDossierParams
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number | bigint} checkInInterval Seconds between check-ins
+ * @property {string[]} recipients
+ * @property {string[]} files Encrypted file hashes (e.g. ipfs:// URIs)
+ * @property {string[]} [guardians]
+ * @property {number | bigint} [guardianThreshold] Defaults to all guardians
+ * @property {number | bigint} [gracePeriod] Seconds a late check-in still counts (CanaryDossierV6);
+ *   defaults to the contract's GRACE_PERIOD
+ * @property {ReleaseTierParams[]} [tiers] Release tiers to add after creating the dossier (CanaryDossierV6),
+ *   one transaction each
+ */
+
+/**
+ * @typedef {Object} ReleaseTierParams
+ * @property {number | bigint} delay Seconds after the check-in counts as missed
+ * @property {string[]} files Encrypted file hashes
+ * @property {string[]} recipients
+ */
+
+/**
+ * @typedef {Object} DossierRef
+ * @property {string} owner
+ * @property {bigint} dossierId
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Page
+ * @property {T[]} items
+ * @property {bigint} total Length of the whole list at the time of the call
+ */
+
+/**
+ * @template T
+ * @typedef {Object} CursorPage
+ * @property {T[]} items
+ * @property {bigint} total Length of the whole list at the time of the call
+ * @property {bigint} nextCursor Cursor to pass for the following page, 0n after the last one
+ */
+
+/**
+ * @typedef {Object} RecoveryState
+ * @property {string | null} recoveryAddress Address allowed to start recovery
+ * @property {string | null} newOwner Owner the pending recovery moves the dossier to
+ * @property {bigint | null} executeAfter When the pending recovery can be executed, null until its timelock starts
+ * @property {bigint} approvalCount Guardian approvals of the pending recovery
+ */
+
+/**
+ * @typedef {Object} VetoState
+ * @property {bigint} window Seconds after the deadline vetoes can hold back release, 0 when the veto is off
+ * @property {bigint} threshold Guardian vetoes needed
+ * @property {bigint} count Vetoes cast against the current deadline
+ * @property {boolean} vetoed Whether vetoes hold back release right now
+ */
+
+/**
+ * @typedef {Object} ReleaseTier
+ * @property {number} tier Tier number, from 1 (tier 0 is the dossier's own files and recipients)
+ * @property {bigint} delay Seconds after the check-in counts as missed
+ * @property {string[]} files encryptedFileHashes
+ * @property {string[]} recipients
+ * @property {bigint} sealedUntil Timestamp after which the tier releases if the current deadline is
+ *   missed; outstanding guardian confirmations and vetoes can hold it back further
+ */
+
+// Items per call for the paginated views
+const DEFAULT_PAGE_SIZE = 100;
+
+// Seconds a signed check-in, pause or resume stays valid unless a deadline is given
+const DEFAULT_SIGNATURE_TTL = 3600n;
+
+class DossierClient {
+  /**
+   * @param {{ address: string, runner: import("ethers").ContractRunner, contractName?: string }} options
+   * @notice Pass a signer as runner to send transactions, a provider for read-only use
+   */
+  constructor({ address, runner, contractName = "CanaryDossierV3" }) {
+    if (!address) {
+      throw new Error("DossierClient requires a contract address");
+    }
+    if (!runner) {
+      throw new Error("DossierClient requires a signer or provider");
+    }
+
+    this.address = address;
+    this.runner = runner;
+    this.contractName = contractName;
+    this.contract = new Contract(address, loadArtifact(contractName).abi, runner);
+    this._gracePeriod = undefined;
+  }
+
+  /**
+   * @dev Return a new client for the same contract using another signer
+   */
+  connect(runner) {
+    return new DossierClient({ address: this.address, runner, contractName: this.contractName });
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  // Transactions
+
+  /**
+   * @dev Create a dossier
+   * @param {CreateDossierParams} params
+   * @returns {Promise<{ dossierId: bigint, receipt: import("ethers").TransactionReceipt }>}
+   */
+  async createDossier({
+    name,
+    description = "",
+    checkInInterval,
+    recipients,
+    files,
+    guardians = [],
+    guardianThreshold,
+    gracePeriod,
+    tiers = []
+  }) {
+    const threshold = guardianThreshold === undefined ? guardians.length : guardianThreshold;
+    const args = [name, description, checkInInterval, recipients, files, guardians, threshold];
+    if (CONTRACT_VERSIONS[this.contractName] < 3) {
+      if (guardians.length > 0) {
+        throw new Error(`${this.contractName} has no guardians; use CanaryDossierV3 or later`);
+      }
+      args.length = 5;
+    }
+    if (CONTRACT_VERSIONS[this.contractName] >= 6) {
+      args.push(gracePeriod === undefined ? await this.getGracePeriod() : gracePeriod);
+    } else if (gracePeriod !== undefined) {
+      throw new Error(`${this.contractName} has no per-dossier grace period; use CanaryDossierV6 or later`);
+    } else if (tiers.length > 0) {
+      throw new Error(`${this.contractName} has no release tiers; use CanaryDossierV6 or later`);
+    }
+
+    const receipt = await this._send("createDossier", args);
+
+    const created = this._findEvent(receipt, "DossierCreated");
+    const dossierId = created.args.dossierId;
+    for (const tier of tiers) {
+      await this.addReleaseTier({ dossierId, ...tier });
+    }
+    return { dossierId, receipt };
+  }
+
+  async checkIn({ dossierId }) {
+    return this._send("checkIn", [dossierId]);
+  }
+
+  async checkInAll() {
+    return this._send("checkInAll", []);
+  }
+
+  async pause({ dossierId }) {
+    return this._send("pauseDossier", [dossierId]);
+  }
+
+  async resume({ dossierId }) {
+    return this._send("resumeDossier", [dossierId]);
+  }
+
+  async pauseAll() {
+    return this._send("pauseAll", []);
+  }
+
+  async resumeAll() {
+    return this._send("resumeAll", []);
+  }
+
+  async release({ dossierId }) {
+    return this._send("releaseNow", [dossierId]);
+  }
+
+  async disable({ dossierId }) {
+    return this._send("permanentlyDisableDossier", [dossierId]);
+  }
+
+  async updateCheckInInterval({ dossierId, checkInInterval }) {
+    return this._send("updateCheckInInterval", [dossierId, checkInInterval]);
+  }
+
+  /**
+   * @dev Change how long a late check-in still counts (CanaryDossierV6)
+   */
+  async updateGracePeriod({ dossierId, gracePeriod }) {
+    return this._send("updateGracePeriod", [dossierId, gracePeriod]);
+  }
+
+  async addFiles({ dossierId, files }) {
+    if (files.length === 1) {
+      return this._send("addFileHash", [dossierId, files[0]]);
+    }
+    return this._send("addMultipleFileHashes", [dossierId, files]);
+  }
+
+  async addRecipient({ dossierId, recipient }) {
+    return this._send("addRecipient", [dossierId, recipient]);
+  }
+
+  async removeRecipient({ dossierId, recipient }) {
+    return this._send("removeRecipient", [dossierId, recipient]);
+  }
+
+  async addGuardian({ dossierId, guardian }) {
+    return this._send("addGuardian", [dossierId, guardian]);
+  }
+
+  async removeGuardian({ dossierId, guardian }) {
+    return this._send("removeGuardian", [dossierId, guardian]);
+  }
+
+  async setGuardianThreshold({ dossierId, threshold }) {
+    return this._send("updateGuardianThreshold", [dossierId, threshold]);
+  }
+
+  async addDelegate({ dossierId, delegate }) {
+    return this._send("addDelegate", [dossierId, delegate]);
+  }
+
+  async removeDelegate({ dossierId, delegate }) {
+    return this._send("removeDelegate", [dossierId, delegate]);
+  }
+
+  /**
+   * @dev Check in for someone else's dossier as one of its delegates (CanaryDossierV5)
+   */
+  async checkInAsDelegate({ owner, dossierId }) {
+    return this._send("checkInAsDelegate", [owner, dossierId]);
+  }
+
+  /**
+   * @dev Set the address that may start recovery of a dossier, or clear it with ZeroAddress (CanaryDossierV5)
+   */
+  async setRecoveryAddress({ dossierId, recoveryAddress }) {
+    return this._send("setRecoveryAddress", [dossierId, recoveryAddress]);
+  }
+
+  /**
+   * @dev Start the recovery timelock as the dossier's recovery address (CanaryDossierV5)
+   */
+  async initiateRecovery({ owner, dossierId, newOwner }) {
+    return this._send("initiateRecovery", [owner, dossierId, newOwner]);
+  }
+
+  /**
+   * @dev Approve moving a dossier to `newOwner` as one of its guardians (CanaryDossierV5)
+   * @notice The timelock starts once approvals reach the guardian threshold
+   */
+  async approveRecovery({ owner, dossierId, newOwner }) {
+    return this._send("approveRecovery", [owner, dossierId, newOwner]);
+  }
+
+  async cancelRecovery({ dossierId }) {
+    return this._send("cancelRecovery", [dossierId]);
+  }
+
+  /**
+   * @dev Move a dossier to its new owner after the recovery timelock (CanaryDossierV5)
+   * @returns {Promise<{ owner: string, dossierId: bigint, receipt: import("ethers").TransactionReceipt }>}
+   *   The dossier's new owner and ID
+   */
+  async executeRecovery({ owner, dossierId }) {
+    const receipt = await this._send("executeRecovery", [owner, dossierId]);
+    const recovered = this._findEvent(receipt, "DossierRecovered");
+    return { owner: recovered.args.newOwner, dossierId: recovered.args.newDossierId, receipt };
+  }
+
+  /**
+   * @dev Let `threshold` guardians hold back release for up to `window` seconds after the deadline (CanaryDossierV6)
+   * @notice A window of 0 (with threshold 0) turns the veto off
+   */
+  async setVetoPolicy({ dossierId, window, threshold }) {
+    return this._send("setVetoPolicy", [dossierId, window, threshold]);
+  }
+
+  /**
+   * @dev Veto release of a dossier for its current deadline as one of its guardians (CanaryDossierV6)
+   */
+  async vetoRelease({ owner, dossierId }) {
+    return this._send("vetoRelease", [owner, dossierId]);
+  }
+
+  async revokeVeto({ owner, dossierId }) {
+    return this._send("revokeVeto", [owner, dossierId]);
+  }
+
+  /**
+   * @dev Add a release tier that reaches `recipients` `delay` seconds after a missed check-in (CanaryDossierV6)
+   * @notice Delays cannot decrease from one tier to the next
+   * @returns {Promise<{ tier: number, receipt: import("ethers").TransactionReceipt }>}
+   */
+  async addReleaseTier({ dossierId, delay, files, recipients }) {
+    const receipt = await this._send("addReleaseTier", [dossierId, delay, files, recipients]);
+    const added = this._findEvent(receipt, "ReleaseTierAdded");
+    return { tier: Number(added.args.tier), receipt };
+  }
+
+  /**
+   * @dev Remove the last release tier of a dossier (CanaryDossierV6)
+   */
+  async removeReleaseTier({ dossierId }) {
+    return this._send("removeReleaseTier", [dossierId]);
+  }
+
+  /**
+   * @dev Point users at the deployment replacing this one, or clear it with ZeroAddress (CanaryDossierV6)
+   * @notice Only the contract's operator, its deployer, may call this
+   */
+  async setSuccessor({ successor }) {
+    return this._send("setSuccessor", [successor]);
+  }
+
+  /**
+   * @dev Record the release of a dossier whose check-in was missed (CanaryDossierV6); any account can send it
+   * @returns {Promise<{ trigger: string, receipt: import("ethers").TransactionReceipt }>} trigger is
+   *   ReleaseTrigger.EXPIRY, or ReleaseTrigger.GUARDIANS for dossiers with guardians
+   */
+  async finalizeExpiry({ owner, dossierId }) {
+    const receipt = await this._send("finalizeExpiry", [owner, dossierId]);
+    const finalized = this._findEvent(receipt, "DossierExpiryFinalized");
+    return { trigger: decodeReleaseTrigger(finalized.args.trigger), receipt };
+  }
+
+  async confirmRelease({ owner, dossierId }) {
+    return this._send("confirmRelease", [owner, dossierId]);
+  }
+
+  async revokeConfirmation({ owner, dossierId }) {
+    return this._send("revokeConfirmation", [owner, dossierId]);
+  }
+
+  /**
+   * @dev Sign a check-in for someone else to submit with checkInWithSig (CanaryDossierV4)
+   * @param {Object} params
+   * @param {number | bigint} params.dossierId
+   * @param {number | bigint} [params.deadline] Defaults to an hour after the latest block
+   * @param {number | bigint} [params.nonce] Defaults to the owner's current nonce
+   * @param {import("ethers").Signer} [params.signer] The owner; defaults to the client's signer.
+   *   A Wallet without a provider works, the chain is read through the client.
+   * @returns {Promise<import("./signatures").SignedCheckIn>}
+   */
+  async signCheckIn(params) {
+    return this.signAction({ ...params, action: SignedAction.CHECK_IN });
+  }
+
+  /**
+   * @dev Sign a check-in, pause or resume for someone else to submit (CanaryDossierV4)
+   * @param {Object} params
+   * @param {string} params.action One of SignedAction
+   * @see signCheckIn for the remaining parameters
+   * @returns {Promise<import("./signatures").SignedRequest>}
+   */
+  async signAction({ action, dossierId, deadline, nonce, signer = this.runner }) {
+    const owner = await signer.getAddress();
+    const [{ chainId }, currentNonce, expiresAt] = await Promise.all([
+      this.provider.getNetwork(),
+      nonce === undefined ? this.getCheckInNonce({ owner }) : nonce,
+      deadline === undefined ? this.getTimestamp().then((now) => now + DEFAULT_SIGNATURE_TTL) : deadline
+    ]);
+
+    return signAction(signer, {
+      action,
+      chainId,
+      contractAddress: this.address,
+      version: CONTRACT_VERSIONS[this.contractName],
+      owner,
+      dossierId,
+      nonce: currentNonce,
+      deadline: expiresAt
+    });
+  }
+
+  /**
+   * @dev Submit a check-in signed by the owner; the client's signer sends (and pays for) it
+   * @param {import("./signatures").SignedCheckIn} signed
+   */
+  async checkInWithSig({ owner, dossierId, nonce, deadline, signature }) {
+    return this._send("checkInWithSig", [owner, dossierId, nonce, deadline, signature]);
+  }
+
+  /**
+   * @dev Submit a pause signed by the owner
+   * @param {import("./signatures").SignedRequest} signed
+   */
+  async pauseWithSig({ owner, dossierId, nonce, deadline, signature }) {
+    return this._send("pauseWithSig", [owner, dossierId, nonce, deadline, signature]);
+  }
+
+  /**
+   * @dev Submit a resume signed by the owner
+   * @param {import("./signatures").SignedRequest} signed
+   */
+  async resumeWithSig({ owner, dossierId, nonce, deadline, signature }) {
+    return this._send("resumeWithSig", [owner, dossierId, nonce, deadline, signature]);
+  }
+
+  // Views
+
+  /**
+   * @dev Fetch and decode a single dossier
+   * @returns {Promise<import("./dossier").Dossier>}
+   */
+  async getDossier({ owner, dossierId }) {
+    const [raw, gracePeriod, now] = await Promise.all([
+      this._call("getDossier", [owner, dossierId]),
+      this.getGracePeriod(),
+      this.getTimestamp()
+    ]);
+    return decodeDossier(owner, raw, { gracePeriod, now });
+  }
+
+  /**
+   * @dev Fetch and decode every dossier belonging to an owner
+   * @returns {Promise<import("./dossier").Dossier[]>}
+   */
+  async listDossiers({ owner }) {
+    const ids = await this._call("getUserDossierIds", [owner]);
+    return Promise.all(ids.map((dossierId) => this.getDossier({ owner, dossierId })));
+  }
+
+  async shouldStayEncrypted({ owner, dossierId }) {
+    return this._call("shouldDossierStayEncrypted", [owner, dossierId]);
+  }
+
+  /**
+   * @dev Lifecycle status and next deadline as the contract computes them (CanaryDossierV6)
+   * @returns {Promise<import("./dossier").DossierLifecycle>}
+   */
+  async getDossierStatus({ owner, dossierId }) {
+    return decodeLifecycle(await this._call("getDossierStatus", [owner, dossierId]));
+  }
+
+  /**
+   * @dev How and when a dossier was released (CanaryDossierV6)
+   * @returns {Promise<import("./dossier").ReleaseInfo>}
+   */
+  async getReleaseInfo({ owner, dossierId }) {
+    return decodeReleaseInfo(await this._call("getReleaseInfo", [owner, dossierId]));
+  }
+
+  async hasGuardianConfirmed({ owner, dossierId, guardian }) {
+    return this._call("hasGuardianConfirmed", [owner, dossierId, guardian]);
+  }
+
+  /**
+   * @returns {Promise<DossierRef[]>}
+   */
+  async getDossiersWhereGuardian({ guardian }) {
+    const refs = await this._call("getDossiersWhereGuardian", [guardian]);
+    return refs.map(toRef);
+  }
+
+  /**
+   * @dev Check-in delegates of a dossier (CanaryDossierV5)
+   * @returns {Promise<string[]>}
+   */
+  async getDelegates({ owner, dossierId }) {
+    return [...(await this._call("getDelegates", [owner, dossierId]))];
+  }
+
+  async isDelegate({ owner, dossierId, delegate }) {
+    return this._call("isDelegate", [owner, dossierId, delegate]);
+  }
+
+  /**
+   * @dev Dossiers an address may check in for as a delegate (CanaryDossierV5)
+   * @returns {Promise<DossierRef[]>}
+   */
+  async getDossiersWhereDelegate({ delegate }) {
+    const refs = await this._call("getDossiersWhereDelegate", [delegate]);
+    return refs.map(toRef);
+  }
+
+  /**
+   * @dev Recovery address and pending recovery of a dossier (CanaryDossierV5)
+   * @returns {Promise<RecoveryState>}
+   */
+  async getRecovery({ owner, dossierId }) {
+    const [recoveryAddress, request] = await Promise.all([
+      this._call("recoveryAddresses", [owner, dossierId]),
+      this._call("recoveryRequests", [owner, dossierId])
+    ]);
+    return {
+      recoveryAddress: recoveryAddress === ZeroAddress ? null : recoveryAddress,
+      newOwner: request.newOwner === ZeroAddress ? null : request.newOwner,
+      executeAfter: request.executeAfter === 0n ? null : request.executeAfter,
+      approvalCount: request.approvalCount
+    };
+  }
+
+  async hasApprovedRecovery({ owner, dossierId, guardian }) {
+    return this._call("hasApprovedRecovery", [owner, dossierId, guardian]);
+  }
+
+  /**
+   * @dev Veto policy of a dossier and the vetoes against its current deadline (CanaryDossierV6)
+   * @returns {Promise<VetoState>}
+   */
+  async getVeto({ owner, dossierId }) {
+    const [veto, raw, vetoed] = await Promise.all([
+      this._call("vetoes", [owner, dossierId]),
+      this._call("getDossier", [owner, dossierId]),
+      this._call("isReleaseVetoed", [owner, dossierId])
+    ]);
+    return {
+      window: veto.window,
+      threshold: veto.threshold,
+      // The tally resets with every check-in; one cast against an earlier deadline no longer counts
+      count: veto.checkIn === raw.lastCheckIn ? veto.count : 0n,
+      vetoed
+    };
+  }
+
+  async isReleaseVetoed({ owner, dossierId }) {
+    return this._call("isReleaseVetoed", [owner, dossierId]);
+  }
+
+  async hasGuardianVetoed({ owner, dossierId, guardian }) {
+    return this._call("hasGuardianVetoed", [owner, dossierId, guardian]);
+  }
+
+  /**
+   * @dev Release tiers of a dossier after its own files and recipients (CanaryDossierV6)
+   * @returns {Promise<ReleaseTier[]>}
+   */
+  async getReleaseTiers({ owner, dossierId }) {
+    const [tiers, dossier] = await Promise.all([
+      this._call("getReleaseTiers", [owner, dossierId]),
+      this.getDossier({ owner, dossierId })
+    ]);
+    return tiers.map((tier, index) => ({
+      tier: index + 1,
+      delay: tier.delay,
+      files: [...tier.encryptedFileHashes],
+      recipients: [...tier.recipients],
+      sealedUntil: dossier.graceEndsAt + tier.delay
+    }));
+  }
+
+  /**
+   * @dev Whether one release tier stays encrypted; tier 0 is the dossier itself (CanaryDossierV6)
+   */
+  async shouldTierStayEncrypted({ owner, dossierId, tier }) {
+    return this._call("shouldTierStayEncrypted", [owner, dossierId, tier]);
+  }
+
+  /**
+   * @returns {Promise<DossierRef[]>}
+   */
+  async getDossiersWhereRecipient({ recipient }) {
+    const refs = await this._call("getDossiersWhereRecipient", [recipient]);
+    return refs.map(toRef);
+  }
+
+  /**
+   * @notice CanaryDossierV3 has no paginated views; its pages are cut from the full list
+   * @returns {Promise<Page<bigint>>}
+   */
+  async getUserDossierIdsPage({ owner, offset = 0, limit = DEFAULT_PAGE_SIZE }) {
+    if (!this._hasPaginatedViews()) {
+      return slicePage([...(await this._call("getUserDossierIds", [owner]))], offset, limit);
+    }
+    const [ids, total] = await this._call("getUserDossierIdsPaginated", [owner, offset, limit]);
+    return { items: [...ids], total };
+  }
+
+  /**
+   * @param {{ guardian: string, cursor?: bigint, limit?: number }} params `cursor` is 0n for the first
+   *   page, then the previous page's nextCursor
+   * @returns {Promise<CursorPage<DossierRef>>}
+   */
+  async getDossiersWhereGuardianPage({ guardian, cursor = 0n, limit = DEFAULT_PAGE_SIZE }) {
+    if (!this._hasPaginatedViews()) {
+      return slicePageAfter(await this.getDossiersWhereGuardian({ guardian }), cursor, limit);
+    }
+    const [refs, total, nextCursor] = await this._call("getDossiersWhereGuardianPaginated", [guardian, cursor, limit]);
+    return { items: refs.map(toRef), total, nextCursor };
+  }
+
+  /**
+   * @returns {Promise<CursorPage<DossierRef>>}
+   */
+  async getDossiersWhereDelegatePage({ delegate, cursor = 0n, limit = DEFAULT_PAGE_SIZE }) {
+    const [refs, total, nextCursor] = await this._call("getDossiersWhereDelegatePaginated", [delegate, cursor, limit]);
+    return { items: refs.map(toRef), total, nextCursor };
+  }
+
+  /**
+   * @returns {Promise<CursorPage<DossierRef>>}
+   */
+  async getDossiersWhereRecipientPage({ recipient, cursor = 0n, limit = DEFAULT_PAGE_SIZE }) {
+    if (!this._hasPaginatedViews()) {
+      return slicePageAfter(await this.getDossiersWhereRecipient({ recipient }), cursor, limit);
+    }
+    const [refs, total, nextCursor] = await this._call("getDossiersWhereRecipientPaginated", [
+      recipient,
+      cursor,
+      limit
+    ]);
+    return { items: refs.map(toRef), total, nextCursor };
+  }
+
+  /**
+   * @dev Iterate an owner's dossier IDs a page at a time
+   * @returns {AsyncGenerator<bigint>}
+   */
+  iterateUserDossierIds({ owner, pageSize = DEFAULT_PAGE_SIZE }) {
+    return paginate((offset, limit) => this.getUserDossierIdsPage({ owner, offset, limit }), pageSize);
+  }
+
+  /**
+   * @returns {AsyncGenerator<DossierRef>}
+   */
+  iterateDossiersWhereGuardian({ guardian, pageSize = DEFAULT_PAGE_SIZE }) {
+    return paginateByCursor(
+      (cursor, limit) => this.getDossiersWhereGuardianPage({ guardian, cursor, limit }),
+      pageSize
+    );
+  }
+
+  /**
+   * @returns {AsyncGenerator<DossierRef>}
+   */
+  iterateDossiersWhereDelegate({ delegate, pageSize = DEFAULT_PAGE_SIZE }) {
+    return paginateByCursor(
+      (cursor, limit) => this.getDossiersWhereDelegatePage({ delegate, cursor, limit }),
+      pageSize
+    );
+  }
+
+  /**
+   * @returns {AsyncGenerator<DossierRef>}
+   */
+  iterateDossiersWhereRecipient({ recipient, pageSize = DEFAULT_PAGE_SIZE }) {
+    return paginateByCursor(
+      (cursor, limit) => this.getDossiersWhereRecipientPage({ recipient, cursor, limit }),
+      pageSize
+    );
+  }
+
+  /**
+   * @dev Compact status for many dossiers in one call (CanaryDossierV4)
+   * @param {{ refs: DossierRef[] }} params
+   * @returns {Promise<import("./dossier").DossierSummary[]>}
+   */
+  async getDossiersSummary({ refs }) {
+    if (!this._hasPaginatedViews()) {
+      throw new Error(`${this.contractName} has no getDossiersSummary; use CanaryDossierV4 or later`);
+    }
+    const [raw, gracePeriod, now] = await Promise.all([
+      this._call("getDossiersSummary", [refs.map((ref) => [ref.owner, ref.dossierId])]),
+      this.getGracePeriod(),
+      this.getTimestamp()
+    ]);
+    return raw.map((summary) => decodeSummary(summary, { gracePeriod, now }));
+  }
+
+  /**
+   * @dev Nonce the owner's next signed check-in, pause or resume must use (CanaryDossierV4)
+   * @returns {Promise<bigint>}
+   */
+  async getCheckInNonce({ owner }) {
+    return this._call("nonces", [owner]);
+  }
+
+  /**
+   * @dev The contract's GRACE_PERIOD; from CanaryDossierV6 only the default for new dossiers,
+   *   each of which carries its own (Dossier.gracePeriod)
+   * @returns {Promise<bigint>}
+   */
+  async getGracePeriod() {
+    if (this._gracePeriod === undefined) {
+      this._gracePeriod = await this._call("GRACE_PERIOD", []);
+    }
+    return this._gracePeriod;
+  }
+
+  /**
+   * @dev Major version of the contract; read from version() from CanaryDossierV6 on
+   * @returns {Promise<number>}
+   */
+  async getVersion() {
+    if (CONTRACT_VERSIONS[this.contractName] < 6) {
+      return CONTRACT_VERSIONS[this.contractName];
+    }
+    return Number(await this._call("version", []));
+  }
+
+  /**
+   * @dev ERC-165 check for a feature group, see INTERFACE_IDS (CanaryDossierV6)
+   */
+  async supportsInterface({ interfaceId }) {
+    return this._call("supportsInterface", [interfaceId]);
+  }
+
+  /**
+   * @dev Deployment the operator points users at, null while this one is current or for
+   *   contracts before CanaryDossierV6, which cannot point anywhere
+   * @returns {Promise<string | null>}
+   */
+  async getSuccessor() {
+    if (CONTRACT_VERSIONS[this.contractName] < 6) {
+      return null;
+    }
+    const successor = await this._call("successor", []);
+    return successor === ZeroAddress ? null : successor;
+  }
+
+  /**
+   * @dev Timestamp of the latest block, used for status calculations
+   */
+  async getTimestamp() {
+    const block = await this.provider.getBlock("latest");
+    return BigInt(block.timestamp);
+  }
+
+  // Internal helpers
+
+  // The paginated views and getDossiersSummary shipped with CanaryDossierV4
+  _hasPaginatedViews() {
+    return CONTRACT_VERSIONS[this.contractName] >= 4;
+  }
+
+  async _call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (error) {
+      throw wrapError(error);
+    }
+  }
+
+  async _send(method, args) {
+    try {
+      const tx = await this.contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw wrapError(error);
+    }
+  }
+
+  _findEvent(receipt, eventName) {
+    for (const log of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return parsed;
+      }
+    }
+    throw new Error(`${eventName} event not found in transaction ${receipt.hash}`);
+  }
+}
+
+function toRef(ref) {
+  return { owner: ref.owner, dossierId: ref.dossierId };
+}
+
+/**
+ * @dev Cut one page out of a whole list, like the contract's paginated views do
+ * @returns {Page<any>}
+ */
+function slicePage(items, offset, limit) {
+  const start = BigInt(offset);
+  const end = start + BigInt(limit);
+  return {
+    items: items.filter((_, index) => BigInt(index) >= start && BigInt(index) < end),
+    total: BigInt(items.length)
+  };
+}
+
+/**
+ * @dev Cut the page after a cursor out of a whole list; the cursor is a position in the list
+ * @returns {CursorPage<any>}
+ */
+function slicePageAfter(items, cursor, limit) {
+  const page = slicePage(items, cursor, limit);
+  const end = BigInt(cursor) + BigInt(page.items.length);
+  return { ...page, nextCursor: end < page.total ? end : 0n };
+}
+
+/**
+ * @dev Walk an offset/limit view until `total` items have been seen
+ * @notice Offsets shift if the list changes between pages; entries may then be skipped or repeated
+ */
+async function* paginate(fetchPage, pageSize) {
+  let offset = 0n;
+  for (;;) {
+    const { items, total } = await fetchPage(offset, pageSize);
+    yield* items;
+    offset += BigInt(items.length);
+    if (items.length === 0 || offset >= total) {
+      return;
+    }
+  }
+}
+
+/**
+ * @dev Walk a cursor view from the first page until it hands back a zero cursor
+ * @notice From CanaryDossierV4 on, references added or removed between pages do not make the walk
+ *   skip or repeat the others
+ */
+async function* paginateByCursor(fetchPage, pageSize) {
+  let cursor = 0n;
+  do {
+    const { items, nextCursor } = await fetchPage(cursor, pageSize);
+    yield* items;
+    cursor = nextCursor;
+  } while (cursor !== 0n);
+}
+
+module.exports = {
+  DossierClient,
+  DEFAULT_PAGE_SIZE
+};
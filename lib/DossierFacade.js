@@ -0,0 +1,344 @@
+// One interface over CanaryDossier, CanaryDossierV2 and CanaryDossierV3 (or later), detected on chain
+const { id } = require("ethers");
+const { CONTRACT_VERSIONS } = require("./artifacts");
+const { DossierClient } = require("./DossierClient");
+const { CapabilityError } = require("./errors");
+const { readVersion } = require("./introspection");
+
+/**
+ * @dev Features that not every contract version has
+ * @enum {string}
+ */
+const Capability = Object.freeze({
+  // Changing interval, files and recipients after creation
+  EDITING: "editing",
+  GUARDIANS: "guardians",
+  // pauseAll and resumeAll
+  BULK_PAUSE: "bulk-pause",
+  // getDossiersWhereRecipient and getDossiersWhereGuardian
+  REVERSE_LOOKUPS: "reverse-lookups",
+  // getDossiersSummary
+  SUMMARIES: "summaries"
+});
+
+// First contract version with each capability
+const CAPABILITY_VERSIONS = {
+  [Capability.EDITING]: 2,
+  [Capability.GUARDIANS]: 3,
+  [Capability.BULK_PAUSE]: 3,
+  [Capability.REVERSE_LOOKUPS]: 3,
+  [Capability.SUMMARIES]: 4
+};
+
+// Newest first, so detection settles on the latest version whose functions are all present
+const CONTRACT_NAMES = Object.keys(CONTRACT_VERSIONS).sort((a, b) => CONTRACT_VERSIONS[b] - CONTRACT_VERSIONS[a]);
+
+// Functions that identify each version, as deployed. Frozen rather than read from the artifacts,
+// which can gain functions after a contract is on chain; only ever add a version here, never edit one.
+const DEPLOYED_FUNCTIONS = {
+  CanaryDossier: [
+    "createDossier(string,string,uint256,address[],string[])",
+    "checkIn(uint256)",
+    "getDossier(address,uint256)",
+    "getUserDossierIds(address)",
+    "shouldDossierStayEncrypted(address,uint256)"
+  ],
+  CanaryDossierV2: [
+    "createDossier(string,string,uint256,address[],string[])",
+    "updateCheckInInterval(uint256,uint256)",
+    "addMultipleFileHashes(uint256,string[])",
+    "addRecipient(uint256,address)",
+    "removeRecipient(uint256,address)"
+  ],
+  CanaryDossierV3: [
+    "createDossier(string,string,uint256,address[],string[],address[],uint256)",
+    "addGuardian(uint256,address)",
+    "confirmRelease(address,uint256)",
+    "pauseAll()",
+    "getDossiersWhereGuardian(address)",
+    "getDossiersWhereRecipient(address)"
+  ],
+  CanaryDossierV4: [
+    "createDossier(string,string,uint256,address[],string[],address[],uint256)",
+    "checkInWithSig(address,uint256,uint256,uint256,bytes)",
+    "nonces(address)",
+    "getDossiersSummary((address,uint256)[])"
+  ],
+  CanaryDossierV5: [
+    "createDossier(string,string,uint256,address[],string[],address[],uint256)",
+    "checkInWithSig(address,uint256,uint256,uint256,bytes)",
+    "addDelegate(uint256,address)",
+    "initiateRecovery(address,uint256,address)"
+  ],
+  CanaryDossierV6: [
+    "createDossier(string,string,uint256,address[],string[],address[],uint256,uint256)",
+    "version()",
+    "supportsInterface(bytes4)"
+  ]
+};
+
+const selectorCache = new Map();
+
+function selectorsOf(contractName) {
+  if (!selectorCache.has(contractName)) {
+    selectorCache.set(
+      contractName,
+      DEPLOYED_FUNCTIONS[contractName].map((signature) => id(signature).slice(0, 10))
+    );
+  }
+  return selectorCache.get(contractName);
+}
+
+/**
+ * @dev Whether deployed bytecode dispatches a function selector
+ * @notice Looks for the selector pushed by the dispatcher; the compiler drops its leading zero bytes
+ */
+function dispatchesSelector(code, selector) {
+  const bytes = selector.slice(2).replace(/^(00)+/, "");
+  const push = (0x5f + bytes.length / 2).toString(16);
+  return code.includes(push + bytes);
+}
+
+/**
+ * @dev Find out which dossier contract is deployed at an address
+ * @notice Asks version() first; contracts before CanaryDossierV6 are recognised by the DEPLOYED_FUNCTIONS
+ *   their bytecode dispatches
+ * @param {{ address: string, provider: import("ethers").Provider }} options
+ * @returns {Promise<string>} Contract name, e.g. "CanaryDossierV2"
+ */
+async function detectContract({ address, provider }) {
+  const version = await readVersion({ address, provider });
+  if (version !== null && contractNameForVersion(version)) {
+    return contractNameForVersion(version);
+  }
+
+  const code = (await provider.getCode(address)).toLowerCase();
+  if (code === "0x") {
+    throw new Error(`No contract deployed at ${address}`);
+  }
+
+  const contractName = CONTRACT_NAMES.find((name) =>
+    selectorsOf(name).every((selector) => dispatchesSelector(code, selector))
+  );
+  if (!contractName) {
+    throw new Error(`${address} is not a CanaryDossier contract`);
+  }
+  return contractName;
+}
+
+function contractNameForVersion(version) {
+  return CONTRACT_NAMES.find((name) => CONTRACT_VERSIONS[name] === version);
+}
+
+/**
+ * @dev The operations all dossier contracts share, plus the optional ones behind a Capability
+ * @notice Operations the contract lacks throw CapabilityError without sending anything. Features
+ *   from CanaryDossierV4 on (signed check-ins, delegates, recovery, veto, grace periods, tiers) are
+ *   left to `facade.client`.
+ */
+class DossierFacade {
+  /**
+   * @param {{ address: string, runner: import("ethers").ContractRunner, contractName: string }} options
+   * @notice Use DossierFacade.at to detect the contract instead of naming it
+   */
+  constructor({ address, runner, contractName }) {
+    this.client = new DossierClient({ address, runner, contractName });
+    this.version = CONTRACT_VERSIONS[contractName];
+  }
+
+  /**
+   * @dev Detect the contract at `address` and wrap it
+   * @param {{ address: string, runner: import("ethers").ContractRunner }} options
+   * @returns {Promise<DossierFacade>}
+   */
+  static async at({ address, runner }) {
+    const contractName = await detectContract({ address, provider: runner.provider || runner });
+    return new DossierFacade({ address, runner, contractName });
+  }
+
+  get address() {
+    return this.client.address;
+  }
+
+  get contractName() {
+    return this.client.contractName;
+  }
+
+  /**
+   * @dev Return a new facade for the same contract using another signer
+   */
+  connect(runner) {
+    return new DossierFacade({ address: this.address, runner, contractName: this.contractName });
+  }
+
+  /**
+   * @param {string} capability One of Capability
+   */
+  supports(capability) {
+    return this.version >= CAPABILITY_VERSIONS[capability];
+  }
+
+  /**
+   * @returns {string[]} Every Capability of the contract
+   */
+  get capabilities() {
+    return Object.values(Capability).filter((capability) => this.supports(capability));
+  }
+
+  // Transactions
+
+  /**
+   * @dev Create a dossier; guardians need Capability.GUARDIANS
+   * @param {import("./DossierClient").CreateDossierParams} params gracePeriod and tiers are not taken here
+   */
+  async createDossier({ name, description, checkInInterval, recipients, files, guardians = [], guardianThreshold }) {
+    if (guardians.length > 0 || guardianThreshold) {
+      this._require(Capability.GUARDIANS, "guardians");
+    }
+    return this.client.createDossier({
+      name,
+      description,
+      checkInInterval,
+      recipients,
+      files,
+      guardians,
+      guardianThreshold
+    });
+  }
+
+  async checkIn({ dossierId }) {
+    return this.client.checkIn({ dossierId });
+  }
+
+  async checkInAll() {
+    return this.client.checkInAll();
+  }
+
+  async pause({ dossierId }) {
+    return this.client.pause({ dossierId });
+  }
+
+  async resume({ dossierId }) {
+    return this.client.resume({ dossierId });
+  }
+
+  async pauseAll() {
+    this._require(Capability.BULK_PAUSE, "pauseAll");
+    return this.client.pauseAll();
+  }
+
+  async resumeAll() {
+    this._require(Capability.BULK_PAUSE, "resumeAll");
+    return this.client.resumeAll();
+  }
+
+  async release({ dossierId }) {
+    return this.client.release({ dossierId });
+  }
+
+  async disable({ dossierId }) {
+    return this.client.disable({ dossierId });
+  }
+
+  async updateCheckInInterval({ dossierId, checkInInterval }) {
+    this._require(Capability.EDITING, "updateCheckInInterval");
+    return this.client.updateCheckInInterval({ dossierId, checkInInterval });
+  }
+
+  async addFiles({ dossierId, files }) {
+    this._require(Capability.EDITING, "addFiles");
+    return this.client.addFiles({ dossierId, files });
+  }
+
+  async addRecipient({ dossierId, recipient }) {
+    this._require(Capability.EDITING, "addRecipient");
+    return this.client.addRecipient({ dossierId, recipient });
+  }
+
+  async removeRecipient({ dossierId, recipient }) {
+    this._require(Capability.EDITING, "removeRecipient");
+    return this.client.removeRecipient({ dossierId, recipient });
+  }
+
+  async addGuardian({ dossierId, guardian }) {
+    this._require(Capability.GUARDIANS, "addGuardian");
+    return this.client.addGuardian({ dossierId, guardian });
+  }
+
+  async removeGuardian({ dossierId, guardian }) {
+    this._require(Capability.GUARDIANS, "removeGuardian");
+    return this.client.removeGuardian({ dossierId, guardian });
+  }
+
+  async setGuardianThreshold({ dossierId, threshold }) {
+    this._require(Capability.GUARDIANS, "setGuardianThreshold");
+    return this.client.setGuardianThreshold({ dossierId, threshold });
+  }
+
+  async confirmRelease({ owner, dossierId }) {
+    this._require(Capability.GUARDIANS, "confirmRelease");
+    return this.client.confirmRelease({ owner, dossierId });
+  }
+
+  async revokeConfirmation({ owner, dossierId }) {
+    this._require(Capability.GUARDIANS, "revokeConfirmation");
+    return this.client.revokeConfirmation({ owner, dossierId });
+  }
+
+  // Views
+
+  /**
+   * @dev Fetch and decode a single dossier; guardian fields are empty before CanaryDossierV3
+   * @returns {Promise<import("./dossier").Dossier>}
+   */
+  async getDossier({ owner, dossierId }) {
+    return this.client.getDossier({ owner, dossierId });
+  }
+
+  async listDossiers({ owner }) {
+    return this.client.listDossiers({ owner });
+  }
+
+  async shouldStayEncrypted({ owner, dossierId }) {
+    return this.client.shouldStayEncrypted({ owner, dossierId });
+  }
+
+  async hasGuardianConfirmed({ owner, dossierId, guardian }) {
+    this._require(Capability.GUARDIANS, "hasGuardianConfirmed");
+    return this.client.hasGuardianConfirmed({ owner, dossierId, guardian });
+  }
+
+  async getDossiersWhereGuardian({ guardian }) {
+    this._require(Capability.REVERSE_LOOKUPS, "getDossiersWhereGuardian");
+    return this.client.getDossiersWhereGuardian({ guardian });
+  }
+
+  async getDossiersWhereRecipient({ recipient }) {
+    this._require(Capability.REVERSE_LOOKUPS, "getDossiersWhereRecipient");
+    return this.client.getDossiersWhereRecipient({ recipient });
+  }
+
+  async getDossiersSummary({ refs }) {
+    this._require(Capability.SUMMARIES, "getDossiersSummary");
+    return this.client.getDossiersSummary({ refs });
+  }
+
+  // Internal helpers
+
+  _require(capability, operation) {
+    if (!this.supports(capability)) {
+      throw new CapabilityError({
+        operation,
+        capability,
+        contractName: this.contractName,
+        requires: contractNameForVersion(CAPABILITY_VERSIONS[capability])
+      });
+    }
+  }
+}
+
+module.exports = {
+  DossierFacade,
+  Capability,
+  detectContract
+};
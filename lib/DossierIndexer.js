@@ -0,0 +1,242 @@
+// Event indexer that replays dossier contract logs into a DossierProjection
+const { EventEmitter } = require("events");
+const { Contract } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+const { DossierProjection } = require("./projection");
+
+/**
+ * @dev Follows a dossier contract's logs, keeping an in-memory projection up to date
+ * @notice Emits "event" (IndexedEvent, dossier) for each applied log, "reorg" (ancestorBlock)
+ *   when the chain is rewound and "synced" (blockNumber) after each catch-up
+ */
+class DossierIndexer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.address Contract address
+   * @param {import("ethers").Provider} options.provider
+   * @param {string} [options.contractName] Artifact used to decode logs
+   * @param {number} [options.fromBlock] First block to index (e.g. the deployment block)
+   * @param {number} [options.batchSize] Blocks per getLogs request
+   * @param {number} [options.reorgDepth] How many recent block hashes to keep for reorg detection
+   * @param {number} [options.pollInterval] Milliseconds between polls when following the chain
+   */
+  constructor({
+    address,
+    provider,
+    contractName = "CanaryDossierV3",
+    fromBlock = 0,
+    batchSize = 2000,
+    reorgDepth = 64,
+    pollInterval = 4000
+  }) {
+    super();
+    this.address = address;
+    this.provider = provider;
+    this.contract = new Contract(address, loadArtifact(contractName).abi, provider);
+    this.fromBlock = fromBlock;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.pollInterval = pollInterval;
+
+    this.projection = new DossierProjection();
+    this.events = [];
+    this.lastBlock = fromBlock - 1;
+    this._blockHashes = new Map();
+    this._timer = undefined;
+    this._syncing = undefined;
+  }
+
+  /**
+   * @dev Index everything up to the current head, handling any reorg first
+   * @returns {Promise<number>} The last indexed block
+   */
+  async sync() {
+    // Serialize overlapping calls (e.g. the poll timer and a manual sync)
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = undefined;
+      });
+    }
+    return this._syncing;
+  }
+
+  /**
+   * @dev Sync now and then keep polling for new blocks
+   */
+  async start() {
+    await this.sync();
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.emit("error", error);
+      }
+      if (this._timer !== undefined) {
+        this._timer = setTimeout(poll, this.pollInterval);
+      }
+    };
+    this._timer = setTimeout(poll, this.pollInterval);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+
+  async _sync() {
+    await this._handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    while (this.lastBlock < head) {
+      const fromBlock = this.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      await this._indexRange(fromBlock, toBlock);
+    }
+
+    this.emit("synced", this.lastBlock);
+    return this.lastBlock;
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+    const timestamps = new Map();
+
+    for (const log of logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, BigInt(block.timestamp));
+      }
+
+      const event = {
+        name: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber),
+        args: argsObject(parsed)
+      };
+
+      if (event.name === "DossierCreated") {
+        event.creation = await this._creationDetails(event);
+      }
+
+      this.events.push(event);
+      this._rememberBlock(log.blockNumber, log.blockHash);
+      const dossier = this.projection.apply(event);
+      this.emit("event", event, dossier);
+    }
+
+    const last = await this.provider.getBlock(toBlock);
+    this._rememberBlock(toBlock, last.hash);
+    this.lastBlock = toBlock;
+  }
+
+  /**
+   * @dev Recover createDossier arguments, which DossierCreated does not carry
+   * @notice Decodes the transaction calldata; falls back to reading state at that block
+   *   when the dossier was created through another contract
+   */
+  async _creationDetails(event) {
+    const tx = await this.provider.getTransaction(event.transactionHash);
+    const call =
+      tx && tx.to && tx.to.toLowerCase() === this.address.toLowerCase()
+        ? this.contract.interface.parseTransaction({ data: tx.data })
+        : null;
+
+    if (call && call.name === "createDossier") {
+      return {
+        description: call.args._description,
+        checkInInterval: call.args._checkInInterval,
+        recipients: [...call.args._recipients],
+        encryptedFileHashes: [...call.args._encryptedFileHashes],
+        guardians: call.args._guardians ? [...call.args._guardians] : [],
+        guardianThreshold: call.args._guardianThreshold ?? 0n,
+        gracePeriod: call.args._gracePeriod
+      };
+    }
+
+    const raw = await this.contract.getDossier(event.args.user, event.args.dossierId, {
+      blockTag: event.blockNumber
+    });
+    return {
+      description: raw.description,
+      checkInInterval: raw.checkInInterval,
+      recipients: [...raw.recipients],
+      encryptedFileHashes: [...raw.encryptedFileHashes],
+      guardians: raw.guardians ? [...raw.guardians] : [],
+      guardianThreshold: raw.guardianThreshold ?? 0n,
+      gracePeriod: raw.gracePeriod
+    };
+  }
+
+  _rememberBlock(blockNumber, hash) {
+    this._blockHashes.set(blockNumber, hash);
+    for (const known of this._blockHashes.keys()) {
+      if (known <= blockNumber - this.reorgDepth) {
+        this._blockHashes.delete(known);
+      }
+    }
+  }
+
+  /**
+   * @dev Detect a reorg by re-checking remembered block hashes and rewind to the common ancestor
+   */
+  async _handleReorg() {
+    if (this._blockHashes.size === 0) {
+      return;
+    }
+
+    const known = [...this._blockHashes.keys()].sort((a, b) => b - a);
+    let ancestor;
+
+    for (const blockNumber of known) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block && block.hash === this._blockHashes.get(blockNumber)) {
+        ancestor = blockNumber;
+        break;
+      }
+    }
+
+    if (ancestor === known[0]) {
+      return;
+    }
+
+    // Deeper than the remembered window: start over
+    const rewindTo = ancestor === undefined ? this.fromBlock - 1 : ancestor;
+    this._rewind(rewindTo);
+    this.emit("reorg", rewindTo);
+  }
+
+  _rewind(blockNumber) {
+    this.events = this.events.filter((event) => event.blockNumber <= blockNumber);
+    for (const known of [...this._blockHashes.keys()]) {
+      if (known > blockNumber) {
+        this._blockHashes.delete(known);
+      }
+    }
+
+    this.projection.clear();
+    for (const event of this.events) {
+      this.projection.apply(event);
+    }
+    this.lastBlock = blockNumber;
+  }
+}
+
+function argsObject(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+  return args;
+}
+
+module.exports = {
+  DossierIndexer
+};
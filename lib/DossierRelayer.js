@@ -0,0 +1,402 @@
+// HTTP relayer that submits owners' signed check-ins, pauses and resumes from its own key
+const http = require("http");
+const { EventEmitter } = require("events");
+const { isAddress, isHexString, getAddress } = require("ethers");
+const {
+  DossierError,
+  DossierNotFoundError,
+  DossierStateError,
+  SignatureError,
+  errorForReason,
+  wrapError
+} = require("./errors");
+const { SignedAction, recoverActionSigner } = require("./signatures");
+const { CONTRACT_VERSIONS } = require("./artifacts");
+
+// Contract function each signed action is submitted through
+const RELAY_METHODS = {
+  [SignedAction.CHECK_IN]: "checkInWithSig",
+  [SignedAction.PAUSE]: "pauseWithSig",
+  [SignedAction.RESUME]: "resumeWithSig"
+};
+
+// Next to a Hardhat node on 8545
+const DEFAULT_PORT = 8546;
+const DEFAULT_MAX_REQUESTS = 10;
+const DEFAULT_RATE_WINDOW = 60 * 60 * 1000;
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * @typedef {Object} RelayResult
+ * @property {string} action One of SignedAction
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {bigint} nonce
+ * @property {string} relayer Address that sent the transaction
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {bigint} gasUsed
+ */
+
+/** The request body is not a well-formed signed action */
+class RelayRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/** The owner has used up their requests for the current window */
+class RateLimitError extends Error {
+  /**
+   * @param {string} owner
+   * @param {number} retryAfter Seconds until the owner's oldest request leaves the window
+   */
+  constructor(owner, retryAfter) {
+    super(`Rate limit exceeded for ${owner}, retry in ${retryAfter}s`);
+    this.name = this.constructor.name;
+    this.owner = owner;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * @dev Revert reason the relayed call would fail with, checked in the contract's order
+ * @param {string} action One of SignedAction
+ * @param {import("./dossier").Dossier} dossier
+ * @returns {string | null}
+ */
+function relayBlocker(action, dossier) {
+  if (action === SignedAction.RESUME) {
+    if (dossier.isPermanentlyDisabled) return "Cannot resume permanently disabled dossier";
+    if (dossier.isReleased) return "Cannot resume released dossier";
+    if (dossier.isActive) return "Dossier already active";
+    return null;
+  }
+
+  if (dossier.isPermanentlyDisabled) return "Dossier permanently disabled";
+  if (dossier.isReleased) return "Dossier already released";
+  if (!dossier.isActive) return action === SignedAction.PAUSE ? "Dossier already paused" : "Dossier is paused";
+  return null;
+}
+
+/**
+ * @dev HTTP status for an error raised while relaying
+ */
+function statusFor(error) {
+  if (error instanceof RelayRequestError) return 400;
+  if (error instanceof SignatureError) return 401;
+  if (error instanceof DossierNotFoundError) return 404;
+  if (error instanceof DossierStateError) return 409;
+  if (error instanceof DossierError) return 422;
+  if (error instanceof RateLimitError) return 429;
+  return 500;
+}
+
+function parseUint(value, field) {
+  if ((typeof value === "bigint" && value >= 0n) ||
+    (typeof value === "string" && /^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value)) ||
+    (typeof value === "number" && Number.isSafeInteger(value) && value >= 0)) {
+    return BigInt(value);
+  }
+  throw new RelayRequestError(`${field} must be an unsigned integer`);
+}
+
+/**
+ * @dev Validate the JSON body of a relay request, as produced by signAction
+ * @returns {import("./signatures").SignedRequest}
+ */
+function parseRelayRequest(body) {
+  if (!body || typeof body !== "object") {
+    throw new RelayRequestError("Request body must be a JSON object");
+  }
+  if (!Object.prototype.hasOwnProperty.call(RELAY_METHODS, body.action)) {
+    throw new RelayRequestError(`action must be one of ${Object.keys(RELAY_METHODS).join(", ")}`);
+  }
+  if (typeof body.owner !== "string" || !isAddress(body.owner)) {
+    throw new RelayRequestError("owner must be an address");
+  }
+  if (!isHexString(body.signature)) {
+    throw new RelayRequestError("signature must be a hex string");
+  }
+
+  return {
+    action: body.action,
+    owner: getAddress(body.owner),
+    dossierId: parseUint(body.dossierId, "dossierId"),
+    nonce: parseUint(body.nonce, "nonce"),
+    deadline: parseUint(body.deadline, "deadline"),
+    signature: body.signature
+  };
+}
+
+/**
+ * @dev Sliding-window request counter per key
+ */
+class RateLimiter {
+  constructor({ maxRequests, window, now }) {
+    this.maxRequests = maxRequests;
+    this.window = window;
+    this.now = now;
+    this._requests = new Map();
+  }
+
+  /**
+   * @dev Count a request for the key, or throw RateLimitError when the window is full
+   */
+  take(key) {
+    const now = this.now();
+    const recent = (this._requests.get(key) || []).filter((at) => at > now - this.window);
+    if (recent.length >= this.maxRequests) {
+      this._requests.set(key, recent);
+      throw new RateLimitError(key, Math.ceil((recent[0] + this.window - now) / 1000));
+    }
+    recent.push(now);
+    this._requests.set(key, recent);
+  }
+}
+
+/**
+ * @dev Accepts owners' EIP-712 signed actions over HTTP and submits them to CanaryDossierV4 or later,
+ *   so owners without gas can still check in, pause and resume
+ * @notice Requests are checked against the contract's views (signer, deadline, nonce and
+ *   dossier state) before anything is sent, and rejected with the revert reason the
+ *   transaction would have failed with. Only requests carrying the owner's valid signature,
+ *   unexpired and with a nonce not used yet, count towards that owner's rate limit, so nobody
+ *   can use up someone else's quota, not even by replaying their old requests.
+ *   Transactions are sent one at a time from the client's signer.
+ *
+ *   HTTP API (JSON bodies, bigints as decimal strings):
+ *     GET  /status         contract, chainId, relayer address and supported actions
+ *     GET  /nonce/:owner   nonce the owner's next signature must use
+ *     POST /relay          a signed action from signAction(); responds with a RelayResult
+ *   Errors respond with { error, reason } and a 4xx status (429 adds Retry-After).
+ *
+ *   Emits "relayed" (RelayResult) and "rejected" (error, request).
+ */
+class DossierRelayer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import("./DossierClient").DossierClient} options.client CanaryDossierV4 (or later) client
+   *   connected to the relayer's signer, which pays for every transaction
+   * @param {number} [options.maxRequests] Requests per owner within the rate window
+   * @param {number} [options.rateWindow] Rate window in milliseconds
+   * @param {() => number} [options.now] Clock for the rate limit, in milliseconds
+   */
+  constructor({ client, maxRequests = DEFAULT_MAX_REQUESTS, rateWindow = DEFAULT_RATE_WINDOW, now = Date.now }) {
+    super();
+    if (!client || !client.runner || typeof client.runner.sendTransaction !== "function") {
+      throw new Error("DossierRelayer requires a client connected to a signer");
+    }
+    this.client = client;
+    this.limiter = new RateLimiter({ maxRequests, window: rateWindow, now });
+
+    this._chainId = undefined;
+    this._queue = Promise.resolve();
+    this._server = undefined;
+  }
+
+  /**
+   * @dev Check a signed action and submit it
+   * @param {Object} request Signed action, as returned by signAction or parsed from JSON
+   * @returns {Promise<RelayResult>}
+   * @throws {RelayRequestError | RateLimitError | import("./errors").DossierError}
+   */
+  async relay(request) {
+    const signed = parseRelayRequest(request);
+    await this._verifySignature(signed);
+    await this._verifyUnused(signed);
+    this.limiter.take(signed.owner);
+
+    // Chain checks run in the queue so they see every transaction sent before them
+    const result = this._queue.then(() => this._submit(signed));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @dev Listen for HTTP requests
+   * @param {{ port?: number, host?: string }} [options] Port 0 picks a free port
+   * @returns {Promise<string>} Base URL of the API
+   */
+  async start({ port = DEFAULT_PORT, host = "127.0.0.1" } = {}) {
+    if (this._server) {
+      return this.url;
+    }
+
+    // Fails early when the node is unreachable
+    await this._getChainId();
+
+    const server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, resolve);
+    });
+    this._server = server;
+    this.url = `http://${host}:${server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this._server) {
+      return;
+    }
+    const server = this._server;
+    this._server = undefined;
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  async _verifySignature(signed) {
+    let signer;
+    try {
+      signer = recoverActionSigner({
+        ...signed,
+        chainId: await this._getChainId(),
+        contractAddress: this.client.address,
+        version: CONTRACT_VERSIONS[this.client.contractName]
+      });
+    } catch (error) {
+      throw errorForReason("Invalid signature", { cause: error });
+    }
+    if (signer !== signed.owner) {
+      throw errorForReason("Invalid signature");
+    }
+  }
+
+  /**
+   * @dev Refuse expired signatures and nonces already used on chain before they count towards the
+   *   rate limit, so replaying an owner's old requests cannot use up their quota
+   * @notice Nonces ahead of the owner's current one pass here; requests queued before them may
+   *   still use up the nonces in between, which _submit checks
+   */
+  async _verifyUnused({ owner, nonce, deadline }) {
+    const [currentNonce, now] = await Promise.all([
+      this.client.getCheckInNonce({ owner }),
+      this.client.getTimestamp()
+    ]);
+    const reason = now > deadline ? "Signature expired" : nonce < currentNonce ? "Invalid nonce" : null;
+    if (reason) {
+      throw errorForReason(reason);
+    }
+  }
+
+  async _submit(signed) {
+    const { action, owner, dossierId, nonce, deadline, signature } = signed;
+
+    const [dossier, currentNonce, now] = await Promise.all([
+      this.client.getDossier({ owner, dossierId }),
+      this.client.getCheckInNonce({ owner }),
+      this.client.getTimestamp()
+    ]);
+    // Same order as _useSignature, then the action's own requires
+    const reason = now > deadline ? "Signature expired" :
+      nonce !== currentNonce ? "Invalid nonce" :
+        relayBlocker(action, dossier);
+    if (reason) {
+      throw errorForReason(reason);
+    }
+
+    const method = RELAY_METHODS[action];
+    const receipt = await this.client[method]({ owner, dossierId, nonce, deadline, signature });
+    const result = {
+      action,
+      owner,
+      dossierId,
+      nonce,
+      relayer: receipt.from,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed
+    };
+    this.emit("relayed", result);
+    return result;
+  }
+
+  async _getChainId() {
+    if (this._chainId === undefined) {
+      ({ chainId: this._chainId } = await this.client.provider.getNetwork());
+    }
+    return this._chainId;
+  }
+
+  async _handle(req, res) {
+    let request;
+    try {
+      const { pathname } = new URL(req.url, "http://relayer");
+      const nonceMatch = /^\/nonce\/([^/]+)$/.exec(pathname);
+
+      if (req.method === "GET" && pathname === "/status") {
+        return send(res, 200, {
+          contract: this.client.address,
+          chainId: await this._getChainId(),
+          relayer: await this.client.runner.getAddress(),
+          actions: Object.keys(RELAY_METHODS)
+        });
+      }
+      if (req.method === "GET" && nonceMatch) {
+        if (!isAddress(nonceMatch[1])) {
+          throw new RelayRequestError("owner must be an address");
+        }
+        const owner = getAddress(nonceMatch[1]);
+        return send(res, 200, { owner, nonce: await this.client.getCheckInNonce({ owner }) });
+      }
+      if (req.method === "POST" && pathname === "/relay") {
+        request = await readJson(req);
+        return send(res, 200, await this.relay(request));
+      }
+      return send(res, 404, { error: "NotFound", reason: `No route for ${req.method} ${pathname}` });
+    } catch (caught) {
+      const error = wrapError(caught);
+      this.emit("rejected", error, request);
+
+      const status = statusFor(error);
+      if (error instanceof RateLimitError) {
+        res.setHeader("retry-after", String(error.retryAfter));
+      }
+      // Unexpected failures (RPC errors, bugs) are not echoed back to callers
+      return send(res, status, {
+        error: status === 500 ? "InternalError" : error.name,
+        reason: status === 500 ? "Relaying failed" : error.message
+      });
+    }
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      // Keep draining so the rejection can still be answered
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayRequestError("Request body too large"));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new RelayRequestError("Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+module.exports = {
+  DossierRelayer,
+  RelayRequestError,
+  RateLimitError,
+  relayBlocker,
+  parseRelayRequest
+};
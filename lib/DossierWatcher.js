@@ -0,0 +1,241 @@
+// Watchdog that notifies when dossiers approach their deadline, enter grace or expire
+const { EventEmitter } = require("events");
+const { DossierIndexer } = require("./DossierIndexer");
+const { dossierKey } = require("./projection");
+
+/**
+ * @dev Kinds of notification, in the order a dossier goes through them
+ * @enum {string}
+ */
+const NotificationType = Object.freeze({
+  APPROACHING_DEADLINE: "approaching-deadline",
+  GRACE_ENTERED: "grace-entered",
+  EXPIRED: "expired"
+});
+
+const STAGES = [NotificationType.APPROACHING_DEADLINE, NotificationType.GRACE_ENTERED, NotificationType.EXPIRED];
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} type One of NotificationType
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {string} name
+ * @property {bigint} lastCheckIn
+ * @property {bigint} deadline Timestamp the next check-in is due
+ * @property {bigint} graceEndsAt Timestamp after which the check-in counts as missed
+ * @property {boolean} decryptable Whether shouldDossierStayEncrypted now returns false
+ *   (only ever true for "expired"; false while guardian confirmations are outstanding)
+ * @property {string[]} recipients
+ * @property {bigint} at Chain timestamp the notification was raised at
+ */
+
+/**
+ * @dev Tracks every dossier through a DossierIndexer and raises deadline notifications
+ * @notice Deadlines are evaluated against the latest block timestamp, so the watcher
+ *   follows chain time (including `time.increase` on a Hardhat node). Each notification
+ *   is sent once per check-in cycle; a check-in or resume starts a new cycle.
+ *   Emits "notification" (Notification) and "error" (error, notification) for failed sinks.
+ */
+class DossierWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.address] Contract address, when no indexer is given
+   * @param {import("ethers").Provider} [options.provider]
+   * @param {string} [options.contractName] Artifact to decode logs with, when no indexer is given;
+   *   CanaryDossierV6 dossiers carry their own grace period
+   * @param {DossierIndexer} [options.indexer] Existing indexer to reuse
+   * @param {number} [options.fromBlock] First block to index
+   * @param {{ send(notification: Notification): Promise<void> }[]} [options.sinks]
+   * @param {bigint | number} [options.warningWindow] Seconds before the deadline to warn
+   * @param {number} [options.pollInterval] Maximum milliseconds between checks while started
+   */
+  constructor({
+    address,
+    provider,
+    contractName,
+    indexer,
+    fromBlock = 0,
+    sinks = [],
+    warningWindow = 3600n,
+    pollInterval = 15000
+  }) {
+    super();
+    this.indexer = indexer || new DossierIndexer({ address, provider, contractName, fromBlock });
+    this.provider = provider || this.indexer.provider;
+    this.sinks = sinks;
+    this.warningWindow = BigInt(warningWindow);
+    this.pollInterval = pollInterval;
+
+    this._gracePeriod = undefined;
+    this._notified = new Map();
+    this._timer = undefined;
+  }
+
+  /**
+   * @dev Catch up with the chain and send any notifications that are due
+   * @returns {Promise<Notification[]>} The notifications sent by this check
+   */
+  async check() {
+    await this.indexer.sync();
+    const gracePeriod = await this._getGracePeriod();
+    const now = await this._getTimestamp();
+
+    const sent = [];
+    for (const dossier of this.indexer.projection.all()) {
+      const notification = this._evaluate(dossier, { gracePeriod, now });
+      if (notification) {
+        await this._dispatch(notification);
+        sent.push(notification);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * @dev Check now, then keep checking on a timer aimed at the next deadline
+   */
+  async start() {
+    this._timer = null;
+    await this._tick();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+
+  /**
+   * @dev Chain timestamp of the next notification due across all dossiers, if any
+   * @returns {Promise<bigint | undefined>}
+   */
+  async nextDeadline() {
+    const gracePeriod = await this._getGracePeriod();
+    let next;
+    for (const dossier of this.indexer.projection.all()) {
+      const due = this._nextStageAt(dossier, gracePeriod);
+      if (due !== undefined && (next === undefined || due < next)) {
+        next = due;
+      }
+    }
+    return next;
+  }
+
+  async _tick() {
+    try {
+      await this.check();
+    } catch (error) {
+      this.emit("error", error);
+    }
+    if (this._timer === undefined) {
+      return;
+    }
+
+    let delay = this.pollInterval;
+    const next = await this.nextDeadline().catch(() => undefined);
+    if (next !== undefined) {
+      const now = await this._getTimestamp().catch(() => next);
+      // +1: the contract compares with strictly greater than
+      const untilNext = Number(next - now + 1n) * 1000;
+      delay = Math.max(0, Math.min(delay, untilNext));
+    }
+    this._timer = setTimeout(() => this._tick(), delay);
+  }
+
+  /**
+   * @dev Decide which notification, if any, is newly due for a dossier
+   * @notice Stages already passed when first seen are skipped: a watcher started late
+   *   reports "expired" once rather than replaying the earlier warnings
+   */
+  _evaluate(dossier, { gracePeriod, now }) {
+    if (!dossier.isActive || dossier.isReleased || dossier.isPermanentlyDisabled) {
+      return undefined;
+    }
+
+    const deadline = dossier.lastCheckIn + dossier.checkInInterval;
+    const graceEndsAt = deadline + (dossier.gracePeriod ?? gracePeriod);
+
+    let stage;
+    if (now > graceEndsAt) {
+      stage = NotificationType.EXPIRED;
+    } else if (now > deadline) {
+      stage = NotificationType.GRACE_ENTERED;
+    } else if (now >= deadline - this.warningWindow) {
+      stage = NotificationType.APPROACHING_DEADLINE;
+    } else {
+      return undefined;
+    }
+
+    const key = dossierKey(dossier.owner, dossier.id);
+    const previous = this._notified.get(key);
+    const notified = previous && previous.cycle === dossier.lastCheckIn ? previous.stage : undefined;
+    if (notified !== undefined && STAGES.indexOf(notified) >= STAGES.indexOf(stage)) {
+      return undefined;
+    }
+    this._notified.set(key, { cycle: dossier.lastCheckIn, stage });
+
+    return {
+      type: stage,
+      owner: dossier.owner,
+      dossierId: dossier.id,
+      name: dossier.name,
+      lastCheckIn: dossier.lastCheckIn,
+      deadline,
+      graceEndsAt,
+      decryptable:
+        stage === NotificationType.EXPIRED &&
+        (dossier.guardians.length === 0 || dossier.guardianConfirmationCount >= dossier.guardianThreshold),
+      recipients: [...dossier.recipients],
+      at: now
+    };
+  }
+
+  _nextStageAt(dossier, gracePeriod) {
+    if (!dossier.isActive || dossier.isReleased || dossier.isPermanentlyDisabled) {
+      return undefined;
+    }
+
+    const deadline = dossier.lastCheckIn + dossier.checkInInterval;
+    const previous = this._notified.get(dossierKey(dossier.owner, dossier.id));
+    const notified = previous && previous.cycle === dossier.lastCheckIn ? previous.stage : undefined;
+
+    switch (notified) {
+      case undefined:
+        return deadline - this.warningWindow;
+      case NotificationType.APPROACHING_DEADLINE:
+        return deadline;
+      case NotificationType.GRACE_ENTERED:
+        return deadline + (dossier.gracePeriod ?? gracePeriod);
+      default:
+        return undefined;
+    }
+  }
+
+  async _dispatch(notification) {
+    this.emit("notification", notification);
+    for (const sink of this.sinks) {
+      try {
+        await sink.send(notification);
+      } catch (error) {
+        this.emit("error", error, notification);
+      }
+    }
+  }
+
+  async _getGracePeriod() {
+    if (this._gracePeriod === undefined) {
+      this._gracePeriod = await this.indexer.contract.GRACE_PERIOD();
+    }
+    return this._gracePeriod;
+  }
+
+  async _getTimestamp() {
+    const block = await this.provider.getBlock("latest");
+    return BigInt(block.timestamp);
+  }
+}
+
+module.exports = {
+  DossierWatcher,
+  NotificationType
+};
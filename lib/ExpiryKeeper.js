@@ -0,0 +1,125 @@
+// Keeper that records missed check-ins on chain by calling finalizeExpiry (CanaryDossierV6)
+const { EventEmitter } = require("events");
+const { DossierClient } = require("./DossierClient");
+const { DossierIndexer } = require("./DossierIndexer");
+const { DossierStatus } = require("./dossier");
+
+/**
+ * @typedef {Object} Finalization
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {string} name
+ * @property {string} trigger One of ReleaseTrigger
+ * @property {string} transactionHash
+ * @property {bigint} at Chain timestamp the dossier was found expired at
+ */
+
+/**
+ * @dev Finds expired dossiers through a DossierIndexer and finalizes them
+ * @notice The projection only narrows the search to dossiers past their grace period; each one is
+ *   checked with getDossierStatus before sending, so vetoed dossiers and dossiers still waiting
+ *   for guardian confirmations are left alone until they expire. Transactions are sent one at a
+ *   time from the runner.
+ *   Emits "finalized" (Finalization) and "error" (error, dossier) for failed transactions, e.g.
+ *   when another keeper finalized the dossier first.
+ */
+class ExpiryKeeper extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.address CanaryDossierV6 address
+   * @param {import("ethers").ContractRunner} options.runner Signer paying for finalizeExpiry
+   * @param {DossierIndexer} [options.indexer] Existing indexer to reuse
+   * @param {number} [options.fromBlock] First block to index
+   * @param {number} [options.pollInterval] Milliseconds between checks while started
+   */
+  constructor({ address, runner, indexer, fromBlock = 0, pollInterval = 15000 }) {
+    super();
+    this.client = new DossierClient({ address, runner, contractName: "CanaryDossierV6" });
+    this.indexer =
+      indexer ||
+      new DossierIndexer({ address, provider: this.client.provider, contractName: "CanaryDossierV6", fromBlock });
+    this.pollInterval = pollInterval;
+
+    this._timer = undefined;
+  }
+
+  /**
+   * @dev Catch up with the chain and finalize every dossier that has expired
+   * @returns {Promise<Finalization[]>} The dossiers finalized by this check
+   */
+  async check() {
+    await this.indexer.sync();
+    const now = await this.client.getTimestamp();
+
+    const finalized = [];
+    for (const dossier of this.candidates(now)) {
+      const ref = { owner: dossier.owner, dossierId: dossier.id };
+      try {
+        const { status } = await this.client.getDossierStatus(ref);
+        if (status !== DossierStatus.EXPIRED) {
+          continue;
+        }
+
+        const { trigger, receipt } = await this.client.finalizeExpiry(ref);
+        const finalization = {
+          owner: dossier.owner,
+          dossierId: dossier.id,
+          name: dossier.name,
+          trigger,
+          transactionHash: receipt.hash,
+          at: now
+        };
+        this.emit("finalized", finalization);
+        finalized.push(finalization);
+      } catch (error) {
+        this.emit("error", error, dossier);
+      }
+    }
+    return finalized;
+  }
+
+  /**
+   * @dev Indexed dossiers whose check-in was missed at `now` and that are not released yet
+   * @param {bigint} now
+   * @returns {import("./projection").ProjectedDossier[]}
+   */
+  candidates(now) {
+    return this.indexer.projection
+      .all()
+      .filter(
+        (dossier) =>
+          dossier.isActive &&
+          !dossier.isReleased &&
+          !dossier.isPermanentlyDisabled &&
+          now > dossier.lastCheckIn + dossier.checkInInterval + dossier.gracePeriod
+      );
+  }
+
+  /**
+   * @dev Check now and then every pollInterval
+   */
+  async start() {
+    this._timer = null;
+    await this._tick();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+
+  async _tick() {
+    try {
+      await this.check();
+    } catch (error) {
+      this.emit("error", error);
+    }
+    if (this._timer !== undefined) {
+      this._timer = setTimeout(() => this._tick(), this.pollInterval);
+    }
+  }
+}
+
+module.exports = {
+  ExpiryKeeper
+};
@@ -0,0 +1,58 @@
+// Load compiled contract artifacts produced by `hardhat compile`
+const fs = require("fs");
+const path = require("path");
+
+const ARTIFACTS_DIR = path.resolve(__dirname, "..", "artifacts", "contracts");
+
+// Solidity source file for each contract name
+const CONTRACT_SOURCES = {
+  CanaryDossier: "Dossier.sol",
+  CanaryDossierV2: "DossierV2.sol",
+  CanaryDossierV3: "DossierV3.sol",
+  CanaryDossierV4: "DossierV4.sol",
+  CanaryDossierV5: "DossierV5.sol",
+  CanaryDossierV6: "DossierV6.sol"
+};
+
+// Major contract version for each contract name
+const CONTRACT_VERSIONS = {
+  CanaryDossier: 1,
+  CanaryDossierV2: 2,
+  CanaryDossierV3: 3,
+  CanaryDossierV4: 4,
+  CanaryDossierV5: 5,
+  CanaryDossierV6: 6
+};
+
+const cache = new Map();
+
+/**
+ * @dev Read the Hardhat artifact for a contract
+ * @param {string} contractName e.g. "CanaryDossierV3"
+ * @returns {{ contractName: string, abi: any[], bytecode: string }}
+ */
+function loadArtifact(contractName) {
+  if (cache.has(contractName)) {
+    return cache.get(contractName);
+  }
+
+  const source = CONTRACT_SOURCES[contractName];
+  if (!source) {
+    throw new Error(`Unknown contract: ${contractName}`);
+  }
+
+  const artifactPath = path.join(ARTIFACTS_DIR, source, `${contractName}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`Artifact not found at ${artifactPath}. Run \`npx hardhat compile\` first.`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+  cache.set(contractName, artifact);
+  return artifact;
+}
+
+module.exports = {
+  CONTRACT_SOURCES,
+  CONTRACT_VERSIONS,
+  loadArtifact
+};
@@ -0,0 +1,247 @@
+// Decoding of raw getDossier() results into plain objects with computed fields
+
+/**
+ * @dev Lifecycle status of a dossier at a point in time
+ * @enum {string}
+ */
+const DossierStatus = Object.freeze({
+  ACTIVE: "active",
+  IN_GRACE: "in-grace",
+  EXPIRED: "expired",
+  // Only from computeLifecycle and getDossierStatus
+  AWAITING_GUARDIANS: "awaiting-guardians",
+  RELEASED: "released",
+  PAUSED: "paused",
+  DISABLED: "disabled"
+});
+
+// DossierStatus by the index of the contract's DossierStatus enum (CanaryDossierV6)
+const CONTRACT_STATUSES = [
+  DossierStatus.ACTIVE,
+  DossierStatus.IN_GRACE,
+  DossierStatus.EXPIRED,
+  DossierStatus.AWAITING_GUARDIANS,
+  DossierStatus.RELEASED,
+  DossierStatus.PAUSED,
+  DossierStatus.DISABLED
+];
+
+const NO_VETO = Object.freeze({ window: 0n, threshold: 0n, count: 0n });
+
+/**
+ * @dev What released a dossier, as recorded by CanaryDossierV6
+ * @enum {string}
+ */
+const ReleaseTrigger = Object.freeze({
+  NONE: "none",
+  // releaseNow
+  OWNER: "owner",
+  // A missed check-in, recorded by finalizeExpiry
+  EXPIRY: "expiry",
+  // A missed check-in confirmed by the guardian threshold, recorded by finalizeExpiry
+  GUARDIANS: "guardians"
+});
+
+// ReleaseTrigger by the index of the contract's ReleaseTrigger enum
+const CONTRACT_TRIGGERS = [ReleaseTrigger.NONE, ReleaseTrigger.OWNER, ReleaseTrigger.EXPIRY, ReleaseTrigger.GUARDIANS];
+
+/**
+ * @typedef {Object} Dossier
+ * @property {string} owner
+ * @property {bigint} id
+ * @property {string} name
+ * @property {string} description
+ * @property {boolean} isActive
+ * @property {boolean} isPermanentlyDisabled
+ * @property {boolean} isReleased
+ * @property {bigint} checkInInterval Seconds between required check-ins
+ * @property {bigint} lastCheckIn Unix timestamp of the last check-in
+ * @property {string[]} encryptedFileHashes
+ * @property {string[]} recipients
+ * @property {string[]} guardians
+ * @property {bigint} guardianThreshold
+ * @property {bigint} guardianConfirmationCount
+ * @property {bigint} gracePeriod Seconds after the deadline before the check-in counts as missed;
+ *   set per dossier from CanaryDossierV6, the contract's GRACE_PERIOD before
+ * @property {bigint} deadline Timestamp the next check-in is due
+ * @property {bigint} graceEndsAt Timestamp after which the check-in counts as missed
+ * @property {string} status One of DossierStatus
+ */
+
+/**
+ * @typedef {Object} DossierSummary
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {boolean} exists False for references to unknown dossiers; other fields are then zero
+ * @property {boolean} isActive
+ * @property {boolean} isReleased
+ * @property {boolean} isPermanentlyDisabled
+ * @property {boolean} shouldStayEncrypted
+ * @property {bigint} lastCheckIn
+ * @property {bigint} checkInInterval
+ * @property {bigint} guardianCount
+ * @property {bigint} guardianThreshold
+ * @property {bigint} guardianConfirmationCount
+ * @property {bigint} gracePeriod
+ * @property {bigint} deadline
+ * @property {bigint} graceEndsAt
+ * @property {string | null} status One of DossierStatus, null when the dossier does not exist
+ */
+
+/**
+ * @typedef {Object} DossierLifecycle
+ * @property {string} status One of DossierStatus
+ * @property {bigint} nextDeadline When the status next changes without a transaction: the end of
+ *   the interval, grace period or veto window; 0n when only a transaction can change it
+ */
+
+/**
+ * @typedef {Object} ReleaseInfo
+ * @property {string} trigger One of ReleaseTrigger
+ * @property {bigint} releasedAt Timestamp of the releasing transaction, 0n until released
+ */
+
+/**
+ * @dev Compute the status of a decoded dossier at `now`
+ * @notice Mirrors the time comparison in shouldDossierStayEncrypted (strictly greater than).
+ *   Guardians are not considered; see computeLifecycle.
+ */
+function computeStatus(dossier, now) {
+  if (dossier.isPermanentlyDisabled) return DossierStatus.DISABLED;
+  if (dossier.isReleased) return DossierStatus.RELEASED;
+  if (!dossier.isActive) return DossierStatus.PAUSED;
+  if (now > dossier.graceEndsAt) return DossierStatus.EXPIRED;
+  if (now > dossier.deadline) return DossierStatus.IN_GRACE;
+  return DossierStatus.ACTIVE;
+}
+
+/**
+ * @dev Status and next deadline of a decoded dossier at `now`, as getDossierStatus computes them
+ *   on chain (CanaryDossierV6)
+ * @notice Unlike computeStatus, a released or expired dossier short of guardian confirmations,
+ *   or held back by a veto, is AWAITING_GUARDIANS
+ * @param {Dossier} dossier
+ * @param {bigint} now
+ * @param {{ window: bigint, threshold: bigint, count: bigint }} [veto] Policy and the vetoes cast
+ *   against the current deadline, as returned by DossierClient.getVeto
+ * @returns {DossierLifecycle}
+ */
+function computeLifecycle(dossier, now, veto = NO_VETO) {
+  const unconfirmed =
+    dossier.guardians.length > 0 && dossier.guardianConfirmationCount < dossier.guardianThreshold;
+
+  if (dossier.isPermanentlyDisabled) return { status: DossierStatus.DISABLED, nextDeadline: 0n };
+  if (dossier.isReleased) {
+    return { status: unconfirmed ? DossierStatus.AWAITING_GUARDIANS : DossierStatus.RELEASED, nextDeadline: 0n };
+  }
+  if (!dossier.isActive) return { status: DossierStatus.PAUSED, nextDeadline: 0n };
+  if (now <= dossier.deadline) return { status: DossierStatus.ACTIVE, nextDeadline: dossier.deadline };
+  if (now <= dossier.graceEndsAt) return { status: DossierStatus.IN_GRACE, nextDeadline: dossier.graceEndsAt };
+
+  const vetoEndsAt = dossier.graceEndsAt + veto.window;
+  if (veto.threshold > 0n && veto.count >= veto.threshold && now <= vetoEndsAt) {
+    return { status: DossierStatus.AWAITING_GUARDIANS, nextDeadline: vetoEndsAt };
+  }
+  return { status: unconfirmed ? DossierStatus.AWAITING_GUARDIANS : DossierStatus.EXPIRED, nextDeadline: 0n };
+}
+
+/**
+ * @dev Turn a getDossierStatus() result into a DossierLifecycle
+ * @returns {DossierLifecycle}
+ */
+function decodeLifecycle([status, nextDeadline]) {
+  return { status: CONTRACT_STATUSES[Number(status)], nextDeadline };
+}
+
+/**
+ * @dev Turn the contract's ReleaseTrigger enum value into a ReleaseTrigger
+ * @returns {string}
+ */
+function decodeReleaseTrigger(trigger) {
+  return CONTRACT_TRIGGERS[Number(trigger)];
+}
+
+/**
+ * @dev Turn a getReleaseInfo() result into a ReleaseInfo
+ * @returns {ReleaseInfo}
+ */
+function decodeReleaseInfo([trigger, releasedAt]) {
+  return { trigger: decodeReleaseTrigger(trigger), releasedAt };
+}
+
+/**
+ * @dev Turn a getDossier() result into a Dossier object
+ * @param {string} owner Address the dossier belongs to
+ * @param {any} raw Struct returned by the contract
+ * @param {{ gracePeriod: bigint, now: bigint }} context `gracePeriod` is used for contracts
+ *   without a per-dossier one
+ * @returns {Dossier}
+ */
+function decodeDossier(owner, raw, { gracePeriod, now }) {
+  const dossier = {
+    owner,
+    id: raw.id,
+    name: raw.name,
+    description: raw.description,
+    isActive: raw.isActive,
+    isPermanentlyDisabled: raw.isPermanentlyDisabled,
+    isReleased: raw.isReleased,
+    checkInInterval: raw.checkInInterval,
+    lastCheckIn: raw.lastCheckIn,
+    encryptedFileHashes: [...raw.encryptedFileHashes],
+    recipients: [...raw.recipients],
+    // CanaryDossier and CanaryDossierV2 have no guardians
+    guardians: [...(raw.guardians ?? [])],
+    guardianThreshold: raw.guardianThreshold ?? 0n,
+    guardianConfirmationCount: raw.guardianConfirmationCount ?? 0n,
+    gracePeriod: raw.gracePeriod ?? gracePeriod
+  };
+
+  dossier.deadline = dossier.lastCheckIn + dossier.checkInInterval;
+  dossier.graceEndsAt = dossier.deadline + dossier.gracePeriod;
+  dossier.status = computeStatus(dossier, now);
+
+  return dossier;
+}
+
+/**
+ * @dev Turn a getDossiersSummary() tuple into a DossierSummary object
+ * @param {any} raw
+ * @param {{ gracePeriod: bigint, now: bigint }} context
+ * @returns {DossierSummary}
+ */
+function decodeSummary(raw, { gracePeriod, now }) {
+  const summary = {
+    owner: raw.owner,
+    dossierId: raw.dossierId,
+    exists: raw.exists,
+    isActive: raw.isActive,
+    isReleased: raw.isReleased,
+    isPermanentlyDisabled: raw.isPermanentlyDisabled,
+    shouldStayEncrypted: raw.shouldStayEncrypted,
+    lastCheckIn: raw.lastCheckIn,
+    checkInInterval: raw.checkInInterval,
+    guardianCount: raw.guardianCount,
+    guardianThreshold: raw.guardianThreshold,
+    guardianConfirmationCount: raw.guardianConfirmationCount,
+    gracePeriod: raw.gracePeriod ?? gracePeriod
+  };
+
+  summary.deadline = summary.lastCheckIn + summary.checkInInterval;
+  summary.graceEndsAt = summary.deadline + summary.gracePeriod;
+  summary.status = summary.exists ? computeStatus(summary, now) : null;
+
+  return summary;
+}
+
+module.exports = {
+  DossierStatus,
+  ReleaseTrigger,
+  computeStatus,
+  computeLifecycle,
+  decodeLifecycle,
+  decodeReleaseTrigger,
+  decodeReleaseInfo,
+  decodeDossier,
+  decodeSummary
+};
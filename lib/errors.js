@@ -0,0 +1,204 @@
+// Error classes for revert reasons raised by the Canary dossier contracts
+
+class DossierError extends Error {
+  /**
+   * @param {string} reason Revert reason string from the contract
+   * @param {{ cause?: unknown }} [options]
+   */
+  constructor(reason, options = {}) {
+    super(reason, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.reason = reason;
+  }
+}
+
+/** The dossier (or any dossier for the caller) does not exist */
+class DossierNotFoundError extends DossierError {}
+
+/** The dossier is in the wrong lifecycle state (paused, released, disabled...) */
+class DossierStateError extends DossierError {}
+
+/** An argument was rejected by the contract's validation */
+class DossierValidationError extends DossierError {}
+
+/** A per-user or per-dossier limit would be exceeded */
+class DossierLimitError extends DossierError {}
+
+/** The caller is not allowed to perform a guardian action */
+class GuardianError extends DossierError {}
+
+/** The caller is not a check-in delegate of the dossier */
+class DelegateError extends DossierError {}
+
+/** The caller may not start this recovery, or no recovery is in the state the call needs */
+class RecoveryError extends DossierError {}
+
+/** A signed check-in, pause or resume has expired, was already used or was not signed by the owner */
+class SignatureError extends DossierError {}
+
+/** The caller is not the contract's operator */
+class OperatorError extends DossierError {}
+
+/**
+ * The contract version behind a client lacks the operation; raised by the SDK before anything is sent
+ */
+class CapabilityError extends DossierError {
+  /**
+   * @param {{ operation: string, capability: string, contractName: string, requires: string }} details
+   */
+  constructor({ operation, capability, contractName, requires }) {
+    super(`${contractName} does not support ${operation}; it needs ${requires} or later`);
+    this.operation = operation;
+    this.capability = capability;
+    this.contractName = contractName;
+  }
+}
+
+const REVERT_REASONS = {
+  "Dossier does not exist": DossierNotFoundError,
+  "No dossiers found": DossierNotFoundError,
+
+  "Dossier must be active to edit": DossierStateError,
+  "Dossier permanently disabled": DossierStateError,
+  "Dossier already permanently disabled": DossierStateError,
+  "Dossier already released": DossierStateError,
+  "Dossier already paused": DossierStateError,
+  "Dossier already active": DossierStateError,
+  "Dossier is paused": DossierStateError,
+  "Cannot resume permanently disabled dossier": DossierStateError,
+  "Cannot resume released dossier": DossierStateError,
+  "No active dossiers to pause": DossierStateError,
+  "No paused dossiers to resume": DossierStateError,
+  "Veto not enabled": DossierStateError,
+  "Veto window passed": DossierStateError,
+  "No release tiers": DossierStateError,
+  "Dossier not expired": DossierStateError,
+
+  "Invalid check-in interval": DossierValidationError,
+  "Invalid grace period": DossierValidationError,
+  "Invalid recipients": DossierValidationError,
+  "Invalid files": DossierValidationError,
+  "Invalid recipient address": DossierValidationError,
+  "Invalid guardian address": DossierValidationError,
+  "Invalid guardian threshold": DossierValidationError,
+  "Threshold must be 0 when no guardians": DossierValidationError,
+  "Cannot set threshold without guardians": DossierValidationError,
+  "Duplicate guardian": DossierValidationError,
+  "Owner cannot be guardian": DossierValidationError,
+  "File hash cannot be empty": DossierValidationError,
+  "Recipient already exists": DossierValidationError,
+  "Recipient not found": DossierValidationError,
+  "Cannot remove last recipient": DossierValidationError,
+  "Guardian already exists": DossierValidationError,
+  "Guardian not found": DossierValidationError,
+  "Invalid delegate address": DossierValidationError,
+  "Owner cannot be delegate": DossierValidationError,
+  "Delegate already exists": DossierValidationError,
+  "Delegate not found": DossierValidationError,
+  "Invalid recovery address": DossierValidationError,
+  "Invalid new owner": DossierValidationError,
+  "Invalid veto window": DossierValidationError,
+  "Invalid veto threshold": DossierValidationError,
+  "Invalid tier delay": DossierValidationError,
+  "Tier does not exist": DossierValidationError,
+  "Invalid successor": DossierValidationError,
+
+  "Max dossiers reached": DossierLimitError,
+  "Max recipients reached": DossierLimitError,
+  "Max files per dossier reached": DossierLimitError,
+  "Would exceed max files per dossier": DossierLimitError,
+  "Max guardians reached": DossierLimitError,
+  "Too many guardians": DossierLimitError,
+  "Max delegates reached": DossierLimitError,
+  "Max release tiers reached": DossierLimitError,
+
+  "Not a guardian": GuardianError,
+  "Already confirmed": GuardianError,
+  "Not confirmed": GuardianError,
+  "Already approved": GuardianError,
+  "Already vetoed": GuardianError,
+  "Not vetoed": GuardianError,
+
+  "Not a delegate": DelegateError,
+
+  "Not the recovery address": RecoveryError,
+  "Recovery already pending": RecoveryError,
+  "No recovery pending": RecoveryError,
+  "Recovery not ready": RecoveryError,
+
+  "Signature expired": SignatureError,
+  "Invalid nonce": SignatureError,
+  "Invalid signature": SignatureError,
+
+  "Not the operator": OperatorError
+};
+
+/**
+ * @dev Pull the revert reason string out of an ethers or Hardhat error
+ * @returns {string | undefined}
+ */
+function getRevertReason(error) {
+  if (!error || typeof error !== "object") {
+    return undefined;
+  }
+
+  if (typeof error.reason === "string" && error.reason.length > 0) {
+    return error.reason;
+  }
+
+  if (error.revert && Array.isArray(error.revert.args) && typeof error.revert.args[0] === "string") {
+    return error.revert.args[0];
+  }
+
+  const match = /reverted with reason string '(.*)'/.exec(error.message || "");
+  if (match) {
+    return match[1];
+  }
+
+  // JSON-RPC providers nest the original error
+  return getRevertReason(error.error) || getRevertReason(error.info && error.info.error);
+}
+
+/**
+ * @dev Convert a contract error into the matching DossierError subclass
+ * @notice Errors without a revert reason (network failures, user rejection) are returned unchanged
+ */
+function wrapError(error) {
+  if (error instanceof DossierError) {
+    return error;
+  }
+
+  const reason = getRevertReason(error);
+  if (!reason) {
+    return error;
+  }
+
+  return errorForReason(reason, { cause: error });
+}
+
+/**
+ * @dev Build the DossierError subclass for a revert reason string
+ * @notice Also used by pre-flight checks that predict a revert before sending
+ */
+function errorForReason(reason, options = {}) {
+  const ErrorClass = REVERT_REASONS[reason] || DossierError;
+  return new ErrorClass(reason, options);
+}
+
+module.exports = {
+  DossierError,
+  DossierNotFoundError,
+  DossierStateError,
+  DossierValidationError,
+  DossierLimitError,
+  GuardianError,
+  DelegateError,
+  RecoveryError,
+  SignatureError,
+  OperatorError,
+  CapabilityError,
+  REVERT_REASONS,
+  getRevertReason,
+  wrapError,
+  errorForReason
+};
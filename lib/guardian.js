@@ -0,0 +1,211 @@
+// Guardian-side view of dossiers: pending confirmations and pre-flighted actions
+const { CONTRACT_VERSIONS } = require("./artifacts");
+const { DossierStatus } = require("./dossier");
+const { errorForReason } = require("./errors");
+
+/**
+ * @typedef {Object} GuardedDossier
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {string} name
+ * @property {string} status One of DossierStatus
+ * @property {boolean} confirmed Whether this guardian has confirmed release
+ * @property {bigint} confirmations
+ * @property {bigint} threshold
+ * @property {boolean} thresholdMet
+ * @property {boolean} awaitingAction Released or expired, still short of the threshold,
+ *   and not yet confirmed by this guardian
+ * @property {string | null} confirmBlocker Revert reason confirmRelease would fail with, if any
+ * @property {string | null} revokeBlocker Revert reason revokeConfirmation would fail with, if any
+ * @property {import("./DossierClient").VetoState | null} veto Veto policy and tally, null before CanaryDossierV6
+ * @property {boolean} vetoed Whether this guardian has vetoed release for the current deadline
+ * @property {string | null} vetoBlocker Revert reason vetoRelease would fail with, if any
+ * @property {string | null} revokeVetoBlocker Revert reason revokeVeto would fail with, if any
+ * @property {import("./dossier").Dossier} dossier
+ */
+
+function isGuardianOf(dossier, guardian) {
+  return dossier.guardians.some((g) => g.toLowerCase() === guardian.toLowerCase());
+}
+
+/**
+ * @dev Revert reason confirmRelease would fail with, checked in the contract's order
+ * @param {import("./dossier").Dossier} dossier
+ * @param {string} guardian
+ * @param {boolean} confirmed hasGuardianConfirmed(owner, id, guardian)
+ * @returns {string | null}
+ */
+function confirmBlocker(dossier, guardian, confirmed) {
+  if (dossier.isPermanentlyDisabled) return "Dossier permanently disabled";
+  if (confirmed) return "Already confirmed";
+  if (!isGuardianOf(dossier, guardian)) return "Not a guardian";
+  return null;
+}
+
+/**
+ * @dev Revert reason revokeConfirmation would fail with, checked in the contract's order
+ * @returns {string | null}
+ */
+function revokeBlocker(dossier, guardian, confirmed) {
+  if (dossier.isPermanentlyDisabled) return "Dossier permanently disabled";
+  if (dossier.isReleased) return "Dossier already released";
+  if (!confirmed) return "Not confirmed";
+  if (!isGuardianOf(dossier, guardian)) return "Not a guardian";
+  return null;
+}
+
+/**
+ * @dev Revert reason vetoRelease would fail with at `now`, checked in the contract's order
+ * @param {import("./DossierClient").VetoState | null} veto null for contracts without a veto
+ * @param {boolean} vetoed hasGuardianVetoed(owner, id, guardian)
+ * @returns {string | null}
+ */
+function vetoBlocker(dossier, guardian, veto, vetoed, now) {
+  if (dossier.isPermanentlyDisabled) return "Dossier permanently disabled";
+  if (dossier.isReleased) return "Dossier already released";
+  if (!isGuardianOf(dossier, guardian)) return "Not a guardian";
+  if (!veto || veto.window === 0n) return "Veto not enabled";
+  if (now > dossier.graceEndsAt + veto.window) return "Veto window passed";
+  if (vetoed) return "Already vetoed";
+  return null;
+}
+
+/**
+ * @dev Revert reason revokeVeto would fail with
+ * @returns {string | null}
+ */
+function revokeVetoBlocker(veto, vetoed) {
+  if (!veto) return "Veto not enabled";
+  if (!vetoed) return "Not vetoed";
+  return null;
+}
+
+/**
+ * @dev Dossiers guarded by one address, with confirm/revoke actions that fail early
+ *   with the contract's revert reason instead of sending a doomed transaction
+ */
+class GuardianInbox {
+  /**
+   * @param {Object} options
+   * @param {import("./DossierClient").DossierClient} options.client Connected to the guardian's signer for actions
+   * @param {string} options.guardian Guardian address
+   * @notice Veto state and actions need a client for CanaryDossierV6 or later
+   */
+  constructor({ client, guardian }) {
+    if (!guardian) {
+      throw new Error("GuardianInbox requires a guardian address");
+    }
+    this.client = client;
+    this.guardian = guardian;
+    this.supportsVeto = CONTRACT_VERSIONS[client.contractName] >= 6;
+  }
+
+  /**
+   * @dev Every dossier the address guards, awaiting ones first
+   * @returns {Promise<GuardedDossier[]>}
+   */
+  async list() {
+    const refs = await this.client.getDossiersWhereGuardian({ guardian: this.guardian });
+    const entries = await Promise.all(refs.map((ref) => this.get(ref)));
+    return entries.sort((a, b) => Number(b.awaitingAction) - Number(a.awaitingAction));
+  }
+
+  /**
+   * @dev Dossiers waiting on this guardian's confirmation
+   * @returns {Promise<GuardedDossier[]>}
+   */
+  async pending() {
+    return (await this.list()).filter((entry) => entry.awaitingAction);
+  }
+
+  /**
+   * @returns {Promise<GuardedDossier>}
+   */
+  async get({ owner, dossierId }) {
+    const [dossier, confirmed, veto, vetoed, now] = await Promise.all([
+      this.client.getDossier({ owner, dossierId }),
+      this.client.hasGuardianConfirmed({ owner, dossierId, guardian: this.guardian }),
+      this.supportsVeto ? this.client.getVeto({ owner, dossierId }) : null,
+      this.supportsVeto ? this.client.hasGuardianVetoed({ owner, dossierId, guardian: this.guardian }) : false,
+      this.client.getTimestamp()
+    ]);
+
+    const thresholdMet = dossier.guardianConfirmationCount >= dossier.guardianThreshold;
+    const triggered = dossier.status === DossierStatus.RELEASED || dossier.status === DossierStatus.EXPIRED;
+
+    return {
+      owner,
+      dossierId,
+      name: dossier.name,
+      status: dossier.status,
+      confirmed,
+      confirmations: dossier.guardianConfirmationCount,
+      threshold: dossier.guardianThreshold,
+      thresholdMet,
+      awaitingAction: triggered && !thresholdMet && !confirmed && !dossier.isPermanentlyDisabled,
+      confirmBlocker: confirmBlocker(dossier, this.guardian, confirmed),
+      revokeBlocker: revokeBlocker(dossier, this.guardian, confirmed),
+      veto,
+      vetoed,
+      vetoBlocker: vetoBlocker(dossier, this.guardian, veto, vetoed, now),
+      revokeVetoBlocker: revokeVetoBlocker(veto, vetoed),
+      dossier
+    };
+  }
+
+  /**
+   * @dev Confirm release after checking it would succeed
+   * @throws {import("./errors").DossierError} With the predicted revert reason
+   */
+  async confirm({ owner, dossierId }) {
+    const { confirmBlocker: reason } = await this.get({ owner, dossierId });
+    if (reason) {
+      throw errorForReason(reason);
+    }
+    return this.client.confirmRelease({ owner, dossierId });
+  }
+
+  /**
+   * @dev Revoke a confirmation after checking it would succeed
+   * @throws {import("./errors").DossierError} With the predicted revert reason
+   */
+  async revoke({ owner, dossierId }) {
+    const { revokeBlocker: reason } = await this.get({ owner, dossierId });
+    if (reason) {
+      throw errorForReason(reason);
+    }
+    return this.client.revokeConfirmation({ owner, dossierId });
+  }
+
+  /**
+   * @dev Veto release for the dossier's current deadline after checking it would succeed
+   * @throws {import("./errors").DossierError} With the predicted revert reason
+   */
+  async veto({ owner, dossierId }) {
+    const { vetoBlocker: reason } = await this.get({ owner, dossierId });
+    if (reason) {
+      throw errorForReason(reason);
+    }
+    return this.client.vetoRelease({ owner, dossierId });
+  }
+
+  /**
+   * @dev Withdraw a veto after checking it would succeed
+   * @throws {import("./errors").DossierError} With the predicted revert reason
+   */
+  async revokeVeto({ owner, dossierId }) {
+    const { revokeVetoBlocker: reason } = await this.get({ owner, dossierId });
+    if (reason) {
+      throw errorForReason(reason);
+    }
+    return this.client.revokeVeto({ owner, dossierId });
+  }
+}
+
+module.exports = {
+  GuardianInbox,
+  confirmBlocker,
+  revokeBlocker,
+  vetoBlocker,
+  revokeVetoBlocker
+};
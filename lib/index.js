@@ -0,0 +1,75 @@
+// Public entry point for the Canary dossier JavaScript SDK
+const { DossierClient } = require("./DossierClient");
+const { DossierFacade, Capability, detectContract } = require("./DossierFacade");
+const { DossierIndexer } = require("./DossierIndexer");
+const { DossierProjection } = require("./projection");
+const { DossierWatcher, NotificationType } = require("./DossierWatcher");
+const { ExpiryKeeper } = require("./ExpiryKeeper");
+const { StdoutSink, WebhookSink, FileSink } = require("./sinks");
+const { CheckInReminder } = require("./CheckInReminder");
+const { FileTransport, SmtpStubTransport } = require("./transports");
+const { GuardianInbox } = require("./guardian");
+const { RecipientFeed, RecipientState } = require("./recipient");
+const { DossierMigration, MigrationAction } = require("./migration");
+const { INTERFACE_IDS, deploymentWarnings } = require("./introspection");
+const { LocalConditionEvaluator, ConditionNotSatisfiedError, dossierCondition } = require("./taco");
+const { DossierStatus, ReleaseTrigger, computeStatus, computeLifecycle, decodeDossier } = require("./dossier");
+const {
+  SignedAction,
+  buildActionTypedData,
+  buildCheckInTypedData,
+  signAction,
+  signCheckIn,
+  recoverActionSigner,
+  recoverCheckInSigner
+} = require("./signatures");
+const { DossierRelayer, RelayRequestError, RateLimitError } = require("./DossierRelayer");
+const { loadArtifact } = require("./artifacts");
+const { DeploymentRegistry } = require("./registry");
+const errors = require("./errors");
+
+module.exports = {
+  DossierClient,
+  DossierFacade,
+  Capability,
+  detectContract,
+  DossierIndexer,
+  DossierProjection,
+  DossierWatcher,
+  NotificationType,
+  ExpiryKeeper,
+  StdoutSink,
+  WebhookSink,
+  FileSink,
+  CheckInReminder,
+  FileTransport,
+  SmtpStubTransport,
+  GuardianInbox,
+  RecipientFeed,
+  RecipientState,
+  DossierMigration,
+  MigrationAction,
+  INTERFACE_IDS,
+  deploymentWarnings,
+  LocalConditionEvaluator,
+  ConditionNotSatisfiedError,
+  dossierCondition,
+  DossierStatus,
+  ReleaseTrigger,
+  computeStatus,
+  computeLifecycle,
+  decodeDossier,
+  SignedAction,
+  buildActionTypedData,
+  buildCheckInTypedData,
+  signAction,
+  signCheckIn,
+  recoverActionSigner,
+  recoverCheckInSigner,
+  DossierRelayer,
+  RelayRequestError,
+  RateLimitError,
+  loadArtifact,
+  DeploymentRegistry,
+  ...errors
+};
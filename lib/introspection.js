@@ -0,0 +1,98 @@
+// On-chain version, feature groups and successor of the dossier contracts, and what they mean for users
+const { Interface, id } = require("ethers");
+const { CONTRACT_VERSIONS } = require("./artifacts");
+
+// Function signatures of each ERC-165 interface CanaryDossierV6 reports; mirrors DossierV6.sol
+const INTERFACE_FUNCTIONS = {
+  IERC165: ["supportsInterface(bytes4)"],
+  ICanaryDossierGuardians: [
+    "addGuardian(uint256,address)",
+    "removeGuardian(uint256,address)",
+    "updateGuardianThreshold(uint256,uint256)",
+    "confirmRelease(address,uint256)",
+    "revokeConfirmation(address,uint256)",
+    "hasGuardianConfirmed(address,uint256,address)"
+  ],
+  ICanaryDossierBatch: ["checkInAll()", "pauseAll()", "resumeAll()"],
+  ICanaryDossierReverseLookups: [
+    "getDossiersWhereGuardian(address)",
+    "getDossiersWhereRecipient(address)",
+    "getDossiersWhereGuardianPaginated(address,uint256,uint256)",
+    "getDossiersWhereRecipientPaginated(address,uint256,uint256)"
+  ]
+};
+
+/**
+ * @dev ERC-165 interface ID: the XOR of the function selectors
+ * @param {string[]} signatures
+ * @returns {string}
+ */
+function interfaceId(signatures) {
+  const xor = signatures.reduce((acc, signature) => acc ^ BigInt(id(signature).slice(0, 10)), 0n);
+  return `0x${xor.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * @dev Interface IDs to pass to supportsInterface, by interface name
+ */
+const INTERFACE_IDS = Object.freeze(
+  Object.fromEntries(Object.entries(INTERFACE_FUNCTIONS).map(([name, signatures]) => [name, interfaceId(signatures)]))
+);
+
+const versionProbe = new Interface(["function version() view returns (uint256)"]);
+
+/**
+ * @dev The version() the contract at `address` reports
+ * @returns {Promise<number | null>} null for contracts without version(), which revert
+ */
+async function readVersion({ address, provider }) {
+  try {
+    const data = await provider.call({ to: address, data: versionProbe.encodeFunctionData("version") });
+    return Number(versionProbe.decodeFunctionResult("version", data)[0]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @dev Reasons to move off the deployment a client points at, as messages for the user
+ * @param {import("./DossierClient").DossierClient} client
+ * @param {{ registry?: import("./registry").DeploymentRegistry }} [options] Registry to look up newer
+ *   contracts on the same chain in
+ * @returns {Promise<string[]>} Empty when the deployment is current
+ */
+async function deploymentWarnings(client, { registry } = {}) {
+  const version = CONTRACT_VERSIONS[client.contractName];
+  const warnings = [];
+
+  const successor = await client.getSuccessor();
+  if (successor) {
+    warnings.push(`${client.contractName} at ${client.address} is deprecated; its operator points to ${successor}`);
+  }
+
+  if (registry) {
+    const { chainId } = await client.provider.getNetwork();
+    const newer = Object.keys(CONTRACT_VERSIONS)
+      .filter((contractName) => CONTRACT_VERSIONS[contractName] > version)
+      .sort((a, b) => CONTRACT_VERSIONS[b] - CONTRACT_VERSIONS[a])
+      .map((contractName) => registry.current({ contractName, chainId }))
+      .find(Boolean);
+    if (newer) {
+      warnings.push(
+        `${client.contractName} at ${client.address} is an old deployment; ${newer.contractName} is at ${newer.address}`
+      );
+    }
+  }
+
+  if (warnings.length > 0 && version <= 2) {
+    warnings.push("Move your dossiers to a newer contract with `npx hardhat dossier:migrate`");
+  }
+  return warnings;
+}
+
+module.exports = {
+  INTERFACE_IDS,
+  interfaceId,
+  readVersion,
+  deploymentWarnings
+};
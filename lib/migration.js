@@ -0,0 +1,250 @@
+// Move an owner's dossiers from a CanaryDossier or CanaryDossierV2 deployment to V3 (or later)
+const { Contract } = require("ethers");
+const { CONTRACT_VERSIONS, loadArtifact } = require("./artifacts");
+const { wrapError } = require("./errors");
+
+/**
+ * @dev What the migration does with one source dossier
+ * @enum {string}
+ */
+const MigrationAction = Object.freeze({
+  MIGRATE: "migrate",
+  SKIP: "skip"
+});
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {bigint} sourceId Dossier ID on the source contract
+ * @property {string} action One of MigrationAction
+ * @property {string | null} reason Why the dossier is skipped
+ * @property {string} name
+ * @property {string} description
+ * @property {bigint} checkInInterval
+ * @property {string[]} recipients
+ * @property {string[]} files encryptedFileHashes
+ * @property {boolean} paused Recreated paused
+ */
+
+/**
+ * @typedef {Object} MigrationPlan
+ * @property {string} owner
+ * @property {{ address: string, contractName: string }} source
+ * @property {{ address: string, contractName: string }} target
+ * @property {MigrationStep[]} steps One per source dossier, in ID order
+ */
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {bigint} sourceId
+ * @property {bigint} dossierId ID of the copy on the target contract
+ * @property {boolean} paused
+ * @property {boolean} resumed Whether the copy was left by an earlier run that stopped before
+ *   disabling the original
+ * @property {string[]} txHashes Create, pause (if paused) and disable, in that order, leaving out
+ *   what an earlier run already did
+ */
+
+/**
+ * @dev Why a source dossier cannot be migrated, or null
+ * @notice Released dossiers are already out, and recreating one whose check-in was missed would
+ *   reset its deadline and seal data recipients may already be able to decrypt
+ * @param {any} raw getDossier() result of the source contract
+ * @param {{ gracePeriod: bigint, now: bigint }} context
+ * @returns {string | null}
+ */
+function skipReason(raw, { gracePeriod, now }) {
+  if (raw.isPermanentlyDisabled) return "permanently disabled";
+  if (raw.isReleased) return "released";
+  if (raw.isActive && now > raw.lastCheckIn + raw.checkInInterval + gracePeriod) return "check-in missed";
+  return null;
+}
+
+/**
+ * @dev Target dossiers that may be copies an earlier run created for a dossier it did not finish
+ * @notice Migration never releases or disables a copy. Copies of originals an earlier run did
+ *   disable are left out, so they cannot stand in for another dossier with the same contents.
+ * @param {import("./dossier").Dossier[]} existing The owner's dossiers on the target
+ * @param {MigrationStep[]} steps
+ * @returns {import("./dossier").Dossier[]}
+ */
+function unclaimedCopies(existing, steps) {
+  const copies = existing.filter((dossier) => !dossier.isReleased && !dossier.isPermanentlyDisabled);
+  for (const step of steps.filter((s) => s.reason === "permanently disabled")) {
+    takeCopy(copies, step);
+  }
+  return copies;
+}
+
+/**
+ * @dev Remove and return the first copy of a step's dossier, or null
+ * @notice Removing it keeps two identical source dossiers from claiming the same copy
+ * @param {import("./dossier").Dossier[]} copies
+ * @param {MigrationStep} step
+ * @returns {import("./dossier").Dossier | null}
+ */
+function takeCopy(copies, step) {
+  const same = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+  const index = copies.findIndex(
+    (copy) =>
+      copy.name === step.name &&
+      copy.description === step.description &&
+      copy.checkInInterval === step.checkInInterval &&
+      same(copy.recipients, step.recipients) &&
+      same(copy.encryptedFileHashes, step.files)
+  );
+  return index === -1 ? null : copies.splice(index, 1)[0];
+}
+
+/**
+ * @dev Recreate an owner's CanaryDossier (V1) or CanaryDossierV2 dossiers on a newer contract and
+ *   permanently disable the originals
+ * @notice The copies keep name, description, interval, recipients, files and pause state; their
+ *   deadline starts over as if the owner had just checked in. Disabled originals are skipped, and
+ *   a live copy on the target with the same name, description, interval, recipients and files is
+ *   reused instead of created again, so running the migration again after a failure picks up
+ *   where it stopped.
+ */
+class DossierMigration {
+  /**
+   * @param {Object} options
+   * @param {string} options.sourceAddress
+   * @param {string} [options.sourceContractName] CanaryDossier or CanaryDossierV2
+   * @param {import("./DossierClient").DossierClient} options.client Target contract, connected to the owner
+   */
+  constructor({ sourceAddress, sourceContractName = "CanaryDossierV2", client }) {
+    if (!(CONTRACT_VERSIONS[sourceContractName] <= 2)) {
+      throw new Error(`Cannot migrate from ${sourceContractName}; use CanaryDossier or CanaryDossierV2`);
+    }
+    if (!(CONTRACT_VERSIONS[client.contractName] >= 3)) {
+      throw new Error(`Cannot migrate to ${client.contractName}; use CanaryDossierV3 or later`);
+    }
+    this.sourceContractName = sourceContractName;
+    this.client = client;
+    this.source = new Contract(sourceAddress, loadArtifact(sourceContractName).abi, client.runner);
+  }
+
+  /**
+   * @dev Read every dossier of `owner` on the source contract and decide what to do with it
+   * @returns {Promise<MigrationPlan>}
+   */
+  async plan({ owner }) {
+    const [ids, gracePeriod, now, existing, maxDossiers] = await Promise.all([
+      this._call("getUserDossierIds", [owner]),
+      this._call("GRACE_PERIOD", []),
+      this.client.getTimestamp(),
+      this.client.listDossiers({ owner }),
+      this.client.contract.MAX_DOSSIERS_PER_USER()
+    ]);
+    const raws = await Promise.all(ids.map((dossierId) => this._call("getDossier", [owner, dossierId])));
+
+    const steps = raws.map((raw, i) => {
+      const reason = skipReason(raw, { gracePeriod, now });
+      return {
+        sourceId: ids[i],
+        action: reason ? MigrationAction.SKIP : MigrationAction.MIGRATE,
+        reason,
+        name: raw.name,
+        description: raw.description,
+        checkInInterval: raw.checkInInterval,
+        recipients: [...raw.recipients],
+        files: [...raw.encryptedFileHashes],
+        // Released and disabled dossiers are inactive too
+        paused: !raw.isActive && !raw.isReleased && !raw.isPermanentlyDisabled
+      };
+    });
+
+    // A copy from an earlier run takes no more room
+    let room = maxDossiers - BigInt(existing.length);
+    const copies = unclaimedCopies(existing, steps);
+    for (const step of steps) {
+      if (step.action !== MigrationAction.MIGRATE || takeCopy(copies, step) !== null) {
+        continue;
+      }
+      if (room <= 0n) {
+        step.action = MigrationAction.SKIP;
+        step.reason = "target dossier limit reached";
+      } else {
+        room--;
+      }
+    }
+
+    return {
+      owner,
+      source: { address: await this.source.getAddress(), contractName: this.sourceContractName },
+      target: { address: this.client.address, contractName: this.client.contractName },
+      steps
+    };
+  }
+
+  /**
+   * @dev Carry out the migrate steps of a plan, one dossier at a time
+   * @notice Each copy is created (and paused) before its original is disabled, so a failure
+   *   never leaves a dossier without a live copy. Copies an earlier run created are looked up
+   *   first and only the steps it did not finish are sent.
+   * @param {MigrationPlan} plan
+   * @param {{ onMigrated?: function(MigrationResult): void }} [options]
+   * @returns {Promise<MigrationResult[]>}
+   */
+  async execute(plan, { onMigrated } = {}) {
+    const signer = this.client.runner;
+    const address = signer && typeof signer.getAddress === "function" ? await signer.getAddress() : null;
+    if (!address || address.toLowerCase() !== plan.owner.toLowerCase()) {
+      throw new Error(`Only the owner ${plan.owner} can migrate their dossiers`);
+    }
+
+    const copies = unclaimedCopies(await this.client.listDossiers({ owner: plan.owner }), plan.steps);
+    const results = [];
+    for (const step of plan.steps.filter((s) => s.action === MigrationAction.MIGRATE)) {
+      const txHashes = [];
+      const copy = takeCopy(copies, step);
+      let dossierId;
+      if (copy) {
+        dossierId = copy.id;
+      } else {
+        let receipt;
+        ({ dossierId, receipt } = await this.client.createDossier({
+          name: step.name,
+          description: step.description,
+          checkInInterval: step.checkInInterval,
+          recipients: step.recipients,
+          files: step.files
+        }));
+        txHashes.push(receipt.hash);
+      }
+      if (step.paused && (!copy || copy.isActive)) {
+        txHashes.push((await this.client.pause({ dossierId })).hash);
+      }
+      txHashes.push((await this._send("permanentlyDisableDossier", [step.sourceId])).hash);
+
+      const result = { sourceId: step.sourceId, dossierId, paused: step.paused, resumed: copy !== null, txHashes };
+      results.push(result);
+      if (onMigrated) {
+        onMigrated(result);
+      }
+    }
+    return results;
+  }
+
+  async _call(method, args) {
+    try {
+      return await this.source[method](...args);
+    } catch (error) {
+      throw wrapError(error);
+    }
+  }
+
+  async _send(method, args) {
+    try {
+      const tx = await this.source[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw wrapError(error);
+    }
+  }
+}
+
+module.exports = {
+  DossierMigration,
+  MigrationAction,
+  skipReason
+};
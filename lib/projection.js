@@ -0,0 +1,250 @@
+// In-memory projection of dossier state rebuilt from contract events
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} name Event name, e.g. "CheckInPerformed"
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {number} logIndex
+ * @property {string} transactionHash
+ * @property {bigint} timestamp Block timestamp
+ * @property {Object} args Decoded event arguments by name
+ * @property {Object} [creation] createDossier parameters, only on DossierCreated
+ */
+
+/**
+ * @typedef {Object} ProjectedDossier
+ * @property {string} owner
+ * @property {bigint} id
+ * @property {string} name
+ * @property {string} description
+ * @property {boolean} isActive
+ * @property {boolean} isPermanentlyDisabled
+ * @property {boolean} isReleased
+ * @property {bigint} checkInInterval
+ * @property {bigint} lastCheckIn
+ * @property {string[]} encryptedFileHashes
+ * @property {string[]} recipients
+ * @property {string[]} guardians
+ * @property {bigint} guardianThreshold
+ * @property {bigint} guardianConfirmationCount
+ * @property {bigint | undefined} gracePeriod Per-dossier grace period (CanaryDossierV6), undefined before
+ * @property {string[]} confirmedGuardians
+ * @property {{ timestamp: bigint, blockNumber: number, transactionHash: string }[]} checkIns
+ * @property {number} createdAtBlock
+ * @property {number} updatedAtBlock
+ */
+
+function dossierKey(owner, dossierId) {
+  return `${owner.toLowerCase()}:${BigInt(dossierId)}`;
+}
+
+/**
+ * @dev Remove an element the way the contracts do: move the last element into its slot
+ */
+function swapRemove(list, value) {
+  const index = list.findIndex((item) => item.toLowerCase() === value.toLowerCase());
+  if (index === -1) {
+    return false;
+  }
+  list[index] = list[list.length - 1];
+  list.pop();
+  return true;
+}
+
+class DossierProjection {
+  constructor() {
+    this.dossiers = new Map();
+  }
+
+  /**
+   * @returns {ProjectedDossier | undefined}
+   */
+  get(owner, dossierId) {
+    return this.dossiers.get(dossierKey(owner, dossierId));
+  }
+
+  /**
+   * @returns {ProjectedDossier[]}
+   */
+  all() {
+    return [...this.dossiers.values()];
+  }
+
+  byOwner(owner) {
+    return this.all().filter((d) => d.owner.toLowerCase() === owner.toLowerCase());
+  }
+
+  byGuardian(guardian) {
+    return this.all().filter((d) => d.guardians.some((g) => g.toLowerCase() === guardian.toLowerCase()));
+  }
+
+  byRecipient(recipient) {
+    return this.all().filter((d) => d.recipients.some((r) => r.toLowerCase() === recipient.toLowerCase()));
+  }
+
+  clear() {
+    this.dossiers.clear();
+  }
+
+  /**
+   * @dev Apply one event to the projection
+   * @param {IndexedEvent} event
+   * @returns {ProjectedDossier | undefined} The dossier the event touched
+   */
+  apply(event) {
+    const { user, dossierId } = event.args;
+
+    if (event.name === "DossierCreated") {
+      const { creation } = event;
+      const dossier = {
+        owner: user,
+        id: dossierId,
+        name: event.args.name,
+        description: creation.description,
+        isActive: true,
+        isPermanentlyDisabled: false,
+        isReleased: false,
+        checkInInterval: creation.checkInInterval,
+        lastCheckIn: event.timestamp,
+        encryptedFileHashes: [...creation.encryptedFileHashes],
+        recipients: [...creation.recipients],
+        guardians: [...creation.guardians],
+        guardianThreshold: creation.guardianThreshold,
+        guardianConfirmationCount: 0n,
+        gracePeriod: creation.gracePeriod,
+        confirmedGuardians: [],
+        checkIns: [],
+        createdAtBlock: event.blockNumber,
+        updatedAtBlock: event.blockNumber
+      };
+      this.dossiers.set(dossierKey(user, dossierId), dossier);
+      return dossier;
+    }
+
+    const dossier = this.get(user, dossierId);
+    if (!dossier) {
+      // Event for a dossier created before the start block
+      return undefined;
+    }
+    dossier.updatedAtBlock = event.blockNumber;
+
+    switch (event.name) {
+      case "CheckInPerformed":
+        dossier.lastCheckIn = event.timestamp;
+        dossier.checkIns.push({
+          timestamp: event.timestamp,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash
+        });
+        break;
+      case "DossierPaused":
+        dossier.isActive = false;
+        break;
+      case "DossierResumed":
+        dossier.isActive = true;
+        dossier.lastCheckIn = event.timestamp;
+        break;
+      case "DossierReleased":
+      case "DossierExpiryFinalized":
+        dossier.isReleased = true;
+        dossier.isActive = false;
+        break;
+      case "DossierPermanentlyDisabled":
+        dossier.isPermanentlyDisabled = true;
+        dossier.isActive = false;
+        break;
+      case "CheckInIntervalUpdated":
+        dossier.checkInInterval = event.args.newInterval;
+        break;
+      case "GracePeriodUpdated":
+        dossier.gracePeriod = event.args.newGracePeriod;
+        break;
+      case "FileHashAdded":
+        dossier.encryptedFileHashes.push(event.args.fileHash);
+        break;
+      case "RecipientAdded":
+        dossier.recipients.push(event.args.recipient);
+        break;
+      case "RecipientRemoved":
+        swapRemove(dossier.recipients, event.args.recipient);
+        break;
+      case "GuardianAdded":
+        dossier.guardians.push(event.args.guardian);
+        if (dossier.guardianThreshold === 0n) {
+          dossier.guardianThreshold = 1n;
+        }
+        break;
+      case "GuardianRemoved": {
+        if (swapRemove(dossier.confirmedGuardians, event.args.guardian)) {
+          dossier.guardianConfirmationCount--;
+        }
+        swapRemove(dossier.guardians, event.args.guardian);
+        const guardianCount = BigInt(dossier.guardians.length);
+        if (dossier.guardianThreshold > guardianCount) {
+          dossier.guardianThreshold = guardianCount;
+        }
+        break;
+      }
+      case "GuardianThresholdUpdated":
+        dossier.guardianThreshold = event.args.newThreshold;
+        break;
+      case "GuardianConfirmed":
+        dossier.confirmedGuardians.push(event.args.guardian);
+        dossier.guardianConfirmationCount++;
+        break;
+      case "GuardianRevokedConfirmation":
+        swapRemove(dossier.confirmedGuardians, event.args.guardian);
+        dossier.guardianConfirmationCount--;
+        break;
+      case "DossierRecovered":
+        // Same dossier under its new (owner, id)
+        this.dossiers.delete(dossierKey(user, dossierId));
+        dossier.owner = event.args.newOwner;
+        dossier.id = event.args.newDossierId;
+        this.dossiers.set(dossierKey(dossier.owner, dossier.id), dossier);
+        break;
+      default:
+        break;
+    }
+
+    return dossier;
+  }
+}
+
+const COMPARED_FIELDS = [
+  "name",
+  "description",
+  "isActive",
+  "isPermanentlyDisabled",
+  "isReleased",
+  "checkInInterval",
+  "lastCheckIn",
+  "encryptedFileHashes",
+  "recipients",
+  "guardians",
+  "guardianThreshold",
+  "guardianConfirmationCount",
+  "gracePeriod"
+];
+
+/**
+ * @dev List the fields where a projected dossier differs from a getDossier() result
+ * @returns {string[]}
+ */
+function diffDossier(projected, raw) {
+  return COMPARED_FIELDS.filter((field) => {
+    const expected = raw[field];
+    const actual = projected[field];
+    if (Array.isArray(actual)) {
+      return JSON.stringify([...actual]) !== JSON.stringify([...expected]);
+    }
+    return actual !== expected;
+  });
+}
+
+module.exports = {
+  DossierProjection,
+  dossierKey,
+  diffDossier
+};
@@ -0,0 +1,299 @@
+// Recipient-side view of dossiers: release state, file manifests and a release feed
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { CONTRACT_VERSIONS } = require("./artifacts");
+const { DossierStatus } = require("./dossier");
+
+/**
+ * @dev Whether a recipient can decrypt a dossier's files
+ * @enum {string}
+ */
+const RecipientState = Object.freeze({
+  SEALED: "sealed",
+  PENDING_GUARDIANS: "pending-guardians",
+  VETOED: "vetoed",
+  DECRYPTABLE: "decryptable"
+});
+
+/**
+ * @dev Classify a decoded dossier the way shouldDossierStayEncrypted does
+ * @notice Released or expired dossiers with guardians stay encrypted until the confirmation
+ *   threshold is met; that case is reported as pending-guardians rather than sealed. Expired
+ *   dossiers held back by guardian vetoes (CanaryDossierV6) are reported as vetoed.
+ * @param {import("./dossier").Dossier} dossier Decoded with `now` at the latest block
+ * @param {boolean} [vetoed] isReleaseVetoed(owner, id)
+ * @returns {string} One of RecipientState
+ */
+function classifyForRecipient(dossier, vetoed = false) {
+  const triggered = dossier.status === DossierStatus.RELEASED || dossier.status === DossierStatus.EXPIRED;
+  if (!triggered) {
+    return RecipientState.SEALED;
+  }
+  // releaseNow is never held back by a veto
+  if (vetoed && dossier.status === DossierStatus.EXPIRED) {
+    return RecipientState.VETOED;
+  }
+  if (dossier.guardians.length > 0 && dossier.guardianConfirmationCount < dossier.guardianThreshold) {
+    return RecipientState.PENDING_GUARDIANS;
+  }
+  return RecipientState.DECRYPTABLE;
+}
+
+/**
+ * @typedef {Object} RecipientEntry
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {string} name
+ * @property {string} state One of RecipientState
+ * @property {string} status One of DossierStatus
+ * @property {bigint} confirmations
+ * @property {bigint} threshold
+ * @property {number} tier Release tier the recipient belongs to, 0 for the dossier's own recipients
+ * @property {string[]} files encryptedFileHashes of that tier
+ * @property {bigint} sealedUntil Timestamp after which the tier releases if the current deadline is missed
+ * @property {import("./dossier").Dossier} dossier
+ */
+
+function refKey({ owner, dossierId }) {
+  return `${owner.toLowerCase()}:${BigInt(dossierId)}`;
+}
+
+/**
+ * @dev Dossiers addressed to one recipient, with a manifest of decryptable files
+ * @notice poll()/start() follow DossierReleased and GuardianConfirmed logs (and on V6 the veto
+ *   logs), pick up newly addressed dossiers and re-check sealed ones whose grace period has
+ *   ended and vetoed ones, since neither expiry nor the end of a veto window emits an event.
+ *   Recipients of a release tier (CanaryDossierV6) see that tier's files, sealed until its delay
+ *   has passed as well.
+ *   Emits "decryptable" (RecipientEntry) when a dossier becomes decryptable and
+ *   "error" (error) when a poll fails while started.
+ */
+class RecipientFeed extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import("./DossierClient").DossierClient} options.client
+   * @param {string} options.recipient
+   * @param {string} [options.manifest] File to rewrite whenever the decryptable set changes
+   * @param {number} [options.pollInterval] Milliseconds between polls while started
+   */
+  constructor({ client, recipient, manifest, pollInterval = 15000 }) {
+    super();
+    if (!recipient) {
+      throw new Error("RecipientFeed requires a recipient address");
+    }
+    this.client = client;
+    this.recipient = recipient;
+    this.manifest = manifest;
+    this.pollInterval = pollInterval;
+    this.supportsVeto = CONTRACT_VERSIONS[client.contractName] >= 6;
+    this.supportsTiers = CONTRACT_VERSIONS[client.contractName] >= 6;
+
+    this.entries = new Map();
+    this.lastBlock = undefined;
+    this._timer = undefined;
+  }
+
+  /**
+   * @dev Fetch and classify every dossier addressed to the recipient
+   * @returns {Promise<RecipientEntry[]>}
+   */
+  async list() {
+    const refs = await this.client.getDossiersWhereRecipient({ recipient: this.recipient });
+    const entries = await Promise.all(refs.map((ref) => this.get(ref)));
+    this.entries = new Map(entries.map((entry) => [refKey(entry), entry]));
+    return entries;
+  }
+
+  /**
+   * @returns {Promise<RecipientEntry[]>}
+   */
+  async decryptable() {
+    return (await this.list()).filter((entry) => entry.state === RecipientState.DECRYPTABLE);
+  }
+
+  /**
+   * @returns {Promise<RecipientEntry>}
+   */
+  async get({ owner, dossierId }) {
+    const [dossier, vetoed, tiers] = await Promise.all([
+      this.client.getDossier({ owner, dossierId }),
+      this.supportsVeto && this.client.isReleaseVetoed({ owner, dossierId }),
+      this.supportsTiers ? this.client.getReleaseTiers({ owner, dossierId }) : []
+    ]);
+    const recipient = this.recipient.toLowerCase();
+    const tier = tiers.find((candidate) => candidate.recipients.some((r) => r.toLowerCase() === recipient));
+
+    let state = classifyForRecipient(dossier, vetoed);
+    // The dossier releasing is not enough for a later tier, whose delay may still be running
+    if (
+      tier &&
+      state === RecipientState.DECRYPTABLE &&
+      (await this.client.shouldTierStayEncrypted({ owner, dossierId, tier: tier.tier }))
+    ) {
+      state = RecipientState.SEALED;
+    }
+    return {
+      owner,
+      dossierId,
+      name: dossier.name,
+      state,
+      status: dossier.status,
+      confirmations: dossier.guardianConfirmationCount,
+      threshold: dossier.guardianThreshold,
+      tier: tier ? tier.tier : 0,
+      files: tier ? tier.files : dossier.encryptedFileHashes,
+      sealedUntil: tier ? tier.sealedUntil : dossier.graceEndsAt,
+      dossier
+    };
+  }
+
+  /**
+   * @dev Manifest of the decryptable dossiers' files, for download tooling
+   * @param {RecipientEntry[]} [entries] Defaults to the last listed entries
+   */
+  buildManifest(entries = [...this.entries.values()]) {
+    return {
+      recipient: this.recipient,
+      contract: this.client.address,
+      generatedAt: new Date().toISOString(),
+      dossiers: entries
+        .filter((entry) => entry.state === RecipientState.DECRYPTABLE)
+        .map((entry) => ({
+          owner: entry.owner,
+          dossierId: entry.dossierId.toString(),
+          name: entry.name,
+          status: entry.status,
+          files: [...entry.files]
+        }))
+    };
+  }
+
+  /**
+   * @dev Write the manifest as JSON
+   * @returns {Object} The manifest written
+   */
+  writeManifest(file = this.manifest, entries) {
+    if (!file) {
+      throw new Error("No manifest file configured");
+    }
+    const manifest = this.buildManifest(entries);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifest;
+  }
+
+  /**
+   * @dev Pick up releases since the last poll
+   * @returns {Promise<RecipientEntry[]>} Entries that became decryptable
+   */
+  async poll() {
+    const head = await this.client.provider.getBlockNumber();
+    if (this.lastBlock === undefined) {
+      const entries = await this.list();
+      this.lastBlock = head;
+      return this._announce(entries.filter((entry) => entry.state === RecipientState.DECRYPTABLE));
+    }
+    if (head <= this.lastBlock) {
+      return [];
+    }
+
+    const refs = new Map();
+    for (const ref of await this._eventRefs(this.lastBlock + 1, head)) {
+      refs.set(refKey(ref), ref);
+    }
+    // Dossiers addressed to the recipient since the last poll (at creation or via addRecipient)
+    for (const ref of await this.client.getDossiersWhereRecipient({ recipient: this.recipient })) {
+      if (!this.entries.has(refKey(ref))) {
+        refs.set(refKey(ref), ref);
+      }
+    }
+    // Expiry has no event: re-check sealed dossiers whose grace period (and tier delay) has passed,
+    // and vetoed ones whose veto window may have. A finalized expiry is released but leaves a
+    // tier's delay running
+    const now = await this.client.getTimestamp();
+    for (const [key, entry] of this.entries) {
+      const running = entry.dossier.isActive || entry.dossier.isReleased;
+      const expired = entry.state === RecipientState.SEALED && running && now > entry.sealedUntil;
+      if (expired || entry.state === RecipientState.VETOED) {
+        refs.set(key, entry);
+      }
+    }
+    this.lastBlock = head;
+
+    const changed = [];
+    let withdrawn = false;
+    for (const [key, ref] of refs) {
+      const previous = this.entries.get(key);
+      const entry = await this.get(ref);
+      this.entries.set(key, entry);
+      const wasDecryptable = previous && previous.state === RecipientState.DECRYPTABLE;
+      if (entry.state === RecipientState.DECRYPTABLE && !wasDecryptable) {
+        changed.push(entry);
+      }
+      // A veto cast after expiry takes an expired dossier out of the manifest again
+      withdrawn = withdrawn || (wasDecryptable && entry.state !== RecipientState.DECRYPTABLE);
+    }
+    if (withdrawn && changed.length === 0 && this.manifest) {
+      this.writeManifest();
+    }
+    return this._announce(changed);
+  }
+
+  /**
+   * @dev Poll now and then every pollInterval until stop()
+   */
+  async start() {
+    this._timer = null;
+    await this._tick();
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+  }
+
+  async _tick() {
+    try {
+      await this.poll();
+    } catch (error) {
+      this.emit("error", error);
+    }
+    if (this._timer !== undefined) {
+      this._timer = setTimeout(() => this._tick(), this.pollInterval);
+    }
+  }
+
+  /**
+   * @dev Known dossiers touched by DossierReleased, GuardianConfirmed or a veto in a block range
+   */
+  async _eventRefs(fromBlock, toBlock) {
+    const { contract } = this.client;
+    const filters = [contract.filters.DossierReleased(), contract.filters.GuardianConfirmed()];
+    if (this.supportsVeto) {
+      filters.push(contract.filters.ReleaseVetoed(), contract.filters.VetoRevoked());
+    }
+    const logs = await Promise.all(filters.map((filter) => contract.queryFilter(filter, fromBlock, toBlock)));
+
+    return logs
+      .flat()
+      .map((log) => ({ owner: log.args.user, dossierId: log.args.dossierId }))
+      .filter((ref) => this.entries.has(refKey(ref)));
+  }
+
+  _announce(entries) {
+    if (entries.length > 0 && this.manifest) {
+      this.writeManifest();
+    }
+    for (const entry of entries) {
+      this.emit("decryptable", entry);
+    }
+    return entries;
+  }
+}
+
+module.exports = {
+  RecipientFeed,
+  RecipientState,
+  classifyForRecipient
+};
@@ -0,0 +1,228 @@
+// Deployment registry: canonical current address per contract, version and chain
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toUtf8Bytes } = require("ethers");
+const { CONTRACT_SOURCES, CONTRACT_VERSIONS } = require("./artifacts");
+
+const DEFAULT_REGISTRY_PATH = path.resolve(__dirname, "..", "deployments", "registry.json");
+
+/**
+ * @typedef {Object} DeploymentRecord
+ * @property {string} contractName
+ * @property {number} version
+ * @property {number} chainId
+ * @property {string} network Hardhat network name
+ * @property {string} address
+ * @property {string} deployer
+ * @property {string} txHash
+ * @property {number | null} blockNumber
+ * @property {string} timestamp ISO-8601 deployment time
+ * @property {string | null} explorerUrl
+ * @property {string | null} abiHash keccak256 of the JSON-encoded ABI
+ * @property {string | null} bytecodeHash keccak256 of the creation bytecode
+ * @property {{ version: string, settings: Object } | null} compiler
+ */
+
+function entryKey(contractName, version) {
+  return `${contractName}@${version}`;
+}
+
+class DeploymentRegistry {
+  /**
+   * @param {{ file?: string }} [options]
+   */
+  constructor({ file = DEFAULT_REGISTRY_PATH } = {}) {
+    this.file = file;
+    this.data = { chains: {} };
+
+    if (fs.existsSync(file)) {
+      this.data = JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + "\n");
+  }
+
+  /**
+   * @dev Add a deployment to the history and make it current for its key
+   * @param {DeploymentRecord} record
+   * @returns {DeploymentRecord}
+   */
+  record(record) {
+    const { contractName, chainId, version: explicitVersion, ...details } = record;
+    const version = explicitVersion ?? CONTRACT_VERSIONS[contractName];
+    if (version === undefined) {
+      throw new Error(`No version known for ${contractName}; pass one explicitly`);
+    }
+
+    const full = { contractName, version, chainId: Number(chainId), ...details };
+    const chain = (this.data.chains[String(full.chainId)] ??= {});
+    const entry = (chain[entryKey(contractName, version)] ??= {
+      contractName,
+      version,
+      current: null,
+      history: []
+    });
+
+    entry.history.push(full);
+    entry.current = full.address;
+    this.save();
+
+    return full;
+  }
+
+  /**
+   * @dev The current deployment for a contract on a chain
+   * @notice Without a version, the highest recorded version is used
+   * @returns {DeploymentRecord | undefined}
+   */
+  current({ contractName, chainId, version }) {
+    const entry = this._entry({ contractName, chainId, version });
+    if (!entry || !entry.current) {
+      return undefined;
+    }
+    return [...entry.history].reverse().find((r) => r.address === entry.current);
+  }
+
+  /**
+   * @dev All deployments for a contract on a chain, oldest first
+   * @returns {DeploymentRecord[]}
+   */
+  history({ contractName, chainId, version }) {
+    const entry = this._entry({ contractName, chainId, version });
+    return entry ? [...entry.history] : [];
+  }
+
+  /**
+   * @dev Every recorded deployment, optionally restricted to one chain
+   * @returns {(DeploymentRecord & { isCurrent: boolean })[]}
+   */
+  list({ chainId } = {}) {
+    const chainIds = chainId === undefined ? Object.keys(this.data.chains) : [String(chainId)];
+    const records = [];
+
+    for (const id of chainIds) {
+      for (const entry of Object.values(this.data.chains[id] || {})) {
+        for (const record of entry.history) {
+          records.push({ ...record, isCurrent: record.address === entry.current });
+        }
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * @dev Point the current deployment back at a previously recorded address
+   */
+  setCurrent({ contractName, chainId, version, address }) {
+    const entry = this._entry({ contractName, chainId, version });
+    if (!entry || !entry.history.some((r) => r.address.toLowerCase() === address.toLowerCase())) {
+      throw new Error(`${address} is not a recorded deployment of ${contractName} on chain ${chainId}`);
+    }
+
+    entry.current = entry.history.find((r) => r.address.toLowerCase() === address.toLowerCase()).address;
+    this.save();
+  }
+
+  _entry({ contractName, chainId, version }) {
+    const chain = this.data.chains[String(chainId)];
+    if (!chain) {
+      return undefined;
+    }
+
+    if (version !== undefined) {
+      return chain[entryKey(contractName, version)];
+    }
+
+    return Object.values(chain)
+      .filter((entry) => entry.contractName === contractName)
+      .sort((a, b) => b.version - a.version)[0];
+  }
+}
+
+function hashJson(value) {
+  return keccak256(toUtf8Bytes(JSON.stringify(value)));
+}
+
+/**
+ * @dev Build a DeploymentRecord for a freshly deployed contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ */
+async function buildDeploymentRecord(hre, { contractName, contract, deployer, explorerUrl = null }) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `contracts/${CONTRACT_SOURCES[contractName]}:${contractName}`
+  );
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = await deploymentTx.wait();
+
+  let compiler = null;
+  if (buildInfo) {
+    const { outputSelection, ...settings } = buildInfo.input.settings;
+    compiler = { version: buildInfo.solcLongVersion, settings };
+  }
+
+  return {
+    contractName,
+    version: CONTRACT_VERSIONS[contractName],
+    chainId: Number(chainId),
+    network: hre.network.name,
+    address: await contract.getAddress(),
+    deployer,
+    txHash: deploymentTx.hash,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date().toISOString(),
+    explorerUrl,
+    abiHash: hashJson(artifact.abi),
+    bytecodeHash: keccak256(artifact.bytecode),
+    compiler
+  };
+}
+
+/**
+ * @dev Set `key=value` in an env file, appending it with a comment if missing
+ */
+function updateEnvFile(envFile, key, value, comment) {
+  let envContent = fs.existsSync(envFile) ? fs.readFileSync(envFile, "utf8") : "";
+  const envLine = `${key}=${value}`;
+  const pattern = new RegExp(`^${key}=.*$`, "m");
+
+  if (pattern.test(envContent)) {
+    envContent = envContent.replace(new RegExp(`^${key}=.*$`, "gm"), envLine);
+  } else {
+    envContent += `\n# ${comment}\n${envLine}\n`;
+  }
+
+  fs.writeFileSync(envFile, envContent);
+}
+
+/**
+ * @dev Write the registry's current address for a contract into an env file
+ * @returns {DeploymentRecord}
+ */
+function syncEnvFile(registry, { envFile, key, contractName, chainId, version }) {
+  const current = registry.current({ contractName, chainId, version });
+  if (!current) {
+    throw new Error(`No current ${contractName} deployment on chain ${chainId}`);
+  }
+
+  updateEnvFile(
+    envFile,
+    key,
+    current.address,
+    `${contractName} v${current.version} on ${current.network} (Deployed ${current.timestamp})`
+  );
+  return current;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_PATH,
+  DeploymentRegistry,
+  buildDeploymentRecord,
+  updateEnvFile,
+  syncEnvFile
+};
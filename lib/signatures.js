@@ -0,0 +1,170 @@
+// EIP-712 owner signatures for CanaryDossierV4 and later (checkInWithSig, pauseWithSig, resumeWithSig)
+const { verifyTypedData } = require("ethers");
+
+// Must match NAME_HASH in DossierV4.sol and later; VERSION_HASH is the contract's major version
+const DOMAIN_NAME = "CanaryDossier";
+const DEFAULT_DOMAIN_VERSION = 4;
+
+// Typed-data primary type of each action an owner can sign for a relayer
+const SignedAction = Object.freeze({
+  CHECK_IN: "CheckIn",
+  PAUSE: "Pause",
+  RESUME: "Resume"
+});
+
+// Every action signs the same fields; only the type name (and so the typehash) differs
+const ACTION_FIELDS = [
+  { name: "owner", type: "address" },
+  { name: "dossierId", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+  { name: "deadline", type: "uint256" }
+];
+
+const CHECK_IN_TYPES = { [SignedAction.CHECK_IN]: ACTION_FIELDS };
+
+/**
+ * @typedef {Object} SignedRequest
+ * @property {string} action One of SignedAction
+ * @property {string} owner
+ * @property {bigint} dossierId
+ * @property {bigint} nonce The owner's nonces() value when signed
+ * @property {bigint} deadline Unix timestamp after which the signature is rejected
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {SignedRequest} SignedCheckIn
+ */
+
+/**
+ * @dev EIP-712 domain of a CanaryDossierV4 (or later) deployment
+ * @param {{ chainId: number | bigint, contractAddress: string, version?: number }} params
+ *   `version` is the contract's major version, 4 unless given
+ */
+function checkInDomain({ chainId, contractAddress, version = DEFAULT_DOMAIN_VERSION }) {
+  return {
+    name: DOMAIN_NAME,
+    version: String(version),
+    chainId: BigInt(chainId),
+    verifyingContract: contractAddress
+  };
+}
+
+function assertAction(action) {
+  if (!Object.values(SignedAction).includes(action)) {
+    throw new Error(`Unknown signed action "${action}", expected ${Object.values(SignedAction).join(", ")}`);
+  }
+}
+
+/**
+ * @dev Typed data for one owner action, in the shape eth_signTypedData_v4 and ethers expect
+ * @param {Object} params
+ * @param {string} params.action One of SignedAction
+ * @param {number | bigint} params.chainId
+ * @param {string} params.contractAddress
+ * @param {number} [params.version] Contract major version, 4 unless given
+ * @param {string} params.owner
+ * @param {number | bigint} params.dossierId
+ * @param {number | bigint} params.nonce
+ * @param {number | bigint} params.deadline
+ */
+function buildActionTypedData({ action, chainId, contractAddress, version, owner, dossierId, nonce, deadline }) {
+  assertAction(action);
+  return {
+    domain: checkInDomain({ chainId, contractAddress, version }),
+    types: { [action]: ACTION_FIELDS },
+    primaryType: action,
+    message: {
+      owner,
+      dossierId: BigInt(dossierId),
+      nonce: BigInt(nonce),
+      deadline: BigInt(deadline)
+    }
+  };
+}
+
+/**
+ * @dev Typed data for one check-in
+ */
+function buildCheckInTypedData(params) {
+  return buildActionTypedData({ ...params, action: SignedAction.CHECK_IN });
+}
+
+/**
+ * @dev Sign an owner action with an ethers signer; a Wallet needs no provider
+ * @notice `owner` defaults to the signer's address. The nonce must be the owner's current
+ *   nonces() value on the contract when the relayer submits it; all actions share it.
+ * @param {import("ethers").Signer} signer
+ * @returns {Promise<SignedRequest>}
+ */
+async function signAction(signer, { action, chainId, contractAddress, version, owner, dossierId, nonce, deadline }) {
+  const { domain, types, message } = buildActionTypedData({
+    action,
+    chainId,
+    contractAddress,
+    version,
+    owner: owner || (await signer.getAddress()),
+    dossierId,
+    nonce,
+    deadline
+  });
+  const signature = await signer.signTypedData(domain, types, message);
+  return { action, ...message, signature };
+}
+
+/**
+ * @dev Sign a check-in, see signAction
+ * @returns {Promise<SignedCheckIn>}
+ */
+function signCheckIn(signer, params) {
+  return signAction(signer, { ...params, action: SignedAction.CHECK_IN });
+}
+
+/**
+ * @dev Address that signed an owner action, for checking a signature before relaying it
+ * @param {SignedRequest & { chainId: number | bigint, contractAddress: string, version?: number }} signed
+ * @returns {string}
+ */
+function recoverActionSigner({
+  action,
+  chainId,
+  contractAddress,
+  version,
+  owner,
+  dossierId,
+  nonce,
+  deadline,
+  signature
+}) {
+  const { domain, types, message } = buildActionTypedData({
+    action,
+    chainId,
+    contractAddress,
+    version,
+    owner,
+    dossierId,
+    nonce,
+    deadline
+  });
+  return verifyTypedData(domain, types, message, signature);
+}
+
+/**
+ * @dev Address that signed a check-in, see recoverActionSigner
+ * @returns {string}
+ */
+function recoverCheckInSigner(signed) {
+  return recoverActionSigner({ ...signed, action: SignedAction.CHECK_IN });
+}
+
+module.exports = {
+  SignedAction,
+  CHECK_IN_TYPES,
+  checkInDomain,
+  buildActionTypedData,
+  buildCheckInTypedData,
+  signAction,
+  signCheckIn,
+  recoverActionSigner,
+  recoverCheckInSigner
+};
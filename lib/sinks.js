@@ -0,0 +1,95 @@
+// Notification sinks for the dossier watcher
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @dev JSON serialization that renders bigints as decimal strings
+ */
+function serializeNotification(notification) {
+  return JSON.stringify(notification, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * @dev Writes one human-readable line per notification
+ */
+class StdoutSink {
+  /**
+   * @param {Object} [options]
+   * @param {{ write(chunk: string): any }} [options.stream] Defaults to process.stdout
+   * @param {boolean} [options.json] Write JSON lines instead of text
+   */
+  constructor({ stream = process.stdout, json = false } = {}) {
+    this.stream = stream;
+    this.json = json;
+  }
+
+  async send(notification) {
+    if (this.json) {
+      this.stream.write(`${serializeNotification(notification)}\n`);
+      return;
+    }
+    const at = new Date(Number(notification.at) * 1000).toISOString();
+    this.stream.write(
+      `[${at}] ${notification.type} ${notification.owner}:${notification.dossierId} "${notification.name}"\n`
+    );
+  }
+}
+
+/**
+ * @dev POSTs each notification as JSON to a URL
+ */
+class WebhookSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url
+   * @param {Object<string, string>} [options.headers] Extra request headers (e.g. authorization)
+   * @param {typeof fetch} [options.fetch] Fetch implementation, defaults to the global one
+   */
+  constructor({ url, headers = {}, fetch = globalThis.fetch }) {
+    if (!url) {
+      throw new Error("WebhookSink requires a url");
+    }
+    this.url = url;
+    this.headers = headers;
+    this.fetch = fetch;
+  }
+
+  async send(notification) {
+    const response = await this.fetch(this.url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...this.headers },
+      body: serializeNotification(notification)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook ${this.url} responded with ${response.status}`);
+    }
+  }
+}
+
+/**
+ * @dev Appends notifications to a file as JSON lines
+ */
+class FileSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.file
+   */
+  constructor({ file }) {
+    if (!file) {
+      throw new Error("FileSink requires a file");
+    }
+    this.file = file;
+  }
+
+  async send(notification) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${serializeNotification(notification)}\n`);
+  }
+}
+
+module.exports = {
+  StdoutSink,
+  WebhookSink,
+  FileSink,
+  serializeNotification
+};
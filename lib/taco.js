@@ -0,0 +1,220 @@
+// Local stand-in for TACo threshold decryption, for exercising dossier conditions end to end
+const crypto = require("crypto");
+const { Contract } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+
+/**
+ * @typedef {Object} ContractCondition
+ * @property {"contract"} conditionType
+ * @property {string} contractAddress
+ * @property {number} chain Chain id the contract lives on
+ * @property {string} method
+ * @property {Array<string | number>} parameters May contain ":userAddress", filled from the decryption context
+ * @property {Object} functionAbi ABI fragment of `method`
+ * @property {{ comparator: string, value: any }} returnValueTest
+ */
+
+/**
+ * @typedef {Object} CompoundCondition
+ * @property {"compound"} conditionType
+ * @property {"and" | "or" | "not"} operator
+ * @property {Array<ContractCondition | CompoundCondition>} operands
+ */
+
+/**
+ * @typedef {Object} MessageKit
+ * @property {string} id
+ * @property {ContractCondition | CompoundCondition} conditions
+ * @property {string} ciphertext Hex encoded
+ * @property {string} iv
+ * @property {string} authTag
+ */
+
+/** Decryption was refused because the message kit's conditions evaluated to false */
+class ConditionNotSatisfiedError extends Error {
+  constructor(message = "Decryption conditions not satisfied") {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @dev The condition a Canary dossier is encrypted under: decryptable once
+ *   shouldDossierStayEncrypted(owner, dossierId) returns false
+ * @param {{ contractAddress: string, chainId: number | bigint, owner: string, dossierId: number | bigint, contractName?: string }} params
+ * @returns {ContractCondition}
+ */
+function dossierCondition({ contractAddress, chainId, owner, dossierId, contractName = "CanaryDossierV3" }) {
+  const functionAbi = loadArtifact(contractName).abi.find(
+    (item) => item.type === "function" && item.name === "shouldDossierStayEncrypted"
+  );
+
+  return {
+    conditionType: "contract",
+    contractAddress,
+    chain: Number(chainId),
+    method: "shouldDossierStayEncrypted",
+    parameters: [owner, dossierId.toString()],
+    functionAbi,
+    returnValueTest: { comparator: "==", value: false }
+  };
+}
+
+function compare(actual, { comparator, value }) {
+  // Numbers may be given as decimal strings, as in TACo condition JSON
+  const normalize = (v) => (typeof v === "number" || (typeof v === "string" && /^\d+$/.test(v)) ? BigInt(v) : v);
+  const [a, b] = [normalize(actual), normalize(value)];
+
+  switch (comparator) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case ">":
+      return a > b;
+    case "<":
+      return a < b;
+    case ">=":
+      return a >= b;
+    case "<=":
+      return a <= b;
+    default:
+      throw new Error(`Unsupported comparator: ${comparator}`);
+  }
+}
+
+/**
+ * @dev Plays the role of the TACo network for one chain: holds the data keys and
+ *   only releases plaintext when the conditions hold against the provider's current state
+ * @notice Conditions are bound to the ciphertext as AES-GCM additional data, so a message
+ *   kit cannot be decrypted under conditions other than the ones it was encrypted with.
+ *   This is a test double, not a threshold scheme: the keys live in this process.
+ */
+class LocalConditionEvaluator {
+  /**
+   * @param {{ provider: import("ethers").Provider }} options
+   */
+  constructor({ provider }) {
+    if (!provider) {
+      throw new Error("LocalConditionEvaluator requires a provider");
+    }
+    this.provider = provider;
+    this._keys = new Map();
+  }
+
+  /**
+   * @dev Encrypt a payload under a condition
+   * @param {string | Uint8Array} plaintext
+   * @param {ContractCondition | CompoundCondition} conditions
+   * @returns {MessageKit}
+   */
+  encrypt(plaintext, conditions) {
+    const id = crypto.randomUUID();
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(conditions)));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(plaintext)), cipher.final()]);
+
+    this._keys.set(id, key);
+    return {
+      id,
+      conditions,
+      ciphertext: ciphertext.toString("hex"),
+      iv: iv.toString("hex"),
+      authTag: cipher.getAuthTag().toString("hex")
+    };
+  }
+
+  /**
+   * @dev Evaluate the kit's conditions and return the plaintext if they hold
+   * @param {MessageKit} messageKit
+   * @param {{ context?: Object<string, any> }} [options] Values for context variables such as ":userAddress"
+   * @returns {Promise<Buffer>}
+   * @throws {ConditionNotSatisfiedError} While the conditions evaluate to false
+   */
+  async decrypt(messageKit, { context = {} } = {}) {
+    const key = this._keys.get(messageKit.id);
+    if (!key) {
+      throw new Error(`Unknown message kit ${messageKit.id}`);
+    }
+
+    if (!(await this.evaluate(messageKit.conditions, { context }))) {
+      throw new ConditionNotSatisfiedError();
+    }
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(messageKit.iv, "hex"));
+    decipher.setAAD(Buffer.from(JSON.stringify(messageKit.conditions)));
+    decipher.setAuthTag(Buffer.from(messageKit.authTag, "hex"));
+    return Buffer.concat([decipher.update(Buffer.from(messageKit.ciphertext, "hex")), decipher.final()]);
+  }
+
+  /**
+   * @dev Whether a decrypt() would currently succeed
+   */
+  async canDecrypt(messageKit, options) {
+    return this.evaluate(messageKit.conditions, options);
+  }
+
+  /**
+   * @dev Evaluate a condition against the provider's latest block
+   * @returns {Promise<boolean>}
+   */
+  async evaluate(condition, { context = {} } = {}) {
+    switch (condition.conditionType) {
+      case "compound":
+        return this._evaluateCompound(condition, { context });
+      case "contract":
+        return this._evaluateContract(condition, { context });
+      default:
+        throw new Error(`Unsupported condition type: ${condition.conditionType}`);
+    }
+  }
+
+  async _evaluateCompound({ operator, operands }, options) {
+    switch (operator) {
+      case "and":
+        for (const operand of operands) {
+          if (!(await this.evaluate(operand, options))) return false;
+        }
+        return true;
+      case "or":
+        for (const operand of operands) {
+          if (await this.evaluate(operand, options)) return true;
+        }
+        return false;
+      case "not":
+        return !(await this.evaluate(operands[0], options));
+      default:
+        throw new Error(`Unsupported operator: ${operator}`);
+    }
+  }
+
+  async _evaluateContract(condition, { context }) {
+    const { chainId } = await this.provider.getNetwork();
+    if (BigInt(condition.chain) !== chainId) {
+      throw new Error(`Condition is for chain ${condition.chain}, evaluator is connected to ${chainId}`);
+    }
+
+    const parameters = condition.parameters.map((param) => {
+      if (typeof param === "string" && param.startsWith(":")) {
+        if (!(param in context)) {
+          throw new Error(`Missing context variable ${param}`);
+        }
+        return context[param];
+      }
+      return param;
+    });
+
+    const contract = new Contract(condition.contractAddress, [condition.functionAbi], this.provider);
+    const result = await contract[condition.method](...parameters);
+    return compare(result, condition.returnValueTest);
+  }
+}
+
+module.exports = {
+  LocalConditionEvaluator,
+  ConditionNotSatisfiedError,
+  dossierCondition
+};
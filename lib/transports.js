@@ -0,0 +1,92 @@
+// Delivery transports for check-in reminders
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} ReminderMessage
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ * @property {Object} reminder Structured reminder the message was rendered from
+ */
+
+/**
+ * @dev Render a message in RFC 5322 form (headers, blank line, body)
+ */
+function formatMessage({ from, to, subject, text, date }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+    ""
+  ].join("\r\n");
+}
+
+/**
+ * @dev Writes each message to its own .eml file in a directory
+ */
+class FileTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir Output directory, created if missing
+   * @param {string} [options.from]
+   */
+  constructor({ dir, from = "canary@localhost" }) {
+    if (!dir) {
+      throw new Error("FileTransport requires a dir");
+    }
+    this.dir = dir;
+    this.from = from;
+    this._sequence = 0;
+  }
+
+  /**
+   * @param {ReminderMessage} message
+   * @returns {Promise<string>} Path of the written file
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const date = new Date();
+    const file = path.join(this.dir, `${date.getTime()}-${this._sequence++}.eml`);
+    await fs.promises.writeFile(file, formatMessage({ ...message, from: this.from, date }));
+    return file;
+  }
+}
+
+/**
+ * @dev Stand-in for an SMTP transport that keeps sent messages in memory
+ * @notice Shaped like a nodemailer transport (`sendMail`) so a real one can be swapped in
+ */
+class SmtpStubTransport {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.from]
+   */
+  constructor({ from = "canary@localhost" } = {}) {
+    this.from = from;
+    this.outbox = [];
+  }
+
+  async sendMail({ from = this.from, to, subject, text }) {
+    const info = { messageId: `<${this.outbox.length}@canary.local>`, envelope: { from, to: [to] } };
+    this.outbox.push({ from, to, subject, text, messageId: info.messageId });
+    return info;
+  }
+
+  /**
+   * @param {ReminderMessage} message
+   */
+  async send(message) {
+    return this.sendMail({ to: message.to, subject: message.subject, text: message.text });
+  }
+}
+
+module.exports = {
+  FileTransport,
+  SmtpStubTransport,
+  formatMessage
+};
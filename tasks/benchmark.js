@@ -0,0 +1,380 @@
+// Hardhat tasks for gas benchmarks: every contract function against a committed baseline,
+// and the reverse lookup set implementations against each other
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { CASES, IGNORED_FUNCTIONS } = require("../benchmarks/cases");
+const { CONTRACT_VERSIONS } = require("../lib/artifacts");
+const { CONTRACT_ALIASES } = require("./deploy");
+const { parseList, toJson, printResult } = require("./utils");
+
+const DEFAULT_CONTRACTS = "Dossier,V2,V3,V4,V5,V6";
+const DEFAULT_BASELINE = "benchmarks/baseline.json";
+const DEFAULT_REPORT_DIR = "benchmarks/reports";
+
+const GAS_COLUMNS = ["contract", "function", "params", "gasUsed", "baseline", "change", "status"];
+
+/**
+ * @dev Outcome of comparing one measurement with the baseline
+ * @enum {string}
+ */
+const GasStatus = Object.freeze({
+  OK: "ok",
+  REGRESSION: "regression",
+  IMPROVED: "improved",
+  NEW: "new"
+});
+
+// Harness contracts in contracts/benchmark/ReferenceSetBenchmark.sol
+const REFERENCE_SET_IMPLEMENTATIONS = {
+  sorted: "SortedReferenceSetBenchmark",
+  indexed: "IndexedReferenceSetBenchmark"
+};
+
+const REFERENCE_SET_COLUMNS = ["size", "operation", "sorted", "indexed", "saved"];
+
+// References added per seeding transaction, to stay under the block gas limit
+const SEED_BATCH = 100;
+
+async function gasUsed(tx) {
+  const receipt = await (await tx).wait();
+  return receipt.gasUsed;
+}
+
+/**
+ * @dev Gas for adding and removing one reference on a holder that already has `size` of them
+ * @notice The holder is seeded with (owner, 1..size). (owner, 0) sorts before all of them,
+ *   the sorted array's worst case, and (owner, size + 1) after all of them, its best case.
+ * @returns {Promise<Object<string, bigint>>} Gas used per operation
+ */
+async function measureReferenceSet(hre, contractName, size) {
+  const [holder, owner] = (await hre.ethers.getSigners()).map((signer) => signer.address);
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const set = await factory.deploy();
+  await set.waitForDeployment();
+
+  for (let fromId = 1; fromId <= size; fromId += SEED_BATCH) {
+    await gasUsed(set.seed(holder, owner, fromId, Math.min(SEED_BATCH, size - fromId + 1)));
+  }
+
+  return {
+    "add (sorts first)": await gasUsed(set.add(holder, owner, 0)),
+    "add (sorts last)": await gasUsed(set.add(holder, owner, size + 1)),
+    "remove first": await gasUsed(set.remove(holder, owner, 0)),
+    "remove last": await gasUsed(set.remove(holder, owner, size + 1))
+  };
+}
+
+/**
+ * @dev Compare the sorted-array and index-mapped reverse lookups at each size
+ * @returns {Promise<Object[]>} One row per size and operation
+ */
+async function benchmarkReferenceSets(hre, sizes) {
+  const rows = [];
+  for (const size of sizes) {
+    const sorted = await measureReferenceSet(hre, REFERENCE_SET_IMPLEMENTATIONS.sorted, size);
+    const indexed = await measureReferenceSet(hre, REFERENCE_SET_IMPLEMENTATIONS.indexed, size);
+
+    for (const operation of Object.keys(sorted)) {
+      rows.push({
+        size,
+        operation,
+        sorted: sorted[operation],
+        indexed: indexed[operation],
+        saved: `${(100 - Number((indexed[operation] * 1000n) / sorted[operation]) / 10).toFixed(1)}%`
+      });
+    }
+  }
+  return rows;
+}
+
+function requireLocalNetwork(hre) {
+  if (!["hardhat", "localhost"].includes(hre.network.name)) {
+    throw new Error("Benchmarks deploy throwaway contracts; run them on the hardhat or localhost network");
+  }
+}
+
+/**
+ * @dev Baseline key for a measurement, e.g. "CanaryDossierV3.checkInAll(dossiers=50)"
+ */
+function gasKey(contractName, fn, params) {
+  const args = Object.entries(params).map(([name, value]) => `${name}=${value}`).join(",");
+  return `${contractName}.${fn}(${args})`;
+}
+
+/**
+ * @dev Parameter sets for a case: one per size, or a single empty set
+ */
+function expandCase(gasCase) {
+  const [[name, values] = []] = Object.entries(gasCase.sizes || {});
+  return name ? values.map((value) => ({ [name]: value })) : [{}];
+}
+
+// Distinct addresses that are not signers, for recipients and non-signing guardians
+function benchmarkAddresses(hre, count) {
+  return Array.from({ length: count }, (_, i) => hre.ethers.getAddress(hre.ethers.toBeHex(0x1000 + i, 20)));
+}
+
+/**
+ * @dev Measure every case that applies to each contract, from a fresh deployment each time
+ * @param {Object} options
+ * @param {string[]} options.contracts Contract names
+ * @param {string[]} [options.functions] Only measure these functions
+ * @returns {Promise<{ results: Object[], unmeasured: Object<string, string[]> }>} unmeasured lists the
+ *   functions in each ABI that no case covers
+ */
+async function runGasBenchmark(hre, { contracts, functions = [] }) {
+  const [owner, guardian] = await hre.ethers.getSigners();
+  const results = [];
+  const unmeasured = {};
+
+  for (const contractName of contracts) {
+    const version = CONTRACT_VERSIONS[contractName];
+    const factory = await hre.ethers.getContractFactory(contractName, owner);
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+
+    const ctx = { contract, version, owner, guardian, addresses: (count) => benchmarkAddresses(hre, count) };
+    const cases = CASES.filter((gasCase) => version >= (gasCase.since || 1));
+    const covered = new Set(cases.map((gasCase) => gasCase.fn));
+    unmeasured[contractName] = contract.interface.fragments
+      .filter((fragment) => fragment.type === "function")
+      .map((fragment) => fragment.name)
+      .filter((name) => !covered.has(name) && !IGNORED_FUNCTIONS.includes(name) && name !== name.toUpperCase());
+
+    const snapshot = await takeSnapshot();
+    for (const gasCase of cases) {
+      if (functions.length > 0 && !functions.includes(gasCase.fn)) {
+        continue;
+      }
+      for (const params of expandCase(gasCase)) {
+        await snapshot.restore();
+        if (gasCase.setup) {
+          await gasCase.setup(ctx, params);
+        }
+        const measured = await gasCase.measure(ctx, params);
+        const gasUsed = typeof measured === "bigint" ? measured : (await measured.wait()).gasUsed;
+        results.push({
+          key: gasKey(contractName, gasCase.fn, params),
+          contract: contractName,
+          function: gasCase.fn,
+          params,
+          gasUsed
+        });
+      }
+    }
+    await snapshot.restore();
+  }
+
+  return { results, unmeasured };
+}
+
+/**
+ * @dev Compare measurements with baseline gas figures
+ * @param {Object[]} results From runGasBenchmark
+ * @param {Object<string, number>} baselineGas Baseline gas by key
+ * @param {number} tolerance Allowed change in percent before a result is a regression or improvement
+ * @returns {Object[]} The results with baseline, change (percent, null if new) and status (GasStatus)
+ */
+function compareWithBaseline(results, baselineGas, tolerance) {
+  return results.map((result) => {
+    const baseline = baselineGas[result.key];
+    if (baseline === undefined) {
+      return { ...result, baseline: null, change: null, status: GasStatus.NEW };
+    }
+
+    const change = (Number(result.gasUsed - BigInt(baseline)) * 100) / baseline;
+    let status = GasStatus.OK;
+    if (change > tolerance) {
+      status = GasStatus.REGRESSION;
+    } else if (change < -tolerance) {
+      status = GasStatus.IMPROVED;
+    }
+    return { ...result, baseline: BigInt(baseline), change, status };
+  });
+}
+
+function formatChange(change) {
+  return change === null ? "" : `${change > 0 ? "+" : ""}${change.toFixed(2)}%`;
+}
+
+function formatParams(params) {
+  return Object.entries(params).map(([name, value]) => `${name}=${value}`).join(", ");
+}
+
+/**
+ * @dev Render a compared report as Markdown, one table per contract
+ */
+function formatGasReport(report) {
+  const lines = [
+    "# Gas report",
+    "",
+    `Compared with \`${report.baseline}\` at ±${report.tolerance}%.` +
+      ` ${report.regressions.length} regression(s).`
+  ];
+
+  for (const contractName of [...new Set(report.results.map((result) => result.contract))]) {
+    lines.push(
+      "",
+      `## ${contractName}`,
+      "",
+      "| Function | Parameters | Gas | Baseline | Change | Status |",
+      "| --- | --- | ---: | ---: | ---: | --- |"
+    );
+    for (const result of report.results.filter((r) => r.contract === contractName)) {
+      lines.push(
+        `| ${result.function} | ${formatParams(result.params)} | ${result.gasUsed} | ${result.baseline ?? ""}` +
+          ` | ${formatChange(result.change)} | ${result.status} |`
+      );
+    }
+  }
+
+  if (report.removed.length > 0) {
+    lines.push("", "## Removed", "", ...report.removed.map((key) => `- \`${key}\``));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Recorded with the baseline: gas figures are only comparable under the same compiler settings
+function compilerSettings(hre) {
+  const { compilers, overrides } = hre.config.solidity;
+  const summarize = ({ version, settings }) => ({
+    version,
+    optimizer: settings.optimizer,
+    ...(settings.viaIR ? { viaIR: true } : {})
+  });
+  const settings = summarize(compilers[0]);
+  if (Object.keys(overrides).length > 0) {
+    settings.overrides = Object.fromEntries(
+      Object.entries(overrides).map(([file, compiler]) => [file, summarize(compiler)])
+    );
+  }
+  return settings;
+}
+
+function readBaseline(file) {
+  if (!fs.existsSync(file)) {
+    return { gas: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+task("benchmark:gas", "Measure gas of every contract function and compare with the committed baseline")
+  .addOptionalParam("contracts", "Comma-separated contracts (Dossier, V2, V3, V4, V5, V6)", DEFAULT_CONTRACTS)
+  .addOptionalParam("functions", "Comma-separated functions to measure (defaults to all)")
+  .addOptionalParam("baseline", "Baseline file", DEFAULT_BASELINE)
+  .addOptionalParam("tolerance", "Allowed gas increase in percent", 2, types.float)
+  .addOptionalParam("report", "Directory for gas-report.json and gas-report.md", DEFAULT_REPORT_DIR)
+  .addFlag("updateBaseline", "Write the measurements to the baseline instead of failing on regressions")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    requireLocalNetwork(hre);
+
+    const contracts = parseList(taskArgs.contracts).map((alias) => {
+      const contractName = CONTRACT_ALIASES[alias];
+      if (!contractName) {
+        throw new Error(`Unknown contract '${alias}'. Use Dossier, V2, V3, V4, V5 or V6.`);
+      }
+      return contractName;
+    });
+    const functions = parseList(taskArgs.functions);
+    const root = hre.config.paths.root;
+    const baselineFile = path.resolve(root, taskArgs.baseline);
+    const baseline = readBaseline(baselineFile);
+
+    if (baseline.compiler && JSON.stringify(baseline.compiler) !== JSON.stringify(compilerSettings(hre))) {
+      console.warn(`⚠️  ${taskArgs.baseline} was recorded with different compiler settings; expect gas differences`);
+    }
+
+    const { results, unmeasured } = await runGasBenchmark(hre, { contracts, functions });
+    const compared = compareWithBaseline(results, baseline.gas, taskArgs.tolerance);
+
+    // Baseline entries this run should have measured but did not
+    const measuredKeys = new Set(results.map((result) => result.key));
+    const removed = Object.keys(baseline.gas).filter((key) => {
+      const [contractName, fn] = key.slice(0, key.indexOf("(")).split(".");
+      return contracts.includes(contractName) &&
+        (functions.length === 0 || functions.includes(fn)) &&
+        !measuredKeys.has(key);
+    });
+
+    const report = {
+      baseline: taskArgs.baseline,
+      tolerance: taskArgs.tolerance,
+      compiler: compilerSettings(hre),
+      results: compared,
+      regressions: compared.filter((result) => result.status === GasStatus.REGRESSION),
+      removed,
+      unmeasured
+    };
+
+    const reportDir = path.resolve(root, taskArgs.report);
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, "gas-report.json"), `${toJson(report)}\n`);
+    fs.writeFileSync(path.join(reportDir, "gas-report.md"), formatGasReport(report));
+
+    printResult(
+      taskArgs,
+      report,
+      compared.map((result) => ({
+        ...result,
+        params: formatParams(result.params),
+        change: formatChange(result.change)
+      })),
+      GAS_COLUMNS
+    );
+
+    for (const [contractName, names] of Object.entries(unmeasured)) {
+      if (names.length > 0 && !taskArgs.json) {
+        console.log(`\n⚠️  No benchmark cases for ${contractName}: ${names.join(", ")}`);
+      }
+    }
+
+    if (taskArgs.updateBaseline) {
+      const gas = { ...baseline.gas };
+      for (const key of removed) {
+        delete gas[key];
+      }
+      for (const result of results) {
+        gas[result.key] = Number(result.gasUsed);
+      }
+      fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+      fs.writeFileSync(baselineFile, `${JSON.stringify({ compiler: report.compiler, gas }, null, 2)}\n`);
+      return report;
+    }
+
+    if (report.regressions.length > 0) {
+      const summary = report.regressions
+        .map((result) => `${result.key} ${formatChange(result.change)}`)
+        .join(", ");
+      throw new Error(`${report.regressions.length} gas regression(s) beyond ${taskArgs.tolerance}%: ${summary}`);
+    }
+    return report;
+  });
+
+task("benchmark:references", "Compare gas of sorted-array and index-mapped reverse lookups")
+  .addOptionalParam("sizes", "Comma-separated references per address", "10,100,1000")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    requireLocalNetwork(hre);
+
+    const sizes = parseList(taskArgs.sizes).map(Number);
+    if (sizes.length === 0 || sizes.some((size) => !Number.isInteger(size) || size < 1)) {
+      throw new Error(`Invalid --sizes: ${taskArgs.sizes}`);
+    }
+
+    const rows = await benchmarkReferenceSets(hre, sizes);
+    printResult(taskArgs, rows, rows, REFERENCE_SET_COLUMNS);
+    return rows;
+  });
+
+module.exports = {
+  GasStatus,
+  gasKey,
+  runGasBenchmark,
+  compareWithBaseline,
+  formatGasReport,
+  measureReferenceSet,
+  benchmarkReferenceSets
+};
@@ -0,0 +1,75 @@
+// Hardhat tasks for CanaryDossierV5 check-in delegates
+const { types } = require("hardhat/config");
+const { getClient, formatTimestamp, printResult } = require("./utils");
+const { dossierTask, runTransaction } = require("./dossier");
+
+const CONTRACT_NAME = "CanaryDossierV5";
+const DOSSIER_COLUMNS = ["owner", "id", "name", "status", "deadline"];
+
+function delegateClient(hre, taskArgs) {
+  return getClient(hre, taskArgs, { contractName: CONTRACT_NAME });
+}
+
+dossierTask("delegate:add", "Let an address check in for one of your dossiers", CONTRACT_NAME)
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("delegate", "Delegate address")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await delegateClient(hre, taskArgs);
+    return runTransaction(taskArgs, "add-delegate", taskArgs.id, () =>
+      client.addDelegate({ dossierId: taskArgs.id, delegate: taskArgs.delegate })
+    );
+  });
+
+dossierTask("delegate:remove", "Revoke a check-in delegate", CONTRACT_NAME)
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("delegate", "Delegate address")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await delegateClient(hre, taskArgs);
+    return runTransaction(taskArgs, "remove-delegate", taskArgs.id, () =>
+      client.removeDelegate({ dossierId: taskArgs.id, delegate: taskArgs.delegate })
+    );
+  });
+
+dossierTask("delegate:show", "List the check-in delegates of a dossier", CONTRACT_NAME)
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addOptionalParam("owner", "Owner of the dossier (defaults to the signing account)")
+  .setAction(async (taskArgs, hre) => {
+    const { client, signer } = await delegateClient(hre, taskArgs);
+    const owner = taskArgs.owner || (signer && signer.address);
+    const delegates = await client.getDelegates({ owner, dossierId: taskArgs.id });
+
+    printResult(taskArgs, delegates, delegates.map((delegate) => ({ delegate })), ["delegate"]);
+    return delegates;
+  });
+
+dossierTask("delegate:checkin", "Check in for someone else's dossier as its delegate", CONTRACT_NAME)
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await delegateClient(hre, taskArgs);
+    return runTransaction(taskArgs, "delegate-checkin", taskArgs.id, () =>
+      client.checkInAsDelegate({ owner: taskArgs.owner, dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("delegate:dossiers", "List the dossiers an address may check in for", CONTRACT_NAME)
+  .addOptionalParam("delegate", "Delegate address (defaults to the signing account)")
+  .setAction(async (taskArgs, hre) => {
+    const { client, signer } = await delegateClient(hre, taskArgs);
+    const delegate = taskArgs.delegate || (signer && signer.address);
+
+    const dossiers = [];
+    for await (const ref of client.iterateDossiersWhereDelegate({ delegate })) {
+      dossiers.push(await client.getDossier(ref));
+    }
+
+    const rows = dossiers.map((dossier) => ({
+      owner: dossier.owner,
+      id: dossier.id,
+      name: dossier.name,
+      status: dossier.status,
+      deadline: formatTimestamp(dossier.deadline)
+    }));
+    printResult(taskArgs, dossiers, rows, DOSSIER_COLUMNS);
+    return dossiers;
+  });
@@ -0,0 +1,185 @@
+// Generic deploy task driven by per-network profiles in hardhat.config.js
+const { task } = require("hardhat/config");
+const { parseUnits } = require("ethers");
+const { buildDeploymentRecord, syncEnvFile } = require("../lib/registry");
+const { getRegistry } = require("./utils");
+
+// Accepted --contract values
+const CONTRACT_ALIASES = {
+  Dossier: "CanaryDossier",
+  V1: "CanaryDossier",
+  V2: "CanaryDossierV2",
+  V3: "CanaryDossierV3",
+  V4: "CanaryDossierV4",
+  V5: "CanaryDossierV5",
+  V6: "CanaryDossierV6",
+  CanaryDossier: "CanaryDossier",
+  CanaryDossierV2: "CanaryDossierV2",
+  CanaryDossierV3: "CanaryDossierV3",
+  CanaryDossierV4: "CanaryDossierV4",
+  CanaryDossierV5: "CanaryDossierV5",
+  CanaryDossierV6: "CanaryDossierV6"
+};
+
+/**
+ * @typedef {Object} DeployProfile
+ * @property {{ strategy: "auto" | "zero" | "fixed", gasPrice?: string }} gas
+ *   auto: let the provider price the transaction; zero: gasPrice 0 (gasless chains);
+ *   fixed: use `gasPrice` in gwei
+ * @property {number} [gasLimit]
+ * @property {number} confirmations Blocks to wait for before recording
+ * @property {string | null} explorerUrl Template with an `{address}` placeholder
+ * @property {string | null} envKey Key to update in `.env.local`, if any
+ * @property {boolean} record Whether to write the deployment to the registry
+ * @property {string} [registry] Registry file for this network
+ * @property {string[]} [notes] Extra lines printed after deployment
+ */
+
+const DEFAULT_PROFILE = {
+  gas: { strategy: "auto" },
+  confirmations: 1,
+  explorerUrl: null,
+  envKey: null,
+  record: true,
+  notes: []
+};
+
+/**
+ * @dev Merge a network's `deploy` block over the defaults
+ * @returns {DeployProfile}
+ */
+function resolveDeployProfile(networkConfig) {
+  const profile = { ...DEFAULT_PROFILE, ...(networkConfig.deploy || {}) };
+  profile.gas = { ...DEFAULT_PROFILE.gas, ...profile.gas };
+  return profile;
+}
+
+/**
+ * @dev Transaction overrides for the profile's gas strategy
+ */
+function gasOverrides(profile) {
+  const overrides = {};
+
+  switch (profile.gas.strategy) {
+    case "auto":
+      break;
+    case "zero":
+      overrides.gasPrice = 0;
+      break;
+    case "fixed":
+      if (profile.gas.gasPrice === undefined) {
+        throw new Error("Gas strategy 'fixed' requires gas.gasPrice (in gwei)");
+      }
+      overrides.gasPrice = parseUnits(String(profile.gas.gasPrice), "gwei");
+      break;
+    default:
+      throw new Error(`Unknown gas strategy: ${profile.gas.strategy}`);
+  }
+
+  if (profile.gasLimit !== undefined) {
+    overrides.gasLimit = profile.gasLimit;
+  }
+
+  return overrides;
+}
+
+function explorerLink(profile, address) {
+  return profile.explorerUrl ? profile.explorerUrl.replace("{address}", address) : null;
+}
+
+task("deploy", "Deploy a dossier contract to the selected network")
+  .addOptionalParam("contract", "Dossier, V2, V3, V4, V5 or V6", "V3")
+  .addOptionalParam("registry", "Registry file to record the deployment in (overrides the profile)")
+  .addFlag("quiet", "Only print the deployed address")
+  .setAction(async (taskArgs, hre) => {
+    const contractName = CONTRACT_ALIASES[taskArgs.contract];
+    if (!contractName) {
+      throw new Error(`Unknown contract '${taskArgs.contract}'. Use Dossier, V2, V3, V4, V5 or V6.`);
+    }
+
+    const log = taskArgs.quiet ? () => {} : console.log;
+    const profile = resolveDeployProfile(hre.network.config);
+
+    log(`\n🚀 Deploying ${contractName} to ${hre.network.name}...\n`);
+
+    const [deployer] = await hre.ethers.getSigners();
+    if (!deployer) {
+      throw new Error(`No deployer account configured for network ${hre.network.name}`);
+    }
+    log("Deploying with account:", deployer.address);
+
+    const balance = await hre.ethers.provider.getBalance(deployer.address);
+    log("Account balance:", hre.ethers.formatEther(balance), "ETH");
+    log("Gas strategy:", profile.gas.strategy);
+
+    const factory = await hre.ethers.getContractFactory(contractName, deployer);
+
+    log("\n📝 Deploying contract...");
+    const contract = await factory.deploy(gasOverrides(profile));
+    await contract.waitForDeployment();
+    const address = await contract.getAddress();
+    const explorerUrl = explorerLink(profile, address);
+
+    log("\n✅ Contract deployed successfully!");
+    log("📍 Contract address:", address);
+    log("📊 Transaction hash:", contract.deploymentTransaction().hash);
+    if (explorerUrl) {
+      log("🔗 View on explorer:", explorerUrl);
+    }
+
+    if (profile.confirmations > 1) {
+      log(`\n⏳ Waiting for ${profile.confirmations} confirmations...`);
+    }
+    await contract.deploymentTransaction().wait(profile.confirmations);
+
+    const record = await buildDeploymentRecord(hre, {
+      contractName,
+      contract,
+      deployer: deployer.address,
+      explorerUrl
+    });
+
+    const registryFile = taskArgs.registry || profile.registry;
+    if (profile.record || taskArgs.registry) {
+      const registry = getRegistry(hre, registryFile);
+      registry.record(record);
+      log("\n💾 Deployment recorded in:", registry.file);
+
+      if (profile.envKey) {
+        log("\n📝 Updating .env.local with new contract address...");
+        syncEnvFile(registry, {
+          envFile: ".env.local",
+          key: profile.envKey,
+          contractName,
+          chainId: record.chainId
+        });
+        log("✅ Updated .env.local");
+      }
+    }
+
+    log("\n🎉 Deployment complete!");
+    for (const note of profile.notes) {
+      log(`   • ${note}`);
+    }
+
+    if (taskArgs.quiet) {
+      console.log(address);
+    }
+
+    return record;
+  });
+
+task("deploy-status", "Deploy DossierV3 to Status Network Sepolia (alias for deploy --contract V3)")
+  .setAction(async (taskArgs, hre) => {
+    if (hre.network.name !== "statusSepolia") {
+      console.warn(`⚠️  deploy-status is running against '${hre.network.name}', not statusSepolia`);
+    }
+    return hre.run("deploy", { contract: "V3" });
+  });
+
+module.exports = {
+  CONTRACT_ALIASES,
+  DEFAULT_PROFILE,
+  resolveDeployProfile,
+  gasOverrides
+};
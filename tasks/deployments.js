@@ -0,0 +1,62 @@
+// Hardhat tasks for inspecting the deployment registry and retiring deployments
+const { task, types } = require("hardhat/config");
+const { ZeroAddress } = require("ethers");
+const { getClient, getRegistry, printResult, receiptSummary } = require("./utils");
+
+const LIST_COLUMNS = ["contractName", "version", "chainId", "network", "address", "blockNumber", "timestamp", "current"];
+const SUCCESSOR_COLUMNS = ["action", "successor", "txHash", "blockNumber", "gasUsed"];
+
+function listRow(record) {
+  return { ...record, current: record.isCurrent ? "*" : "" };
+}
+
+task("deployments:list", "List recorded deployments for the selected network")
+  .addFlag("all", "Include every chain in the registry")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    const registry = getRegistry(hre);
+    const chainId = taskArgs.all ? undefined : (await hre.ethers.provider.getNetwork()).chainId;
+    const records = registry.list({ chainId });
+
+    printResult(taskArgs, records, records.map(listRow), LIST_COLUMNS);
+    return records;
+  });
+
+task("deployments:current", "Show the current deployment of a contract on the selected network")
+  .addOptionalParam("contract", "Contract name", "CanaryDossierV3")
+  .addOptionalParam("contractVersion", "Contract version (defaults to the highest recorded)", undefined, types.int)
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    const registry = getRegistry(hre);
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const current = registry.current({
+      contractName: taskArgs.contract,
+      chainId,
+      version: taskArgs.contractVersion
+    });
+
+    if (!current) {
+      throw new Error(`No ${taskArgs.contract} deployment registered for chainId ${chainId}`);
+    }
+
+    const rows = Object.entries(current).map(([field, value]) => ({
+      field,
+      value: typeof value === "object" && value !== null ? JSON.stringify(value) : value
+    }));
+    printResult(taskArgs, current, rows, ["field", "value"]);
+    return current;
+  });
+
+task("deployments:set-successor", "Point users of a CanaryDossierV6 deployment at the one replacing it (operator only)")
+  .addOptionalParam("address", "CanaryDossierV6 address (defaults to the registry entry for the network)")
+  .addOptionalParam("successor", "Address of the replacing deployment; omit to clear it", ZeroAddress)
+  .addOptionalParam("from", "Operator account (defaults to the first configured account)")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs, { contractName: "CanaryDossierV6" });
+    const receipt = await client.setSuccessor({ successor: taskArgs.successor });
+
+    const summary = receiptSummary(receipt, { action: "setSuccessor", successor: taskArgs.successor });
+    printResult(taskArgs, summary, [summary], SUCCESSOR_COLUMNS);
+    return summary;
+  });
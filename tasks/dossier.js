@@ -0,0 +1,281 @@
+// Hardhat tasks for operating CanaryDossierV3 dossiers from the command line
+const { task, types } = require("hardhat/config");
+const {
+  getClient,
+  parseList,
+  formatTimestamp,
+  printResult,
+  receiptSummary
+} = require("./utils");
+const { CONTRACT_ALIASES } = require("./deploy");
+
+const TX_COLUMNS = ["action", "dossierId", "txHash", "blockNumber", "gasUsed"];
+const LIST_COLUMNS = ["id", "name", "status", "lastCheckIn", "deadline", "recipients", "guardians"];
+const TIER_COLUMNS = ["tier", "delay", "sealedUntil", "encrypted", "recipients", "files"];
+
+/**
+ * @dev Define a task with the options shared by every dossier task
+ * @param {string} [contractName] Contract the task needs, for the --address help text
+ */
+function dossierTask(name, description, contractName = "CanaryDossierV3") {
+  return task(name, description)
+    .addOptionalParam("address", `${contractName} address (defaults to the registry entry for the network)`)
+    .addOptionalParam("from", "Account to use (defaults to the first configured account)")
+    .addFlag("json", "Print machine-readable JSON");
+}
+
+/**
+ * @dev Contract name for a task's optional --contract (V3 and later)
+ */
+function contractNameFor(taskArgs) {
+  const contractName = CONTRACT_ALIASES[taskArgs.contract];
+  if (!contractName || ["CanaryDossier", "CanaryDossierV2"].includes(contractName)) {
+    throw new Error(`Unknown contract '${taskArgs.contract}'. Use V3, V4, V5 or V6.`);
+  }
+  return contractName;
+}
+
+function listRow(dossier) {
+  return {
+    id: dossier.id,
+    name: dossier.name,
+    status: dossier.status,
+    lastCheckIn: formatTimestamp(dossier.lastCheckIn),
+    deadline: formatTimestamp(dossier.deadline),
+    recipients: dossier.recipients.length,
+    guardians: dossier.guardians.length > 0
+      ? `${dossier.guardianConfirmationCount}/${dossier.guardianThreshold} of ${dossier.guardians.length}`
+      : "-"
+  };
+}
+
+function detailRows(dossier) {
+  return [
+    ["owner", dossier.owner],
+    ["id", dossier.id],
+    ["name", dossier.name],
+    ["description", dossier.description],
+    ["status", dossier.status],
+    ["checkInInterval", `${dossier.checkInInterval}s`],
+    ["lastCheckIn", formatTimestamp(dossier.lastCheckIn)],
+    ["deadline", formatTimestamp(dossier.deadline)],
+    ["gracePeriod", `${dossier.gracePeriod}s`],
+    ["graceEndsAt", formatTimestamp(dossier.graceEndsAt)],
+    ["recipients", dossier.recipients.join(", ")],
+    ["files", dossier.encryptedFileHashes.join(", ")],
+    ["guardians", dossier.guardians.join(", ") || "-"],
+    ["guardianThreshold", dossier.guardianThreshold],
+    ["guardianConfirmations", dossier.guardianConfirmationCount]
+  ].map(([field, value]) => ({ field, value }));
+}
+
+/**
+ * @dev Run a transaction task and print its receipt summary
+ */
+async function runTransaction(taskArgs, action, dossierId, send) {
+  const receipt = await send();
+  const summary = receiptSummary(receipt, { action, dossierId });
+  printResult(taskArgs, summary, [summary], TX_COLUMNS);
+  return summary;
+}
+
+dossierTask("dossier:create", "Create a dossier")
+  .addParam("name", "Dossier name")
+  .addOptionalParam("description", "Dossier description", "")
+  .addParam("interval", "Check-in interval in seconds", undefined, types.int)
+  .addParam("recipients", "Comma-separated recipient addresses")
+  .addParam("files", "Comma-separated encrypted file hashes")
+  .addOptionalParam("guardians", "Comma-separated guardian addresses", "")
+  .addOptionalParam("threshold", "Guardian confirmations required (defaults to all)", undefined, types.int)
+  .addOptionalParam("grace", "Grace period in seconds (V6; defaults to GRACE_PERIOD)", undefined, types.int)
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs, { contractName: contractNameFor(taskArgs) });
+    const { dossierId, receipt } = await client.createDossier({
+      name: taskArgs.name,
+      description: taskArgs.description,
+      checkInInterval: taskArgs.interval,
+      recipients: parseList(taskArgs.recipients),
+      files: parseList(taskArgs.files),
+      guardians: parseList(taskArgs.guardians),
+      guardianThreshold: taskArgs.threshold,
+      gracePeriod: taskArgs.grace
+    });
+
+    const summary = receiptSummary(receipt, { action: "create", dossierId });
+    printResult(taskArgs, summary, [summary], TX_COLUMNS);
+    return summary;
+  });
+
+dossierTask("dossier:list", "List the dossiers of an owner")
+  .addOptionalParam("owner", "Owner address (defaults to the signing account)")
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .setAction(async (taskArgs, hre) => {
+    const { client, signer } = await getClient(hre, taskArgs, { contractName: contractNameFor(taskArgs) });
+    const owner = taskArgs.owner || signer.address;
+    const dossiers = await client.listDossiers({ owner });
+
+    printResult(taskArgs, dossiers, dossiers.map(listRow), LIST_COLUMNS);
+    return dossiers;
+  });
+
+dossierTask("dossier:show", "Show a single dossier")
+  .addOptionalParam("owner", "Owner address (defaults to the signing account)")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .setAction(async (taskArgs, hre) => {
+    const { client, signer } = await getClient(hre, taskArgs, { contractName: contractNameFor(taskArgs) });
+    const owner = taskArgs.owner || signer.address;
+    const dossier = await client.getDossier({ owner, dossierId: taskArgs.id });
+
+    printResult(taskArgs, dossier, detailRows(dossier), ["field", "value"]);
+    return dossier;
+  });
+
+dossierTask("dossier:checkin", "Check in for a dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "checkin", taskArgs.id, () =>
+      client.checkIn({ dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("dossier:checkin-all", "Check in for every active dossier of the account")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "checkin-all", "all", () => client.checkInAll());
+  });
+
+dossierTask("dossier:pause", "Pause a dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "pause", taskArgs.id, () =>
+      client.pause({ dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("dossier:release", "Release a dossier immediately")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "release", taskArgs.id, () =>
+      client.release({ dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("dossier:add-recipient", "Add a recipient to a dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("recipient", "Recipient address")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "add-recipient", taskArgs.id, () =>
+      client.addRecipient({ dossierId: taskArgs.id, recipient: taskArgs.recipient })
+    );
+  });
+
+dossierTask("dossier:add-guardian", "Add a guardian to a dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("guardian", "Guardian address")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "add-guardian", taskArgs.id, () =>
+      client.addGuardian({ dossierId: taskArgs.id, guardian: taskArgs.guardian })
+    );
+  });
+
+dossierTask("dossier:update-grace", "Change how long a late check-in still counts", "CanaryDossierV6")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("grace", "Grace period in seconds", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs, { contractName: "CanaryDossierV6" });
+    return runTransaction(taskArgs, "update-grace", taskArgs.id, () =>
+      client.updateGracePeriod({ dossierId: taskArgs.id, gracePeriod: taskArgs.grace })
+    );
+  });
+
+dossierTask("dossier:add-tier", "Add a release tier that reaches further recipients later", "CanaryDossierV6")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("delay", "Seconds after a missed check-in before the tier releases", undefined, types.int)
+  .addParam("recipients", "Comma-separated recipient addresses")
+  .addParam("files", "Comma-separated encrypted file hashes")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs, { contractName: "CanaryDossierV6" });
+    const { tier, receipt } = await client.addReleaseTier({
+      dossierId: taskArgs.id,
+      delay: taskArgs.delay,
+      recipients: parseList(taskArgs.recipients),
+      files: parseList(taskArgs.files)
+    });
+
+    const summary = receiptSummary(receipt, { action: "add-tier", dossierId: taskArgs.id, tier });
+    printResult(taskArgs, summary, [summary], [...TX_COLUMNS, "tier"]);
+    return summary;
+  });
+
+dossierTask("dossier:remove-tier", "Remove the last release tier of a dossier", "CanaryDossierV6")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs, { contractName: "CanaryDossierV6" });
+    return runTransaction(taskArgs, "remove-tier", taskArgs.id, () =>
+      client.removeReleaseTier({ dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("dossier:tiers", "Show when each release tier of a dossier releases", "CanaryDossierV6")
+  .addOptionalParam("owner", "Owner address (defaults to the signing account)")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client, signer } = await getClient(hre, taskArgs, { contractName: "CanaryDossierV6" });
+    const owner = taskArgs.owner || signer.address;
+    const dossierId = taskArgs.id;
+    const [dossier, tiers] = await Promise.all([
+      client.getDossier({ owner, dossierId }),
+      client.getReleaseTiers({ owner, dossierId })
+    ]);
+
+    // Tier 0 is the dossier's own files and recipients
+    const all = [
+      {
+        tier: 0,
+        delay: 0n,
+        files: dossier.encryptedFileHashes,
+        recipients: dossier.recipients,
+        sealedUntil: dossier.graceEndsAt
+      },
+      ...tiers
+    ];
+    const encrypted = await Promise.all(
+      all.map(({ tier }) => client.shouldTierStayEncrypted({ owner, dossierId, tier }))
+    );
+    const result = all.map((tier, i) => ({ ...tier, encrypted: encrypted[i] }));
+
+    const rows = result.map((tier) => ({
+      tier: tier.tier,
+      delay: `${tier.delay}s`,
+      sealedUntil: formatTimestamp(tier.sealedUntil),
+      encrypted: tier.encrypted ? "yes" : "no",
+      recipients: tier.recipients.join(", "),
+      files: tier.files.length
+    }));
+    printResult(taskArgs, result, rows, TIER_COLUMNS);
+    return result;
+  });
+
+dossierTask("dossier:confirm", "Confirm release of a dossier as a guardian")
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs);
+    return runTransaction(taskArgs, "confirm", taskArgs.id, () =>
+      client.confirmRelease({ owner: taskArgs.owner, dossierId: taskArgs.id })
+    );
+  });
+
+module.exports = {
+  TX_COLUMNS,
+  contractNameFor,
+  dossierTask,
+  runTransaction
+};
@@ -0,0 +1,100 @@
+// Hardhat tasks for guardians: confirmation inbox, pre-flighted confirm/revoke and (V6) veto
+const { types } = require("hardhat/config");
+const { GuardianInbox } = require("../lib/guardian");
+const { getClient, printResult } = require("./utils");
+const { contractNameFor, dossierTask, runTransaction } = require("./dossier");
+
+const VETO_CONTRACT = "CanaryDossierV6";
+const INBOX_COLUMNS = ["pending", "owner", "id", "name", "status", "confirmations", "confirmed", "vetoes", "next"];
+
+function vetoColumn(entry) {
+  if (!entry.veto || entry.veto.window === 0n) {
+    return "-";
+  }
+  const { count, threshold, vetoed } = entry.veto;
+  return `${count}/${threshold}${vetoed ? " held" : ""}${entry.vetoed ? " (you)" : ""}`;
+}
+
+function inboxRow(entry) {
+  let next = "-";
+  if (!entry.confirmBlocker) {
+    next = "confirm";
+  } else if (!entry.revokeBlocker) {
+    next = "revoke";
+  }
+
+  return {
+    pending: entry.awaitingAction ? "!" : "",
+    owner: entry.owner,
+    id: entry.dossierId,
+    name: entry.name,
+    status: entry.status,
+    confirmations: `${entry.confirmations}/${entry.threshold}${entry.thresholdMet ? " met" : ""}`,
+    confirmed: entry.confirmed ? "yes" : "no",
+    vetoes: vetoColumn(entry),
+    next
+  };
+}
+
+async function getInbox(hre, taskArgs, contractName) {
+  const { client, signer } = await getClient(hre, taskArgs, { contractName });
+  const guardian = taskArgs.guardian || (signer && signer.address);
+  return new GuardianInbox({ client, guardian });
+}
+
+dossierTask("guardian:inbox", "List dossiers you guard; '!' marks ones awaiting your confirmation")
+  .addOptionalParam("guardian", "Guardian address (defaults to the signing account)")
+  .addOptionalParam("contract", "V3, V4, V5 or V6 (V6 also shows vetoes)", "V3")
+  .addFlag("pending", "Only show dossiers awaiting your confirmation")
+  .setAction(async (taskArgs, hre) => {
+    const inbox = await getInbox(hre, taskArgs, contractNameFor(taskArgs));
+    const entries = taskArgs.pending ? await inbox.pending() : await inbox.list();
+
+    printResult(
+      taskArgs,
+      entries.map(({ dossier, ...entry }) => entry),
+      entries.map(inboxRow),
+      INBOX_COLUMNS
+    );
+    return entries;
+  });
+
+dossierTask("guardian:confirm", "Confirm release of a dossier, checking first that it would succeed")
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const inbox = await getInbox(hre, taskArgs);
+    return runTransaction(taskArgs, "confirm", taskArgs.id, () =>
+      inbox.confirm({ owner: taskArgs.owner, dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("guardian:revoke", "Revoke a release confirmation, checking first that it would succeed")
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const inbox = await getInbox(hre, taskArgs);
+    return runTransaction(taskArgs, "revoke", taskArgs.id, () =>
+      inbox.revoke({ owner: taskArgs.owner, dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("guardian:veto", "Veto release of a dossier, checking first that it would succeed", VETO_CONTRACT)
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const inbox = await getInbox(hre, taskArgs, VETO_CONTRACT);
+    return runTransaction(taskArgs, "veto", taskArgs.id, () =>
+      inbox.veto({ owner: taskArgs.owner, dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("guardian:revoke-veto", "Withdraw your veto of a dossier's release", VETO_CONTRACT)
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const inbox = await getInbox(hre, taskArgs, VETO_CONTRACT);
+    return runTransaction(taskArgs, "revoke-veto", taskArgs.id, () =>
+      inbox.revokeVeto({ owner: taskArgs.owner, dossierId: taskArgs.id })
+    );
+  });
@@ -0,0 +1,53 @@
+// Hardhat task for checking the event indexer against on-chain state
+const { task, types } = require("hardhat/config");
+const { DossierIndexer } = require("../lib");
+const { diffDossier } = require("../lib/projection");
+const { contractNameFor } = require("./dossier");
+const { resolveAddress, resolveFromBlock, printResult } = require("./utils");
+
+task("indexer:verify", "Index all dossier events and compare the projection with getDossier")
+  .addOptionalParam("address", "Contract address (defaults to the registry entry for the network and --contract)")
+  .addOptionalParam("fromBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    const contractName = contractNameFor(taskArgs);
+    const address = await resolveAddress(hre, taskArgs.address, { contractName });
+
+    const fromBlock = await resolveFromBlock(hre, address, taskArgs.fromBlock, { contractName });
+
+    const indexer = new DossierIndexer({ address, provider: hre.ethers.provider, contractName, fromBlock });
+    await indexer.sync();
+
+    const results = [];
+    for (const dossier of indexer.projection.all()) {
+      const raw = await indexer.contract.getDossier(dossier.owner, dossier.id);
+      results.push({
+        owner: dossier.owner,
+        id: dossier.id,
+        name: dossier.name,
+        mismatches: diffDossier(dossier, raw)
+      });
+    }
+
+    const summary = {
+      address,
+      fromBlock,
+      toBlock: indexer.lastBlock,
+      events: indexer.events.length,
+      dossiers: results.length,
+      mismatched: results.filter((r) => r.mismatches.length > 0)
+    };
+
+    printResult(
+      taskArgs,
+      summary,
+      results.map((r) => ({ ...r, mismatches: r.mismatches.join(", ") || "ok" })),
+      ["owner", "id", "name", "mismatches"]
+    );
+
+    if (summary.mismatched.length > 0) {
+      throw new Error(`${summary.mismatched.length} dossier(s) differ from on-chain state`);
+    }
+    return summary;
+  });
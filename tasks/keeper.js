@@ -0,0 +1,49 @@
+// Hardhat task running the expiry keeper
+const { task, types } = require("hardhat/config");
+const { ExpiryKeeper } = require("../lib");
+const { getClient, resolveFromBlock, printResult, formatTimestamp } = require("./utils");
+
+task("keeper", "Finalize expired CanaryDossierV6 dossiers so their release is recorded on chain")
+  .addOptionalParam("address", "CanaryDossierV6 address (defaults to the registry entry for the network)")
+  .addOptionalParam("fromBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("from", "Account paying for finalizeExpiry (defaults to the first configured account)")
+  .addOptionalParam("interval", "Milliseconds between checks", 15000, types.int)
+  .addFlag("once", "Finalize expired dossiers once and exit")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    const contractName = "CanaryDossierV6";
+    const { client, signer } = await getClient(hre, taskArgs, { contractName });
+    const fromBlock = await resolveFromBlock(hre, client.address, taskArgs.fromBlock, { contractName });
+
+    const keeper = new ExpiryKeeper({
+      address: client.address,
+      runner: signer,
+      fromBlock,
+      pollInterval: taskArgs.interval
+    });
+    keeper.on("error", (error, dossier) =>
+      console.error(`⚠️  ${dossier ? `${dossier.owner} #${dossier.id}: ` : ""}${error.message}`)
+    );
+
+    if (taskArgs.once) {
+      const finalized = await keeper.check();
+      printResult(
+        taskArgs,
+        finalized,
+        finalized.map((f) => ({ ...f, at: formatTimestamp(f.at) })),
+        ["owner", "dossierId", "name", "trigger", "transactionHash", "at"]
+      );
+      return finalized;
+    }
+
+    keeper.on("finalized", (f) => console.log(`🔓 ${f.owner} #${f.dossierId} ${f.name} (${f.trigger}) ${f.transactionHash}`));
+    console.log(`⛏️  Finalizing expired dossiers on ${client.address} from block ${fromBlock} (Ctrl-C to stop)`);
+    await keeper.start();
+    await new Promise((resolve) => {
+      process.once("SIGINT", () => {
+        keeper.stop();
+        resolve();
+      });
+    });
+    return [];
+  });
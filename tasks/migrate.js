@@ -0,0 +1,80 @@
+// Hardhat task moving dossiers from a CanaryDossier or CanaryDossierV2 deployment to V3 (or later)
+const { DossierMigration, MigrationAction } = require("../lib/migration");
+const { formatTable, getClient, printResult, resolveAddress } = require("./utils");
+const { contractNameFor, dossierTask } = require("./dossier");
+const { CONTRACT_ALIASES } = require("./deploy");
+
+const PLAN_COLUMNS = ["sourceId", "name", "action", "paused", "interval", "recipients", "files", "reason"];
+const RESULT_COLUMNS = ["sourceId", "dossierId", "paused", "resumed", "txHashes"];
+
+function sourceContractNameFor(taskArgs) {
+  const contractName = CONTRACT_ALIASES[taskArgs.sourceContract];
+  if (contractName !== "CanaryDossier" && contractName !== "CanaryDossierV2") {
+    throw new Error(`Unknown source contract '${taskArgs.sourceContract}'. Use V1 or V2.`);
+  }
+  return contractName;
+}
+
+function planRow(step) {
+  return {
+    sourceId: step.sourceId,
+    name: step.name,
+    action: step.action,
+    paused: step.paused ? "yes" : "no",
+    interval: `${step.checkInInterval}s`,
+    recipients: step.recipients.length,
+    files: step.files.length,
+    reason: step.reason || ""
+  };
+}
+
+dossierTask("dossier:migrate", "Recreate your V1/V2 dossiers on V3 (or later) and disable the originals")
+  .addOptionalParam("source", "Address to migrate from (defaults to the registry entry for --source-contract)")
+  .addOptionalParam("sourceContract", "V1 or V2", "V2")
+  .addOptionalParam("contract", "Contract to migrate to: V3, V4, V5 or V6", "V3")
+  .addFlag("dryRun", "Only show the plan")
+  .setAction(async (taskArgs, hre) => {
+    const sourceContractName = sourceContractNameFor(taskArgs);
+    const sourceAddress = await resolveAddress(hre, taskArgs.source, { contractName: sourceContractName });
+    const { client, signer } = await getClient(hre, taskArgs, { contractName: contractNameFor(taskArgs) });
+    if (!signer) {
+      throw new Error("dossier:migrate needs the owner's account");
+    }
+
+    const migration = new DossierMigration({ sourceAddress, sourceContractName, client });
+    const plan = await migration.plan({ owner: signer.address });
+    const migrating = plan.steps.filter((step) => step.action === MigrationAction.MIGRATE).length;
+
+    if (taskArgs.dryRun || migrating === 0) {
+      printResult(taskArgs, plan, plan.steps.map(planRow), PLAN_COLUMNS);
+      if (!taskArgs.json) {
+        console.log(
+          taskArgs.dryRun
+            ? `\nDry run: ${migrating} of ${plan.steps.length} dossier(s) would move to ${plan.target.address}.`
+            : "\nNothing to migrate."
+        );
+      }
+      return { plan, results: [] };
+    }
+
+    if (!taskArgs.json) {
+      const { source, target } = plan;
+      console.log(`${source.contractName} ${source.address} -> ${target.contractName} ${target.address}`);
+      console.log(`${formatTable(plan.steps.map(planRow), PLAN_COLUMNS)}\n`);
+    }
+    const results = await migration.execute(plan, {
+      onMigrated: (result) => {
+        if (!taskArgs.json) {
+          console.log(`✅ #${result.sourceId} -> #${result.dossierId}${result.paused ? " (paused)" : ""}`);
+        }
+      }
+    });
+
+    printResult(
+      taskArgs,
+      { plan, results },
+      results.map((result) => ({ ...result, txHashes: result.txHashes.join(", ") })),
+      RESULT_COLUMNS
+    );
+    return { plan, results };
+  });
@@ -0,0 +1,76 @@
+// Hardhat tasks for recipients: release feed and decryptable file manifest
+const { types } = require("hardhat/config");
+const { RecipientFeed, RecipientState } = require("../lib/recipient");
+const { getClient, printResult } = require("./utils");
+const { contractNameFor, dossierTask } = require("./dossier");
+
+const FEED_COLUMNS = ["state", "owner", "id", "name", "status", "guardians", "tier", "files"];
+
+function feedRow(entry) {
+  return {
+    state: entry.state,
+    owner: entry.owner,
+    id: entry.dossierId,
+    name: entry.name,
+    status: entry.status,
+    guardians: entry.dossier.guardians.length > 0 ? `${entry.confirmations}/${entry.threshold}` : "-",
+    tier: entry.tier,
+    files: entry.files.length
+  };
+}
+
+async function getFeed(hre, taskArgs) {
+  const { client, signer } = await getClient(hre, taskArgs, { contractName: contractNameFor(taskArgs) });
+  const recipient = taskArgs.recipient || (signer && signer.address);
+  return new RecipientFeed({ client, recipient, manifest: taskArgs.manifest, pollInterval: taskArgs.interval });
+}
+
+dossierTask("recipient:feed", "List dossiers addressed to a recipient as sealed, pending-guardians or decryptable")
+  .addOptionalParam("recipient", "Recipient address (defaults to the signing account)")
+  .addOptionalParam("state", `Only show one state (${Object.values(RecipientState).join(", ")})`)
+  .addOptionalParam("manifest", "Write the decryptable dossiers' file hashes to this JSON file")
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .setAction(async (taskArgs, hre) => {
+    if (taskArgs.state && !Object.values(RecipientState).includes(taskArgs.state)) {
+      throw new Error(`Unknown state '${taskArgs.state}'`);
+    }
+
+    const feed = await getFeed(hre, taskArgs);
+    const all = await feed.list();
+    const entries = taskArgs.state ? all.filter((entry) => entry.state === taskArgs.state) : all;
+
+    if (taskArgs.manifest) {
+      feed.writeManifest(taskArgs.manifest, all);
+    }
+
+    printResult(
+      taskArgs,
+      entries.map(({ dossier, ...entry }) => entry),
+      entries.map(feedRow),
+      FEED_COLUMNS
+    );
+    return entries;
+  });
+
+dossierTask("recipient:watch", "Watch for dossiers becoming decryptable and keep a manifest up to date")
+  .addOptionalParam("recipient", "Recipient address (defaults to the signing account)")
+  .addParam("manifest", "JSON file listing the decryptable dossiers' file hashes")
+  .addOptionalParam("interval", "Milliseconds between polls", 15000, types.int)
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .setAction(async (taskArgs, hre) => {
+    const feed = await getFeed(hre, taskArgs);
+    feed.on("decryptable", (entry) => {
+      console.log(`🔓 ${entry.owner}:${entry.dossierId} "${entry.name}" (${entry.files.length} file(s))`);
+    });
+    feed.on("error", (error) => console.error(`⚠️  ${error.message}`));
+
+    console.log(`👀 Watching releases for ${feed.recipient}, manifest: ${taskArgs.manifest} (Ctrl-C to stop)`);
+    await feed.start();
+    feed.writeManifest();
+    await new Promise((resolve) => {
+      process.once("SIGINT", () => {
+        feed.stop();
+        resolve();
+      });
+    });
+  });
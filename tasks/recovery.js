@@ -0,0 +1,87 @@
+// Hardhat tasks for CanaryDossierV5 owner recovery
+const { types } = require("hardhat/config");
+const { getClient, formatTimestamp, printResult, receiptSummary } = require("./utils");
+const { TX_COLUMNS, dossierTask, runTransaction } = require("./dossier");
+
+const CONTRACT_NAME = "CanaryDossierV5";
+const RECOVERY_COLUMNS = ["owner", "id", "recoveryAddress", "newOwner", "approvals", "executeAfter"];
+
+function recoveryClient(hre, taskArgs) {
+  return getClient(hre, taskArgs, { contractName: CONTRACT_NAME });
+}
+
+dossierTask("recovery:set", "Set the address that may recover one of your dossiers", CONTRACT_NAME)
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("recovery", "Recovery address (the zero address clears it)")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await recoveryClient(hre, taskArgs);
+    return runTransaction(taskArgs, "set-recovery", taskArgs.id, () =>
+      client.setRecoveryAddress({ dossierId: taskArgs.id, recoveryAddress: taskArgs.recovery })
+    );
+  });
+
+dossierTask("recovery:show", "Show the recovery address and pending recovery of a dossier", CONTRACT_NAME)
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addOptionalParam("owner", "Owner of the dossier (defaults to the signing account)")
+  .setAction(async (taskArgs, hre) => {
+    const { client, signer } = await recoveryClient(hre, taskArgs);
+    const owner = taskArgs.owner || (signer && signer.address);
+    const recovery = await client.getRecovery({ owner, dossierId: taskArgs.id });
+
+    const row = {
+      owner,
+      id: taskArgs.id,
+      recoveryAddress: recovery.recoveryAddress || "-",
+      newOwner: recovery.newOwner || "-",
+      approvals: recovery.approvalCount,
+      executeAfter: recovery.executeAfter === null ? "-" : formatTimestamp(recovery.executeAfter)
+    };
+    printResult(taskArgs, recovery, [row], RECOVERY_COLUMNS);
+    return recovery;
+  });
+
+dossierTask("recovery:initiate", "Start recovering a dossier as its recovery address", CONTRACT_NAME)
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("newOwner", "Address the dossier moves to")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await recoveryClient(hre, taskArgs);
+    return runTransaction(taskArgs, "initiate-recovery", taskArgs.id, () =>
+      client.initiateRecovery({ owner: taskArgs.owner, dossierId: taskArgs.id, newOwner: taskArgs.newOwner })
+    );
+  });
+
+dossierTask("recovery:approve", "Approve recovering a dossier as one of its guardians", CONTRACT_NAME)
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .addParam("newOwner", "Address the dossier moves to")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await recoveryClient(hre, taskArgs);
+    return runTransaction(taskArgs, "approve-recovery", taskArgs.id, () =>
+      client.approveRecovery({ owner: taskArgs.owner, dossierId: taskArgs.id, newOwner: taskArgs.newOwner })
+    );
+  });
+
+dossierTask("recovery:cancel", "Cancel a pending recovery of one of your dossiers", CONTRACT_NAME)
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await recoveryClient(hre, taskArgs);
+    return runTransaction(taskArgs, "cancel-recovery", taskArgs.id, () =>
+      client.cancelRecovery({ dossierId: taskArgs.id })
+    );
+  });
+
+dossierTask("recovery:execute", "Move a dossier to its new owner once the recovery timelock has passed", CONTRACT_NAME)
+  .addParam("owner", "Owner of the dossier")
+  .addParam("id", "Dossier ID", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await recoveryClient(hre, taskArgs);
+    const { owner, dossierId, receipt } = await client.executeRecovery({
+      owner: taskArgs.owner,
+      dossierId: taskArgs.id
+    });
+
+    const summary = receiptSummary(receipt, { action: "execute-recovery", dossierId, newOwner: owner });
+    printResult(taskArgs, summary, [summary], [...TX_COLUMNS, "newOwner"]);
+    return summary;
+  });
@@ -0,0 +1,45 @@
+// Hardhat task serving the meta-transaction relayer
+const { task, types } = require("hardhat/config");
+const { DossierRelayer } = require("../lib");
+const { getClient } = require("./utils");
+const { CONTRACT_ALIASES } = require("./deploy");
+
+// Versions with signed check-in, pause and resume
+const RELAYABLE_CONTRACTS = ["CanaryDossierV4", "CanaryDossierV5", "CanaryDossierV6"];
+
+task("relayer", "Serve an HTTP API that submits owners' signed check-ins, pauses and resumes")
+  .addOptionalParam("contract", "V4, V5 or V6", "V4")
+  .addOptionalParam("address", "Contract address (defaults to the registry entry for the network)")
+  .addOptionalParam("from", "Relayer account that sends and pays for transactions (defaults to the first account)")
+  .addOptionalParam("host", "Interface to listen on", "127.0.0.1")
+  .addOptionalParam("port", "Port to listen on", 8546, types.int)
+  .addOptionalParam("maxRequests", "Requests each owner may make within the rate window", 10, types.int)
+  .addOptionalParam("rateWindow", "Rate window in seconds", 3600, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const contractName = CONTRACT_ALIASES[taskArgs.contract];
+    if (!RELAYABLE_CONTRACTS.includes(contractName)) {
+      throw new Error(`Cannot relay for '${taskArgs.contract}'. Use V4, V5 or V6.`);
+    }
+
+    const { client, signer } = await getClient(hre, taskArgs, { contractName });
+    if (!signer) {
+      throw new Error(`No account configured for network ${hre.network.name} to relay from`);
+    }
+
+    const relayer = new DossierRelayer({
+      client,
+      maxRequests: taskArgs.maxRequests,
+      rateWindow: taskArgs.rateWindow * 1000
+    });
+    relayer.on("relayed", (result) => {
+      console.log(`✅ ${result.action} ${result.owner} #${result.dossierId} in ${result.transactionHash}`);
+    });
+    relayer.on("rejected", (error) => console.error(`⚠️  ${error.name}: ${error.message}`));
+
+    const url = await relayer.start({ host: taskArgs.host, port: taskArgs.port });
+    console.error(`📨 Relaying to ${client.address} on ${hre.network.name} from ${signer.address} at ${url} (Ctrl-C to stop)`);
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+    });
+    await relayer.stop();
+  });
@@ -0,0 +1,72 @@
+// Hardhat task sending check-in reminders to dossier owners
+const { task, types } = require("hardhat/config");
+const { CheckInReminder, FileTransport } = require("../lib");
+const { DEFAULT_OFFSETS } = require("../lib/CheckInReminder");
+const { contractNameFor } = require("./dossier");
+const { getClient, parseList, printResult, formatTimestamp } = require("./utils");
+
+/**
+ * @dev Parse "0xOwner=alice@example.org,0xOther=bob@example.org"
+ */
+function parseContacts(value) {
+  return Object.fromEntries(
+    parseList(value).map((entry) => {
+      const [owner, to] = entry.split("=").map((part) => part.trim());
+      if (!owner || !to) {
+        throw new Error(`Invalid contact '${entry}', expected <address>=<email>`);
+      }
+      return [owner, to];
+    })
+  );
+}
+
+task("reminders", "Send escalating check-in reminders to dossier owners")
+  .addOptionalParam("address", "Contract address (defaults to the registry entry for the network and --contract)")
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .addOptionalParam("owners", "Comma-separated owners to remind (defaults to the configured accounts)")
+  .addOptionalParam("contacts", "Comma-separated <owner>=<email> delivery addresses")
+  .addOptionalParam("offsets", "Comma-separated seconds before the deadline for each reminder level", DEFAULT_OFFSETS.join(","))
+  .addOptionalParam("dir", "Directory the file transport writes messages to", "reminders")
+  .addFlag("once", "Send due reminders once and exit")
+  .addFlag("json", "Print machine-readable JSON")
+  .setAction(async (taskArgs, hre) => {
+    const { client } = await getClient(hre, taskArgs, { contractName: contractNameFor(taskArgs) });
+    const owners = taskArgs.owners
+      ? parseList(taskArgs.owners)
+      : (await hre.ethers.getSigners()).map((signer) => signer.address);
+
+    const reminder = new CheckInReminder({
+      client,
+      owners,
+      transport: new FileTransport({ dir: taskArgs.dir }),
+      contacts: parseContacts(taskArgs.contacts),
+      offsets: parseList(taskArgs.offsets).map(Number)
+    });
+    reminder.on("error", (error) => console.error(`⚠️  ${error.message}`));
+
+    if (taskArgs.once) {
+      const sent = await reminder.check();
+      printResult(
+        taskArgs,
+        sent,
+        sent.map((r) => ({ ...r, dueAt: formatTimestamp(r.dueAt), dossiers: r.dossiers.length })),
+        ["owner", "level", "dueAt", "dossiers"]
+      );
+      return sent;
+    }
+
+    reminder.on("reminder", (r, message) => console.log(`✉️  ${message.to}: ${message.subject}`));
+    console.log(`⏰ Sending reminders for ${owners.length} owner(s) to ${taskArgs.dir} (Ctrl-C to stop)`);
+    await reminder.start();
+    await new Promise((resolve) => {
+      process.once("SIGINT", () => {
+        reminder.stop();
+        resolve();
+      });
+    });
+    return [];
+  });
+
+module.exports = {
+  parseContacts
+};
@@ -0,0 +1,154 @@
+// Shared helpers for the dossier Hardhat tasks
+const path = require("path");
+const { DossierClient, deploymentWarnings } = require("../lib");
+const { DeploymentRegistry } = require("../lib/registry");
+
+/**
+ * @dev The deployment registry for the selected network
+ * @notice Networks can point at their own registry file through `deploy.registry`
+ */
+function getRegistry(hre, file) {
+  const registryFile = file || (hre.network.config.deploy && hre.network.config.deploy.registry);
+  if (!registryFile) {
+    return new DeploymentRegistry();
+  }
+  return new DeploymentRegistry({ file: path.resolve(hre.config.paths.root, registryFile) });
+}
+
+/**
+ * @dev Resolve the contract address from --address or the deployment registry
+ */
+async function resolveAddress(hre, address, { contractName = "CanaryDossierV3", registry } = {}) {
+  if (address) {
+    return address;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const current = (registry || getRegistry(hre)).current({ contractName, chainId });
+  if (!current) {
+    throw new Error(
+      `No ${contractName} deployment registered for network ${hre.network.name} (chainId ${chainId}). Pass --address.`
+    );
+  }
+  return current.address;
+}
+
+/**
+ * @dev First block to index: --from-block, else the registry's deployment block for the address
+ */
+async function resolveFromBlock(hre, address, fromBlock, { contractName = "CanaryDossierV3" } = {}) {
+  if (fromBlock !== undefined) {
+    return fromBlock;
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const current = getRegistry(hre).current({ contractName, chainId });
+  return current && current.address.toLowerCase() === address.toLowerCase() ? current.blockNumber : 0;
+}
+
+/**
+ * @dev Build a DossierClient for the task, signing with --from or the first account
+ * @notice `contractName` selects both the ABI and the registry entry used without --address.
+ *   Warns on stderr when the deployment is deprecated or the registry has a newer contract.
+ */
+async function getClient(hre, taskArgs, { contractName = "CanaryDossierV3" } = {}) {
+  const registry = getRegistry(hre);
+  const address = await resolveAddress(hre, taskArgs.address, { contractName, registry });
+  const signers = await hre.ethers.getSigners();
+
+  let signer = signers[0];
+  if (taskArgs.from) {
+    signer = signers.find((s) => s.address.toLowerCase() === taskArgs.from.toLowerCase());
+    if (!signer) {
+      throw new Error(`No configured account for ${taskArgs.from}`);
+    }
+  }
+
+  const client = new DossierClient({ address, runner: signer || hre.ethers.provider, contractName });
+  for (const warning of await deploymentWarnings(client, { registry })) {
+    console.warn(`⚠️  ${warning}`);
+  }
+  return { client, signer };
+}
+
+/**
+ * @dev Split a comma-separated task argument into a list
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+/**
+ * @dev JSON.stringify that renders bigints as decimal strings
+ */
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function formatTimestamp(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * @dev Render rows of objects as an aligned text table
+ */
+function formatTable(rows, columns) {
+  if (rows.length === 0) {
+    return "(none)";
+  }
+
+  const cells = rows.map((row) => columns.map((column) => String(row[column] ?? "")));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((rowCells) => rowCells[i].length))
+  );
+
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line)
+  ].join("\n");
+}
+
+/**
+ * @dev Print a result either as JSON or as a table
+ */
+function printResult(taskArgs, data, rows, columns) {
+  if (taskArgs.json) {
+    console.log(toJson(data));
+  } else {
+    console.log(formatTable(rows, columns));
+  }
+}
+
+/**
+ * @dev Summarize a transaction receipt for output
+ */
+function receiptSummary(receipt, extra = {}) {
+  return {
+    ...extra,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed
+  };
+}
+
+module.exports = {
+  getRegistry,
+  resolveAddress,
+  resolveFromBlock,
+  getClient,
+  parseList,
+  toJson,
+  formatTimestamp,
+  formatTable,
+  printResult,
+  receiptSummary
+};
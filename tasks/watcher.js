@@ -0,0 +1,54 @@
+// Hardhat task running the dossier watchdog
+const { task, types } = require("hardhat/config");
+const { DossierWatcher, StdoutSink, WebhookSink, FileSink } = require("../lib");
+const { contractNameFor } = require("./dossier");
+const { resolveAddress, resolveFromBlock } = require("./utils");
+
+task("watch", "Watch all dossiers and notify when deadlines approach, grace starts or check-ins are missed")
+  .addOptionalParam("address", "Contract address (defaults to the registry entry for the network and --contract)")
+  .addOptionalParam("fromBlock", "First block to index (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("contract", "V3, V4, V5 or V6", "V3")
+  .addOptionalParam("warning", "Seconds before the deadline to send the first warning", 3600, types.int)
+  .addOptionalParam("webhook", "URL to POST notifications to")
+  .addOptionalParam("file", "File to append notifications to as JSON lines")
+  .addOptionalParam("interval", "Maximum milliseconds between checks", 15000, types.int)
+  .addFlag("once", "Check once and exit")
+  .addFlag("json", "Print notifications as JSON lines")
+  .setAction(async (taskArgs, hre) => {
+    const contractName = contractNameFor(taskArgs);
+    const address = await resolveAddress(hre, taskArgs.address, { contractName });
+    const fromBlock = await resolveFromBlock(hre, address, taskArgs.fromBlock, { contractName });
+
+    const sinks = [new StdoutSink({ json: taskArgs.json })];
+    if (taskArgs.webhook) {
+      sinks.push(new WebhookSink({ url: taskArgs.webhook }));
+    }
+    if (taskArgs.file) {
+      sinks.push(new FileSink({ file: taskArgs.file }));
+    }
+
+    const watcher = new DossierWatcher({
+      address,
+      provider: hre.ethers.provider,
+      contractName,
+      fromBlock,
+      sinks,
+      warningWindow: taskArgs.warning,
+      pollInterval: taskArgs.interval
+    });
+    watcher.on("error", (error) => console.error(`⚠️  ${error.message}`));
+
+    if (taskArgs.once) {
+      return watcher.check();
+    }
+
+    console.error(`👀 Watching ${address} on ${hre.network.name} from block ${fromBlock} (Ctrl-C to stop)`);
+    await watcher.start();
+    await new Promise((resolve) => {
+      process.once("SIGINT", () => {
+        watcher.stop();
+        resolve();
+      });
+    });
+    return [];
+  });
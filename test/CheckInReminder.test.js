@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CheckInReminder, DossierClient, FileTransport, SmtpStubTransport } = require("../lib");
+const { parseContacts } = require("../tasks/reminders");
+
+describe("CheckInReminder", function () {
+  const DAY = 86400;
+  const HOUR = 3600;
+
+  let contract;
+  let client;
+  let transport;
+  let reminder;
+  let owner, other, recipient;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    [owner, other, recipient] = await ethers.getSigners();
+
+    client = new DossierClient({ address: await contract.getAddress(), runner: ethers.provider });
+    transport = new SmtpStubTransport();
+    reminder = new CheckInReminder({
+      client,
+      owners: [owner.address, other.address],
+      transport,
+      contacts: { [owner.address]: "owner@example.org" }
+    });
+  });
+
+  afterEach(function () {
+    reminder.stop();
+  });
+
+  it("Should compute the next due time across an owner's dossiers", async function () {
+    await contract.createDossier("Weekly", "", 7 * DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("Daily", "", 2 * DAY, [recipient.address], ["ipfs://QmB"], [], 0);
+    await contract.createDossier("Paused", "", DAY, [recipient.address], ["ipfs://QmC"], [], 0);
+    await contract.pauseDossier(2);
+
+    const daily = await contract.getDossier(owner.address, 1);
+    const { dueAt, dossiers } = await reminder.nextDue(owner.address);
+
+    expect(dueAt).to.equal(daily.lastCheckIn + daily.checkInInterval);
+    expect(dossiers.map((d) => d.name)).to.deep.equal(["Daily", "Weekly"]);
+    expect((await reminder.nextDue(other.address)).dueAt).to.be.undefined;
+  });
+
+  it("Should escalate at 24h, 1h and once overdue", async function () {
+    await contract.createDossier("Leak", "", 3 * DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+
+    expect(await reminder.check()).to.deep.equal([]);
+
+    await time.increase(2 * DAY);
+    await reminder.check();
+    await reminder.check();
+    expect(transport.outbox.length).to.equal(1);
+    expect(transport.outbox[0].to).to.equal("owner@example.org");
+    expect(transport.outbox[0].subject).to.equal("Canary: check in within 24h");
+
+    await time.increase(DAY - HOUR);
+    await reminder.check();
+    expect(transport.outbox.length).to.equal(2);
+    expect(transport.outbox[1].subject).to.match(/^Canary: check in within (59m|1h)/);
+
+    await time.increase(HOUR + 1);
+    const [overdue] = await reminder.check();
+    expect(overdue.level).to.equal(2);
+    expect(overdue.dossiers[0].status).to.equal("in-grace");
+    expect(transport.outbox[2].subject).to.equal("Canary: check-in overdue for 1 dossier(s)");
+    expect(transport.outbox[2].text).to.include("#0 Leak (in-grace");
+
+    await time.increase(DAY);
+    await reminder.check();
+    expect(transport.outbox.length).to.equal(3);
+  });
+
+  it("Should only send the most urgent reminder when first seen late", async function () {
+    await contract.createDossier("Leak", "", DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+    await time.increase(DAY - HOUR / 2);
+
+    const sent = await reminder.check();
+    expect(sent.map((r) => r.level)).to.deep.equal([1]);
+  });
+
+  it("Should list every dossier due within the reminder window", async function () {
+    await contract.createDossier("A", "", DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("B", "", DAY + HOUR, [recipient.address], ["ipfs://QmB"], [], 0);
+    await contract.createDossier("C", "", 5 * DAY, [recipient.address], ["ipfs://QmC"], [], 0);
+
+    await time.increase(HOUR);
+    const [sent] = await reminder.check();
+    expect(sent.dossiers.map((d) => d.name)).to.deep.equal(["A", "B"]);
+  });
+
+  it("Should check in everything now and restart escalation", async function () {
+    await contract.createDossier("A", "", 3 * DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("B", "", 4 * DAY, [recipient.address], ["ipfs://QmB"], [], 0);
+    await time.increase(3 * DAY + 1);
+    await reminder.check();
+    expect(transport.outbox.length).to.equal(1);
+
+    const receipt = await reminder.checkInAll(owner);
+    expect(receipt.status).to.equal(1);
+
+    const now = BigInt(await time.latest());
+    for (const id of [0, 1]) {
+      expect((await contract.getDossier(owner.address, id)).lastCheckIn).to.equal(now);
+    }
+    expect(await reminder.check()).to.deep.equal([]);
+
+    await time.increase(2 * DAY);
+    await reminder.check();
+    expect(transport.outbox.length).to.equal(2);
+    expect(transport.outbox[1].subject).to.equal("Canary: check in within 24h");
+  });
+
+  it("Should send through start() as deadlines approach", async function () {
+    reminder.pollInterval = 50;
+    await contract.createDossier("Leak", "", DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+    await reminder.start();
+
+    const sent = new Promise((resolve) => reminder.once("reminder", resolve));
+    await time.increase(DAY + 1);
+
+    expect((await sent).level).to.equal(2);
+  });
+
+  it("Should write reminders as .eml files", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-remind-"));
+    try {
+      reminder.transport = new FileTransport({ dir, from: "canary@example.org" });
+      await contract.createDossier("Leak", "", DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+      await time.increase(DAY + 1);
+      await reminder.check();
+
+      const files = fs.readdirSync(dir);
+      expect(files.length).to.equal(1);
+      const eml = fs.readFileSync(path.join(dir, files[0]), "utf8");
+      expect(eml).to.include("From: canary@example.org\r\n");
+      expect(eml).to.include("To: owner@example.org\r\n");
+      expect(eml).to.include("Subject: Canary: check-in overdue for 1 dossier(s)\r\n");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should parse task contacts", function () {
+    expect(parseContacts("0xA=a@example.org, 0xB=b@example.org")).to.deep.equal({
+      "0xA": "a@example.org",
+      "0xB": "b@example.org"
+    });
+    expect(() => parseContacts("0xA")).to.throw("Invalid contact");
+  });
+
+  it("Should send reminders for a CanaryDossierV6 deployment through the reminders task", async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    const v6 = await DossierV6.deploy();
+    await v6.waitForDeployment();
+    await v6.createDossier("Leak", "", DAY, [recipient.address], ["ipfs://QmA"], [], 0, 6 * HOUR);
+    await time.increase(DAY - HOUR + 1);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-reminders-"));
+    try {
+      const sent = await hre.run("reminders", {
+        address: await v6.getAddress(),
+        contract: "V6",
+        owners: owner.address,
+        contacts: `${owner.address}=owner@example.org`,
+        dir,
+        once: true,
+        json: true
+      });
+
+      expect(sent.map((r) => r.level)).to.deep.equal([1]);
+      expect(sent[0].dossiers.map((d) => d.name)).to.deep.equal(["Leak"]);
+      const [dossier] = sent[0].dossiers;
+      expect(dossier.graceEndsAt - dossier.deadline).to.equal(BigInt(6 * HOUR));
+      expect(fs.readdirSync(dir).length).to.equal(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { DeploymentRegistry } = require("../lib/registry");
+const { resolveDeployProfile, gasOverrides } = require("../tasks/deploy");
+
+describe("deploy task", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-deploy-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy each contract version to the hardhat network", async function () {
+    for (const [alias, contractName] of [
+      ["Dossier", "CanaryDossier"],
+      ["V2", "CanaryDossierV2"],
+      ["V3", "CanaryDossierV3"]
+    ]) {
+      const record = await hre.run("deploy", { contract: alias, quiet: true });
+
+      expect(record.contractName).to.equal(contractName);
+      expect(record.chainId).to.equal(31337);
+      expect(await ethers.provider.getCode(record.address)).to.not.equal("0x");
+
+      const contract = await ethers.getContractAt(contractName, record.address);
+      expect(await contract.GRACE_PERIOD()).to.equal(3600n);
+    }
+  });
+
+  it("Should not touch the registry on the hardhat network by default", async function () {
+    const before = fs.readFileSync(new DeploymentRegistry().file, "utf8");
+    await hre.run("deploy", { contract: "V3", quiet: true });
+    expect(fs.readFileSync(new DeploymentRegistry().file, "utf8")).to.equal(before);
+  });
+
+  it("Should record into an explicit registry file", async function () {
+    const file = path.join(dir, "registry.json");
+    const record = await hre.run("deploy", { contract: "V3", registry: file, quiet: true });
+
+    const registry = new DeploymentRegistry({ file });
+    const current = registry.current({ contractName: "CanaryDossierV3", chainId: 31337 });
+    expect(current.address).to.equal(record.address);
+    expect(current.network).to.equal("hardhat");
+  });
+
+  it("Should reject unknown contracts", async function () {
+    await expect(hre.run("deploy", { contract: "V9", quiet: true })).to.be.rejectedWith(
+      "Unknown contract 'V9'"
+    );
+  });
+
+  describe("Profiles", function () {
+    it("Should merge network profiles over the defaults", function () {
+      const profile = resolveDeployProfile({
+        deploy: { confirmations: 3, gas: { strategy: "zero" }, explorerUrl: "https://x/{address}" }
+      });
+
+      expect(profile.confirmations).to.equal(3);
+      expect(profile.gas.strategy).to.equal("zero");
+      expect(profile.record).to.be.true;
+      expect(profile.envKey).to.be.null;
+
+      expect(resolveDeployProfile({}).gas.strategy).to.equal("auto");
+    });
+
+    it("Should read the profiles declared in hardhat.config.js", function () {
+      const status = resolveDeployProfile(hre.config.networks.statusSepolia);
+      expect(status.gas.strategy).to.equal("zero");
+      expect(status.gasLimit).to.equal(10000000);
+      expect(status.confirmations).to.equal(3);
+      expect(status.envKey).to.equal("NEXT_PUBLIC_CANARY_DOSSIER_STATUS_ADDRESS");
+
+      expect(resolveDeployProfile(hre.config.networks.hardhat).record).to.be.false;
+      expect(resolveDeployProfile(hre.config.networks.localhost).registry).to.equal(
+        "deployments/registry.localhost.json"
+      );
+    });
+
+    it("Should build gas overrides for each strategy", function () {
+      expect(gasOverrides(resolveDeployProfile({}))).to.deep.equal({});
+      expect(gasOverrides(resolveDeployProfile({ deploy: { gas: { strategy: "zero" }, gasLimit: 500000 } })))
+        .to.deep.equal({ gasPrice: 0, gasLimit: 500000 });
+      expect(gasOverrides(resolveDeployProfile({ deploy: { gas: { strategy: "fixed", gasPrice: "1.5" } } })))
+        .to.deep.equal({ gasPrice: 1500000000n });
+
+      expect(() => gasOverrides(resolveDeployProfile({ deploy: { gas: { strategy: "fixed" } } }))).to.throw(
+        "requires gas.gasPrice"
+      );
+      expect(() => gasOverrides(resolveDeployProfile({ deploy: { gas: { strategy: "magic" } } }))).to.throw(
+        "Unknown gas strategy"
+      );
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  DeploymentRegistry,
+  buildDeploymentRecord,
+  updateEnvFile,
+  syncEnvFile
+} = require("../lib/registry");
+const { resolveAddress } = require("../tasks/utils");
+
+describe("DeploymentRegistry", function () {
+  let dir;
+  let registry;
+
+  const ADDRESS_1 = "0x0000000000000000000000000000000000000001";
+  const ADDRESS_2 = "0x0000000000000000000000000000000000000002";
+  const ADDRESS_3 = "0x0000000000000000000000000000000000000003";
+
+  function deployment(overrides) {
+    return {
+      contractName: "CanaryDossierV3",
+      chainId: 31337,
+      network: "hardhat",
+      address: ADDRESS_1,
+      deployer: ADDRESS_3,
+      txHash: "0x" + "00".repeat(32),
+      blockNumber: 1,
+      timestamp: "2025-01-01T00:00:00.000Z",
+      explorerUrl: null,
+      abiHash: null,
+      bytecodeHash: null,
+      compiler: null,
+      ...overrides
+    };
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-registry-"));
+    registry = new DeploymentRegistry({ file: path.join(dir, "registry.json") });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Records", function () {
+    it("Should make the latest deployment current and keep history", function () {
+      registry.record(deployment({ address: ADDRESS_1 }));
+      registry.record(deployment({ address: ADDRESS_2, blockNumber: 2 }));
+
+      const current = registry.current({ contractName: "CanaryDossierV3", chainId: 31337 });
+      expect(current.address).to.equal(ADDRESS_2);
+      expect(current.version).to.equal(3);
+
+      const history = registry.history({ contractName: "CanaryDossierV3", chainId: 31337n });
+      expect(history.map((r) => r.address)).to.deep.equal([ADDRESS_1, ADDRESS_2]);
+    });
+
+    it("Should persist to disk", function () {
+      registry.record(deployment({ address: ADDRESS_1 }));
+
+      const reloaded = new DeploymentRegistry({ file: registry.file });
+      expect(reloaded.current({ contractName: "CanaryDossierV3", chainId: 31337 }).address).to.equal(ADDRESS_1);
+    });
+
+    it("Should key deployments by chain and version", function () {
+      registry.record(deployment({ address: ADDRESS_1 }));
+      registry.record(deployment({ address: ADDRESS_2, chainId: 1 }));
+      registry.record(deployment({ contractName: "CanaryDossierV2", address: ADDRESS_3 }));
+
+      expect(registry.current({ contractName: "CanaryDossierV3", chainId: 31337 }).address).to.equal(ADDRESS_1);
+      expect(registry.current({ contractName: "CanaryDossierV3", chainId: 1 }).address).to.equal(ADDRESS_2);
+      expect(registry.current({ contractName: "CanaryDossierV2", chainId: 31337, version: 2 }).address).to.equal(ADDRESS_3);
+      expect(registry.current({ contractName: "CanaryDossierV3", chainId: 31337, version: 2 })).to.be.undefined;
+      expect(registry.current({ contractName: "CanaryDossierV3", chainId: 5 })).to.be.undefined;
+
+      expect(registry.list().length).to.equal(3);
+      expect(registry.list({ chainId: 31337 }).length).to.equal(2);
+    });
+
+    it("Should roll the current deployment back to an earlier one", function () {
+      registry.record(deployment({ address: ADDRESS_1 }));
+      registry.record(deployment({ address: ADDRESS_2 }));
+
+      registry.setCurrent({ contractName: "CanaryDossierV3", chainId: 31337, address: ADDRESS_1 });
+      expect(registry.current({ contractName: "CanaryDossierV3", chainId: 31337 }).address).to.equal(ADDRESS_1);
+
+      const listed = registry.list({ chainId: 31337 });
+      expect(listed.map((r) => r.isCurrent)).to.deep.equal([true, false]);
+
+      expect(() =>
+        registry.setCurrent({ contractName: "CanaryDossierV3", chainId: 31337, address: ADDRESS_3 })
+      ).to.throw("is not a recorded deployment");
+    });
+
+    it("Should reject contracts without a known version", function () {
+      expect(() => registry.record(deployment({ contractName: "Unknown" }))).to.throw("No version known");
+    });
+  });
+
+  describe("Deployment records", function () {
+    it("Should capture hashes, compiler settings and block", async function () {
+      const [deployer] = await ethers.getSigners();
+      const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+      const contract = await DossierV3.deploy();
+      await contract.waitForDeployment();
+
+      const record = await buildDeploymentRecord(hre, {
+        contractName: "CanaryDossierV3",
+        contract,
+        deployer: deployer.address
+      });
+
+      const artifact = await hre.artifacts.readArtifact("CanaryDossierV3");
+      expect(record.address).to.equal(await contract.getAddress());
+      expect(record.chainId).to.equal(31337);
+      expect(record.network).to.equal("hardhat");
+      expect(record.version).to.equal(3);
+      expect(record.bytecodeHash).to.equal(ethers.keccak256(artifact.bytecode));
+      expect(record.abiHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(record.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      expect(record.compiler.version).to.match(/^0\.8\.19/);
+      expect(record.compiler.settings.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+      expect(record.compiler.settings.outputSelection).to.be.undefined;
+    });
+  });
+
+  describe("Env file", function () {
+    it("Should append and then replace a key", function () {
+      const envFile = path.join(dir, ".env.local");
+      fs.writeFileSync(envFile, "OTHER=1\n");
+
+      updateEnvFile(envFile, "CONTRACT_ADDRESS", ADDRESS_1, "Contract");
+      expect(fs.readFileSync(envFile, "utf8")).to.equal(`OTHER=1\n\n# Contract\nCONTRACT_ADDRESS=${ADDRESS_1}\n`);
+
+      updateEnvFile(envFile, "CONTRACT_ADDRESS", ADDRESS_2, "Contract");
+      expect(fs.readFileSync(envFile, "utf8")).to.equal(`OTHER=1\n\n# Contract\nCONTRACT_ADDRESS=${ADDRESS_2}\n`);
+    });
+
+    it("Should write the registry's current address", function () {
+      const envFile = path.join(dir, ".env.local");
+      registry.record(deployment({ address: ADDRESS_2 }));
+
+      syncEnvFile(registry, { envFile, key: "ADDR", contractName: "CanaryDossierV3", chainId: 31337 });
+      expect(fs.readFileSync(envFile, "utf8")).to.include(`ADDR=${ADDRESS_2}`);
+
+      expect(() =>
+        syncEnvFile(registry, { envFile, key: "ADDR", contractName: "CanaryDossierV3", chainId: 1 })
+      ).to.throw("No current CanaryDossierV3 deployment");
+    });
+  });
+
+  describe("Task address resolution", function () {
+    it("Should prefer --address and fall back to the registry", async function () {
+      expect(await resolveAddress(hre, ADDRESS_3, { registry })).to.equal(ADDRESS_3);
+
+      await expect(resolveAddress(hre, undefined, { registry })).to.be.rejectedWith(
+        "No CanaryDossierV3 deployment registered"
+      );
+
+      registry.record(deployment({ address: ADDRESS_2 }));
+      expect(await resolveAddress(hre, undefined, { registry })).to.equal(ADDRESS_2);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DossierClient,
+  DossierStatus,
+  DossierError,
+  DossierNotFoundError,
+  DossierStateError,
+  DossierValidationError,
+  GuardianError
+} = require("../lib");
+
+describe("DossierClient", function () {
+  let contract;
+  let client;
+  let owner, recipient1, recipient2, guardian1, guardian2, stranger;
+
+  const GRACE_PERIOD = 3600n;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    [owner, recipient1, recipient2, guardian1, guardian2, stranger] = await ethers.getSigners();
+
+    client = new DossierClient({ address: await contract.getAddress(), runner: owner });
+  });
+
+  async function createBasic(overrides = {}) {
+    return client.createDossier({
+      name: "Investigation",
+      description: "Encrypted evidence",
+      checkInInterval: 3600,
+      recipients: [recipient1.address],
+      files: ["ipfs://QmEvidence"],
+      ...overrides
+    });
+  }
+
+  describe("Creation and decoding", function () {
+    it("Should create a dossier from named parameters", async function () {
+      const { dossierId, receipt } = await createBasic();
+
+      expect(dossierId).to.equal(0n);
+      expect(receipt.status).to.equal(1);
+
+      const second = await createBasic({ name: "Second" });
+      expect(second.dossierId).to.equal(1n);
+    });
+
+    it("Should decode dossiers with computed deadline and status", async function () {
+      await createBasic({ guardians: [guardian1.address, guardian2.address], guardianThreshold: 1 });
+
+      const dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+
+      expect(dossier.owner).to.equal(owner.address);
+      expect(dossier.name).to.equal("Investigation");
+      expect(dossier.description).to.equal("Encrypted evidence");
+      expect(dossier.recipients).to.deep.equal([recipient1.address]);
+      expect(dossier.encryptedFileHashes).to.deep.equal(["ipfs://QmEvidence"]);
+      expect(dossier.guardians).to.deep.equal([guardian1.address, guardian2.address]);
+      expect(dossier.guardianThreshold).to.equal(1n);
+      expect(dossier.deadline).to.equal(dossier.lastCheckIn + 3600n);
+      expect(dossier.graceEndsAt).to.equal(dossier.deadline + GRACE_PERIOD);
+      expect(dossier.status).to.equal(DossierStatus.ACTIVE);
+    });
+
+    it("Should default the guardian threshold to all guardians", async function () {
+      await createBasic({ guardians: [guardian1.address, guardian2.address] });
+
+      const dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.guardianThreshold).to.equal(2n);
+    });
+
+    it("Should list all dossiers of an owner", async function () {
+      await createBasic({ name: "First" });
+      await createBasic({ name: "Second" });
+
+      const dossiers = await client.listDossiers({ owner: owner.address });
+      expect(dossiers.map((d) => d.name)).to.deep.equal(["First", "Second"]);
+    });
+  });
+
+  describe("Status calculation", function () {
+    beforeEach(async function () {
+      await createBasic();
+    });
+
+    it("Should move from active to in-grace to expired", async function () {
+      await time.increase(3600 + 1);
+      let dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.status).to.equal(DossierStatus.IN_GRACE);
+
+      await time.increase(3600);
+      dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.status).to.equal(DossierStatus.EXPIRED);
+      expect(await client.shouldStayEncrypted({ owner: owner.address, dossierId: 0 })).to.be.false;
+    });
+
+    it("Should reset the deadline on check-in", async function () {
+      await time.increase(3600 + 1);
+      await client.checkIn({ dossierId: 0 });
+
+      const dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.status).to.equal(DossierStatus.ACTIVE);
+      expect(dossier.lastCheckIn).to.equal(BigInt(await time.latest()));
+    });
+
+    it("Should report paused, released and disabled dossiers", async function () {
+      await createBasic({ name: "Second" });
+      await createBasic({ name: "Third" });
+
+      await client.pause({ dossierId: 0 });
+      await client.release({ dossierId: 1 });
+      await client.disable({ dossierId: 2 });
+
+      const [paused, released, disabled] = await client.listDossiers({ owner: owner.address });
+      expect(paused.status).to.equal(DossierStatus.PAUSED);
+      expect(released.status).to.equal(DossierStatus.RELEASED);
+      expect(disabled.status).to.equal(DossierStatus.DISABLED);
+
+      await client.resume({ dossierId: 0 });
+      const resumed = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(resumed.status).to.equal(DossierStatus.ACTIVE);
+    });
+  });
+
+  describe("Editing", function () {
+    beforeEach(async function () {
+      await createBasic();
+    });
+
+    it("Should add files, recipients and update the interval", async function () {
+      await client.addFiles({ dossierId: 0, files: ["ipfs://QmOne"] });
+      await client.addFiles({ dossierId: 0, files: ["ipfs://QmTwo", "ipfs://QmThree"] });
+      await client.addRecipient({ dossierId: 0, recipient: recipient2.address });
+      await client.updateCheckInInterval({ dossierId: 0, checkInInterval: 7200 });
+
+      const dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.encryptedFileHashes.length).to.equal(4);
+      expect(dossier.recipients).to.include(recipient2.address);
+      expect(dossier.checkInInterval).to.equal(7200n);
+
+      const refs = await client.getDossiersWhereRecipient({ recipient: recipient2.address });
+      expect(refs).to.deep.equal([{ owner: owner.address, dossierId: 0n }]);
+    });
+
+    it("Should check in all dossiers at once", async function () {
+      await createBasic({ name: "Second" });
+      const receipt = await client.checkInAll();
+
+      const checkIns = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .filter((log) => log && log.name === "CheckInPerformed");
+      expect(checkIns.length).to.equal(2);
+    });
+  });
+
+  describe("Guardian operations", function () {
+    beforeEach(async function () {
+      await createBasic({ guardians: [guardian1.address], guardianThreshold: 1 });
+    });
+
+    it("Should add guardians, confirm and revoke", async function () {
+      await client.addGuardian({ dossierId: 0, guardian: guardian2.address });
+      await client.setGuardianThreshold({ dossierId: 0, threshold: 2 });
+
+      const asGuardian = client.connect(guardian1);
+      await asGuardian.confirmRelease({ owner: owner.address, dossierId: 0 });
+      expect(
+        await client.hasGuardianConfirmed({ owner: owner.address, dossierId: 0, guardian: guardian1.address })
+      ).to.be.true;
+
+      await asGuardian.revokeConfirmation({ owner: owner.address, dossierId: 0 });
+      const dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.guardianConfirmationCount).to.equal(0n);
+
+      const refs = await client.getDossiersWhereGuardian({ guardian: guardian2.address });
+      expect(refs).to.deep.equal([{ owner: owner.address, dossierId: 0n }]);
+    });
+
+    it("Should remove guardians", async function () {
+      await client.removeGuardian({ dossierId: 0, guardian: guardian1.address });
+
+      const dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.guardians).to.deep.equal([]);
+      expect(dossier.guardianThreshold).to.equal(0n);
+    });
+  });
+
+  describe("Error mapping", function () {
+    beforeEach(async function () {
+      await createBasic({ guardians: [guardian1.address], guardianThreshold: 1 });
+    });
+
+    it("Should map missing dossiers to DossierNotFoundError", async function () {
+      const error = await client.getDossier({ owner: owner.address, dossierId: 5 }).catch((e) => e);
+      expect(error).to.be.instanceOf(DossierNotFoundError);
+      expect(error.reason).to.equal("Dossier does not exist");
+    });
+
+    it("Should map edits on paused dossiers to DossierStateError", async function () {
+      await client.pause({ dossierId: 0 });
+
+      const error = await client.addRecipient({ dossierId: 0, recipient: recipient2.address }).catch((e) => e);
+      expect(error).to.be.instanceOf(DossierStateError);
+      expect(error).to.be.instanceOf(DossierError);
+      expect(error.reason).to.equal("Dossier must be active to edit");
+    });
+
+    it("Should map invalid parameters to DossierValidationError", async function () {
+      const error = await createBasic({ checkInInterval: 60 }).catch((e) => e);
+      expect(error).to.be.instanceOf(DossierValidationError);
+      expect(error.reason).to.equal("Invalid check-in interval");
+    });
+
+    it("Should map guardian failures to GuardianError", async function () {
+      const error = await client
+        .connect(stranger)
+        .confirmRelease({ owner: owner.address, dossierId: 0 })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(GuardianError);
+      expect(error.reason).to.equal("Not a guardian");
+    });
+  });
+});
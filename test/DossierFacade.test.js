@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DossierFacade,
+  Capability,
+  CapabilityError,
+  DossierStatus,
+  DossierStateError,
+  DossierValidationError,
+  detectContract
+} = require("../lib");
+
+const HOUR = 3600;
+
+async function deploy(contractName) {
+  const factory = await ethers.getContractFactory(contractName);
+  const contract = await factory.deploy();
+  await contract.waitForDeployment();
+  return contract;
+}
+
+// The same scenarios against every contract the facade has to cover
+for (const [contractName, version] of [
+  ["CanaryDossier", 1],
+  ["CanaryDossierV2", 2],
+  ["CanaryDossierV3", 3]
+]) {
+  describe(`DossierFacade - ${contractName}`, function () {
+    let facade;
+    let owner, recipient1, recipient2, guardian;
+
+    beforeEach(async function () {
+      [owner, recipient1, recipient2, guardian] = await ethers.getSigners();
+      const contract = await deploy(contractName);
+      facade = await DossierFacade.at({ address: await contract.getAddress(), runner: owner });
+    });
+
+    async function createBasic(overrides = {}) {
+      return facade.createDossier({
+        name: "Investigation",
+        description: "Encrypted evidence",
+        checkInInterval: HOUR,
+        recipients: [recipient1.address],
+        files: ["ipfs://QmEvidence"],
+        ...overrides
+      });
+    }
+
+    async function expectCapabilityError(promise, operation, capability) {
+      const error = await promise.then(
+        () => expect.fail(`${operation} should have been refused`),
+        (e) => e
+      );
+      expect(error).to.be.instanceOf(CapabilityError);
+      expect([error.operation, error.capability, error.contractName]).to.deep.equal([
+        operation,
+        capability,
+        contractName
+      ]);
+    }
+
+    it("Should detect the contract version", async function () {
+      expect(facade.contractName).to.equal(contractName);
+      expect(facade.version).to.equal(version);
+      expect(facade.supports(Capability.EDITING)).to.equal(version >= 2);
+      expect(facade.supports(Capability.GUARDIANS)).to.equal(version >= 3);
+    });
+
+    it("Should create, decode and list dossiers", async function () {
+      const { dossierId } = await createBasic();
+      expect(dossierId).to.equal(0n);
+      await createBasic({ name: "Second" });
+
+      const dossier = await facade.getDossier({ owner: owner.address, dossierId });
+      expect([dossier.name, dossier.description, dossier.checkInInterval]).to.deep.equal([
+        "Investigation",
+        "Encrypted evidence",
+        BigInt(HOUR)
+      ]);
+      expect(dossier.recipients).to.deep.equal([recipient1.address]);
+      expect(dossier.encryptedFileHashes).to.deep.equal(["ipfs://QmEvidence"]);
+      expect([dossier.guardians, dossier.guardianThreshold]).to.deep.equal([[], 0n]);
+      expect(dossier.status).to.equal(DossierStatus.ACTIVE);
+
+      const dossiers = await facade.listDossiers({ owner: owner.address });
+      expect(dossiers.map((d) => d.name)).to.deep.equal(["Investigation", "Second"]);
+    });
+
+    it("Should follow the lifecycle through pause, check-in and expiry", async function () {
+      await createBasic();
+      const ref = { owner: owner.address, dossierId: 0 };
+
+      await facade.pause({ dossierId: 0 });
+      expect((await facade.getDossier(ref)).status).to.equal(DossierStatus.PAUSED);
+      await expect(facade.pause({ dossierId: 0 })).to.be.rejectedWith(DossierStateError, "Dossier already paused");
+      await facade.resume({ dossierId: 0 });
+
+      await time.increase(HOUR + 1);
+      expect((await facade.getDossier(ref)).status).to.equal(DossierStatus.IN_GRACE);
+      await facade.checkIn({ dossierId: 0 });
+      expect((await facade.getDossier(ref)).status).to.equal(DossierStatus.ACTIVE);
+      await facade.checkInAll();
+
+      await time.increase(2 * HOUR + 1);
+      expect((await facade.getDossier(ref)).status).to.equal(DossierStatus.EXPIRED);
+      expect(await facade.shouldStayEncrypted(ref)).to.be.false;
+    });
+
+    it("Should release and disable dossiers", async function () {
+      await createBasic();
+      await createBasic({ name: "Second" });
+
+      await facade.release({ dossierId: 0 });
+      await facade.disable({ dossierId: 1 });
+
+      const [released, disabled] = await facade.listDossiers({ owner: owner.address });
+      expect([released.status, disabled.status]).to.deep.equal([DossierStatus.RELEASED, DossierStatus.DISABLED]);
+      expect(await facade.shouldStayEncrypted({ owner: owner.address, dossierId: 0 })).to.be.false;
+      expect(await facade.shouldStayEncrypted({ owner: owner.address, dossierId: 1 })).to.be.true;
+    });
+
+    it("Should edit dossiers where the contract allows it", async function () {
+      await createBasic();
+
+      const edits = [
+        ["updateCheckInInterval", () => facade.updateCheckInInterval({ dossierId: 0, checkInInterval: 2 * HOUR })],
+        ["addFiles", () => facade.addFiles({ dossierId: 0, files: ["ipfs://QmMore"] })],
+        ["addRecipient", () => facade.addRecipient({ dossierId: 0, recipient: recipient2.address })],
+        ["removeRecipient", () => facade.removeRecipient({ dossierId: 0, recipient: recipient1.address })]
+      ];
+      if (version < 2) {
+        for (const [operation, edit] of edits) {
+          await expectCapabilityError(edit(), operation, Capability.EDITING);
+        }
+        return;
+      }
+
+      for (const [, edit] of edits) {
+        await edit();
+      }
+      const dossier = await facade.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.checkInInterval).to.equal(BigInt(2 * HOUR));
+      expect(dossier.encryptedFileHashes).to.deep.equal(["ipfs://QmEvidence", "ipfs://QmMore"]);
+      expect(dossier.recipients).to.deep.equal([recipient2.address]);
+      await expect(
+        facade.removeRecipient({ dossierId: 0, recipient: recipient2.address })
+      ).to.be.rejectedWith(DossierValidationError, "Cannot remove last recipient");
+    });
+
+    it("Should manage guardians where the contract allows it", async function () {
+      const withGuardian = () => createBasic({ guardians: [guardian.address], guardianThreshold: 1 });
+      if (version < 3) {
+        await expectCapabilityError(withGuardian(), "guardians", Capability.GUARDIANS);
+        await createBasic();
+        await expectCapabilityError(
+          facade.addGuardian({ dossierId: 0, guardian: guardian.address }),
+          "addGuardian",
+          Capability.GUARDIANS
+        );
+        await expectCapabilityError(
+          facade.connect(guardian).confirmRelease({ owner: owner.address, dossierId: 0 }),
+          "confirmRelease",
+          Capability.GUARDIANS
+        );
+        // Nothing was sent for the refused dossier
+        expect(await facade.listDossiers({ owner: owner.address })).to.have.length(1);
+        return;
+      }
+
+      await withGuardian();
+      await facade.release({ dossierId: 0 });
+      expect(await facade.shouldStayEncrypted({ owner: owner.address, dossierId: 0 })).to.be.true;
+
+      await facade.connect(guardian).confirmRelease({ owner: owner.address, dossierId: 0 });
+      const confirmed = await facade.hasGuardianConfirmed({ owner: owner.address, dossierId: 0, guardian: guardian.address });
+      expect(confirmed).to.be.true;
+      expect(await facade.shouldStayEncrypted({ owner: owner.address, dossierId: 0 })).to.be.false;
+      expect(await facade.getDossiersWhereGuardian({ guardian: guardian.address })).to.deep.equal([
+        { owner: owner.address, dossierId: 0n }
+      ]);
+    });
+
+    it("Should pause everything and look up dossiers where the contract allows it", async function () {
+      await createBasic();
+      if (version < 3) {
+        await expectCapabilityError(facade.pauseAll(), "pauseAll", Capability.BULK_PAUSE);
+        await expectCapabilityError(
+          facade.getDossiersWhereRecipient({ recipient: recipient1.address }),
+          "getDossiersWhereRecipient",
+          Capability.REVERSE_LOOKUPS
+        );
+        return;
+      }
+
+      await facade.pauseAll();
+      expect((await facade.getDossier({ owner: owner.address, dossierId: 0 })).status).to.equal(DossierStatus.PAUSED);
+      await facade.resumeAll();
+
+      const refs = await facade.getDossiersWhereRecipient({ recipient: recipient1.address });
+      expect(refs).to.deep.equal([{ owner: owner.address, dossierId: 0n }]);
+      await expectCapabilityError(facade.getDossiersSummary({ refs }), "getDossiersSummary", Capability.SUMMARIES);
+    });
+  });
+}
+
+describe("DossierFacade - detection", function () {
+  let owner;
+
+  beforeEach(async function () {
+    [owner] = await ethers.getSigners();
+  });
+
+  it("Should detect later contract versions", async function () {
+    for (const contractName of ["CanaryDossierV4", "CanaryDossierV5", "CanaryDossierV6"]) {
+      const contract = await deploy(contractName);
+      expect(await detectContract({ address: await contract.getAddress(), provider: ethers.provider })).to.equal(
+        contractName
+      );
+    }
+  });
+
+  it("Should detect the deployed CanaryDossierV3 bytecode", async function () {
+    // Frozen copy of the deployment, so functions added to the artifact later cannot hide it
+    const { deployedBytecode } = require("./fixtures/CanaryDossierV3.deployed.json");
+    const address = ethers.Wallet.createRandom().address;
+    await ethers.provider.send("hardhat_setCode", [address, deployedBytecode]);
+
+    expect(await detectContract({ address, provider: ethers.provider })).to.equal("CanaryDossierV3");
+    const facade = await DossierFacade.at({ address, runner: owner });
+    expect(await facade.getDossiersWhereRecipient({ recipient: owner.address })).to.deep.equal([]);
+  });
+
+  it("Should summarize dossiers from CanaryDossierV4 on", async function () {
+    const contract = await deploy("CanaryDossierV4");
+    const facade = await DossierFacade.at({ address: await contract.getAddress(), runner: owner });
+    expect(facade.supports(Capability.SUMMARIES)).to.be.true;
+
+    await facade.createDossier({ name: "Summary", checkInInterval: 3600, recipients: [owner.address], files: ["ipfs://Qm"] });
+    const [summary] = await facade.getDossiersSummary({ refs: [{ owner: owner.address, dossierId: 0n }] });
+    expect([summary.exists, summary.status]).to.deep.equal([true, DossierStatus.ACTIVE]);
+  });
+
+  it("Should name the version a capability needs", async function () {
+    const contract = await deploy("CanaryDossier");
+    const facade = await DossierFacade.at({ address: await contract.getAddress(), runner: owner });
+
+    expect(facade.capabilities).to.deep.equal([]);
+    await expect(facade.addRecipient({ dossierId: 0, recipient: owner.address })).to.be.rejectedWith(
+      "CanaryDossier does not support addRecipient; it needs CanaryDossierV2 or later"
+    );
+  });
+
+  it("Should refuse addresses without a dossier contract", async function () {
+    const [, account] = await ethers.getSigners();
+    await expect(DossierFacade.at({ address: account.address, runner: owner })).to.be.rejectedWith(
+      `No contract deployed at ${account.address}`
+    );
+
+    const extension = await deploy("CanaryDossierV6Extension");
+    const address = await extension.getAddress();
+    await expect(detectContract({ address, provider: ethers.provider })).to.be.rejectedWith(
+      `${address} is not a CanaryDossier contract`
+    );
+  });
+});
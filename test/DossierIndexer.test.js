@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierIndexer } = require("../lib");
+
+describe("DossierIndexer", function () {
+  let contract;
+  let address;
+  let indexer;
+  let owner, other, recipient1, recipient2, recipient3, guardian1, guardian2, guardian3;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, other, recipient1, recipient2, recipient3, guardian1, guardian2, guardian3] = await ethers.getSigners();
+
+    const deployBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+    indexer = new DossierIndexer({ address, provider: ethers.provider, fromBlock: deployBlock });
+  });
+
+  afterEach(function () {
+    indexer.stop();
+  });
+
+  /**
+   * Assert that every projected dossier matches getDossier on chain
+   */
+  async function expectProjectionMatchesChain() {
+    const projected = indexer.projection.all();
+    let onChainCount = 0;
+
+    for (const signer of [owner, other]) {
+      const ids = await contract.getUserDossierIds(signer.address);
+      onChainCount += ids.length;
+
+      for (const id of ids) {
+        const raw = await contract.getDossier(signer.address, id);
+        const dossier = indexer.projection.get(signer.address, id);
+
+        expect(dossier, `dossier ${signer.address}:${id}`).to.not.be.undefined;
+        expect(dossier.name).to.equal(raw.name);
+        expect(dossier.description).to.equal(raw.description);
+        expect(dossier.isActive).to.equal(raw.isActive);
+        expect(dossier.isPermanentlyDisabled).to.equal(raw.isPermanentlyDisabled);
+        expect(dossier.isReleased).to.equal(raw.isReleased);
+        expect(dossier.checkInInterval).to.equal(raw.checkInInterval);
+        expect(dossier.lastCheckIn).to.equal(raw.lastCheckIn);
+        expect(dossier.encryptedFileHashes).to.deep.equal([...raw.encryptedFileHashes]);
+        expect(dossier.recipients).to.deep.equal([...raw.recipients]);
+        expect(dossier.guardians).to.deep.equal([...raw.guardians]);
+        expect(dossier.guardianThreshold).to.equal(raw.guardianThreshold);
+        expect(dossier.guardianConfirmationCount).to.equal(raw.guardianConfirmationCount);
+
+        for (const guardian of raw.guardians) {
+          const confirmed = await contract.hasGuardianConfirmed(signer.address, id, guardian);
+          expect(dossier.confirmedGuardians.includes(guardian)).to.equal(confirmed);
+        }
+      }
+    }
+
+    expect(projected.length).to.equal(onChainCount);
+  }
+
+  it("Should reconstruct dossiers after a full lifecycle", async function () {
+    await contract.createDossier(
+      "Leak", "Documents", 3600,
+      [recipient1.address, recipient2.address],
+      ["ipfs://QmA"],
+      [guardian1.address, guardian2.address], 2
+    );
+    await contract.createDossier("Backup", "", 7200, [recipient1.address], ["ipfs://QmB"], [], 0);
+    await contract.connect(other).createDossier(
+      "Source", "Source notes", 86400,
+      [recipient3.address], ["ipfs://QmC", "ipfs://QmD"],
+      [guardian1.address], 1
+    );
+
+    await contract.addMultipleFileHashes(0, ["ipfs://QmE", "ipfs://QmF"]);
+    await contract.addFileHash(1, "ipfs://QmG");
+    await contract.addRecipient(0, recipient3.address);
+    await contract.removeRecipient(0, recipient1.address);
+    await contract.addGuardian(0, guardian3.address);
+    await contract.connect(guardian1).confirmRelease(owner.address, 0);
+    await contract.connect(guardian2).confirmRelease(owner.address, 0);
+    await contract.connect(guardian2).revokeConfirmation(owner.address, 0);
+    await contract.removeGuardian(0, guardian1.address);
+    await contract.updateGuardianThreshold(0, 1);
+    await contract.addGuardian(1, guardian2.address);
+    await contract.updateCheckInInterval(1, 10800);
+
+    await time.increase(1800);
+    await contract.checkInAll();
+    await contract.checkIn(0);
+    await contract.pauseAll();
+    await time.increase(600);
+    await contract.resumeDossier(1);
+    await contract.releaseNow(0);
+
+    await contract.connect(other).checkIn(0);
+    await contract.connect(other).permanentlyDisableDossier(0);
+
+    await indexer.sync();
+    await expectProjectionMatchesChain();
+
+    const backup = indexer.projection.get(owner.address, 1);
+    expect(backup.checkIns.length).to.equal(1);
+    expect(indexer.projection.byGuardian(guardian1.address).map((d) => d.name)).to.deep.equal(["Source"]);
+    expect(indexer.projection.byRecipient(recipient3.address).length).to.equal(2);
+  });
+
+  it("Should keep up incrementally", async function () {
+    await contract.createDossier("First", "", 3600, [recipient1.address], ["ipfs://QmA"], [], 0);
+    const firstSync = await indexer.sync();
+    expect(indexer.projection.all().length).to.equal(1);
+
+    await contract.createDossier("Second", "", 3600, [recipient1.address], ["ipfs://QmB"], [guardian1.address], 1);
+    await contract.checkIn(0);
+    const secondSync = await indexer.sync();
+
+    expect(secondSync).to.be.greaterThan(firstSync);
+    expect(indexer.events.map((e) => e.name)).to.deep.equal([
+      "DossierCreated",
+      "DossierCreated",
+      "CheckInPerformed"
+    ]);
+    await expectProjectionMatchesChain();
+  });
+
+  it("Should follow new blocks while started", async function () {
+    indexer.pollInterval = 50;
+    await indexer.start();
+
+    const seen = new Promise((resolve) => {
+      indexer.on("event", (event, dossier) => {
+        if (event.name === "DossierCreated") resolve(dossier);
+      });
+    });
+
+    await contract.createDossier("Live", "", 3600, [recipient1.address], ["ipfs://QmLive"], [], 0);
+    const dossier = await seen;
+
+    expect(dossier.name).to.equal("Live");
+    indexer.stop();
+  });
+
+  it("Should roll back events dropped by a reorg", async function () {
+    await contract.createDossier("Stable", "", 3600, [recipient1.address], ["ipfs://QmA"], [], 0);
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    // Fork A: gets indexed, then discarded
+    await contract.addRecipient(0, recipient2.address);
+    await contract.createDossier("Orphaned", "", 3600, [recipient1.address], ["ipfs://QmB"], [], 0);
+    await indexer.sync();
+    expect(indexer.projection.all().length).to.equal(2);
+
+    await network.provider.send("evm_revert", [snapshot]);
+
+    // Fork B: different history at the same heights
+    await network.provider.send("evm_mine");
+    await contract.addRecipient(0, recipient3.address);
+
+    const reorgs = [];
+    indexer.on("reorg", (block) => reorgs.push(block));
+    await indexer.sync();
+
+    expect(reorgs.length).to.equal(1);
+    expect(indexer.projection.all().length).to.equal(1);
+    expect(indexer.projection.get(owner.address, 0).recipients).to.deep.equal([
+      recipient1.address,
+      recipient3.address
+    ]);
+    await expectProjectionMatchesChain();
+  });
+
+  it("Should ignore events for dossiers created before the start block", async function () {
+    await contract.createDossier("Old", "", 3600, [recipient1.address], ["ipfs://QmA"], [], 0);
+    const lateIndexer = new DossierIndexer({
+      address,
+      provider: ethers.provider,
+      fromBlock: (await ethers.provider.getBlockNumber()) + 1
+    });
+
+    await contract.checkIn(0);
+    await contract.createDossier("New", "", 3600, [recipient1.address], ["ipfs://QmB"], [], 0);
+    await lateIndexer.sync();
+
+    expect(lateIndexer.projection.all().map((d) => d.name)).to.deep.equal(["New"]);
+    expect(lateIndexer.events.length).to.equal(2);
+  });
+
+  it("Should verify the projection through the indexer:verify task", async function () {
+    await contract.createDossier("Leak", "", 3600, [recipient1.address], ["ipfs://QmA"], [guardian1.address], 1);
+    await contract.addRecipient(0, recipient2.address);
+    await contract.connect(guardian1).confirmRelease(owner.address, 0);
+
+    const log = console.log;
+    console.log = () => {};
+    let summary;
+    try {
+      summary = await hre.run("indexer:verify", { address, json: true });
+    } finally {
+      console.log = log;
+    }
+
+    expect(summary.dossiers).to.equal(1);
+    expect(summary.mismatched).to.deep.equal([]);
+  });
+
+  it("Should verify a later contract version with --contract", async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    const v6 = await DossierV6.deploy();
+    await v6.waitForDeployment();
+    await v6.createDossier("Leak", "", 3600, [recipient1.address], ["ipfs://QmA"], [], 0, 7200);
+    await v6.updateGracePeriod(0, 2 * 7200);
+
+    const log = console.log;
+    console.log = () => {};
+    let summary;
+    try {
+      summary = await hre.run("indexer:verify", { address: await v6.getAddress(), contract: "V6", json: true });
+    } finally {
+      console.log = log;
+    }
+
+    expect(summary.dossiers).to.equal(1);
+    expect(summary.mismatched).to.deep.equal([]);
+  });
+});
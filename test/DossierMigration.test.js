@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, DossierMigration, MigrationAction } = require("../lib");
+
+describe("DossierMigration", function () {
+  const DAY = 86400;
+
+  let v2, v3;
+  let v2Address, v3Address;
+  let owner, recipient1, recipient2, other;
+  let output;
+  let originalLog;
+
+  async function deploy(contractName) {
+    const factory = await ethers.getContractFactory(contractName);
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  beforeEach(async function () {
+    [owner, recipient1, recipient2, other] = await ethers.getSigners();
+    v2 = await deploy("CanaryDossierV2");
+    v3 = await deploy("CanaryDossierV3");
+    v2Address = await v2.getAddress();
+    v3Address = await v3.getAddress();
+
+    // 0 active, 1 paused, 2 released, 3 disabled, 4 expired
+    await v2.createDossier("Active", "Kept as is", DAY, [recipient1.address, recipient2.address], ["ipfs://QmA", "ipfs://QmB"]);
+    await v2.createDossier("Paused", "", 7 * DAY, [recipient1.address], ["ipfs://QmC"]);
+    await v2.pauseDossier(1);
+    await v2.createDossier("Released", "", DAY, [recipient1.address], ["ipfs://QmD"]);
+    await v2.releaseNow(2);
+    await v2.createDossier("Disabled", "", DAY, [recipient1.address], ["ipfs://QmE"]);
+    await v2.permanentlyDisableDossier(3);
+    await v2.createDossier("Expiring", "", 3600, [recipient1.address], ["ipfs://QmF"]);
+    await time.increase(2 * 3600 + 1);
+    await v2.checkIn(0);
+
+    output = [];
+    originalLog = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  function migration(runner = owner, contractName = "CanaryDossierV3", address = v3Address) {
+    return new DossierMigration({
+      sourceAddress: v2Address,
+      client: new DossierClient({ address, runner, contractName })
+    });
+  }
+
+  it("Should plan which dossiers move and why the others stay", async function () {
+    const plan = await migration().plan({ owner: owner.address });
+
+    expect(plan.source).to.deep.equal({ address: v2Address, contractName: "CanaryDossierV2" });
+    expect(plan.target).to.deep.equal({ address: v3Address, contractName: "CanaryDossierV3" });
+    expect(plan.steps.map((step) => [step.sourceId, step.action, step.reason])).to.deep.equal([
+      [0n, MigrationAction.MIGRATE, null],
+      [1n, MigrationAction.MIGRATE, null],
+      [2n, MigrationAction.SKIP, "released"],
+      [3n, MigrationAction.SKIP, "permanently disabled"],
+      [4n, MigrationAction.SKIP, "check-in missed"]
+    ]);
+    expect(plan.steps[0]).to.include({ name: "Active", description: "Kept as is", checkInInterval: BigInt(DAY) });
+    expect(plan.steps[0].recipients).to.deep.equal([recipient1.address, recipient2.address]);
+    expect(plan.steps[0].files).to.deep.equal(["ipfs://QmA", "ipfs://QmB"]);
+    expect(plan.steps.map((step) => step.paused)).to.deep.equal([false, true, false, false, false]);
+  });
+
+  it("Should recreate dossiers with their pause state and disable the originals", async function () {
+    const m = migration();
+    const migrated = [];
+    const results = await m.execute(await m.plan({ owner: owner.address }), {
+      onMigrated: (result) => migrated.push(result.sourceId)
+    });
+
+    expect(migrated).to.deep.equal([0n, 1n]);
+    expect(results.map((r) => [r.sourceId, r.dossierId, r.paused, r.txHashes.length])).to.deep.equal([
+      [0n, 0n, false, 2],
+      [1n, 1n, true, 3]
+    ]);
+
+    const active = await v3.getDossier(owner.address, 0);
+    expect([active.name, active.description, active.checkInInterval, active.isActive]).to.deep.equal([
+      "Active",
+      "Kept as is",
+      BigInt(DAY),
+      true
+    ]);
+    expect([...active.recipients]).to.deep.equal([recipient1.address, recipient2.address]);
+    expect([...active.encryptedFileHashes]).to.deep.equal(["ipfs://QmA", "ipfs://QmB"]);
+    expect((await v3.getDossier(owner.address, 1)).isActive).to.be.false;
+
+    for (const id of [0, 1]) {
+      expect((await v2.getDossier(owner.address, id)).isPermanentlyDisabled).to.be.true;
+    }
+    // Skipped dossiers are left alone
+    expect((await v2.getDossier(owner.address, 4)).isPermanentlyDisabled).to.be.false;
+
+    // Everything left is skipped on a second run
+    const again = await m.plan({ owner: owner.address });
+    expect(again.steps.every((step) => step.action === MigrationAction.SKIP)).to.be.true;
+  });
+
+  it("Should finish a migration that failed partway without creating copies twice", async function () {
+    // The first run moves #0, then fails to pause the copy of #1
+    const failing = migration();
+    failing.client.pause = async () => {
+      throw new Error("RPC unavailable");
+    };
+    await expect(failing.execute(await failing.plan({ owner: owner.address }))).to.be.rejectedWith("RPC unavailable");
+    expect(await v3.getUserDossierIds(owner.address)).to.deep.equal([0n, 1n]);
+    expect((await v2.getDossier(owner.address, 1)).isPermanentlyDisabled).to.be.false;
+
+    const m = migration();
+    const plan = await m.plan({ owner: owner.address });
+    expect(plan.steps.slice(0, 2).map((step) => [step.action, step.reason])).to.deep.equal([
+      [MigrationAction.SKIP, "permanently disabled"],
+      [MigrationAction.MIGRATE, null]
+    ]);
+    const results = await m.execute(plan);
+    expect(results.map((r) => [r.sourceId, r.dossierId, r.resumed, r.txHashes.length])).to.deep.equal([
+      [1n, 1n, true, 2]
+    ]);
+
+    expect(await v3.getUserDossierIds(owner.address)).to.deep.equal([0n, 1n]);
+    expect((await v3.getDossier(owner.address, 1)).isActive).to.be.false;
+    expect((await v2.getDossier(owner.address, 1)).isPermanentlyDisabled).to.be.true;
+  });
+
+  it("Should not count copies from an earlier run against the target's limit", async function () {
+    const failing = migration();
+    failing._send = async () => {
+      throw new Error("RPC unavailable");
+    };
+    await expect(failing.execute(await failing.plan({ owner: owner.address }))).to.be.rejectedWith("RPC unavailable");
+
+    // Fill the target up to its limit around the copy of #0
+    const max = Number(await v3.MAX_DOSSIERS_PER_USER());
+    for (let i = 1; i < max - 1; i++) {
+      await v3.createDossier(`Existing ${i}`, "", DAY, [recipient1.address], ["ipfs://QmX"], [], 0);
+    }
+
+    const m = migration();
+    const plan = await m.plan({ owner: owner.address });
+    expect(plan.steps.slice(0, 2).map((step) => step.reason)).to.deep.equal([null, null]);
+    const results = await m.execute(plan);
+    expect(results.map((r) => [r.sourceId, r.dossierId, r.resumed])).to.deep.equal([
+      [0n, 0n, true],
+      [1n, BigInt(max - 1), false]
+    ]);
+  });
+
+  it("Should only let the owner execute a plan", async function () {
+    const plan = await migration(other).plan({ owner: owner.address });
+    await expect(migration(other).execute(plan)).to.be.rejectedWith(`Only the owner ${owner.address}`);
+  });
+
+  it("Should reject unsupported source and target contracts", function () {
+    const client = new DossierClient({ address: v3Address, runner: owner });
+    expect(
+      () => new DossierMigration({ sourceAddress: v3Address, sourceContractName: "CanaryDossierV3", client })
+    ).to.throw("Cannot migrate from CanaryDossierV3");
+    expect(
+      () =>
+        new DossierMigration({
+          sourceAddress: v2Address,
+          client: new DossierClient({ address: v2Address, runner: owner, contractName: "CanaryDossierV2" })
+        })
+    ).to.throw("Cannot migrate to CanaryDossierV2");
+  });
+
+  it("Should skip dossiers beyond the target's per-owner limit", async function () {
+    const max = Number(await v3.MAX_DOSSIERS_PER_USER());
+    for (let i = 0; i < max - 1; i++) {
+      await v3.createDossier(`Existing ${i}`, "", DAY, [recipient1.address], ["ipfs://QmX"], [], 0);
+    }
+
+    const plan = await migration().plan({ owner: owner.address });
+    expect(plan.steps.slice(0, 2).map((step) => step.reason)).to.deep.equal([null, "target dossier limit reached"]);
+  });
+
+  describe("dossier:migrate task", function () {
+    it("Should show the plan without changing anything in a dry run", async function () {
+      const { plan, results } = await hre.run("dossier:migrate", {
+        address: v3Address,
+        source: v2Address,
+        dryRun: true
+      });
+
+      expect(plan.steps).to.have.length(5);
+      expect(results).to.deep.equal([]);
+      expect(output.join("\n")).to.include("Dry run: 2 of 5 dossier(s) would move");
+      expect(await v3.userExists(owner.address)).to.be.false;
+      expect((await v2.getDossier(owner.address, 0)).isPermanentlyDisabled).to.be.false;
+    });
+
+    it("Should migrate a V1 deployment", async function () {
+      const v1 = await deploy("CanaryDossier");
+      await v1.createDossier("Legacy", "From V1", DAY, [recipient1.address], ["ipfs://QmV1"]);
+
+      const { results } = await hre.run("dossier:migrate", {
+        address: v3Address,
+        source: await v1.getAddress(),
+        sourceContract: "V1"
+      });
+
+      expect(results.map((r) => r.dossierId)).to.deep.equal([0n]);
+      expect((await v3.getDossier(owner.address, 0)).name).to.equal("Legacy");
+      expect((await v1.getDossier(owner.address, 0)).isPermanentlyDisabled).to.be.true;
+    });
+
+    it("Should migrate to a later contract with its default grace period", async function () {
+      const v6 = await deploy("CanaryDossierV6");
+      const { results } = await hre.run("dossier:migrate", {
+        address: await v6.getAddress(),
+        source: v2Address,
+        contract: "V6",
+        json: true
+      });
+
+      expect(results).to.have.length(2);
+      expect((await v6.getDossier(owner.address, 0)).gracePeriod).to.equal(await v6.GRACE_PERIOD());
+    });
+
+    it("Should reject unknown source contracts", async function () {
+      await expect(
+        hre.run("dossier:migrate", { address: v3Address, source: v2Address, sourceContract: "V3" })
+      ).to.be.rejectedWith("Unknown source contract 'V3'. Use V1 or V2.");
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, DossierRelayer, SignedAction, signAction } = require("../lib");
+
+describe("DossierRelayer", function () {
+  const HOUR = 3600;
+
+  let contract;
+  let address;
+  let chainId;
+  let owner, relayerSigner, recipient, other;
+  let relayer;
+  let url;
+  let clock;
+
+  beforeEach(async function () {
+    const DossierV4 = await ethers.getContractFactory("CanaryDossierV4");
+    contract = await DossierV4.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    ({ chainId } = await ethers.provider.getNetwork());
+    [owner, relayerSigner, recipient, other] = await ethers.getSigners();
+
+    await contract.createDossier("Relayed", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+
+    clock = 1_000_000;
+    relayer = new DossierRelayer({
+      client: new DossierClient({ address, runner: relayerSigner, contractName: "CanaryDossierV4" }),
+      maxRequests: 5,
+      rateWindow: 60_000,
+      now: () => clock
+    });
+    url = await relayer.start({ port: 0 });
+  });
+
+  afterEach(async function () {
+    await relayer.stop();
+  });
+
+  async function request(path, body) {
+    const response = await fetch(`${url}${path}`, {
+      method: body === undefined ? "GET" : "POST",
+      headers: { "content-type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body, (key, v) => (typeof v === "bigint" ? v.toString() : v))
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  async function sign(action, overrides = {}, signer = owner) {
+    return signAction(signer, {
+      action,
+      chainId,
+      contractAddress: address,
+      owner: owner.address,
+      dossierId: 0,
+      nonce: await contract.nonces(owner.address),
+      deadline: (await time.latest()) + HOUR,
+      ...overrides
+    });
+  }
+
+  it("Should describe itself and serve owner nonces", async function () {
+    const status = await request("/status");
+    expect(status.status).to.equal(200);
+    expect(status.body).to.deep.equal({
+      contract: address,
+      chainId: chainId.toString(),
+      relayer: relayerSigner.address,
+      actions: ["CheckIn", "Pause", "Resume"]
+    });
+
+    const nonce = await request(`/nonce/${owner.address.toLowerCase()}`);
+    expect(nonce.body).to.deep.equal({ owner: owner.address, nonce: "0" });
+
+    expect((await request("/nonce/0x1234")).status).to.equal(400);
+    expect((await request("/unknown")).status).to.equal(404);
+  });
+
+  it("Should check in for the owner at the relayer's expense", async function () {
+    await time.increase(12 * HOUR);
+    const balance = await ethers.provider.getBalance(owner.address);
+
+    const response = await request("/relay", await sign(SignedAction.CHECK_IN));
+    expect(response.status).to.equal(200);
+    expect(response.body).to.include({
+      action: "CheckIn",
+      owner: owner.address,
+      dossierId: "0",
+      nonce: "0",
+      relayer: relayerSigner.address
+    });
+
+    const receipt = await ethers.provider.getTransactionReceipt(response.body.transactionHash);
+    const [relayed] = await contract.queryFilter(contract.filters.CheckInRelayed(), receipt.blockNumber);
+    expect(relayed.args.relayer).to.equal(relayerSigner.address);
+
+    expect((await contract.getDossier(owner.address, 0)).lastCheckIn).to.equal(await time.latest());
+    expect(await ethers.provider.getBalance(owner.address)).to.equal(balance);
+  });
+
+  it("Should pause and resume through the API", async function () {
+    expect((await request("/relay", await sign(SignedAction.PAUSE))).status).to.equal(200);
+    expect((await contract.getDossier(owner.address, 0)).isActive).to.be.false;
+
+    const { body } = await request(`/nonce/${owner.address}`);
+    const resume = await sign(SignedAction.RESUME, { nonce: body.nonce });
+    expect((await request("/relay", resume)).status).to.equal(200);
+    expect((await contract.getDossier(owner.address, 0)).isActive).to.be.true;
+  });
+
+  it("Should relay concurrent requests from one owner in order", async function () {
+    const checkIn = await sign(SignedAction.CHECK_IN, { nonce: 0 });
+    const pause = await sign(SignedAction.PAUSE, { nonce: 1 });
+
+    const results = await Promise.all([relayer.relay(checkIn), relayer.relay(pause)]);
+    expect(results.map((r) => r.action)).to.deep.equal(["CheckIn", "Pause"]);
+    expect(await contract.nonces(owner.address)).to.equal(2n);
+    expect((await contract.getDossier(owner.address, 0)).isActive).to.be.false;
+  });
+
+  describe("Validation", function () {
+    async function expectRejected(body, status, error, reason) {
+      const blockNumber = await ethers.provider.getBlockNumber();
+      const response = await request("/relay", body);
+
+      expect(response.status).to.equal(status);
+      expect(response.body).to.deep.equal({ error, reason });
+      // Rejected before anything was sent
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    }
+
+    it("Should reject malformed requests", async function () {
+      const signed = await sign(SignedAction.CHECK_IN);
+
+      await expectRejected("{", 400, "RelayRequestError", "Request body must be JSON");
+      await expectRejected(
+        { ...signed, action: "Release" },
+        400,
+        "RelayRequestError",
+        "action must be one of CheckIn, Pause, Resume"
+      );
+      await expectRejected({ ...signed, owner: "0x1234" }, 400, "RelayRequestError", "owner must be an address");
+      await expectRejected({ ...signed, nonce: -1 }, 400, "RelayRequestError", "nonce must be an unsigned integer");
+      await expectRejected({ ...signed, signature: "nope" }, 400, "RelayRequestError", "signature must be a hex string");
+    });
+
+    it("Should reject signatures the contract would reject", async function () {
+      await expectRejected(
+        await sign(SignedAction.CHECK_IN, {}, other),
+        401,
+        "SignatureError",
+        "Invalid signature"
+      );
+      await expectRejected(
+        { ...(await sign(SignedAction.PAUSE)), action: SignedAction.RESUME },
+        401,
+        "SignatureError",
+        "Invalid signature"
+      );
+      await expectRejected(
+        { ...(await sign(SignedAction.CHECK_IN)), signature: "0x1234" },
+        401,
+        "SignatureError",
+        "Invalid signature"
+      );
+      await expectRejected(
+        await sign(SignedAction.CHECK_IN, { nonce: 1 }),
+        401,
+        "SignatureError",
+        "Invalid nonce"
+      );
+      await expectRejected(
+        await sign(SignedAction.CHECK_IN, { deadline: (await time.latest()) - 1 }),
+        401,
+        "SignatureError",
+        "Signature expired"
+      );
+    });
+
+    it("Should reject a replayed request", async function () {
+      const signed = await sign(SignedAction.CHECK_IN);
+      expect((await request("/relay", signed)).status).to.equal(200);
+
+      await expectRejected(signed, 401, "SignatureError", "Invalid nonce");
+    });
+
+    it("Should reject actions the dossier's state does not allow", async function () {
+      await expectRejected(await sign(SignedAction.RESUME), 409, "DossierStateError", "Dossier already active");
+
+      await contract.pauseDossier(0);
+      await expectRejected(await sign(SignedAction.PAUSE), 409, "DossierStateError", "Dossier already paused");
+      await expectRejected(await sign(SignedAction.CHECK_IN), 409, "DossierStateError", "Dossier is paused");
+
+      await contract.resumeDossier(0);
+      await contract.releaseNow(0);
+      await expectRejected(await sign(SignedAction.CHECK_IN), 409, "DossierStateError", "Dossier already released");
+
+      await expectRejected(
+        await sign(SignedAction.CHECK_IN, { dossierId: 7 }),
+        404,
+        "DossierNotFoundError",
+        "Dossier does not exist"
+      );
+    });
+  });
+
+  describe("Rate limiting", function () {
+    it("Should limit each owner to maxRequests per window", async function () {
+      for (let i = 0; i < 5; i++) {
+        expect((await request("/relay", await sign(SignedAction.CHECK_IN))).status).to.equal(200);
+      }
+
+      const limited = await request("/relay", await sign(SignedAction.CHECK_IN));
+      expect(limited.status).to.equal(429);
+      expect(limited.body.error).to.equal("RateLimitError");
+      expect(limited.headers.get("retry-after")).to.equal("60");
+
+      // Other owners have their own quota
+      await contract.connect(other).createDossier("Other", "", 86400, [recipient.address], ["ipfs://QmB"], [], 0);
+      const otherCheckIn = await sign(SignedAction.CHECK_IN, { owner: other.address, nonce: 0 }, other);
+      expect((await request("/relay", otherCheckIn)).status).to.equal(200);
+
+      clock += 60_000;
+      expect((await request("/relay", await sign(SignedAction.CHECK_IN))).status).to.equal(200);
+    });
+
+    it("Should count only requests signed by the owner", async function () {
+      for (let i = 0; i < 6; i++) {
+        const forged = await sign(SignedAction.CHECK_IN, {}, other);
+        expect((await request("/relay", forged)).status).to.equal(401);
+      }
+
+      expect((await request("/relay", await sign(SignedAction.CHECK_IN))).status).to.equal(200);
+    });
+
+    it("Should not count replayed or expired signatures", async function () {
+      const used = await sign(SignedAction.CHECK_IN);
+      const expired = await sign(SignedAction.CHECK_IN, { nonce: 1, deadline: (await time.latest()) + 60 });
+      expect((await request("/relay", used)).status).to.equal(200);
+      await time.increase(120);
+
+      for (let i = 0; i < 6; i++) {
+        expect((await request("/relay", used)).body.reason).to.equal("Invalid nonce");
+        expect((await request("/relay", expired)).body.reason).to.equal("Signature expired");
+      }
+
+      expect((await request("/relay", await sign(SignedAction.CHECK_IN))).status).to.equal(200);
+    });
+
+    it("Should count requests the dossier's state rejects", async function () {
+      await contract.pauseDossier(0);
+      for (let i = 0; i < 5; i++) {
+        expect((await request("/relay", await sign(SignedAction.CHECK_IN))).status).to.equal(409);
+      }
+
+      expect((await request("/relay", await sign(SignedAction.RESUME))).status).to.equal(429);
+    });
+  });
+
+  it("Should refuse a client without a signer", function () {
+    const client = new DossierClient({ address, runner: ethers.provider, contractName: "CanaryDossierV4" });
+    expect(() => new DossierRelayer({ client })).to.throw("DossierRelayer requires a client connected to a signer");
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { formatTable } = require("../tasks/utils");
+
+describe("Dossier tasks", function () {
+  let contract;
+  let address;
+  let owner, recipient1, recipient2, guardian1;
+  let output;
+  let originalLog;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, recipient1, recipient2, guardian1] = await ethers.getSigners();
+
+    // Capture task output instead of printing it
+    output = [];
+    originalLog = console.log;
+    console.log = (...args) => output.push(args.join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  async function createDossier(extra = {}) {
+    return hre.run("dossier:create", {
+      address,
+      name: "Investigation",
+      interval: 3600,
+      recipients: recipient1.address,
+      files: "ipfs://QmOne,ipfs://QmTwo",
+      ...extra
+    });
+  }
+
+  it("Should create and show a dossier", async function () {
+    const created = await createDossier({ guardians: guardian1.address });
+    expect(created.dossierId).to.equal(0n);
+
+    const dossier = await hre.run("dossier:show", { address, id: 0 });
+    expect(dossier.name).to.equal("Investigation");
+    expect(dossier.encryptedFileHashes).to.deep.equal(["ipfs://QmOne", "ipfs://QmTwo"]);
+    expect(dossier.guardians).to.deep.equal([guardian1.address]);
+    expect(dossier.guardianThreshold).to.equal(1n);
+    expect(output.join("\n")).to.include("Investigation");
+  });
+
+  it("Should list dossiers as a table or JSON", async function () {
+    await createDossier();
+    await createDossier({ name: "Second" });
+
+    output = [];
+    await hre.run("dossier:list", { address });
+    const table = output.join("\n");
+    expect(table).to.match(/^id\s+name\s+status/);
+    expect(table).to.include("Second");
+
+    output = [];
+    await hre.run("dossier:list", { address, json: true });
+    const parsed = JSON.parse(output.join("\n"));
+    expect(parsed.length).to.equal(2);
+    expect(parsed[1].name).to.equal("Second");
+    expect(parsed[1].id).to.equal("1");
+  });
+
+  it("Should check in, pause and release", async function () {
+    await createDossier();
+    await createDossier({ name: "Second" });
+    await createDossier({ name: "Third" });
+
+    const checkIn = await hre.run("dossier:checkin", { address, id: 0 });
+    expect(checkIn.txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    await hre.run("dossier:checkin-all", { address });
+    await hre.run("dossier:pause", { address, id: 1 });
+    await hre.run("dossier:release", { address, id: 2 });
+
+    const dossiers = await hre.run("dossier:list", { address, json: true });
+    expect(dossiers.map((d) => d.status)).to.deep.equal(["active", "paused", "released"]);
+  });
+
+  it("Should add recipients and guardians, and confirm as a guardian", async function () {
+    await createDossier();
+
+    await hre.run("dossier:add-recipient", { address, id: 0, recipient: recipient2.address });
+    await hre.run("dossier:add-guardian", { address, id: 0, guardian: guardian1.address });
+    await hre.run("dossier:confirm", {
+      address,
+      from: guardian1.address,
+      owner: owner.address,
+      id: 0
+    });
+
+    const dossier = await hre.run("dossier:show", { address, owner: owner.address, id: 0 });
+    expect(dossier.recipients).to.include(recipient2.address);
+    expect(dossier.guardianConfirmationCount).to.equal(1n);
+  });
+
+  it("Should surface contract errors", async function () {
+    await expect(hre.run("dossier:checkin", { address, id: 3 })).to.be.rejectedWith(
+      "Dossier does not exist"
+    );
+  });
+
+  it("Should format aligned tables", function () {
+    const table = formatTable([{ a: "x", b: 10 }, { a: "long", b: 2 }], ["a", "b"]);
+    expect(table.split("\n")).to.deep.equal(["a     b", "----  --", "x     10", "long  2"]);
+  });
+});
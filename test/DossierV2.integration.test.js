@@ -1,18 +1,36 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { LocalConditionEvaluator, ConditionNotSatisfiedError, dossierCondition } = require("../lib");
 
 describe("DossierV2 Integration Tests", function () {
   let contract;
-  let journalist, source, newsOrg, backup;
+  let taco;
+  let journalist, source, newsOrg, backup, editor;
 
   beforeEach(async function () {
     const DossierV2 = await ethers.getContractFactory("CanaryDossierV2");
     contract = await DossierV2.deploy();
     await contract.waitForDeployment();
-    [journalist, source, newsOrg, backup] = await ethers.getSigners();
+    [journalist, source, newsOrg, backup, editor] = await ethers.getSigners();
+    taco = new LocalConditionEvaluator({ provider: ethers.provider });
   });
 
+  /**
+   * Encrypt a payload the way the app does: under shouldDossierStayEncrypted(owner, id) == false
+   */
+  async function encryptForDossier(owner, dossierId, payload) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const condition = dossierCondition({
+      contractAddress: await contract.getAddress(),
+      chainId,
+      owner: owner.address,
+      dossierId,
+      contractName: "CanaryDossierV2"
+    });
+    return taco.encrypt(payload, condition);
+  }
+
   describe("Journalist Workflow", function () {
     it("Should handle complete journalist protection workflow", async function () {
       // Journalist creates a dossier with investigation files
@@ -30,6 +48,8 @@ describe("DossierV2 Integration Tests", function () {
         investigationFiles
       );
 
+      const evidence = await encryptForDossier(journalist, 0, "Offshore account ledger");
+
       // Check initial state
       let dossier = await contract.getDossier(journalist.address, 0);
       expect(dossier.isActive).to.be.true;
@@ -50,11 +70,12 @@ describe("DossierV2 Integration Tests", function () {
       expect(dossier.checkInInterval).to.equal(3600);
 
       // Journalist adds their editor as recipient
-      await contract.connect(journalist).addRecipient(0, backup.address);
+      await contract.connect(journalist).addRecipient(0, editor.address);
 
       // Verify encryption status is maintained
       const shouldStayEncrypted = await contract.shouldDossierStayEncrypted(journalist.address, 0);
       expect(shouldStayEncrypted).to.be.true;
+      await expect(taco.decrypt(evidence)).to.be.rejectedWith(ConditionNotSatisfiedError);
 
       // Simulate journalist going dark (no check-in)
       await time.increase(3600 + 3600 + 1); // Past interval + grace period
@@ -62,6 +83,7 @@ describe("DossierV2 Integration Tests", function () {
       // Now the dossier should decrypt
       const shouldDecrypt = await contract.shouldDossierStayEncrypted(journalist.address, 0);
       expect(shouldDecrypt).to.be.false; // Data is now accessible to recipients
+      expect((await taco.decrypt(evidence)).toString()).to.equal("Offshore account ledger");
     });
 
     it("Should handle journalist temporarily going underground", async function () {
@@ -74,6 +96,8 @@ describe("DossierV2 Integration Tests", function () {
         ["ipfs://QmSensitiveData"]
       );
 
+      const data = await encryptForDossier(journalist, 0, "Source identities");
+
       // Journalist needs to go underground temporarily
       await contract.connect(journalist).pauseDossier(0);
 
@@ -83,6 +107,7 @@ describe("DossierV2 Integration Tests", function () {
       // Data should still be encrypted despite no check-ins
       let shouldStayEncrypted = await contract.shouldDossierStayEncrypted(journalist.address, 0);
       expect(shouldStayEncrypted).to.be.true;
+      await expect(taco.decrypt(data)).to.be.rejectedWith(ConditionNotSatisfiedError);
 
       // Journalist returns and resumes
       await contract.connect(journalist).resumeDossier(0);
@@ -90,6 +115,7 @@ describe("DossierV2 Integration Tests", function () {
       // After resume, check-in timer starts fresh
       const dossier = await contract.getDossier(journalist.address, 0);
       expect(dossier.isActive).to.be.true;
+      expect(await taco.canDecrypt(data)).to.be.false;
     });
   });
 
@@ -110,6 +136,9 @@ describe("DossierV2 Integration Tests", function () {
         await contract.connect(source).checkIn(0);
       }
 
+      const records = await encryptForDossier(source, 0, "Q3 ledger");
+      await expect(taco.decrypt(records)).to.be.rejectedWith(ConditionNotSatisfiedError);
+
       // Source discovers immediate threat and decides to release
       await contract.connect(source).releaseNow(0);
 
@@ -121,6 +150,7 @@ describe("DossierV2 Integration Tests", function () {
       // Data should now be decrypted
       const shouldStayEncrypted = await contract.shouldDossierStayEncrypted(source.address, 0);
       expect(shouldStayEncrypted).to.be.false;
+      expect((await taco.decrypt(records)).toString()).to.equal("Q3 ledger");
     });
 
     it("Should handle source aborting mission", async function () {
@@ -133,6 +163,8 @@ describe("DossierV2 Integration Tests", function () {
         ["ipfs://QmClassified"]
       );
 
+      const classified = await encryptForDossier(source, 0, "Program codename");
+
       // Situation becomes too dangerous, permanently disable
       await contract.connect(source).permanentlyDisableDossier(0);
 
@@ -144,6 +176,7 @@ describe("DossierV2 Integration Tests", function () {
       await time.increase(30 * 86400); // 30 days
       const shouldStayEncrypted = await contract.shouldDossierStayEncrypted(source.address, 0);
       expect(shouldStayEncrypted).to.be.true;
+      await expect(taco.decrypt(classified)).to.be.rejectedWith(ConditionNotSatisfiedError);
     });
   });
 
@@ -233,10 +266,13 @@ describe("DossierV2 Integration Tests", function () {
         ["ipfs://QmCritical"]
       );
 
+      const critical = await encryptForDossier(journalist, 0, "Critical evidence");
+
       // Regular check-ins
       await contract.connect(journalist).checkIn(0);
       await time.increase(3600);
       await contract.connect(journalist).checkIn(0);
+      expect(await taco.canDecrypt(critical)).to.be.false;
 
       // Journalist loses access (simulate by advancing time without check-in)
       await time.increase(7200 + 3600 + 1); // interval + grace + 1
@@ -249,6 +285,7 @@ describe("DossierV2 Integration Tests", function () {
       const dossier = await contract.getDossier(journalist.address, 0);
       expect(dossier.recipients).to.include(newsOrg.address);
       expect(dossier.recipients).to.include(backup.address);
+      expect((await taco.decrypt(critical)).toString()).to.equal("Critical evidence");
     });
   });
 
@@ -1,18 +1,36 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { LocalConditionEvaluator, ConditionNotSatisfiedError, dossierCondition } = require("../lib");
 
 describe("DossierV3 Integration Tests", function () {
   let contract;
-  let journalist, source, newsOrg, backup;
+  let taco;
+  let journalist, source, newsOrg, backup, editor;
 
   beforeEach(async function () {
     const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
     contract = await DossierV3.deploy();
     await contract.waitForDeployment();
-    [journalist, source, newsOrg, backup] = await ethers.getSigners();
+    [journalist, source, newsOrg, backup, editor] = await ethers.getSigners();
+    taco = new LocalConditionEvaluator({ provider: ethers.provider });
   });
 
+  /**
+   * Encrypt a payload the way the app does: under shouldDossierStayEncrypted(owner, id) == false
+   */
+  async function encryptForDossier(owner, dossierId, payload) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const condition = dossierCondition({
+      contractAddress: await contract.getAddress(),
+      chainId,
+      owner: owner.address,
+      dossierId,
+      contractName: "CanaryDossierV3"
+    });
+    return taco.encrypt(payload, condition);
+  }
+
   describe("Journalist Workflow", function () {
     it("Should handle complete journalist protection workflow", async function () {
       // Journalist creates a dossier with investigation files
@@ -32,6 +50,8 @@ describe("DossierV3 Integration Tests", function () {
         0   // no threshold
       );
 
+      const evidence = await encryptForDossier(journalist, 0, "Offshore account ledger");
+
       // Check initial state
       let dossier = await contract.getDossier(journalist.address, 0);
       expect(dossier.isActive).to.be.true;
@@ -52,11 +72,12 @@ describe("DossierV3 Integration Tests", function () {
       expect(dossier.checkInInterval).to.equal(3600);
 
       // Journalist adds their editor as recipient
-      await contract.connect(journalist).addRecipient(0, backup.address);
+      await contract.connect(journalist).addRecipient(0, editor.address);
 
       // Verify encryption status is maintained
       const shouldStayEncrypted = await contract.shouldDossierStayEncrypted(journalist.address, 0);
       expect(shouldStayEncrypted).to.be.true;
+      await expect(taco.decrypt(evidence)).to.be.rejectedWith(ConditionNotSatisfiedError);
 
       // Simulate journalist going dark (no check-in)
       await time.increase(3600 + 3600 + 1); // Past interval + grace period
@@ -64,6 +85,7 @@ describe("DossierV3 Integration Tests", function () {
       // Now the dossier should decrypt
       const shouldDecrypt = await contract.shouldDossierStayEncrypted(journalist.address, 0);
       expect(shouldDecrypt).to.be.false; // Data is now accessible to recipients
+      expect((await taco.decrypt(evidence)).toString()).to.equal("Offshore account ledger");
     });
 
     it("Should handle journalist temporarily going underground", async function () {
@@ -76,6 +98,8 @@ describe("DossierV3 Integration Tests", function () {
         ["ipfs://QmSensitiveData"]
       , [], 0);
 
+      const data = await encryptForDossier(journalist, 0, "Source identities");
+
       // Journalist needs to go underground temporarily
       await contract.connect(journalist).pauseDossier(0);
 
@@ -85,6 +109,7 @@ describe("DossierV3 Integration Tests", function () {
       // Data should still be encrypted despite no check-ins
       let shouldStayEncrypted = await contract.shouldDossierStayEncrypted(journalist.address, 0);
       expect(shouldStayEncrypted).to.be.true;
+      await expect(taco.decrypt(data)).to.be.rejectedWith(ConditionNotSatisfiedError);
 
       // Journalist returns and resumes
       await contract.connect(journalist).resumeDossier(0);
@@ -92,6 +117,7 @@ describe("DossierV3 Integration Tests", function () {
       // After resume, check-in timer starts fresh
       const dossier = await contract.getDossier(journalist.address, 0);
       expect(dossier.isActive).to.be.true;
+      expect(await taco.canDecrypt(data)).to.be.false;
     });
   });
 
@@ -112,6 +138,9 @@ describe("DossierV3 Integration Tests", function () {
         await contract.connect(source).checkIn(0);
       }
 
+      const records = await encryptForDossier(source, 0, "Q3 ledger");
+      await expect(taco.decrypt(records)).to.be.rejectedWith(ConditionNotSatisfiedError);
+
       // Source discovers immediate threat and decides to release
       await contract.connect(source).releaseNow(0);
 
@@ -123,6 +152,7 @@ describe("DossierV3 Integration Tests", function () {
       // Data should now be decrypted
       const shouldStayEncrypted = await contract.shouldDossierStayEncrypted(source.address, 0);
       expect(shouldStayEncrypted).to.be.false;
+      expect((await taco.decrypt(records)).toString()).to.equal("Q3 ledger");
     });
 
     it("Should handle source aborting mission", async function () {
@@ -135,6 +165,8 @@ describe("DossierV3 Integration Tests", function () {
         ["ipfs://QmClassified"]
       , [], 0);
 
+      const classified = await encryptForDossier(source, 0, "Program codename");
+
       // Situation becomes too dangerous, permanently disable
       await contract.connect(source).permanentlyDisableDossier(0);
 
@@ -146,6 +178,7 @@ describe("DossierV3 Integration Tests", function () {
       await time.increase(30 * 86400); // 30 days
       const shouldStayEncrypted = await contract.shouldDossierStayEncrypted(source.address, 0);
       expect(shouldStayEncrypted).to.be.true;
+      await expect(taco.decrypt(classified)).to.be.rejectedWith(ConditionNotSatisfiedError);
     });
   });
 
@@ -236,10 +269,13 @@ inv.name,
         ["ipfs://QmCritical"]
       , [], 0);
 
+      const critical = await encryptForDossier(journalist, 0, "Critical evidence");
+
       // Regular check-ins
       await contract.connect(journalist).checkIn(0);
       await time.increase(3600);
       await contract.connect(journalist).checkIn(0);
+      expect(await taco.canDecrypt(critical)).to.be.false;
 
       // Journalist loses access (simulate by advancing time without check-in)
       await time.increase(7200 + 3600 + 1); // interval + grace + 1
@@ -252,6 +288,7 @@ inv.name,
       const dossier = await contract.getDossier(journalist.address, 0);
       expect(dossier.recipients).to.include(newsOrg.address);
       expect(dossier.recipients).to.include(backup.address);
+      expect((await taco.decrypt(critical)).toString()).to.equal("Critical evidence");
     });
   });
 
@@ -0,0 +1,327 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient } = require("../lib");
+
+describe("DossierV4 Pagination", function () {
+  let contract;
+  let client;
+  let signers;
+  let newsroom, guardian;
+
+  beforeEach(async function () {
+    const DossierV4 = await ethers.getContractFactory("CanaryDossierV4");
+    contract = await DossierV4.deploy();
+    await contract.waitForDeployment();
+    signers = await ethers.getSigners();
+    [newsroom, guardian] = signers.slice(-2);
+
+    client = new DossierClient({ address: await contract.getAddress(), runner: ethers.provider, contractName: "CanaryDossierV4" });
+  });
+
+  /**
+   * Create `perOwner` dossiers for each of `owners`, all addressed to the newsroom
+   */
+  async function createMany(owners, perOwner, { guardians = [] } = {}) {
+    for (const owner of owners) {
+      for (let i = 0; i < perOwner; i++) {
+        await contract.connect(owner).createDossier(
+          `Dossier ${i}`, "", 86400,
+          [newsroom.address], [`ipfs://Qm${owner.address.slice(2, 8)}${i}`],
+          guardians.map((g) => g.address), guardians.length
+        );
+      }
+    }
+  }
+
+  function refsOf(list) {
+    return list.map((ref) => [ref.owner, ref.dossierId]);
+  }
+
+  it("Should stay within the EIP-170 contract size limit", async function () {
+    const code = await ethers.provider.getCode(await contract.getAddress());
+    expect((code.length - 2) / 2).to.be.at.most(24576);
+  });
+
+  /**
+   * Read every page of a cursor view, checking the total on each
+   */
+  async function readPages(view, holder, pageSize) {
+    const pages = [];
+    let cursor = 0n;
+    do {
+      const [refs, total, nextCursor] = await view(holder, cursor, pageSize);
+      expect(refs.length).to.be.at.most(pageSize);
+      pages.push({ refs, total });
+      cursor = nextCursor;
+    } while (cursor !== 0n);
+    return pages;
+  }
+
+  describe("Paginated views", function () {
+    it("Should page through user dossier IDs", async function () {
+      const [owner] = signers;
+      await createMany([owner], 7);
+
+      const [firstIds, total] = await contract.getUserDossierIdsPaginated(owner.address, 0, 3);
+      expect(total).to.equal(7n);
+      expect(firstIds).to.deep.equal([0n, 1n, 2n]);
+
+      const [lastIds] = await contract.getUserDossierIdsPaginated(owner.address, 6, 3);
+      expect(lastIds).to.deep.equal([6n]);
+
+      const [pastEnd, stillTotal] = await contract.getUserDossierIdsPaginated(owner.address, 7, 3);
+      expect(pastEnd).to.deep.equal([]);
+      expect(stillTotal).to.equal(7n);
+
+      const [huge] = await contract.getUserDossierIdsPaginated(owner.address, 2, ethers.MaxUint256);
+      expect(huge.length).to.equal(5);
+    });
+
+    it("Should return empty pages for unknown addresses", async function () {
+      const [refs, total, nextCursor] = await contract.getDossiersWhereRecipientPaginated(guardian.address, 0, 10);
+      expect(refs).to.deep.equal([]);
+      expect([total, nextCursor]).to.deep.equal([0n, 0n]);
+
+      const [ids] = await contract.getUserDossierIdsPaginated(guardian.address, 0, 10);
+      expect(ids).to.deep.equal([]);
+    });
+
+    it("Should page guardian references in the same order as the full view", async function () {
+      await createMany(signers.slice(0, 3), 4, { guardians: [guardian] });
+
+      const all = await contract.getDossiersWhereGuardian(guardian.address);
+      const pages = await readPages(contract.getDossiersWhereGuardianPaginated, guardian.address, 5);
+      expect(pages.map((page) => page.refs.length)).to.deep.equal([5, 5, 2]);
+      expect(pages.every((page) => page.total === BigInt(all.length))).to.be.true;
+
+      expect(refsOf(pages.flatMap((page) => page.refs))).to.deep.equal(refsOf(all));
+    });
+
+    it("Should keep the order of the other references when one is removed", async function () {
+      const [owner, other] = signers;
+      await createMany([owner, other], 3, { guardians: [guardian] });
+      const before = refsOf(await contract.getDossiersWhereGuardian(guardian.address));
+
+      await contract.connect(owner).removeGuardian(0, guardian.address);
+      await contract.connect(owner).addGuardian(0, guardian.address);
+
+      // Removed from the front, appended at the back; everything else keeps its place
+      const after = refsOf(await contract.getDossiersWhereGuardian(guardian.address));
+      expect(after).to.deep.equal([...before.slice(1), before[0]]);
+    });
+
+    it("Should not skip or repeat references removed between two page reads", async function () {
+      const [owner, other] = signers;
+      await createMany([owner, other], 4, { guardians: [guardian] });
+      const all = refsOf(await contract.getDossiersWhereGuardian(guardian.address));
+
+      const [first, , cursor] = await contract.getDossiersWhereGuardianPaginated(guardian.address, 0, 3);
+      expect(refsOf(first)).to.deep.equal(all.slice(0, 3));
+
+      // One reference from the page already read, and the one the cursor points at
+      await contract.connect(owner).removeGuardian(0, guardian.address);
+      await contract.connect(owner).removeGuardian(2, guardian.address);
+
+      const [second, total, nextCursor] = await contract.getDossiersWhereGuardianPaginated(guardian.address, cursor, 3);
+      expect(total).to.equal(6n);
+      expect(refsOf(second)).to.deep.equal(all.slice(3, 6));
+
+      const [last, , end] = await contract.getDossiersWhereGuardianPaginated(guardian.address, nextCursor, 3);
+      expect(refsOf(last)).to.deep.equal(all.slice(6));
+      expect(end).to.equal(0n);
+    });
+
+    it("Should resume after a cursor whose neighbours were removed too", async function () {
+      const [owner] = signers;
+      await createMany([owner], 6, { guardians: [guardian] });
+      const all = refsOf(await contract.getDossiersWhereGuardian(guardian.address));
+
+      const [, , cursor] = await contract.getDossiersWhereGuardianPaginated(guardian.address, 0, 3);
+      for (const dossierId of [2, 1, 3]) {
+        await contract.removeGuardian(dossierId, guardian.address);
+      }
+      await contract.addGuardian(1, guardian.address);
+
+      const [refs, , nextCursor] = await contract.getDossiersWhereGuardianPaginated(guardian.address, cursor, 10);
+      expect(refsOf(refs)).to.deep.equal([all[4], all[5], all[1]]);
+      expect(nextCursor).to.equal(0n);
+
+      // A cursor that was never handed out reads nothing
+      const [none, , noCursor] = await contract.getDossiersWhereGuardianPaginated(guardian.address, 1000, 10);
+      expect([none.length, noCursor]).to.deep.equal([0, 0n]);
+    });
+  });
+
+  describe("Large recipient lists", function () {
+    // 300 dossiers addressed to one newsroom address
+    const OWNERS = 6;
+    const PER_OWNER = 50;
+
+    let large, largeClient;
+
+    // Filled once; the views under test do not change state
+    before(async function () {
+      this.timeout(120000);
+      const DossierV4 = await ethers.getContractFactory("CanaryDossierV4");
+      contract = large = await DossierV4.deploy();
+      signers = await ethers.getSigners();
+      [newsroom, guardian] = signers.slice(-2);
+      await createMany(signers.slice(0, OWNERS), PER_OWNER);
+      largeClient = new DossierClient({
+        address: await large.getAddress(),
+        runner: ethers.provider,
+        contractName: "CanaryDossierV4"
+      });
+    });
+
+    beforeEach(function () {
+      contract = large;
+      client = largeClient;
+    });
+
+    it("Should match the unpaginated view for every page size", async function () {
+      const all = await contract.getDossiersWhereRecipient(newsroom.address);
+      expect(all.length).to.equal(OWNERS * PER_OWNER);
+
+      for (const pageSize of [1, 7, 64, 299, 300, 1000]) {
+        const pages = await readPages(contract.getDossiersWhereRecipientPaginated, newsroom.address, pageSize);
+        expect(pages.length, `page size ${pageSize}`).to.equal(Math.ceil(all.length / pageSize));
+        expect(refsOf(pages.flatMap((page) => page.refs)), `page size ${pageSize}`).to.deep.equal(refsOf(all));
+      }
+    });
+
+    it("Should read a page with much less gas than the whole list", async function () {
+      const full = await contract.getDossiersWhereRecipient.estimateGas(newsroom.address);
+      const page = await contract.getDossiersWhereRecipientPaginated.estimateGas(newsroom.address, 150, 25);
+      expect(page * 5n).to.be.lessThan(full);
+    });
+
+    it("Should iterate through the client with any page size", async function () {
+      const all = await client.getDossiersWhereRecipient({ recipient: newsroom.address });
+
+      for (const pageSize of [13, 100]) {
+        const iterated = [];
+        for await (const ref of client.iterateDossiersWhereRecipient({ recipient: newsroom.address, pageSize })) {
+          iterated.push(ref);
+        }
+        expect(iterated).to.deep.equal(all);
+      }
+
+      const first = await client.getDossiersWhereRecipientPage({ recipient: newsroom.address, limit: 295 });
+      const page = await client.getDossiersWhereRecipientPage({
+        recipient: newsroom.address,
+        cursor: first.nextCursor,
+        limit: 10
+      });
+      expect([page.total, page.nextCursor]).to.deep.equal([300n, 0n]);
+      expect(page.items).to.deep.equal(all.slice(295));
+    });
+  });
+
+  describe("Client iterators", function () {
+    it("Should iterate user dossier IDs and guardian references", async function () {
+      const [owner, other] = signers;
+      await createMany([owner, other], 5, { guardians: [guardian] });
+
+      const ids = [];
+      for await (const id of client.iterateUserDossierIds({ owner: owner.address, pageSize: 2 })) {
+        ids.push(id);
+      }
+      expect(ids).to.deep.equal([0n, 1n, 2n, 3n, 4n]);
+
+      const refs = [];
+      for await (const ref of client.iterateDossiersWhereGuardian({ guardian: guardian.address, pageSize: 3 })) {
+        refs.push(ref);
+      }
+      expect(refs).to.deep.equal(await client.getDossiersWhereGuardian({ guardian: guardian.address }));
+    });
+
+    it("Should cut pages from the full lists on CanaryDossierV3", async function () {
+      const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+      contract = await DossierV3.deploy();
+      client = new DossierClient({ address: await contract.getAddress(), runner: ethers.provider });
+      const [owner] = signers;
+      await createMany([owner], 5, { guardians: [guardian] });
+
+      const page = await client.getUserDossierIdsPage({ owner: owner.address, offset: 3, limit: 10 });
+      expect(page).to.deep.equal({ items: [3n, 4n], total: 5n });
+
+      const all = await client.getDossiersWhereGuardian({ guardian: guardian.address });
+      const refs = [];
+      for await (const ref of client.iterateDossiersWhereGuardian({ guardian: guardian.address, pageSize: 2 })) {
+        refs.push(ref);
+      }
+      expect(refs).to.deep.equal(all);
+
+      await expect(client.getDossiersSummary({ refs })).to.be.rejectedWith(
+        "CanaryDossierV3 has no getDossiersSummary; use CanaryDossierV4 or later"
+      );
+    });
+
+    it("Should yield nothing for an empty list", async function () {
+      const refs = [];
+      for await (const ref of client.iterateDossiersWhereRecipient({ recipient: guardian.address })) {
+        refs.push(ref);
+      }
+      expect(refs).to.deep.equal([]);
+    });
+  });
+
+  describe("getDossiersSummary", function () {
+    it("Should summarize a batch of dossiers consistently with the single views", async function () {
+      const [owner, other] = signers;
+      await contract.connect(owner).createDossier("Active", "", 7200, [newsroom.address], ["ipfs://QmA"], [], 0);
+      await contract.connect(owner).createDossier(
+        "Guarded", "", 3600, [newsroom.address], ["ipfs://QmB"], [guardian.address], 1
+      );
+      await contract.connect(other).createDossier("Released", "", 3600, [newsroom.address], ["ipfs://QmC"], [], 0);
+      await contract.connect(other).createDossier("Paused", "", 3600, [newsroom.address], ["ipfs://QmD"], [], 0);
+      await contract.connect(other).releaseNow(0);
+      await contract.connect(other).pauseDossier(1);
+      await time.increase(3600 + 3600 + 1);
+
+      const refs = [
+        { owner: owner.address, dossierId: 0n },
+        { owner: owner.address, dossierId: 1n },
+        { owner: other.address, dossierId: 0n },
+        { owner: other.address, dossierId: 1n },
+        { owner: owner.address, dossierId: 9n }
+      ];
+      const summaries = await client.getDossiersSummary({ refs });
+
+      expect(summaries.map((s) => s.status)).to.deep.equal(["in-grace", "expired", "released", "paused", null]);
+      expect(summaries[4].exists).to.be.false;
+      expect(summaries[4].owner).to.equal(owner.address);
+      expect(summaries[4].dossierId).to.equal(9n);
+
+      for (const summary of summaries.slice(0, 4)) {
+        const raw = await contract.getDossier(summary.owner, summary.dossierId);
+        expect(summary.exists).to.be.true;
+        expect(summary.isActive).to.equal(raw.isActive);
+        expect(summary.isReleased).to.equal(raw.isReleased);
+        expect(summary.lastCheckIn).to.equal(raw.lastCheckIn);
+        expect(summary.checkInInterval).to.equal(raw.checkInInterval);
+        expect(summary.guardianCount).to.equal(BigInt(raw.guardians.length));
+        expect(summary.guardianThreshold).to.equal(raw.guardianThreshold);
+        expect(summary.shouldStayEncrypted).to.equal(
+          await contract.shouldDossierStayEncrypted(summary.owner, summary.dossierId)
+        );
+      }
+    });
+
+    it("Should summarize a full page of references", async function () {
+      await createMany(signers.slice(0, 2), 50);
+      const [refs] = await contract.getDossiersWhereRecipientPaginated(newsroom.address, 0, 100);
+
+      const summaries = await contract.getDossiersSummary(refs.map(({ owner, dossierId }) => ({ owner, dossierId })));
+      expect(summaries.length).to.equal(100);
+      expect(summaries.every((s) => s.exists && s.shouldStayEncrypted)).to.be.true;
+      expect(refsOf(summaries)).to.deep.equal(refsOf(refs));
+    });
+
+    it("Should return an empty array for no references", async function () {
+      expect(await contract.getDossiersSummary([])).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,322 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DossierClient,
+  SignatureError,
+  SignedAction,
+  buildActionTypedData,
+  buildCheckInTypedData,
+  signAction,
+  signCheckIn,
+  recoverCheckInSigner
+} = require("../lib");
+
+describe("CanaryDossierV4", function () {
+  const HOUR = 3600;
+
+  let contract;
+  let address;
+  let chainId;
+  let owner, relayer, recipient, other;
+
+  beforeEach(async function () {
+    const DossierV4 = await ethers.getContractFactory("CanaryDossierV4");
+    contract = await DossierV4.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    ({ chainId } = await ethers.provider.getNetwork());
+    [owner, relayer, recipient, other] = await ethers.getSigners();
+
+    await contract.createDossier("Signed", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+  });
+
+  async function sign(signer, overrides = {}) {
+    return signCheckIn(signer, {
+      chainId,
+      contractAddress: address,
+      owner: owner.address,
+      dossierId: 0,
+      nonce: await contract.nonces(owner.address),
+      deadline: (await time.latest()) + HOUR,
+      ...overrides
+    });
+  }
+
+  function submit(signed, from = relayer) {
+    return contract
+      .connect(from)
+      .checkInWithSig(signed.owner, signed.dossierId, signed.nonce, signed.deadline, signed.signature);
+  }
+
+  it("Should stay within the EIP-170 contract size limit", async function () {
+    const code = await ethers.provider.getCode(address);
+    expect((code.length - 2) / 2).to.be.at.most(24576);
+  });
+
+  describe("checkInWithSig", function () {
+    it("Should let a relayer check in on the owner's behalf", async function () {
+      await time.increase(12 * HOUR);
+      const signed = await sign(owner);
+
+      const tx = await submit(signed);
+      await expect(tx).to.emit(contract, "CheckInPerformed").withArgs(owner.address, 0);
+      await expect(tx).to.emit(contract, "CheckInRelayed").withArgs(owner.address, 0, relayer.address, 0);
+
+      const dossier = await contract.getDossier(owner.address, 0);
+      expect(dossier.lastCheckIn).to.equal(await time.latest());
+      expect(await contract.nonces(owner.address)).to.equal(1n);
+    });
+
+    it("Should accept a signature made offline by a wallet without a provider", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") });
+      await contract
+        .connect(wallet.connect(ethers.provider))
+        .createDossier("Hidden", "", 86400, [recipient.address], ["ipfs://QmB"], [], 0);
+
+      const offline = new ethers.Wallet(wallet.privateKey);
+      const signed = await signCheckIn(offline, {
+        chainId,
+        contractAddress: address,
+        dossierId: 0,
+        nonce: 0,
+        deadline: (await time.latest()) + HOUR
+      });
+
+      expect(signed.owner).to.equal(wallet.address);
+      await expect(submit(signed)).to.emit(contract, "CheckInPerformed").withArgs(wallet.address, 0);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const signed = await sign(owner);
+      await submit(signed);
+
+      await expect(submit(signed)).to.be.revertedWith("Invalid nonce");
+      await expect(submit(signed, other)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject a signature for a future nonce", async function () {
+      const signed = await sign(owner, { nonce: 1 });
+      await expect(submit(signed)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const signed = await sign(owner, { deadline: (await time.latest()) + 60 });
+      await time.increase(61);
+
+      await expect(submit(signed)).to.be.revertedWith("Signature expired");
+      expect(await contract.nonces(owner.address)).to.equal(0n);
+    });
+
+    it("Should reject a signature from anyone but the owner", async function () {
+      const signed = await sign(other);
+      await expect(submit(signed)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject a signature for another dossier, contract or chain", async function () {
+      await contract.createDossier("Second", "", 86400, [recipient.address], ["ipfs://QmB"], [], 0);
+      const signed = await sign(owner);
+
+      // Signed for dossier 0, submitted for dossier 1
+      await expect(
+        contract.connect(relayer).checkInWithSig(owner.address, 1, signed.nonce, signed.deadline, signed.signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      const DossierV4 = await ethers.getContractFactory("CanaryDossierV4");
+      const elsewhere = await DossierV4.deploy();
+      await elsewhere.createDossier("Signed", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+      await expect(
+        elsewhere
+          .connect(relayer)
+          .checkInWithSig(owner.address, 0, signed.nonce, signed.deadline, signed.signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      const wrongChain = await sign(owner, { chainId: 1 });
+      await expect(submit(wrongChain)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject malformed and malleable signatures", async function () {
+      const signed = await sign(owner);
+
+      await expect(submit({ ...signed, signature: signed.signature.slice(0, -2) })).to.be.revertedWith(
+        "Invalid signature"
+      );
+
+      // Same signature with s flipped to the upper half of the curve order
+      const sig = ethers.Signature.from(signed.signature);
+      const n = BigInt("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+      const highS = ethers.toBeHex(n - BigInt(sig.s), 32);
+      const flipped = ethers.concat([sig.r, highS, ethers.toBeHex(sig.v === 27 ? 28 : 27, 1)]);
+      await expect(submit({ ...signed, signature: flipped })).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should follow the same state rules as checkIn", async function () {
+      await contract.pauseDossier(0);
+      await expect(submit(await sign(owner))).to.be.revertedWith("Dossier is paused");
+
+      await contract.resumeDossier(0);
+      await contract.releaseNow(0);
+      await expect(submit(await sign(owner))).to.be.revertedWith("Dossier already released");
+
+      await expect(submit(await sign(owner, { dossierId: 5 }))).to.be.revertedWith("Dossier does not exist");
+      expect(await contract.nonces(owner.address)).to.equal(0n);
+    });
+
+    it("Should bring an expired dossier back before release", async function () {
+      await time.increase(86400 + HOUR + 1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      await submit(await sign(owner));
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+    });
+  });
+
+  describe("pauseWithSig and resumeWithSig", function () {
+    async function signFor(action, overrides = {}) {
+      return signAction(owner, {
+        action,
+        chainId,
+        contractAddress: address,
+        dossierId: 0,
+        nonce: await contract.nonces(owner.address),
+        deadline: (await time.latest()) + HOUR,
+        ...overrides
+      });
+    }
+
+    function submitAction(method, signed) {
+      return contract
+        .connect(relayer)
+        [method](signed.owner, signed.dossierId, signed.nonce, signed.deadline, signed.signature);
+    }
+
+    it("Should let a relayer pause and resume on the owner's behalf", async function () {
+      const pause = await signFor(SignedAction.PAUSE);
+      await expect(submitAction("pauseWithSig", pause)).to.emit(contract, "DossierPaused").withArgs(owner.address, 0);
+      expect((await contract.getDossier(owner.address, 0)).isActive).to.be.false;
+
+      await time.increase(HOUR);
+      const resume = await signFor(SignedAction.RESUME);
+      await expect(submitAction("resumeWithSig", resume)).to.emit(contract, "DossierResumed").withArgs(owner.address, 0);
+
+      const dossier = await contract.getDossier(owner.address, 0);
+      expect(dossier.isActive).to.be.true;
+      expect(dossier.lastCheckIn).to.equal(await time.latest());
+      expect(await contract.nonces(owner.address)).to.equal(2n);
+    });
+
+    it("Should share one nonce across check-in, pause and resume", async function () {
+      const checkIn = await sign(owner);
+      await submitAction("pauseWithSig", await signFor(SignedAction.PAUSE));
+
+      await expect(submit(checkIn)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should not accept a signature for one action as another", async function () {
+      const pause = await signFor(SignedAction.PAUSE);
+
+      await expect(submit(pause)).to.be.revertedWith("Invalid signature");
+      await expect(submitAction("resumeWithSig", pause)).to.be.revertedWith("Invalid signature");
+      await expect(submitAction("pauseWithSig", await sign(owner))).to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should follow the same state rules as pauseDossier and resumeDossier", async function () {
+      await expect(submitAction("resumeWithSig", await signFor(SignedAction.RESUME))).to.be.revertedWith(
+        "Dossier already active"
+      );
+
+      await contract.pauseDossier(0);
+      await expect(submitAction("pauseWithSig", await signFor(SignedAction.PAUSE))).to.be.revertedWith(
+        "Dossier already paused"
+      );
+
+      await contract.permanentlyDisableDossier(0);
+      await expect(submitAction("resumeWithSig", await signFor(SignedAction.RESUME))).to.be.revertedWith(
+        "Cannot resume permanently disabled dossier"
+      );
+      expect(await contract.nonces(owner.address)).to.equal(0n);
+    });
+  });
+
+  describe("Signing helpers", function () {
+    it("Should build typed data that hashes to the contract's domain", async function () {
+      const typedData = buildCheckInTypedData({
+        chainId,
+        contractAddress: address,
+        owner: owner.address,
+        dossierId: 0,
+        nonce: 0,
+        deadline: 1
+      });
+
+      expect(ethers.TypedDataEncoder.hashDomain(typedData.domain)).to.equal(await contract.DOMAIN_SEPARATOR());
+      expect(ethers.TypedDataEncoder.hashStruct("CheckIn", typedData.types, typedData.message)).to.equal(
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(
+            ["bytes32", "address", "uint256", "uint256", "uint256"],
+            [await contract.CHECK_IN_TYPEHASH(), owner.address, 0, 0, 1]
+          )
+        )
+      );
+    });
+
+    it("Should hash each action with the contract's typehash", async function () {
+      const typeHashes = {
+        [SignedAction.CHECK_IN]: await contract.CHECK_IN_TYPEHASH(),
+        [SignedAction.PAUSE]: await contract.PAUSE_TYPEHASH(),
+        [SignedAction.RESUME]: await contract.RESUME_TYPEHASH()
+      };
+
+      for (const [action, typeHash] of Object.entries(typeHashes)) {
+        const { types, message } = buildActionTypedData({
+          action,
+          chainId,
+          contractAddress: address,
+          owner: owner.address,
+          dossierId: 3,
+          nonce: 2,
+          deadline: 1
+        });
+        expect(ethers.TypedDataEncoder.hashStruct(action, types, message)).to.equal(
+          ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(
+              ["bytes32", "address", "uint256", "uint256", "uint256"],
+              [typeHash, owner.address, 3, 2, 1]
+            )
+          )
+        );
+      }
+
+      expect(() => buildActionTypedData({ action: "Release" })).to.throw('Unknown signed action "Release"');
+    });
+
+    it("Should recover the signer", async function () {
+      const signed = await sign(owner);
+      expect(recoverCheckInSigner({ ...signed, chainId, contractAddress: address })).to.equal(owner.address);
+      expect(recoverCheckInSigner({ ...signed, chainId, contractAddress: address, dossierId: 1 })).to.not.equal(
+        owner.address
+      );
+    });
+
+    it("Should sign and relay through DossierClient", async function () {
+      const ownerClient = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV4" });
+      const relayerClient = ownerClient.connect(relayer);
+
+      const signed = await ownerClient.signCheckIn({ dossierId: 0 });
+      expect(signed.nonce).to.equal(0n);
+      expect(signed.deadline).to.equal(BigInt(await time.latest()) + 3600n);
+
+      await relayerClient.checkInWithSig(signed);
+      expect(await relayerClient.getCheckInNonce({ owner: owner.address })).to.equal(1n);
+
+      await expect(relayerClient.checkInWithSig(signed)).to.be.rejectedWith(SignatureError, "Invalid nonce");
+
+      const pause = await ownerClient.signAction({ action: SignedAction.PAUSE, dossierId: 0 });
+      expect(pause.nonce).to.equal(1n);
+      await relayerClient.pauseWithSig(pause);
+      await relayerClient.resumeWithSig(await ownerClient.signAction({ action: SignedAction.RESUME, dossierId: 0 }));
+      expect(await relayerClient.getCheckInNonce({ owner: owner.address })).to.equal(3n);
+    });
+  });
+});
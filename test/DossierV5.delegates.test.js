@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, DelegateError, DossierValidationError, SignedAction } = require("../lib");
+
+describe("CanaryDossierV5 - Check-in delegates", function () {
+  const HOUR = 3600;
+
+  let contract;
+  let address;
+  let owner, recipient, delegate1, delegate2, other;
+
+  beforeEach(async function () {
+    const DossierV5 = await ethers.getContractFactory("CanaryDossierV5");
+    contract = await DossierV5.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, recipient, delegate1, delegate2, other] = await ethers.getSigners();
+
+    await contract.createDossier("Delegated", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("Second", "", 86400, [recipient.address], ["ipfs://QmB"], [], 0);
+  });
+
+  function refs(list) {
+    return list.map((ref) => [ref.owner, ref.dossierId]);
+  }
+
+  it("Should stay within the EIP-170 contract size limit", async function () {
+    const code = await ethers.provider.getCode(address);
+    expect((code.length - 2) / 2).to.be.at.most(24576);
+  });
+
+  describe("Delegate management", function () {
+    it("Should add a delegate", async function () {
+      await expect(contract.addDelegate(0, delegate1.address))
+        .to.emit(contract, "DelegateAdded")
+        .withArgs(owner.address, 0, delegate1.address);
+
+      expect(await contract.getDelegates(owner.address, 0)).to.deep.equal([delegate1.address]);
+      expect(await contract.isDelegate(owner.address, 0, delegate1.address)).to.be.true;
+      expect(await contract.isDelegate(owner.address, 1, delegate1.address)).to.be.false;
+      expect(refs(await contract.getDossiersWhereDelegate(delegate1.address))).to.deep.equal([[owner.address, 0n]]);
+      expect(await contract.isDelegateOfAny(delegate1.address)).to.be.true;
+    });
+
+    it("Should reject invalid delegates", async function () {
+      await expect(contract.addDelegate(0, ethers.ZeroAddress)).to.be.revertedWith("Invalid delegate address");
+      await expect(contract.addDelegate(0, owner.address)).to.be.revertedWith("Owner cannot be delegate");
+
+      await contract.addDelegate(0, delegate1.address);
+      await expect(contract.addDelegate(0, delegate1.address)).to.be.revertedWith("Delegate already exists");
+
+      await expect(contract.addDelegate(7, delegate1.address)).to.be.revertedWith("Dossier does not exist");
+    });
+
+    it("Should cap the number of delegates per dossier", async function () {
+      const max = Number(await contract.MAX_DELEGATES_PER_DOSSIER());
+      for (let i = 0; i < max; i++) {
+        await contract.addDelegate(0, ethers.toBeHex(0x1000 + i, 20));
+      }
+
+      await expect(contract.addDelegate(0, delegate1.address)).to.be.revertedWith("Max delegates reached");
+    });
+
+    it("Should only add delegates to editable dossiers", async function () {
+      await contract.pauseDossier(0);
+      await expect(contract.addDelegate(0, delegate1.address)).to.be.revertedWith("Dossier must be active to edit");
+
+      await contract.releaseNow(1);
+      await expect(contract.addDelegate(1, delegate1.address)).to.be.revertedWith("Dossier already released");
+    });
+
+    it("Should remove a delegate in any state", async function () {
+      await contract.addDelegate(0, delegate1.address);
+      await contract.addDelegate(0, delegate2.address);
+      await contract.addDelegate(1, delegate1.address);
+      await contract.permanentlyDisableDossier(0);
+
+      await expect(contract.removeDelegate(0, delegate1.address))
+        .to.emit(contract, "DelegateRemoved")
+        .withArgs(owner.address, 0, delegate1.address);
+
+      expect(await contract.getDelegates(owner.address, 0)).to.deep.equal([delegate2.address]);
+      expect(await contract.isDelegate(owner.address, 0, delegate1.address)).to.be.false;
+      expect(refs(await contract.getDossiersWhereDelegate(delegate1.address))).to.deep.equal([[owner.address, 1n]]);
+
+      await expect(contract.removeDelegate(0, delegate1.address)).to.be.revertedWith("Delegate not found");
+    });
+
+    it("Should page through the dossiers of a delegate", async function () {
+      await contract.addDelegate(0, delegate1.address);
+      await contract.addDelegate(1, delegate1.address);
+      await contract.connect(other).createDossier("Other", "", 86400, [recipient.address], ["ipfs://QmC"], [], 0);
+      await contract.connect(other).addDelegate(0, delegate1.address);
+
+      const [first, , cursor] = await contract.getDossiersWhereDelegatePaginated(delegate1.address, 0, 1);
+      expect(refs(first)).to.deep.equal([[owner.address, 0n]]);
+      const [page, total, nextCursor] = await contract.getDossiersWhereDelegatePaginated(delegate1.address, cursor, 5);
+      expect([total, nextCursor]).to.deep.equal([3n, 0n]);
+      expect(refs(page)).to.deep.equal([
+        [owner.address, 1n],
+        [other.address, 0n]
+      ]);
+      expect(await contract.isDelegateOfAny(delegate2.address)).to.be.false;
+    });
+  });
+
+  describe("checkInAsDelegate", function () {
+    beforeEach(async function () {
+      await contract.addDelegate(0, delegate1.address);
+    });
+
+    it("Should let a delegate check in for the owner", async function () {
+      await time.increase(12 * HOUR);
+
+      const tx = await contract.connect(delegate1).checkInAsDelegate(owner.address, 0);
+      await expect(tx).to.emit(contract, "CheckInPerformed").withArgs(owner.address, 0);
+      await expect(tx).to.emit(contract, "DelegateCheckIn").withArgs(owner.address, 0, delegate1.address);
+      expect((await contract.getDossier(owner.address, 0)).lastCheckIn).to.equal(await time.latest());
+    });
+
+    it("Should keep an expired dossier encrypted after a delegate check-in", async function () {
+      await time.increase(86400 + HOUR + 1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      await contract.connect(delegate1).checkInAsDelegate(owner.address, 0);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+    });
+
+    it("Should reject anyone who is not a delegate of that dossier", async function () {
+      await expect(contract.connect(other).checkInAsDelegate(owner.address, 0)).to.be.revertedWith("Not a delegate");
+      await expect(contract.connect(delegate1).checkInAsDelegate(owner.address, 1)).to.be.revertedWith(
+        "Not a delegate"
+      );
+      await expect(contract.checkInAsDelegate(owner.address, 0)).to.be.revertedWith("Not a delegate");
+      await expect(contract.connect(delegate1).checkInAsDelegate(owner.address, 9)).to.be.revertedWith(
+        "Dossier does not exist"
+      );
+    });
+
+    it("Should stop working once the delegate is removed", async function () {
+      await contract.removeDelegate(0, delegate1.address);
+      await expect(contract.connect(delegate1).checkInAsDelegate(owner.address, 0)).to.be.revertedWith(
+        "Not a delegate"
+      );
+    });
+
+    it("Should follow the same state rules as checkIn", async function () {
+      await contract.pauseDossier(0);
+      await expect(contract.connect(delegate1).checkInAsDelegate(owner.address, 0)).to.be.revertedWith(
+        "Dossier is paused"
+      );
+
+      await contract.resumeDossier(0);
+      await contract.releaseNow(0);
+      await expect(contract.connect(delegate1).checkInAsDelegate(owner.address, 0)).to.be.revertedWith(
+        "Dossier already released"
+      );
+    });
+  });
+
+  describe("Delegate permissions", function () {
+    beforeEach(async function () {
+      await contract.addDelegate(0, delegate1.address);
+    });
+
+    // Owner-only functions act on msg.sender's dossiers, so a delegate (who owns none) reaches nothing
+    it("Should not let a delegate release, edit or disable the dossier", async function () {
+      const asDelegate = contract.connect(delegate1);
+
+      await expect(asDelegate.releaseNow(0)).to.be.revertedWith("Dossier does not exist");
+      await expect(asDelegate.addRecipient(0, other.address)).to.be.revertedWith("Dossier does not exist");
+      await expect(asDelegate.permanentlyDisableDossier(0)).to.be.revertedWith("Dossier does not exist");
+      await expect(asDelegate.pauseDossier(0)).to.be.revertedWith("Dossier does not exist");
+      await expect(asDelegate.addDelegate(0, other.address)).to.be.revertedWith("Dossier does not exist");
+
+      const dossier = await contract.getDossier(owner.address, 0);
+      expect(dossier.isReleased).to.be.false;
+      expect(dossier.isPermanentlyDisabled).to.be.false;
+      expect(dossier.isActive).to.be.true;
+      expect(dossier.recipients).to.deep.equal([recipient.address]);
+    });
+
+    it("Should not let a delegate act on its own dossier with the same ID", async function () {
+      // The delegate's own dossier 0 is unrelated to the owner's dossier 0
+      await contract.connect(delegate1).createDossier("Mine", "", 86400, [recipient.address], ["ipfs://QmD"], [], 0);
+
+      await contract.connect(delegate1).releaseNow(0);
+
+      expect((await contract.getDossier(owner.address, 0)).isReleased).to.be.false;
+      expect((await contract.getDossier(delegate1.address, 0)).isReleased).to.be.true;
+    });
+  });
+
+  describe("SDK and tasks", function () {
+    let ownerClient;
+
+    beforeEach(function () {
+      ownerClient = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV5" });
+    });
+
+    it("Should manage delegates and check in through DossierClient", async function () {
+      await ownerClient.addDelegate({ dossierId: 0, delegate: delegate1.address });
+      await ownerClient.addDelegate({ dossierId: 1, delegate: delegate1.address });
+      expect(await ownerClient.getDelegates({ owner: owner.address, dossierId: 0 })).to.deep.equal([delegate1.address]);
+      expect(await ownerClient.isDelegate({ owner: owner.address, dossierId: 0, delegate: delegate1.address })).to.be
+        .true;
+
+      const delegateClient = ownerClient.connect(delegate1);
+      const found = [];
+      for await (const ref of delegateClient.iterateDossiersWhereDelegate({ delegate: delegate1.address, pageSize: 1 })) {
+        found.push(ref);
+      }
+      expect(found).to.deep.equal(await delegateClient.getDossiersWhereDelegate({ delegate: delegate1.address }));
+      expect(found.map((ref) => ref.dossierId)).to.deep.equal([0n, 1n]);
+
+      await delegateClient.checkInAsDelegate({ owner: owner.address, dossierId: 0 });
+      await expect(
+        ownerClient.connect(other).checkInAsDelegate({ owner: owner.address, dossierId: 0 })
+      ).to.be.rejectedWith(DelegateError, "Not a delegate");
+      await expect(
+        ownerClient.addDelegate({ dossierId: 0, delegate: delegate1.address })
+      ).to.be.rejectedWith(DossierValidationError, "Delegate already exists");
+
+      await ownerClient.removeDelegate({ dossierId: 0, delegate: delegate1.address });
+      expect(await ownerClient.getDelegates({ owner: owner.address, dossierId: 0 })).to.deep.equal([]);
+    });
+
+    it("Should sign for the V5 domain", async function () {
+      const signed = await ownerClient.signAction({ action: SignedAction.PAUSE, dossierId: 0 });
+      await ownerClient.connect(other).pauseWithSig(signed);
+
+      expect((await contract.getDossier(owner.address, 0)).isActive).to.be.false;
+    });
+
+    it("Should manage delegates and check in through the CLI", async function () {
+      const log = console.log;
+      const output = [];
+      console.log = (...args) => output.push(args.join(" "));
+      try {
+        await hre.run("delegate:add", { address, id: 0, delegate: delegate1.address });
+        expect(await hre.run("delegate:show", { address, id: 0 })).to.deep.equal([delegate1.address]);
+
+        const checkedIn = await hre.run("delegate:checkin", {
+          address,
+          from: delegate1.address,
+          owner: owner.address,
+          id: 0
+        });
+        expect(checkedIn.action).to.equal("delegate-checkin");
+
+        output.length = 0;
+        const dossiers = await hre.run("delegate:dossiers", { address, from: delegate1.address });
+        expect(dossiers.map((d) => [d.owner, d.name])).to.deep.equal([[owner.address, "Delegated"]]);
+        expect(output.join("\n")).to.match(/^owner\s+id\s+name\s+status\s+deadline/);
+
+        await hre.run("delegate:remove", { address, id: 0, delegate: delegate1.address });
+        expect(await hre.run("delegate:show", { address, id: 0, json: true })).to.deep.equal([]);
+      } finally {
+        console.log = log;
+      }
+    });
+  });
+});
@@ -0,0 +1,429 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, DossierIndexer, DossierValidationError, GuardianError, RecoveryError } = require("../lib");
+
+describe("CanaryDossierV5 - Owner recovery", function () {
+  const DAY = 86400;
+
+  let contract;
+  let address;
+  let timelock;
+  let owner, recovery, newOwner, recipient, guardian1, guardian2, guardian3, delegate, other;
+
+  beforeEach(async function () {
+    const DossierV5 = await ethers.getContractFactory("CanaryDossierV5");
+    contract = await DossierV5.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    timelock = Number(await contract.RECOVERY_TIMELOCK());
+    [owner, recovery, newOwner, recipient, guardian1, guardian2, guardian3, delegate, other] =
+      await ethers.getSigners();
+
+    await contract.createDossier("Unguarded", "", 7 * DAY, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier(
+      "Guarded",
+      "Needs two of three",
+      7 * DAY,
+      [recipient.address],
+      ["ipfs://QmB"],
+      [guardian1.address, guardian2.address, guardian3.address],
+      2
+    );
+    await contract.createDossier("Kept", "", 7 * DAY, [recipient.address], ["ipfs://QmC"], [], 0);
+  });
+
+  function refs(list) {
+    return list.map((ref) => [ref.owner, ref.dossierId]);
+  }
+
+  describe("Recovery address", function () {
+    it("Should set and clear the recovery address", async function () {
+      await expect(contract.setRecoveryAddress(0, recovery.address))
+        .to.emit(contract, "RecoveryAddressUpdated")
+        .withArgs(owner.address, 0, recovery.address);
+      expect(await contract.recoveryAddresses(owner.address, 0)).to.equal(recovery.address);
+
+      await contract.setRecoveryAddress(0, ethers.ZeroAddress);
+      expect(await contract.recoveryAddresses(owner.address, 0)).to.equal(ethers.ZeroAddress);
+
+      await expect(contract.setRecoveryAddress(0, owner.address)).to.be.revertedWith("Invalid recovery address");
+      await contract.pauseDossier(0);
+      await expect(contract.setRecoveryAddress(0, recovery.address)).to.be.revertedWith(
+        "Dossier must be active to edit"
+      );
+    });
+
+    it("Should let only the recovery address initiate", async function () {
+      await expect(
+        contract.connect(recovery).initiateRecovery(owner.address, 0, newOwner.address)
+      ).to.be.revertedWith("Not the recovery address");
+
+      await contract.setRecoveryAddress(0, recovery.address);
+      await expect(
+        contract.connect(other).initiateRecovery(owner.address, 0, newOwner.address)
+      ).to.be.revertedWith("Not the recovery address");
+
+      const tx = await contract.connect(recovery).initiateRecovery(owner.address, 0, newOwner.address);
+      const executeAfter = (await time.latest()) + timelock;
+      await expect(tx)
+        .to.emit(contract, "RecoveryInitiated")
+        .withArgs(owner.address, 0, newOwner.address, executeAfter);
+
+      const request = await contract.recoveryRequests(owner.address, 0);
+      expect(request.newOwner).to.equal(newOwner.address);
+      expect(request.executeAfter).to.equal(executeAfter);
+
+      await expect(
+        contract.connect(recovery).initiateRecovery(owner.address, 0, other.address)
+      ).to.be.revertedWith("Recovery already pending");
+    });
+
+    it("Should reject invalid new owners", async function () {
+      await contract.setRecoveryAddress(1, recovery.address);
+      await contract.addDelegate(1, delegate.address);
+      const asRecovery = contract.connect(recovery);
+
+      for (const invalid of [ethers.ZeroAddress, owner.address, guardian1.address, delegate.address]) {
+        await expect(asRecovery.initiateRecovery(owner.address, 1, invalid)).to.be.revertedWith("Invalid new owner");
+      }
+    });
+  });
+
+  describe("Guardian approvals", function () {
+    it("Should start the timelock once approvals reach the threshold", async function () {
+      await expect(contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address))
+        .to.emit(contract, "RecoveryApproved")
+        .withArgs(owner.address, 1, guardian1.address, newOwner.address)
+        .and.not.to.emit(contract, "RecoveryInitiated");
+      expect((await contract.recoveryRequests(owner.address, 1)).executeAfter).to.equal(0n);
+      expect(await contract.hasApprovedRecovery(owner.address, 1, guardian1.address)).to.be.true;
+
+      await expect(contract.connect(guardian2).approveRecovery(owner.address, 1, newOwner.address)).to.emit(
+        contract,
+        "RecoveryInitiated"
+      );
+      const request = await contract.recoveryRequests(owner.address, 1);
+      expect(request.approvalCount).to.equal(2n);
+      expect(request.executeAfter).to.equal((await time.latest()) + timelock);
+    });
+
+    it("Should reject non-guardians, repeated approvals and competing new owners", async function () {
+      await expect(
+        contract.connect(other).approveRecovery(owner.address, 1, newOwner.address)
+      ).to.be.revertedWith("Not a guardian");
+      await expect(
+        contract.connect(guardian1).approveRecovery(owner.address, 0, newOwner.address)
+      ).to.be.revertedWith("Not a guardian");
+
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address);
+      await expect(
+        contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address)
+      ).to.be.revertedWith("Already approved");
+      await expect(
+        contract.connect(guardian2).approveRecovery(owner.address, 1, other.address)
+      ).to.be.revertedWith("Recovery already pending");
+
+      // Once the timelock runs, further approvals change nothing
+      await contract.connect(guardian2).approveRecovery(owner.address, 1, newOwner.address);
+      await expect(
+        contract.connect(guardian3).approveRecovery(owner.address, 1, newOwner.address)
+      ).to.be.revertedWith("Recovery already pending");
+    });
+
+    it("Should let the recovery address replace approvals below the threshold", async function () {
+      await contract.setRecoveryAddress(1, recovery.address);
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, other.address);
+
+      const tx = contract.connect(recovery).initiateRecovery(owner.address, 1, newOwner.address);
+      await expect(tx).to.emit(contract, "RecoveryCancelled").withArgs(owner.address, 1);
+      await expect(tx).to.emit(contract, "RecoveryInitiated");
+      const request = await contract.recoveryRequests(owner.address, 1);
+      expect([request.newOwner, request.approvalCount]).to.deep.equal([newOwner.address, 0n]);
+      expect(await contract.hasApprovedRecovery(owner.address, 1, guardian1.address)).to.be.false;
+
+      // The discarded approval does not count towards the next guardian request
+      await time.increase(timelock);
+      await contract.executeRecovery(owner.address, 1);
+      expect((await contract.getDossier(newOwner.address, 0)).name).to.equal("Guarded");
+    });
+
+    it("Should keep a guardian request once its timelock runs", async function () {
+      await contract.setRecoveryAddress(1, recovery.address);
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address);
+      await contract.connect(guardian2).approveRecovery(owner.address, 1, newOwner.address);
+
+      await expect(
+        contract.connect(recovery).initiateRecovery(owner.address, 1, other.address)
+      ).to.be.revertedWith("Recovery already pending");
+    });
+
+    it("Should drop the approval of a removed guardian", async function () {
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address);
+      await contract.removeGuardian(1, guardian1.address);
+
+      expect((await contract.recoveryRequests(owner.address, 1)).approvalCount).to.equal(0n);
+      expect(await contract.hasApprovedRecovery(owner.address, 1, guardian1.address)).to.be.false;
+
+      await contract.connect(guardian2).approveRecovery(owner.address, 1, newOwner.address);
+      expect((await contract.recoveryRequests(owner.address, 1)).executeAfter).to.equal(0n);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should let the owner cancel during the timelock", async function () {
+      await contract.setRecoveryAddress(0, recovery.address);
+      await contract.connect(recovery).initiateRecovery(owner.address, 0, newOwner.address);
+      await time.increase(timelock - 60);
+
+      await expect(contract.cancelRecovery(0)).to.emit(contract, "RecoveryCancelled").withArgs(owner.address, 0);
+
+      await time.increase(120);
+      await expect(contract.executeRecovery(owner.address, 0)).to.be.revertedWith("Recovery not ready");
+      expect((await contract.getDossier(owner.address, 0)).name).to.equal("Unguarded");
+
+      // The recovery address stays and can start over, for the same or another new owner
+      await contract.connect(recovery).initiateRecovery(owner.address, 0, other.address);
+      expect((await contract.recoveryRequests(owner.address, 0)).newOwner).to.equal(other.address);
+    });
+
+    it("Should discard guardian approvals on cancel", async function () {
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address);
+      await contract.connect(guardian2).approveRecovery(owner.address, 1, newOwner.address);
+
+      await contract.cancelRecovery(1);
+
+      const request = await contract.recoveryRequests(owner.address, 1);
+      expect(request.newOwner).to.equal(ethers.ZeroAddress);
+      expect(request.approvalCount).to.equal(0n);
+      expect(await contract.hasApprovedRecovery(owner.address, 1, guardian1.address)).to.be.false;
+
+      // A new round needs the threshold again
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, other.address);
+      expect((await contract.recoveryRequests(owner.address, 1)).executeAfter).to.equal(0n);
+    });
+
+    it("Should only cancel the caller's own pending recovery", async function () {
+      await expect(contract.cancelRecovery(0)).to.be.revertedWith("No recovery pending");
+
+      await contract.setRecoveryAddress(0, recovery.address);
+      await contract.connect(recovery).initiateRecovery(owner.address, 0, newOwner.address);
+
+      // Neither the recovery address nor the new owner owns a dossier 0
+      await expect(contract.connect(recovery).cancelRecovery(0)).to.be.revertedWith("Dossier does not exist");
+      await expect(contract.connect(newOwner).cancelRecovery(0)).to.be.revertedWith("Dossier does not exist");
+    });
+  });
+
+  describe("executeRecovery", function () {
+    it("Should wait for the timelock", async function () {
+      await expect(contract.executeRecovery(owner.address, 1)).to.be.revertedWith("Recovery not ready");
+
+      await contract.connect(guardian1).approveRecovery(owner.address, 1, newOwner.address);
+      await expect(contract.executeRecovery(owner.address, 1)).to.be.revertedWith("Recovery not ready");
+
+      await contract.connect(guardian2).approveRecovery(owner.address, 1, newOwner.address);
+      await time.increase(timelock - 60);
+      await expect(contract.executeRecovery(owner.address, 1)).to.be.revertedWith("Recovery not ready");
+
+      await time.increase(60);
+      await expect(contract.connect(other).executeRecovery(owner.address, 1))
+        .to.emit(contract, "DossierRecovered")
+        .withArgs(owner.address, 1, newOwner.address, 0);
+    });
+
+    it("Should move the dossier and its reverse lookups to the new owner", async function () {
+      await contract.connect(newOwner).createDossier("Own", "", DAY, [recipient.address], ["ipfs://QmD"], [], 0);
+      await contract.addDelegate(1, delegate.address);
+      await contract.setRecoveryAddress(1, recovery.address);
+      await contract.connect(guardian3).confirmRelease(owner.address, 1);
+      const before = await contract.getDossier(owner.address, 1);
+
+      await contract.connect(recovery).initiateRecovery(owner.address, 1, newOwner.address);
+      await time.increase(timelock);
+      await contract.executeRecovery(owner.address, 1);
+
+      // Next free ID of the new owner, same contents
+      const moved = await contract.getDossier(newOwner.address, 1);
+      expect(moved.id).to.equal(1n);
+      expect(moved.name).to.equal(before.name);
+      expect(moved.lastCheckIn).to.equal(before.lastCheckIn);
+      expect(moved.recipients).to.deep.equal(before.recipients);
+      expect(moved.guardians).to.deep.equal(before.guardians);
+      expect(moved.guardianConfirmationCount).to.equal(1n);
+      expect(await contract.hasGuardianConfirmed(newOwner.address, 1, guardian3.address)).to.be.true;
+      expect(await contract.getUserDossierIds(newOwner.address)).to.deep.equal([0n, 1n]);
+
+      // Gone from the previous owner, whose other dossiers keep their order
+      await expect(contract.getDossier(owner.address, 1)).to.be.revertedWith("Dossier does not exist");
+      expect(await contract.getUserDossierIds(owner.address)).to.deep.equal([0n, 2n]);
+      expect(await contract.recoveryAddresses(owner.address, 1)).to.equal(ethers.ZeroAddress);
+      expect((await contract.recoveryRequests(owner.address, 1)).newOwner).to.equal(ethers.ZeroAddress);
+
+      // Reverse lookups point at the new (owner, id) in the same position
+      expect(refs(await contract.getDossiersWhereRecipient(recipient.address))).to.deep.equal([
+        [owner.address, 0n],
+        [newOwner.address, 1n],
+        [owner.address, 2n],
+        [newOwner.address, 0n]
+      ]);
+      expect(refs(await contract.getDossiersWhereGuardian(guardian1.address))).to.deep.equal([[newOwner.address, 1n]]);
+      expect(refs(await contract.getDossiersWhereDelegate(delegate.address))).to.deep.equal([[newOwner.address, 1n]]);
+      expect(await contract.getDelegates(newOwner.address, 1)).to.deep.equal([delegate.address]);
+    });
+
+    it("Should hand control to the new owner only", async function () {
+      await contract.addDelegate(0, delegate.address);
+      await contract.setRecoveryAddress(0, recovery.address);
+      await contract.connect(recovery).initiateRecovery(owner.address, 0, newOwner.address);
+      await time.increase(timelock);
+      await contract.executeRecovery(owner.address, 0);
+
+      await expect(contract.checkIn(0)).to.be.revertedWith("Dossier does not exist");
+      await expect(contract.connect(delegate).checkInAsDelegate(owner.address, 0)).to.be.revertedWith(
+        "Dossier does not exist"
+      );
+
+      await contract.connect(newOwner).checkIn(0);
+      await contract.connect(delegate).checkInAsDelegate(newOwner.address, 0);
+      await contract.connect(newOwner).addRecipient(0, other.address);
+      await contract.connect(newOwner).removeRecipient(0, recipient.address);
+      expect(refs(await contract.getDossiersWhereRecipient(recipient.address))).to.deep.equal([
+        [owner.address, 1n],
+        [owner.address, 2n]
+      ]);
+
+      // The previous owner's remaining dossiers are unaffected
+      await contract.checkInAll();
+      await contract.checkIn(2);
+    });
+
+    it("Should re-check the new owner at execution", async function () {
+      await contract.setRecoveryAddress(1, recovery.address);
+      await contract.connect(recovery).initiateRecovery(owner.address, 1, newOwner.address);
+      await contract.addGuardian(1, newOwner.address);
+      await time.increase(timelock);
+
+      await expect(contract.executeRecovery(owner.address, 1)).to.be.revertedWith("Invalid new owner");
+
+      await contract.removeGuardian(1, newOwner.address);
+      await contract.executeRecovery(owner.address, 1);
+    });
+
+    it("Should recover a dossier whose owner lost access", async function () {
+      // The journalist registered a backup wallet, then lost the key
+      await contract.setRecoveryAddress(0, recovery.address);
+      await contract.addDelegate(0, delegate.address);
+
+      await contract.connect(recovery).initiateRecovery(owner.address, 0, newOwner.address);
+
+      // A delegate keeps the dossier from expiring during the timelock
+      await time.increase(timelock / 2);
+      await contract.connect(delegate).checkInAsDelegate(owner.address, 0);
+      await time.increase(timelock / 2);
+
+      const newDossierId = await contract.executeRecovery.staticCall(owner.address, 0);
+      await contract.executeRecovery(owner.address, 0);
+      await contract.connect(newOwner).checkIn(newDossierId);
+
+      await time.increase(7 * DAY);
+      expect(await contract.shouldDossierStayEncrypted(newOwner.address, newDossierId)).to.be.true;
+    });
+  });
+
+  describe("SDK and tasks", function () {
+    it("Should recover through DossierClient", async function () {
+      const ownerClient = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV5" });
+      const recoveryClient = ownerClient.connect(recovery);
+
+      await ownerClient.setRecoveryAddress({ dossierId: 0, recoveryAddress: recovery.address });
+      expect(await ownerClient.getRecovery({ owner: owner.address, dossierId: 0 })).to.deep.equal({
+        recoveryAddress: recovery.address,
+        newOwner: null,
+        executeAfter: null,
+        approvalCount: 0n
+      });
+
+      await expect(
+        ownerClient.connect(other).initiateRecovery({ owner: owner.address, dossierId: 0, newOwner: other.address })
+      ).to.be.rejectedWith(RecoveryError, "Not the recovery address");
+      await expect(
+        recoveryClient.initiateRecovery({ owner: owner.address, dossierId: 0, newOwner: owner.address })
+      ).to.be.rejectedWith(DossierValidationError, "Invalid new owner");
+
+      await recoveryClient.initiateRecovery({ owner: owner.address, dossierId: 0, newOwner: newOwner.address });
+      const pending = await ownerClient.getRecovery({ owner: owner.address, dossierId: 0 });
+      expect(pending.newOwner).to.equal(newOwner.address);
+      expect(pending.executeAfter).to.equal(BigInt((await time.latest()) + timelock));
+
+      await expect(recoveryClient.executeRecovery({ owner: owner.address, dossierId: 0 })).to.be.rejectedWith(
+        RecoveryError,
+        "Recovery not ready"
+      );
+      await time.increase(timelock);
+      const moved = await recoveryClient.executeRecovery({ owner: owner.address, dossierId: 0 });
+      expect([moved.owner, moved.dossierId]).to.deep.equal([newOwner.address, 0n]);
+      expect((await ownerClient.getDossier(moved)).name).to.equal("Unguarded");
+    });
+
+    it("Should approve and cancel through DossierClient", async function () {
+      const ownerClient = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV5" });
+      const guardianClient = ownerClient.connect(guardian1);
+
+      await guardianClient.approveRecovery({ owner: owner.address, dossierId: 1, newOwner: newOwner.address });
+      expect(await ownerClient.hasApprovedRecovery({ owner: owner.address, dossierId: 1, guardian: guardian1.address }))
+        .to.be.true;
+      await expect(
+        guardianClient.approveRecovery({ owner: owner.address, dossierId: 1, newOwner: newOwner.address })
+      ).to.be.rejectedWith(GuardianError, "Already approved");
+
+      await ownerClient.cancelRecovery({ dossierId: 1 });
+      await expect(ownerClient.cancelRecovery({ dossierId: 1 })).to.be.rejectedWith(
+        RecoveryError,
+        "No recovery pending"
+      );
+    });
+
+    it("Should recover through the CLI", async function () {
+      const log = console.log;
+      const output = [];
+      console.log = (...args) => output.push(args.join(" "));
+      try {
+        await hre.run("recovery:set", { address, id: 0, recovery: recovery.address });
+        await hre.run("recovery:initiate", {
+          address,
+          from: recovery.address,
+          owner: owner.address,
+          id: 0,
+          newOwner: newOwner.address
+        });
+
+        output.length = 0;
+        const shown = await hre.run("recovery:show", { address, id: 0 });
+        expect(shown.newOwner).to.equal(newOwner.address);
+        expect(output.join("\n")).to.match(/^owner\s+id\s+recoveryAddress\s+newOwner\s+approvals\s+executeAfter/);
+
+        await time.increase(timelock);
+        const executed = await hre.run("recovery:execute", { address, owner: owner.address, id: 0 });
+        expect(executed).to.include({ action: "execute-recovery", dossierId: 0n, newOwner: newOwner.address });
+      } finally {
+        console.log = log;
+      }
+    });
+
+    it("Should follow a recovered dossier in the indexer projection", async function () {
+      const indexer = new DossierIndexer({ address, provider: ethers.provider, contractName: "CanaryDossierV5" });
+      await contract.setRecoveryAddress(1, recovery.address);
+      await contract.connect(recovery).initiateRecovery(owner.address, 1, newOwner.address);
+      await time.increase(timelock);
+      await contract.executeRecovery(owner.address, 1);
+      await indexer.sync();
+
+      expect(indexer.projection.get(owner.address, 1)).to.be.undefined;
+      const moved = indexer.projection.get(newOwner.address, 0);
+      expect([moved.owner, moved.id, moved.name]).to.deep.equal([newOwner.address, 0n, "Guarded"]);
+      expect(indexer.projection.byOwner(owner.address).map((d) => d.name)).to.deep.equal(["Unguarded", "Kept"]);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DossierClient,
+  DossierIndexer,
+  DossierStateError,
+  DossierStatus,
+  ExpiryKeeper,
+  RecipientFeed,
+  RecipientState,
+  ReleaseTrigger
+} = require("../lib");
+
+describe("CanaryDossierV6 - Expiry finalization", function () {
+  const DAY = 86400;
+  const HOUR = 3600;
+  const TRIGGER = { NONE: 0n, OWNER: 1n, EXPIRY: 2n, GUARDIANS: 3n };
+
+  let contract;
+  let address;
+  let owner, recipient, guardian, keeper, newOwner;
+
+  beforeEach(async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    contract = await DossierV6.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, recipient, guardian, keeper, newOwner] = await ethers.getSigners();
+  });
+
+  function create(guardians = []) {
+    return contract.createDossier("Expiry", "", DAY, [recipient.address], ["ipfs://QmA"], guardians, guardians.length, HOUR);
+  }
+
+  async function graceEnd(dossierId = 0) {
+    const dossier = await contract.getDossier(owner.address, dossierId);
+    return dossier.lastCheckIn + dossier.checkInInterval + dossier.gracePeriod;
+  }
+
+  describe("Contract", function () {
+    it("Should let anyone finalize an expired dossier and record the expiry", async function () {
+      await create();
+      await time.increaseTo((await graceEnd()) + 1n);
+
+      const tx = contract.connect(keeper).finalizeExpiry(owner.address, 0);
+      await expect(tx)
+        .to.emit(contract, "DossierExpiryFinalized")
+        .withArgs(owner.address, 0, TRIGGER.EXPIRY, keeper.address);
+      await expect(tx).to.not.emit(contract, "DossierReleased");
+
+      const dossier = await contract.getDossier(owner.address, 0);
+      expect([dossier.isReleased, dossier.isActive]).to.deep.equal([true, false]);
+      expect(await contract.getReleaseInfo(owner.address, 0)).to.deep.equal([TRIGGER.EXPIRY, BigInt(await time.latest())]);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+      expect((await contract.getDossierStatus(owner.address, 0))[0]).to.equal(4n); // Released
+
+      // Final: a late check-in no longer reopens the dossier
+      await expect(contract.checkIn(0)).to.be.revertedWith("Dossier already released");
+      await expect(contract.finalizeExpiry(owner.address, 0)).to.be.revertedWith("Dossier already released");
+    });
+
+    it("Should refuse dossiers that are not decryptable yet", async function () {
+      await create();
+      await create([guardian.address]);
+      await create([guardian.address]);
+      await create();
+      await create();
+      await contract.setVetoPolicy(2, DAY, 1);
+      await contract.pauseDossier(3);
+      await contract.permanentlyDisableDossier(4);
+
+      // Before the deadline and at the end of the grace period
+      await expect(contract.finalizeExpiry(owner.address, 0)).to.be.revertedWith("Dossier not expired");
+      await time.setNextBlockTimestamp(await graceEnd());
+      await expect(contract.finalizeExpiry(owner.address, 0)).to.be.revertedWith("Dossier not expired");
+
+      // Guardian has not confirmed, or vetoed
+      await contract.connect(guardian).confirmRelease(owner.address, 2);
+      await contract.connect(guardian).vetoRelease(owner.address, 2);
+      await time.increase(1);
+      await contract.finalizeExpiry(owner.address, 0);
+      await expect(contract.finalizeExpiry(owner.address, 1)).to.be.revertedWith("Dossier not expired");
+      await expect(contract.finalizeExpiry(owner.address, 2)).to.be.revertedWith("Dossier not expired");
+      await expect(contract.finalizeExpiry(owner.address, 3)).to.be.revertedWith("Dossier not expired");
+      await expect(contract.finalizeExpiry(owner.address, 4)).to.be.revertedWith("Dossier permanently disabled");
+      await expect(contract.finalizeExpiry(owner.address, 5)).to.be.revertedWith("Dossier does not exist");
+
+      // The veto window ends
+      await time.increase(DAY);
+      await expect(contract.finalizeExpiry(owner.address, 2))
+        .to.emit(contract, "DossierExpiryFinalized")
+        .withArgs(owner.address, 2, TRIGGER.GUARDIANS, owner.address);
+    });
+
+    it("Should record guardian-confirmed expiries and owner releases", async function () {
+      await create([guardian.address]);
+      await create([guardian.address]);
+      expect(await contract.getReleaseInfo(owner.address, 0)).to.deep.equal([TRIGGER.NONE, 0n]);
+
+      await contract.releaseNow(1);
+      expect(await contract.getReleaseInfo(owner.address, 1)).to.deep.equal([TRIGGER.OWNER, BigInt(await time.latest())]);
+      await expect(contract.finalizeExpiry(owner.address, 1)).to.be.revertedWith("Dossier already released");
+
+      await contract.connect(guardian).confirmRelease(owner.address, 0);
+      await time.increaseTo((await graceEnd()) + 1n);
+      await contract.finalizeExpiry(owner.address, 0);
+      expect((await contract.getReleaseInfo(owner.address, 0))[0]).to.equal(TRIGGER.GUARDIANS);
+    });
+
+    it("Should keep counting tier delays from the missed check-in", async function () {
+      await create();
+      await contract.addReleaseTier(0, DAY, ["ipfs://QmLate"], [keeper.address]);
+      const end = await graceEnd();
+
+      await time.increaseTo(end + 1n);
+      await contract.finalizeExpiry(owner.address, 0);
+      expect(await contract.shouldTierStayEncrypted(owner.address, 0, 0)).to.be.false;
+      expect(await contract.shouldTierStayEncrypted(owner.address, 0, 1)).to.be.true;
+
+      await time.increaseTo(end + BigInt(DAY) + 1n);
+      expect(await contract.shouldTierStayEncrypted(owner.address, 0, 1)).to.be.false;
+    });
+
+    it("Should move the release record with a recovered dossier", async function () {
+      await create();
+      await contract.setRecoveryAddress(0, newOwner.address);
+      await time.increaseTo((await graceEnd()) + 1n);
+      await contract.finalizeExpiry(owner.address, 0);
+      const record = await contract.getReleaseInfo(owner.address, 0);
+
+      await contract.connect(newOwner).initiateRecovery(owner.address, 0, newOwner.address);
+      await time.increase(3 * DAY);
+      await contract.executeRecovery(owner.address, 0);
+
+      expect(await contract.getReleaseInfo(newOwner.address, 0)).to.deep.equal(record);
+    });
+  });
+
+  describe("SDK", function () {
+    let client;
+
+    beforeEach(function () {
+      client = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV6" });
+    });
+
+    it("Should finalize through the client and decode the release info", async function () {
+      await create();
+      await create([guardian.address]);
+      await expect(
+        client.connect(keeper).finalizeExpiry({ owner: owner.address, dossierId: 0 })
+      ).to.be.rejectedWith(DossierStateError, "Dossier not expired");
+
+      await contract.connect(guardian).confirmRelease(owner.address, 1);
+      await time.increaseTo((await graceEnd()) + 1n);
+      const { trigger, receipt } = await client.connect(keeper).finalizeExpiry({ owner: owner.address, dossierId: 1 });
+      expect(trigger).to.equal(ReleaseTrigger.GUARDIANS);
+
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+      expect(await client.getReleaseInfo({ owner: owner.address, dossierId: 1 })).to.deep.equal({
+        trigger: ReleaseTrigger.GUARDIANS,
+        releasedAt: BigInt(block.timestamp)
+      });
+      expect(await client.getReleaseInfo({ owner: owner.address, dossierId: 0 })).to.deep.equal({
+        trigger: ReleaseTrigger.NONE,
+        releasedAt: 0n
+      });
+    });
+
+    it("Should keep following a later tier of a finalized dossier in the recipient feed", async function () {
+      await create();
+      await contract.addReleaseTier(0, DAY, ["ipfs://QmLate"], [newOwner.address]);
+      const end = await graceEnd();
+      await time.increaseTo(end + 1n);
+      await contract.finalizeExpiry(owner.address, 0);
+
+      // First seen released, with the tier's delay still running
+      const feed = new RecipientFeed({ client: client.connect(newOwner), recipient: newOwner.address });
+      expect(await feed.poll()).to.deep.equal([]);
+
+      await time.increaseTo(end + BigInt(DAY) + 1n);
+      const [entry] = await feed.poll();
+      expect([entry.tier, entry.state, entry.files]).to.deep.equal([1, RecipientState.DECRYPTABLE, ["ipfs://QmLate"]]);
+    });
+
+    it("Should project finalized expiries as released", async function () {
+      await create();
+      await time.increaseTo((await graceEnd()) + 1n);
+      await contract.finalizeExpiry(owner.address, 0);
+
+      const indexer = new DossierIndexer({ address, provider: ethers.provider, contractName: "CanaryDossierV6" });
+      await indexer.sync();
+      const projected = indexer.projection.get(owner.address, 0);
+      expect([projected.isReleased, projected.isActive]).to.deep.equal([true, false]);
+    });
+  });
+
+  describe("Keeper", function () {
+    let expiryKeeper;
+
+    beforeEach(function () {
+      expiryKeeper = new ExpiryKeeper({ address, runner: keeper });
+    });
+
+    it("Should finalize only the dossiers that have expired", async function () {
+      await create(); // expires
+      await create([guardian.address]); // expires once its guardian confirms
+      await create(); // checked in
+      await create(); // paused
+      await time.increaseTo((await graceEnd()) + 1n);
+      await contract.checkIn(2);
+      await contract.pauseDossier(3);
+
+      const errors = [];
+      expiryKeeper.on("error", (error) => errors.push(error));
+      const finalized = await expiryKeeper.check();
+      expect(finalized.map((f) => [f.dossierId, f.trigger])).to.deep.equal([[0n, ReleaseTrigger.EXPIRY]]);
+      expect(finalized[0].owner).to.equal(owner.address);
+
+      await contract.connect(guardian).confirmRelease(owner.address, 1);
+      const next = await expiryKeeper.check();
+      expect(next.map((f) => [f.dossierId, f.trigger])).to.deep.equal([[1n, ReleaseTrigger.GUARDIANS]]);
+
+      // Everything expired is finalized; nothing is sent twice
+      expect(await expiryKeeper.check()).to.deep.equal([]);
+      expect(errors).to.deep.equal([]);
+
+      const status = await Promise.all(
+        [0, 1, 2, 3].map((dossierId) => contract.getDossierStatus(owner.address, dossierId))
+      );
+      expect(status.map(([s]) => s)).to.deep.equal([4n, 4n, 0n, 5n]);
+    });
+
+    it("Should report dossiers another keeper finalized first", async function () {
+      await create();
+      await time.increaseTo((await graceEnd()) + 1n);
+      await expiryKeeper.indexer.sync();
+
+      const errors = [];
+      expiryKeeper.on("error", (error, dossier) => errors.push([error.message, dossier.id]));
+      // Let the keeper's status check pass, then finalize between it and the keeper's transaction
+      const getDossierStatus = expiryKeeper.client.getDossierStatus.bind(expiryKeeper.client);
+      expiryKeeper.client.getDossierStatus = async (ref) => {
+        const lifecycle = await getDossierStatus(ref);
+        await contract.finalizeExpiry(owner.address, 0);
+        return lifecycle;
+      };
+
+      expect(await expiryKeeper.check()).to.deep.equal([]);
+      expect(errors).to.deep.equal([["Dossier already released", 0n]]);
+      expect((await contract.getReleaseInfo(owner.address, 0))[0]).to.equal(TRIGGER.EXPIRY);
+    });
+
+    it("Should finalize expired dossiers from the CLI", async function () {
+      await create();
+      await time.increaseTo((await graceEnd()) + 1n);
+
+      const log = console.log;
+      console.log = () => {};
+      try {
+        const finalized = await hre.run("keeper", { address, from: keeper.address, once: true });
+        expect(finalized.map((f) => f.dossierId)).to.deep.equal([0n]);
+      } finally {
+        console.log = log;
+      }
+      const client = new DossierClient({ address, runner: keeper, contractName: "CanaryDossierV6" });
+      expect(await client.getDossierStatus({ owner: owner.address, dossierId: 0 })).to.deep.equal({
+        status: DossierStatus.RELEASED,
+        nextDeadline: 0n
+      });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, DossierIndexer, DossierStatus, DossierValidationError } = require("../lib");
+
+describe("CanaryDossierV6 - Per-dossier grace period", function () {
+  const DAY = 86400;
+  const HOUR = 3600;
+  const GRACE = 2 * DAY;
+
+  let contract;
+  let address;
+  let owner, recipient, guardian, other;
+
+  beforeEach(async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    contract = await DossierV6.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, recipient, guardian, other] = await ethers.getSigners();
+
+    await contract.createDossier("Long grace", "", DAY, [recipient.address], ["ipfs://QmA"], [], 0, GRACE);
+    await contract.createDossier("Default grace", "", DAY, [recipient.address], ["ipfs://QmB"], [], 0, HOUR);
+  });
+
+  async function graceEnd(dossierId) {
+    const dossier = await contract.getDossier(owner.address, dossierId);
+    return Number(dossier.lastCheckIn + dossier.checkInInterval + dossier.gracePeriod);
+  }
+
+  describe("Contract", function () {
+    it("Should store the grace period given at creation", async function () {
+      expect((await contract.getDossier(owner.address, 0)).gracePeriod).to.equal(GRACE);
+      expect((await contract.getDossier(owner.address, 1)).gracePeriod).to.equal(HOUR);
+      expect(await contract.GRACE_PERIOD()).to.equal(HOUR);
+
+      const summaries = await contract.getDossiersSummary([
+        [owner.address, 0],
+        [owner.address, 1]
+      ]);
+      expect(summaries.map((summary) => summary.gracePeriod)).to.deep.equal([BigInt(GRACE), BigInt(HOUR)]);
+    });
+
+    it("Should reject grace periods outside the bounds", async function () {
+      const min = await contract.MIN_GRACE_PERIOD();
+      const max = await contract.MAX_GRACE_PERIOD();
+      const create = (gracePeriod) =>
+        contract.createDossier("Bounds", "", DAY, [recipient.address], ["ipfs://QmC"], [], 0, gracePeriod);
+
+      await expect(create(min - 1n)).to.be.revertedWith("Invalid grace period");
+      await expect(create(max + 1n)).to.be.revertedWith("Invalid grace period");
+      await expect(create(min)).to.emit(contract, "DossierCreated");
+      await expect(create(max)).to.emit(contract, "DossierCreated");
+    });
+
+    it("Should stay encrypted until the last second of interval plus grace", async function () {
+      const end = await graceEnd(0);
+
+      await time.increaseTo(end);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+      // The default-grace dossier created alongside has long since expired
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 1)).to.be.false;
+
+      await time.increase(1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+    });
+
+    it("Should update the grace period of an editable dossier", async function () {
+      await expect(contract.updateGracePeriod(0, 3 * DAY))
+        .to.emit(contract, "GracePeriodUpdated")
+        .withArgs(owner.address, 0, 3 * DAY);
+      expect((await contract.getDossier(owner.address, 0)).gracePeriod).to.equal(3 * DAY);
+
+      await expect(contract.updateGracePeriod(0, 0)).to.be.revertedWith("Invalid grace period");
+      await expect(contract.updateGracePeriod(0, 31 * DAY)).to.be.revertedWith("Invalid grace period");
+      await expect(contract.updateGracePeriod(7, HOUR)).to.be.revertedWith("Dossier does not exist");
+
+      await contract.releaseNow(0);
+      await expect(contract.updateGracePeriod(0, HOUR)).to.be.revertedWith("Dossier already released");
+    });
+
+    it("Should apply a shortened grace period immediately", async function () {
+      await time.increaseTo((await graceEnd(0)) - DAY);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+
+      await contract.updateGracePeriod(0, HOUR);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      // Checking in starts a fresh interval under the new grace period
+      await contract.checkIn(0);
+      await time.increaseTo(await graceEnd(0));
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+      await time.increase(1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+    });
+
+    it("Should open the veto window after the dossier's own grace period", async function () {
+      await contract.createDossier("Guarded", "", DAY, [recipient.address], ["ipfs://QmC"], [guardian.address], 1, GRACE);
+      await contract.setVetoPolicy(2, DAY, 1);
+      await contract.connect(guardian).confirmRelease(owner.address, 2);
+
+      // The veto lands in the last second of the window
+      await time.increaseTo((await graceEnd(2)) + DAY - 1);
+      await contract.connect(guardian).vetoRelease(owner.address, 2);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 2)).to.be.true;
+
+      await time.increase(1);
+      await expect(contract.connect(guardian).vetoRelease(owner.address, 2)).to.be.revertedWith("Veto window passed");
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 2)).to.be.false;
+    });
+  });
+
+  describe("SDK and tooling", function () {
+    let client;
+
+    beforeEach(function () {
+      client = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV6" });
+    });
+
+    it("Should default new dossiers to GRACE_PERIOD and report the grace deadline", async function () {
+      const { dossierId } = await client.createDossier({
+        name: "SDK",
+        checkInInterval: DAY,
+        recipients: [recipient.address],
+        files: ["ipfs://QmD"]
+      });
+      expect((await client.getDossier({ owner: owner.address, dossierId })).gracePeriod).to.equal(BigInt(HOUR));
+
+      await client.updateGracePeriod({ dossierId: 0, gracePeriod: GRACE });
+      await expect(client.updateGracePeriod({ dossierId: 0, gracePeriod: 0 })).to.be.rejectedWith(
+        DossierValidationError,
+        "Invalid grace period"
+      );
+
+      let dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.graceEndsAt).to.equal(dossier.deadline + BigInt(GRACE));
+
+      await time.increaseTo(dossier.graceEndsAt);
+      dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.status).to.equal(DossierStatus.IN_GRACE);
+
+      await time.increase(1);
+      dossier = await client.getDossier({ owner: owner.address, dossierId: 0 });
+      expect(dossier.status).to.equal(DossierStatus.EXPIRED);
+
+      const [summary] = await client.getDossiersSummary({ refs: [{ owner: owner.address, dossierId: 0 }] });
+      expect([summary.gracePeriod, summary.graceEndsAt]).to.deep.equal([BigInt(GRACE), dossier.graceEndsAt]);
+    });
+
+    it("Should refuse a grace period for contracts without one", async function () {
+      const v3Client = new DossierClient({ address, runner: owner });
+      await expect(
+        v3Client.createDossier({
+          name: "Old",
+          checkInInterval: DAY,
+          recipients: [recipient.address],
+          files: ["ipfs://QmE"],
+          gracePeriod: GRACE
+        })
+      ).to.be.rejectedWith("CanaryDossierV3 has no per-dossier grace period");
+    });
+
+    it("Should project grace period changes in the indexer", async function () {
+      await contract.updateGracePeriod(1, 6 * HOUR);
+
+      const indexer = new DossierIndexer({ address, provider: ethers.provider, contractName: "CanaryDossierV6" });
+      await indexer.sync();
+
+      expect(indexer.projection.get(owner.address, 0).gracePeriod).to.equal(BigInt(GRACE));
+      expect(indexer.projection.get(owner.address, 1).gracePeriod).to.equal(BigInt(6 * HOUR));
+    });
+
+    it("Should create and update the grace period through the CLI", async function () {
+      const log = console.log;
+      const output = [];
+      console.log = (...args) => output.push(args.join(" "));
+      try {
+        const created = await hre.run("dossier:create", {
+          address,
+          from: other.address,
+          contract: "V6",
+          name: "CLI",
+          description: "",
+          interval: DAY,
+          recipients: recipient.address,
+          files: "ipfs://QmF",
+          guardians: "",
+          grace: 4 * HOUR
+        });
+        expect(created.dossierId).to.equal(0n);
+
+        await hre.run("dossier:update-grace", { address, from: other.address, id: 0, grace: 5 * HOUR });
+
+        output.length = 0;
+        await hre.run("dossier:show", { address, from: other.address, id: 0, contract: "V6" });
+        expect(output.join("\n")).to.include(`${5 * HOUR}s`);
+
+        await expect(
+          hre.run("dossier:show", { address, from: other.address, id: 0, contract: "V2" })
+        ).to.be.rejectedWith("Unknown contract 'V2'");
+      } finally {
+        console.log = log;
+      }
+    });
+  });
+});
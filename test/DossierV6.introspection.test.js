@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  DossierClient,
+  DossierFacade,
+  DeploymentRegistry,
+  INTERFACE_IDS,
+  OperatorError,
+  deploymentWarnings
+} = require("../lib");
+const { interfaceId, readVersion } = require("../lib/introspection");
+
+describe("CanaryDossierV6 - Version and interface introspection", function () {
+  let contract;
+  let address;
+  let operator, other, successor;
+
+  async function deploy(contractName) {
+    const factory = await ethers.getContractFactory(contractName);
+    const deployed = await factory.deploy();
+    await deployed.waitForDeployment();
+    return deployed;
+  }
+
+  beforeEach(async function () {
+    [operator, other, successor] = await ethers.getSigners();
+    contract = await deploy("CanaryDossierV6");
+    address = await contract.getAddress();
+  });
+
+  describe("Contract", function () {
+    it("Should report its version and deployer as operator", async function () {
+      expect(await contract.version()).to.equal(6n);
+      expect(await contract.operator()).to.equal(operator.address);
+      expect(await contract.successor()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should support ERC-165 and its feature groups only", async function () {
+      for (const [name, id] of Object.entries(INTERFACE_IDS)) {
+        expect(await contract.supportsInterface(id), name).to.be.true;
+      }
+      expect(await contract.supportsInterface("0xffffffff")).to.be.false;
+      expect(await contract.supportsInterface("0x00000000")).to.be.false;
+    });
+
+    it("Should only report feature groups whose functions it has", async function () {
+      const functions = new Set();
+      contract.interface.forEachFunction((fn) => functions.add(fn.selector));
+
+      // Every group is made of functions in the ABI; dropping one changes the ID
+      const guardians = [
+        "addGuardian(uint256,address)",
+        "removeGuardian(uint256,address)",
+        "updateGuardianThreshold(uint256,uint256)",
+        "confirmRelease(address,uint256)",
+        "revokeConfirmation(address,uint256)",
+        "hasGuardianConfirmed(address,uint256,address)"
+      ];
+      for (const signature of guardians) {
+        expect(functions.has(ethers.id(signature).slice(0, 10)), signature).to.be.true;
+      }
+      expect(interfaceId(guardians)).to.equal(INTERFACE_IDS.ICanaryDossierGuardians);
+      expect(await contract.supportsInterface(interfaceId(guardians.slice(1)))).to.be.false;
+    });
+
+    it("Should let the operator set and clear the successor", async function () {
+      await expect(contract.setSuccessor(successor.address))
+        .to.emit(contract, "SuccessorSet")
+        .withArgs(successor.address);
+      expect(await contract.successor()).to.equal(successor.address);
+
+      await expect(contract.connect(other).setSuccessor(other.address)).to.be.revertedWith("Not the operator");
+      await expect(contract.setSuccessor(address)).to.be.revertedWith("Invalid successor");
+
+      await contract.setSuccessor(ethers.ZeroAddress);
+      expect(await contract.successor()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should keep the extension's own successor out of reach", async function () {
+      const extension = await deploy("CanaryDossierV6Extension");
+      await expect(extension.setSuccessor(successor.address)).to.be.revertedWith("Not the operator");
+    });
+  });
+
+  describe("SDK and tooling", function () {
+    let client;
+    let dir;
+
+    beforeEach(function () {
+      client = new DossierClient({ address, runner: operator, contractName: "CanaryDossierV6" });
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-introspection-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function registryWith(records) {
+      const registry = new DeploymentRegistry({ file: path.join(dir, "registry.json") });
+      for (const record of records) {
+        registry.record({
+          chainId: 31337,
+          network: "hardhat",
+          deployer: operator.address,
+          txHash: "0x" + "00".repeat(32),
+          blockNumber: 1,
+          timestamp: "2025-01-01T00:00:00.000Z",
+          ...record
+        });
+      }
+      return registry;
+    }
+
+    it("Should read the version, interfaces and successor", async function () {
+      expect(await client.getVersion()).to.equal(6);
+      expect(await client.supportsInterface({ interfaceId: INTERFACE_IDS.ICanaryDossierBatch })).to.be.true;
+      expect(await client.getSuccessor()).to.be.null;
+
+      await client.setSuccessor({ successor: successor.address });
+      expect(await client.getSuccessor()).to.equal(successor.address);
+      await expect(client.connect(other).setSuccessor({ successor: other.address })).to.be.rejectedWith(
+        OperatorError,
+        "Not the operator"
+      );
+
+      const v3 = await deploy("CanaryDossierV3");
+      const v3Client = new DossierClient({ address: await v3.getAddress(), runner: operator });
+      expect([await v3Client.getVersion(), await v3Client.getSuccessor()]).to.deep.equal([3, null]);
+      expect(await readVersion({ address: await v3.getAddress(), provider: ethers.provider })).to.be.null;
+      expect(await readVersion({ address, provider: ethers.provider })).to.equal(6);
+    });
+
+    it("Should warn about deprecated and outdated deployments", async function () {
+      expect(await deploymentWarnings(client, { registry: registryWith([]) })).to.deep.equal([]);
+
+      await contract.setSuccessor(successor.address);
+      expect(await deploymentWarnings(client)).to.deep.equal([
+        `CanaryDossierV6 at ${address} is deprecated; its operator points to ${successor.address}`
+      ]);
+
+      const v2 = await deploy("CanaryDossierV2");
+      const facade = await DossierFacade.at({ address: await v2.getAddress(), runner: operator });
+      const registry = registryWith([
+        { contractName: "CanaryDossierV3", address: other.address },
+        { contractName: "CanaryDossierV6", address }
+      ]);
+      expect(await deploymentWarnings(facade.client, { registry })).to.deep.equal([
+        `CanaryDossierV2 at ${facade.address} is an old deployment; CanaryDossierV6 is at ${address}`,
+        "Move your dossiers to a newer contract with `npx hardhat dossier:migrate`"
+      ]);
+    });
+
+    it("Should set the successor and warn through the CLI", async function () {
+      const log = console.log;
+      const warn = console.warn;
+      const warnings = [];
+      console.log = () => {};
+      console.warn = (...args) => warnings.push(args.join(" "));
+      try {
+        const summary = await hre.run("deployments:set-successor", { address, successor: successor.address });
+        expect(summary.successor).to.equal(successor.address);
+        expect(warnings).to.deep.equal([]);
+
+        await hre.run("dossier:list", { address, owner: operator.address, contract: "V6" });
+        expect(warnings).to.deep.equal([
+          `⚠️  CanaryDossierV6 at ${address} is deprecated; its operator points to ${successor.address}`
+        ]);
+
+        await expect(
+          hre.run("deployments:set-successor", { address, successor: other.address, from: other.address })
+        ).to.be.rejectedWith("Not the operator");
+      } finally {
+        console.log = log;
+        console.warn = warn;
+      }
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, DossierStatus, computeLifecycle } = require("../lib");
+
+describe("CanaryDossierV6 - Lifecycle status", function () {
+  const DAY = 86400;
+  const HOUR = 3600;
+
+  let contract;
+  let client;
+  let owner, recipient, guardian1, guardian2;
+
+  beforeEach(async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    contract = await DossierV6.deploy();
+    await contract.waitForDeployment();
+    [owner, recipient, guardian1, guardian2] = await ethers.getSigners();
+    client = new DossierClient({ address: await contract.getAddress(), runner: owner, contractName: "CanaryDossierV6" });
+  });
+
+  function create(guardians = [], threshold = guardians.length) {
+    return contract.createDossier("Status", "", DAY, [recipient.address], ["ipfs://QmA"], guardians, threshold, HOUR);
+  }
+
+  async function status(dossierId) {
+    return client.getDossierStatus({ owner: owner.address, dossierId });
+  }
+
+  // What the JS calculator makes of the same dossier at the same block
+  async function mirrored(dossierId) {
+    const ref = { owner: owner.address, dossierId };
+    const [dossier, veto, now] = await Promise.all([client.getDossier(ref), client.getVeto(ref), client.getTimestamp()]);
+    return computeLifecycle(dossier, now, veto);
+  }
+
+  describe("Contract", function () {
+    it("Should move from Active through InGrace to Expired with the next deadline", async function () {
+      await create();
+      const dossier = await contract.getDossier(owner.address, 0);
+      const deadline = dossier.lastCheckIn + BigInt(DAY);
+
+      expect(await status(0)).to.deep.equal({ status: DossierStatus.ACTIVE, nextDeadline: deadline });
+
+      await time.increaseTo(deadline);
+      expect((await status(0)).status).to.equal(DossierStatus.ACTIVE);
+      await time.increase(1);
+      expect(await status(0)).to.deep.equal({ status: DossierStatus.IN_GRACE, nextDeadline: deadline + BigInt(HOUR) });
+
+      await time.increaseTo(deadline + BigInt(HOUR) + 1n);
+      expect(await status(0)).to.deep.equal({ status: DossierStatus.EXPIRED, nextDeadline: 0n });
+    });
+
+    it("Should report a paused dossier as Paused even past its deadline", async function () {
+      await create();
+      await contract.pauseDossier(0);
+      await time.increase(2 * DAY);
+
+      expect(await status(0)).to.deep.equal({ status: DossierStatus.PAUSED, nextDeadline: 0n });
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+    });
+
+    it("Should wait for guardians after expiry and after releaseNow", async function () {
+      await create([guardian1.address, guardian2.address], 2);
+      await create([guardian1.address], 1);
+      await contract.releaseNow(1);
+
+      await time.increase(DAY + HOUR + 1);
+      expect((await status(0)).status).to.equal(DossierStatus.AWAITING_GUARDIANS);
+      expect((await status(1)).status).to.equal(DossierStatus.AWAITING_GUARDIANS);
+
+      await contract.connect(guardian1).confirmRelease(owner.address, 0);
+      expect((await status(0)).status).to.equal(DossierStatus.AWAITING_GUARDIANS);
+      await contract.connect(guardian2).confirmRelease(owner.address, 0);
+      expect((await status(0)).status).to.equal(DossierStatus.EXPIRED);
+
+      await contract.connect(guardian1).confirmRelease(owner.address, 1);
+      expect((await status(1)).status).to.equal(DossierStatus.RELEASED);
+    });
+
+    it("Should hold a vetoed dossier until the veto window ends", async function () {
+      await create([guardian1.address], 1);
+      await contract.setVetoPolicy(0, DAY, 1);
+      await contract.connect(guardian1).confirmRelease(owner.address, 0);
+      await contract.connect(guardian1).vetoRelease(owner.address, 0);
+      const dossier = await contract.getDossier(owner.address, 0);
+      const vetoEnd = dossier.lastCheckIn + BigInt(DAY + HOUR + DAY);
+
+      await time.increaseTo(vetoEnd);
+      expect(await status(0)).to.deep.equal({ status: DossierStatus.AWAITING_GUARDIANS, nextDeadline: vetoEnd });
+      await time.increase(1);
+      expect((await status(0)).status).to.equal(DossierStatus.EXPIRED);
+    });
+
+    it("Should report Disabled and reject unknown dossiers", async function () {
+      await create();
+      await contract.permanentlyDisableDossier(0);
+
+      expect(await status(0)).to.deep.equal({ status: DossierStatus.DISABLED, nextDeadline: 0n });
+      await expect(contract.getDossierStatus(owner.address, 1)).to.be.revertedWith("Dossier does not exist");
+    });
+  });
+
+  describe("JS status calculator", function () {
+    // Small deterministic PRNG so a failing sequence can be replayed from its seed
+    function random(seed) {
+      let state = seed >>> 0;
+      return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    const pick = (rand, items) => items[Math.floor(rand() * items.length)];
+
+    // Jump to (or just past) a boundary of some dossier, or by a random amount
+    async function moveTime(rand) {
+      const dossierId = Math.floor(rand() * 3);
+      const [dossier, veto] = await Promise.all([
+        client.getDossier({ owner: owner.address, dossierId }),
+        client.getVeto({ owner: owner.address, dossierId })
+      ]);
+      const target = pick(rand, [dossier.deadline, dossier.graceEndsAt, dossier.graceEndsAt + veto.window]);
+      const now = await client.getTimestamp();
+      if (target > now && rand() < 0.7) {
+        await time.increaseTo(target + BigInt(Math.floor(rand() * 2)));
+      } else {
+        await time.increase(1 + Math.floor(rand() * DAY));
+      }
+    }
+
+    function randomAction(rand) {
+      const dossierId = Math.floor(rand() * 3);
+      const guardian = pick(rand, [guardian1, guardian2]);
+      return pick(rand, [
+        () => contract.checkIn(dossierId),
+        () => contract.pauseDossier(dossierId),
+        () => contract.resumeDossier(dossierId),
+        () => (rand() < 0.3 ? contract.releaseNow(dossierId) : contract.checkIn(dossierId)),
+        () => (rand() < 0.1 ? contract.permanentlyDisableDossier(dossierId) : contract.checkIn(dossierId)),
+        () => contract.connect(guardian).confirmRelease(owner.address, dossierId),
+        () => contract.connect(guardian).revokeConfirmation(owner.address, dossierId),
+        () => contract.connect(guardian).vetoRelease(owner.address, dossierId),
+        () => contract.connect(guardian).revokeVeto(owner.address, dossierId),
+        () => contract.setVetoPolicy(dossierId, pick(rand, [0, HOUR, DAY]), 1).catch(() => contract.setVetoPolicy(dossierId, 0, 0)),
+        () => contract.updateGracePeriod(dossierId, pick(rand, [HOUR, 6 * HOUR, DAY]))
+      ]);
+    }
+
+    for (const seed of [1, 2, 3, 4]) {
+      it(`Should agree with getDossierStatus over random lifecycles (seed ${seed})`, async function () {
+        const rand = random(seed);
+        // No guardians, one of one, two of two
+        await create();
+        await create([guardian1.address], 1);
+        await create([guardian1.address, guardian2.address], 2);
+
+        for (let step = 0; step < 40; step++) {
+          if (rand() < 0.4) {
+            await moveTime(rand);
+          } else {
+            // Actions the contract rejects in the current state are part of the walk
+            await randomAction(rand)().catch(() => {});
+          }
+
+          for (const dossierId of [0, 1, 2]) {
+            const onChain = await status(dossierId);
+            expect(await mirrored(dossierId), `seed ${seed}, step ${step}, dossier ${dossierId}`).to.deep.equal(onChain);
+
+            const released = [DossierStatus.RELEASED, DossierStatus.EXPIRED].includes(onChain.status);
+            expect(await contract.shouldDossierStayEncrypted(owner.address, dossierId)).to.equal(!released);
+          }
+        }
+      });
+    }
+  });
+});
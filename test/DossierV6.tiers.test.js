@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DossierClient,
+  DossierLimitError,
+  DossierStateError,
+  DossierValidationError,
+  RecipientFeed,
+  RecipientState
+} = require("../lib");
+
+describe("CanaryDossierV6 - Release tiers", function () {
+  const DAY = 86400;
+  const HOUR = 3600;
+  const PRESS_DELAY = 2 * DAY;
+
+  let contract;
+  let address;
+  let owner, editor, lawyer, press, guardian, newOwner, other;
+
+  beforeEach(async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    contract = await DossierV6.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, editor, lawyer, press, guardian, newOwner, other] = await ethers.getSigners();
+
+    // The editor gets the dossier's own files, the lawyer theirs at the same time and the press
+    // theirs two days later
+    await contract.createDossier("Staged", "", DAY, [editor.address], ["ipfs://QmEditor"], [], 0, HOUR);
+    await contract.addReleaseTier(0, 0, ["ipfs://QmLawyer"], [lawyer.address]);
+    await contract.addReleaseTier(0, PRESS_DELAY, ["ipfs://QmPress1", "ipfs://QmPress2"], [press.address]);
+  });
+
+  async function graceEnd(dossierId = 0, user = owner.address) {
+    const dossier = await contract.getDossier(user, dossierId);
+    return Number(dossier.lastCheckIn + dossier.checkInInterval + dossier.gracePeriod);
+  }
+
+  async function sealedTiers(dossierId = 0, user = owner.address) {
+    return Promise.all([0, 1, 2].map((tier) => contract.shouldTierStayEncrypted(user, dossierId, tier)));
+  }
+
+  describe("Contract", function () {
+    it("Should store tiers and emit an event per tier", async function () {
+      const tiers = await contract.getReleaseTiers(owner.address, 0);
+      expect(tiers.map((tier) => tier.delay)).to.deep.equal([0n, BigInt(PRESS_DELAY)]);
+      expect([...tiers[1].encryptedFileHashes]).to.deep.equal(["ipfs://QmPress1", "ipfs://QmPress2"]);
+      expect([...tiers[1].recipients]).to.deep.equal([press.address]);
+
+      await expect(contract.addReleaseTier(0, 3 * DAY, ["ipfs://QmLate"], [other.address]))
+        .to.emit(contract, "ReleaseTierAdded")
+        .withArgs(owner.address, 0, 3, 3 * DAY);
+      await expect(contract.removeReleaseTier(0))
+        .to.emit(contract, "ReleaseTierRemoved")
+        .withArgs(owner.address, 0, 3);
+      expect(await contract.getReleaseTiers(owner.address, 0)).to.have.length(2);
+    });
+
+    it("Should release each tier in turn after a missed check-in", async function () {
+      expect(await sealedTiers()).to.deep.equal([true, true, true]);
+
+      await time.increase(DAY);
+      expect(await sealedTiers()).to.deep.equal([true, true, true]);
+
+      // Last second of the grace period, then the dossier and the lawyer's tier release
+      await time.increaseTo(await graceEnd());
+      expect(await sealedTiers()).to.deep.equal([true, true, true]);
+      await time.increase(1);
+      expect(await sealedTiers()).to.deep.equal([false, false, true]);
+
+      await time.increase(PRESS_DELAY - 1);
+      expect(await sealedTiers()).to.deep.equal([false, false, true]);
+      await time.increase(1);
+      expect(await sealedTiers()).to.deep.equal([false, false, false]);
+    });
+
+    it("Should restart every tier's delay on check-in", async function () {
+      await time.increase(DAY + HOUR + 1);
+      expect(await sealedTiers()).to.deep.equal([false, false, true]);
+
+      await contract.checkIn(0);
+      expect(await sealedTiers()).to.deep.equal([true, true, true]);
+
+      await time.increase(DAY + HOUR + PRESS_DELAY + 1);
+      expect(await sealedTiers()).to.deep.equal([false, false, false]);
+    });
+
+    it("Should hold every tier back while guardians have not confirmed", async function () {
+      await contract.createDossier("Guarded", "", DAY, [editor.address], ["ipfs://QmA"], [guardian.address], 1, HOUR);
+      await contract.addReleaseTier(1, 0, ["ipfs://QmB"], [lawyer.address]);
+      await contract.addReleaseTier(1, PRESS_DELAY, ["ipfs://QmC"], [press.address]);
+
+      await time.increase(DAY + HOUR + PRESS_DELAY + 1);
+      expect(await sealedTiers(1)).to.deep.equal([true, true, true]);
+
+      await contract.connect(guardian).confirmRelease(owner.address, 1);
+      expect(await sealedTiers(1)).to.deep.equal([false, false, false]);
+    });
+
+    it("Should release every tier at once on releaseNow", async function () {
+      await contract.releaseNow(0);
+      expect(await sealedTiers()).to.deep.equal([false, false, false]);
+    });
+
+    it("Should keep every tier sealed while paused or disabled", async function () {
+      await contract.pauseDossier(0);
+      await time.increase(DAY + HOUR + PRESS_DELAY + 1);
+      expect(await sealedTiers()).to.deep.equal([true, true, true]);
+
+      await contract.permanentlyDisableDossier(0);
+      expect(await sealedTiers()).to.deep.equal([true, true, true]);
+    });
+
+    it("Should reject invalid tiers", async function () {
+      const add = (delay, files, recipients) => contract.addReleaseTier(0, delay, files, recipients);
+
+      await expect(add(DAY, ["ipfs://QmX"], [other.address])).to.be.revertedWith("Invalid tier delay");
+      await expect(add(366 * DAY, ["ipfs://QmX"], [other.address])).to.be.revertedWith("Invalid tier delay");
+      await expect(add(PRESS_DELAY, [], [other.address])).to.be.revertedWith("Invalid files");
+      await expect(add(PRESS_DELAY, [""], [other.address])).to.be.revertedWith("File hash cannot be empty");
+      await expect(add(PRESS_DELAY, ["ipfs://QmX"], [])).to.be.revertedWith("Invalid recipients");
+      await expect(add(PRESS_DELAY, ["ipfs://QmX"], [ethers.ZeroAddress])).to.be.revertedWith(
+        "Invalid recipient address"
+      );
+      // An address receives one tier only
+      await expect(add(PRESS_DELAY, ["ipfs://QmX"], [editor.address])).to.be.revertedWith("Recipient already exists");
+      await expect(add(PRESS_DELAY, ["ipfs://QmX"], [press.address])).to.be.revertedWith("Recipient already exists");
+      await expect(contract.addRecipient(0, lawyer.address)).to.be.revertedWith("Recipient already exists");
+      const signers = await ethers.getSigners();
+      await contract.addRecipient(0, signers[10].address);
+      await expect(contract.removeRecipient(0, lawyer.address)).to.be.revertedWith("Recipient not found");
+
+      for (let i = 0; i < 3; i++) {
+        await add(PRESS_DELAY, ["ipfs://QmX"], [signers[7 + i].address]);
+      }
+      await expect(add(PRESS_DELAY, ["ipfs://QmX"], [other.address])).to.be.revertedWith("Max release tiers reached");
+
+      await expect(contract.shouldTierStayEncrypted(owner.address, 0, 6)).to.be.revertedWith("Tier does not exist");
+      await expect(contract.addReleaseTier(7, 0, ["ipfs://QmX"], [other.address])).to.be.revertedWith(
+        "Dossier does not exist"
+      );
+    });
+
+    it("Should only edit tiers of an editable dossier", async function () {
+      await contract.createDossier("Plain", "", DAY, [editor.address], ["ipfs://QmA"], [], 0, HOUR);
+      await expect(contract.removeReleaseTier(1)).to.be.revertedWith("No release tiers");
+
+      await contract.releaseNow(0);
+      await expect(contract.addReleaseTier(0, PRESS_DELAY, ["ipfs://QmX"], [other.address])).to.be.revertedWith(
+        "Dossier already released"
+      );
+      await expect(contract.removeReleaseTier(0)).to.be.revertedWith("Dossier already released");
+    });
+
+    it("Should list tier recipients in the recipient lookup", async function () {
+      const ref = [owner.address, 0n];
+      expect((await contract.getDossiersWhereRecipient(press.address)).map((r) => [...r])).to.deep.equal([ref]);
+      expect(await contract.isRecipientOfAny(lawyer.address)).to.be.true;
+
+      await contract.removeReleaseTier(0);
+      expect(await contract.isRecipientOfAny(press.address)).to.be.false;
+      expect(await contract.isRecipientOfAny(lawyer.address)).to.be.true;
+    });
+
+    it("Should carry tiers and their recipients over in a recovery", async function () {
+      await contract.setRecoveryAddress(0, other.address);
+      await contract.connect(other).initiateRecovery(owner.address, 0, newOwner.address);
+      await time.increase(Number(await contract.RECOVERY_TIMELOCK()));
+      await contract.connect(other).executeRecovery(owner.address, 0);
+
+      const tiers = await contract.getReleaseTiers(newOwner.address, 0);
+      expect(tiers.map((tier) => [...tier.recipients])).to.deep.equal([[lawyer.address], [press.address]]);
+      expect((await contract.getDossiersWhereRecipient(press.address)).map((r) => [...r])).to.deep.equal([
+        [newOwner.address, 0n]
+      ]);
+      await expect(contract.getReleaseTiers(owner.address, 0)).to.be.revertedWith("Dossier does not exist");
+
+      // The timelock outlasted the deadline but not the press's delay
+      expect(await sealedTiers(0, newOwner.address)).to.deep.equal([false, false, true]);
+      await contract.connect(newOwner).checkIn(0);
+      expect(await sealedTiers(0, newOwner.address)).to.deep.equal([true, true, true]);
+    });
+  });
+
+  describe("SDK and tasks", function () {
+    let client;
+
+    beforeEach(function () {
+      client = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV6" });
+    });
+
+    it("Should create a tiered dossier through DossierClient", async function () {
+      const { dossierId } = await client.createDossier({
+        name: "SDK",
+        checkInInterval: DAY,
+        recipients: [editor.address],
+        files: ["ipfs://QmA"],
+        tiers: [{ delay: PRESS_DELAY, files: ["ipfs://QmB"], recipients: [press.address] }]
+      });
+      expect(dossierId).to.equal(1n);
+
+      const { tier } = await client.addReleaseTier({
+        dossierId,
+        delay: 3 * DAY,
+        files: ["ipfs://QmC"],
+        recipients: [other.address]
+      });
+      expect(tier).to.equal(2);
+      await expect(
+        client.addReleaseTier({ dossierId, delay: DAY, files: ["ipfs://QmD"], recipients: [lawyer.address] })
+      ).to.be.rejectedWith(DossierValidationError, "Invalid tier delay");
+
+      const dossier = await client.getDossier({ owner: owner.address, dossierId });
+      const tiers = await client.getReleaseTiers({ owner: owner.address, dossierId });
+      expect(tiers).to.deep.equal([
+        {
+          tier: 1,
+          delay: BigInt(PRESS_DELAY),
+          files: ["ipfs://QmB"],
+          recipients: [press.address],
+          sealedUntil: dossier.graceEndsAt + BigInt(PRESS_DELAY)
+        },
+        {
+          tier: 2,
+          delay: BigInt(3 * DAY),
+          files: ["ipfs://QmC"],
+          recipients: [other.address],
+          sealedUntil: dossier.graceEndsAt + BigInt(3 * DAY)
+        }
+      ]);
+
+      await time.increaseTo(tiers[0].sealedUntil);
+      expect(await client.shouldTierStayEncrypted({ owner: owner.address, dossierId, tier: 1 })).to.be.true;
+      await time.increase(1);
+      expect(await client.shouldTierStayEncrypted({ owner: owner.address, dossierId, tier: 1 })).to.be.false;
+      expect(await client.shouldTierStayEncrypted({ owner: owner.address, dossierId, tier: 2 })).to.be.true;
+    });
+
+    it("Should raise typed errors for tier reverts", async function () {
+      for (let i = 0; i < 3; i++) {
+        await client.addReleaseTier({
+          dossierId: 0,
+          delay: PRESS_DELAY,
+          files: ["ipfs://QmX"],
+          recipients: [(await ethers.getSigners())[7 + i].address]
+        });
+      }
+      await expect(
+        client.addReleaseTier({ dossierId: 0, delay: PRESS_DELAY, files: ["ipfs://QmX"], recipients: [other.address] })
+      ).to.be.rejectedWith(DossierLimitError, "Max release tiers reached");
+
+      await client.createDossier({ name: "Plain", checkInInterval: DAY, recipients: [editor.address], files: ["a"] });
+      await expect(client.removeReleaseTier({ dossierId: 1 })).to.be.rejectedWith(
+        DossierStateError,
+        "No release tiers"
+      );
+      await expect(client.shouldTierStayEncrypted({ owner: owner.address, dossierId: 1, tier: 1 })).to.be.rejectedWith(
+        DossierValidationError,
+        "Tier does not exist"
+      );
+
+      const v3Client = new DossierClient({ address, runner: owner });
+      await expect(
+        v3Client.createDossier({
+          name: "Old",
+          checkInInterval: DAY,
+          recipients: [editor.address],
+          files: ["ipfs://QmE"],
+          tiers: [{ delay: 0, files: ["ipfs://QmF"], recipients: [other.address] }]
+        })
+      ).to.be.rejectedWith("CanaryDossierV3 has no release tiers");
+    });
+
+    it("Should show each recipient their own tier in the feed", async function () {
+      const editorFeed = new RecipientFeed({ client, recipient: editor.address });
+      const pressFeed = new RecipientFeed({ client, recipient: press.address });
+      const seen = [];
+      pressFeed.on("decryptable", (entry) => seen.push(entry.files));
+
+      expect(await pressFeed.poll()).to.deep.equal([]);
+      let entry = await pressFeed.get({ owner: owner.address, dossierId: 0n });
+      expect([entry.tier, entry.state, entry.files]).to.deep.equal([
+        2,
+        RecipientState.SEALED,
+        ["ipfs://QmPress1", "ipfs://QmPress2"]
+      ]);
+
+      await time.increase(DAY + HOUR + 1);
+      expect((await editorFeed.poll()).map((e) => e.files)).to.deep.equal([["ipfs://QmEditor"]]);
+      expect(await pressFeed.poll()).to.deep.equal([]);
+
+      await time.increase(PRESS_DELAY);
+      await pressFeed.poll();
+      expect(seen).to.deep.equal([["ipfs://QmPress1", "ipfs://QmPress2"]]);
+      entry = await pressFeed.get({ owner: owner.address, dossierId: 0n });
+      expect([entry.tier, entry.state]).to.deep.equal([2, RecipientState.DECRYPTABLE]);
+    });
+
+    it("Should add, show and remove tiers through the CLI", async function () {
+      const log = console.log;
+      const output = [];
+      console.log = (...args) => output.push(args.join(" "));
+      try {
+        const added = await hre.run("dossier:add-tier", {
+          address,
+          id: 0,
+          delay: 3 * DAY,
+          recipients: other.address,
+          files: "ipfs://QmLate"
+        });
+        expect([added.action, added.tier]).to.deep.equal(["add-tier", 3]);
+
+        await time.increase(DAY + HOUR + 1);
+        const tiers = await hre.run("dossier:tiers", { address, id: 0, json: true });
+        expect(tiers.map((tier) => [tier.tier, tier.encrypted])).to.deep.equal([
+          [0, false],
+          [1, false],
+          [2, true],
+          [3, true]
+        ]);
+
+        await hre.run("dossier:remove-tier", { address, id: 0 });
+        expect(await contract.getReleaseTiers(owner.address, 0)).to.have.length(2);
+
+        output.length = 0;
+        const feed = await hre.run("recipient:feed", { address, recipient: press.address, contract: "V6" });
+        expect(feed.map((entry) => [entry.tier, entry.state])).to.deep.equal([[2, RecipientState.SEALED]]);
+      } finally {
+        console.log = log;
+      }
+    });
+  });
+});
@@ -0,0 +1,412 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DossierClient,
+  DossierStateError,
+  DossierValidationError,
+  GuardianError,
+  GuardianInbox,
+  RecipientFeed,
+  RecipientState,
+  SignedAction
+} = require("../lib");
+
+describe("CanaryDossierV6 - Guardian veto", function () {
+  const DAY = 86400;
+  const WINDOW = 2 * DAY;
+
+  let contract;
+  let address;
+  let grace;
+  let owner, recipient, guardian1, guardian2, guardian3, newOwner, other;
+
+  beforeEach(async function () {
+    const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+    contract = await DossierV6.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    grace = Number(await contract.GRACE_PERIOD());
+    [owner, recipient, guardian1, guardian2, guardian3, newOwner, other] = await ethers.getSigners();
+
+    // Two of three guardians confirm release, two of them can veto it
+    await contract.createDossier(
+      "Guarded",
+      "",
+      DAY,
+      [recipient.address],
+      ["ipfs://QmA"],
+      [guardian1.address, guardian2.address, guardian3.address],
+      2,
+      grace
+    );
+    await contract.createDossier("Unguarded", "", DAY, [recipient.address], ["ipfs://QmB"], [], 0, grace);
+  });
+
+  async function deadline(dossierId = 0) {
+    const dossier = await contract.getDossier(owner.address, dossierId);
+    return Number(dossier.lastCheckIn + dossier.checkInInterval) + grace;
+  }
+
+  async function confirmAll() {
+    await contract.connect(guardian1).confirmRelease(owner.address, 0);
+    await contract.connect(guardian2).confirmRelease(owner.address, 0);
+  }
+
+  async function vetoTwice() {
+    await contract.connect(guardian1).vetoRelease(owner.address, 0);
+    await contract.connect(guardian3).vetoRelease(owner.address, 0);
+  }
+
+  it("Should keep both contracts within the EIP-170 contract size limit", async function () {
+    // The constructor deploys the extension as the contract's first creation
+    const extension = ethers.getCreateAddress({ from: address, nonce: 1 });
+
+    for (const deployed of [address, extension]) {
+      const code = await ethers.provider.getCode(deployed);
+      expect(code.length).to.be.greaterThan(2);
+      expect((code.length - 2) / 2).to.be.at.most(24576);
+    }
+  });
+
+  describe("Veto policy", function () {
+    it("Should set and turn off the veto policy", async function () {
+      await expect(contract.setVetoPolicy(0, WINDOW, 2))
+        .to.emit(contract, "VetoPolicyUpdated")
+        .withArgs(owner.address, 0, WINDOW, 2);
+
+      const veto = await contract.vetoes(owner.address, 0);
+      expect(veto.window).to.equal(WINDOW);
+      expect(veto.threshold).to.equal(2n);
+
+      await contract.setVetoPolicy(0, 0, 0);
+      expect((await contract.vetoes(owner.address, 0)).window).to.equal(0n);
+    });
+
+    it("Should reject invalid policies", async function () {
+      const max = Number(await contract.MAX_VETO_WINDOW());
+
+      await expect(contract.setVetoPolicy(0, max + 1, 1)).to.be.revertedWith("Invalid veto window");
+      await expect(contract.setVetoPolicy(0, WINDOW, 0)).to.be.revertedWith("Invalid veto threshold");
+      await expect(contract.setVetoPolicy(0, WINDOW, 4)).to.be.revertedWith("Invalid veto threshold");
+      await expect(contract.setVetoPolicy(0, 0, 1)).to.be.revertedWith("Invalid veto threshold");
+      await expect(contract.setVetoPolicy(1, WINDOW, 1)).to.be.revertedWith("Invalid veto threshold");
+      await expect(contract.setVetoPolicy(7, WINDOW, 1)).to.be.revertedWith("Dossier does not exist");
+
+      await contract.setVetoPolicy(0, max, 3);
+      await contract.pauseDossier(0);
+      await expect(contract.setVetoPolicy(0, WINDOW, 1)).to.be.revertedWith("Dossier must be active to edit");
+    });
+  });
+
+  describe("Vetoing release", function () {
+    beforeEach(async function () {
+      await contract.setVetoPolicy(0, WINDOW, 2);
+      await confirmAll();
+    });
+
+    it("Should hold back an expired dossier once the veto threshold is met", async function () {
+      await time.increaseTo((await deadline()) + 1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      await expect(contract.connect(guardian1).vetoRelease(owner.address, 0))
+        .to.emit(contract, "ReleaseVetoed")
+        .withArgs(owner.address, 0, guardian1.address);
+      expect(await contract.hasGuardianVetoed(owner.address, 0, guardian1.address)).to.be.true;
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.false;
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      await contract.connect(guardian3).vetoRelease(owner.address, 0);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.true;
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+      expect((await contract.vetoes(owner.address, 0)).count).to.equal(2n);
+    });
+
+    it("Should count vetoes cast before the deadline", async function () {
+      await vetoTwice();
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+
+      await time.increaseTo((await deadline()) + 1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+    });
+
+    it("Should release once the veto window has passed", async function () {
+      await vetoTwice();
+      const vetoEnd = (await deadline()) + WINDOW;
+
+      await time.increaseTo(vetoEnd);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.true;
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+
+      await time.increase(1);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.false;
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+      await expect(contract.connect(guardian2).vetoRelease(owner.address, 0)).to.be.revertedWith(
+        "Veto window passed"
+      );
+    });
+
+    it("Should still wait for guardian confirmations after a veto expires", async function () {
+      await contract.connect(guardian2).revokeConfirmation(owner.address, 0);
+      await vetoTwice();
+
+      await time.increaseTo((await deadline()) + WINDOW + 1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+
+      await contract.connect(guardian3).confirmRelease(owner.address, 0);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+    });
+
+    it("Should retire every veto when the owner checks in", async function () {
+      await vetoTwice();
+      await time.increase(DAY / 2);
+      await contract.checkIn(0);
+
+      expect(await contract.hasGuardianVetoed(owner.address, 0, guardian1.address)).to.be.false;
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.false;
+
+      await time.increaseTo((await deadline()) + 1);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      // A new deadline starts a new tally
+      await contract.connect(guardian1).vetoRelease(owner.address, 0);
+      expect((await contract.vetoes(owner.address, 0)).count).to.equal(1n);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.false;
+    });
+
+    it("Should let a guardian revoke their veto", async function () {
+      await vetoTwice();
+      await time.increaseTo((await deadline()) + 1);
+
+      await expect(contract.connect(guardian1).revokeVeto(owner.address, 0))
+        .to.emit(contract, "VetoRevoked")
+        .withArgs(owner.address, 0, guardian1.address);
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+      await expect(contract.connect(guardian1).revokeVeto(owner.address, 0)).to.be.revertedWith("Not vetoed");
+      await expect(contract.connect(guardian2).revokeVeto(owner.address, 0)).to.be.revertedWith("Not vetoed");
+    });
+
+    it("Should reject vetoes that cannot count", async function () {
+      await contract.connect(guardian1).vetoRelease(owner.address, 0);
+
+      await expect(contract.connect(guardian1).vetoRelease(owner.address, 0)).to.be.revertedWith("Already vetoed");
+      await expect(contract.connect(other).vetoRelease(owner.address, 0)).to.be.revertedWith("Not a guardian");
+      await expect(contract.connect(guardian1).vetoRelease(owner.address, 1)).to.be.revertedWith("Not a guardian");
+      await expect(contract.connect(guardian1).vetoRelease(owner.address, 7)).to.be.revertedWith(
+        "Dossier does not exist"
+      );
+
+      await contract.setVetoPolicy(0, 0, 0);
+      await expect(contract.connect(guardian2).vetoRelease(owner.address, 0)).to.be.revertedWith("Veto not enabled");
+
+      await contract.permanentlyDisableDossier(0);
+      await expect(contract.connect(guardian2).vetoRelease(owner.address, 0)).to.be.revertedWith(
+        "Dossier permanently disabled"
+      );
+    });
+
+    it("Should drop the veto of a removed guardian and keep the threshold reachable", async function () {
+      await vetoTwice();
+
+      await contract.removeGuardian(0, guardian1.address);
+      expect(await contract.hasGuardianVetoed(owner.address, 0, guardian1.address)).to.be.false;
+      expect((await contract.vetoes(owner.address, 0)).count).to.equal(1n);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.false;
+
+      await contract.removeGuardian(0, guardian2.address);
+      expect((await contract.vetoes(owner.address, 0)).threshold).to.equal(1n);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.true;
+
+      await contract.removeGuardian(0, guardian3.address);
+      const veto = await contract.vetoes(owner.address, 0);
+      expect([veto.window, veto.threshold, veto.count]).to.deep.equal([0n, 0n, 0n]);
+    });
+  });
+
+  describe("releaseNow", function () {
+    beforeEach(async function () {
+      await contract.setVetoPolicy(0, WINDOW, 2);
+    });
+
+    it("Should not hold back an owner's immediate release", async function () {
+      await vetoTwice();
+      await confirmAll();
+
+      await contract.releaseNow(0);
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.true;
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+    });
+
+    it("Should reject vetoes once released", async function () {
+      await contract.releaseNow(0);
+      await expect(contract.connect(guardian1).vetoRelease(owner.address, 0)).to.be.revertedWith(
+        "Dossier already released"
+      );
+    });
+  });
+
+  describe("Extension calls", function () {
+    it("Should carry the veto policy and vetoes over in a recovery", async function () {
+      await contract.setVetoPolicy(0, WINDOW, 2);
+      await vetoTwice();
+      await expect(
+        contract.connect(other).initiateRecovery(owner.address, 0, newOwner.address)
+      ).to.be.revertedWith("Not the recovery address");
+
+      await contract.connect(guardian1).approveRecovery(owner.address, 0, newOwner.address);
+      await contract.connect(guardian2).approveRecovery(owner.address, 0, newOwner.address);
+      await time.increase(Number(await contract.RECOVERY_TIMELOCK()));
+
+      const newDossierId = await contract.executeRecovery.staticCall(owner.address, 0);
+      expect(newDossierId).to.equal(0n);
+      await expect(contract.executeRecovery(owner.address, 0))
+        .to.emit(contract, "DossierRecovered")
+        .withArgs(owner.address, 0, newOwner.address, 0);
+
+      const veto = await contract.vetoes(newOwner.address, 0);
+      expect([veto.window, veto.threshold, veto.count]).to.deep.equal([BigInt(WINDOW), 2n, 2n]);
+      expect(await contract.hasGuardianVetoed(newOwner.address, 0, guardian3.address)).to.be.true;
+      expect(await contract.isReleaseVetoed(newOwner.address, 0)).to.be.true;
+      expect((await contract.vetoes(owner.address, 0)).window).to.equal(0n);
+    });
+
+    it("Should let the recovery address replace approvals below the threshold", async function () {
+      await contract.setRecoveryAddress(0, other.address);
+      await contract.connect(guardian1).approveRecovery(owner.address, 0, recipient.address);
+
+      await expect(contract.connect(other).initiateRecovery(owner.address, 0, newOwner.address))
+        .to.emit(contract, "RecoveryCancelled")
+        .withArgs(owner.address, 0);
+      expect(await contract.hasApprovedRecovery(owner.address, 0, guardian1.address)).to.be.false;
+      expect((await contract.recoveryRequests(owner.address, 0)).newOwner).to.equal(newOwner.address);
+    });
+  });
+
+  describe("SDK and tasks", function () {
+    let ownerClient;
+
+    beforeEach(function () {
+      ownerClient = new DossierClient({ address, runner: owner, contractName: "CanaryDossierV6" });
+    });
+
+    it("Should set the policy and veto through DossierClient", async function () {
+      await ownerClient.setVetoPolicy({ dossierId: 0, window: WINDOW, threshold: 1 });
+      await expect(ownerClient.setVetoPolicy({ dossierId: 0, window: WINDOW, threshold: 9 })).to.be.rejectedWith(
+        DossierValidationError,
+        "Invalid veto threshold"
+      );
+
+      const guardianClient = ownerClient.connect(guardian1);
+      await guardianClient.vetoRelease({ owner: owner.address, dossierId: 0 });
+      await expect(guardianClient.vetoRelease({ owner: owner.address, dossierId: 0 })).to.be.rejectedWith(
+        GuardianError,
+        "Already vetoed"
+      );
+      expect(await ownerClient.getVeto({ owner: owner.address, dossierId: 0 })).to.deep.equal({
+        window: BigInt(WINDOW),
+        threshold: 1n,
+        count: 1n,
+        vetoed: true
+      });
+
+      await ownerClient.checkIn({ dossierId: 0 });
+      expect((await ownerClient.getVeto({ owner: owner.address, dossierId: 0 })).count).to.equal(0n);
+      expect(
+        await ownerClient.hasGuardianVetoed({ owner: owner.address, dossierId: 0, guardian: guardian1.address })
+      ).to.be.false;
+    });
+
+    it("Should pre-flight veto actions in the guardian inbox", async function () {
+      const inbox = new GuardianInbox({ client: ownerClient.connect(guardian1), guardian: guardian1.address });
+
+      let entry = await inbox.get({ owner: owner.address, dossierId: 0 });
+      expect(entry.vetoBlocker).to.equal("Veto not enabled");
+      await expect(inbox.veto({ owner: owner.address, dossierId: 0 })).to.be.rejectedWith(
+        DossierStateError,
+        "Veto not enabled"
+      );
+
+      await ownerClient.setVetoPolicy({ dossierId: 0, window: WINDOW, threshold: 1 });
+      await inbox.veto({ owner: owner.address, dossierId: 0 });
+      entry = await inbox.get({ owner: owner.address, dossierId: 0 });
+      expect(entry.vetoed).to.be.true;
+      expect(entry.veto.vetoed).to.be.true;
+      expect([entry.vetoBlocker, entry.revokeVetoBlocker]).to.deep.equal(["Already vetoed", null]);
+
+      await inbox.revokeVeto({ owner: owner.address, dossierId: 0 });
+      await expect(inbox.revokeVeto({ owner: owner.address, dossierId: 0 })).to.be.rejectedWith(
+        GuardianError,
+        "Not vetoed"
+      );
+
+      await time.increaseTo((await deadline()) + WINDOW + 1);
+      expect((await inbox.get({ owner: owner.address, dossierId: 0 })).vetoBlocker).to.equal("Veto window passed");
+
+      // Older contracts have no veto to pre-flight against
+      const v3Inbox = new GuardianInbox({
+        client: new DossierClient({ address, runner: guardian1 }),
+        guardian: guardian1.address
+      });
+      entry = await v3Inbox.get({ owner: owner.address, dossierId: 0 });
+      expect([entry.veto, entry.vetoBlocker, entry.revokeVetoBlocker]).to.deep.equal([
+        null,
+        "Veto not enabled",
+        "Veto not enabled"
+      ]);
+    });
+
+    it("Should report vetoed dossiers to recipients until the window ends", async function () {
+      await contract.setVetoPolicy(0, WINDOW, 1);
+      await confirmAll();
+      await time.increaseTo((await deadline()) + 1);
+
+      const feed = new RecipientFeed({ client: ownerClient, recipient: recipient.address });
+      const initial = await feed.poll();
+      expect(initial.map((entry) => entry.name)).to.include("Guarded");
+
+      await contract.connect(guardian2).vetoRelease(owner.address, 0);
+      expect((await feed.poll()).map((entry) => entry.name)).not.to.include("Guarded");
+      expect((await feed.get({ owner: owner.address, dossierId: 0n })).state).to.equal(RecipientState.VETOED);
+
+      await time.increaseTo((await deadline()) + WINDOW + 1);
+      const released = await feed.poll();
+      expect(released.map((entry) => entry.name)).to.include("Guarded");
+      expect((await feed.get({ owner: owner.address, dossierId: 0n })).state).to.equal(RecipientState.DECRYPTABLE);
+    });
+
+    it("Should sign for the V6 domain", async function () {
+      const signed = await ownerClient.signAction({ action: SignedAction.PAUSE, dossierId: 0 });
+      await ownerClient.connect(other).pauseWithSig(signed);
+
+      expect((await contract.getDossier(owner.address, 0)).isActive).to.be.false;
+    });
+
+    it("Should veto through the CLI", async function () {
+      await contract.setVetoPolicy(0, WINDOW, 1);
+
+      const log = console.log;
+      const output = [];
+      console.log = (...args) => output.push(args.join(" "));
+      try {
+        const vetoed = await hre.run("guardian:veto", { address, from: guardian1.address, owner: owner.address, id: 0 });
+        expect(vetoed.action).to.equal("veto");
+        expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.true;
+
+        output.length = 0;
+        await hre.run("guardian:inbox", { address, from: guardian1.address, contract: "V6" });
+        expect(output.join("\n")).to.include("1/1 held (you)");
+
+        await hre.run("guardian:revoke-veto", { address, from: guardian1.address, owner: owner.address, id: 0 });
+        await expect(
+          hre.run("guardian:revoke-veto", { address, from: guardian1.address, owner: owner.address, id: 0 })
+        ).to.be.rejectedWith("Not vetoed");
+      } finally {
+        console.log = log;
+      }
+
+      expect(await contract.isReleaseVetoed(owner.address, 0)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierWatcher, NotificationType, StdoutSink, WebhookSink, FileSink } = require("../lib");
+
+describe("DossierWatcher", function () {
+  const INTERVAL = 86400;
+  const GRACE_PERIOD = 3600;
+  const WARNING = 7200;
+
+  let contract;
+  let address;
+  let watcher;
+  let received;
+  let owner, recipient, guardian;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, recipient, guardian] = await ethers.getSigners();
+
+    received = [];
+    const deployBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+    watcher = new DossierWatcher({
+      address,
+      provider: ethers.provider,
+      fromBlock: deployBlock,
+      warningWindow: WARNING,
+      sinks: [{ send: async (notification) => received.push(notification) }]
+    });
+  });
+
+  afterEach(function () {
+    watcher.stop();
+  });
+
+  it("Should notify once per stage as a dossier expires", async function () {
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+
+    expect(await watcher.check()).to.deep.equal([]);
+
+    await time.increase(INTERVAL - WARNING + 1);
+    await watcher.check();
+    await watcher.check();
+    expect(received.map((n) => n.type)).to.deep.equal([NotificationType.APPROACHING_DEADLINE]);
+
+    await time.increase(WARNING);
+    await watcher.check();
+    expect(received.map((n) => n.type)).to.deep.equal([
+      NotificationType.APPROACHING_DEADLINE,
+      NotificationType.GRACE_ENTERED
+    ]);
+    expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.true;
+
+    await time.increase(GRACE_PERIOD);
+    await watcher.check();
+    const expired = received[2];
+    expect(expired.type).to.equal(NotificationType.EXPIRED);
+    expect(expired.decryptable).to.be.true;
+    expect(expired.recipients).to.deep.equal([recipient.address]);
+    expect(expired.graceEndsAt - expired.deadline).to.equal(BigInt(GRACE_PERIOD));
+    expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+
+    await time.increase(INTERVAL);
+    await watcher.check();
+    expect(received.length).to.equal(3);
+  });
+
+  it("Should start a new cycle after a check-in", async function () {
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+
+    await time.increase(INTERVAL + 1);
+    await watcher.check();
+    expect(received.map((n) => n.type)).to.deep.equal([NotificationType.GRACE_ENTERED]);
+
+    await contract.checkIn(0);
+    await watcher.check();
+    expect(received.length).to.equal(1);
+
+    await time.increase(INTERVAL - WARNING + 1);
+    await watcher.check();
+    expect(received.map((n) => n.type)).to.deep.equal([
+      NotificationType.GRACE_ENTERED,
+      NotificationType.APPROACHING_DEADLINE
+    ]);
+  });
+
+  it("Should only report expiry when first seen after the grace period", async function () {
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [guardian.address], 1);
+
+    await time.increase(INTERVAL + GRACE_PERIOD + 1);
+    await watcher.check();
+
+    expect(received.length).to.equal(1);
+    expect(received[0].type).to.equal(NotificationType.EXPIRED);
+    // Guardian has not confirmed yet
+    expect(received[0].decryptable).to.be.false;
+  });
+
+  it("Should ignore paused, released and disabled dossiers", async function () {
+    await contract.createDossier("Paused", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("Released", "", INTERVAL, [recipient.address], ["ipfs://QmB"], [], 0);
+    await contract.createDossier("Disabled", "", INTERVAL, [recipient.address], ["ipfs://QmC"], [], 0);
+    await contract.pauseDossier(0);
+    await contract.releaseNow(1);
+    await contract.permanentlyDisableDossier(2);
+
+    await time.increase(INTERVAL + GRACE_PERIOD + 1);
+    await watcher.check();
+
+    expect(received).to.deep.equal([]);
+    expect(await watcher.nextDeadline()).to.be.undefined;
+  });
+
+  it("Should keep notifying other sinks when one fails", async function () {
+    const errors = [];
+    watcher.sinks.unshift({
+      send: async () => {
+        throw new Error("sink down");
+      }
+    });
+    watcher.on("error", (error) => errors.push(error.message));
+
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+    await time.increase(INTERVAL + 1);
+    await watcher.check();
+
+    expect(errors).to.deep.equal(["sink down"]);
+    expect(received.length).to.equal(1);
+  });
+
+  it("Should schedule the next check for the next deadline", async function () {
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+    const created = BigInt(await time.latest());
+
+    await watcher.check();
+    expect(await watcher.nextDeadline()).to.equal(created + BigInt(INTERVAL - WARNING));
+
+    await time.increase(INTERVAL - WARNING + 1);
+    await watcher.check();
+    expect(await watcher.nextDeadline()).to.equal(created + BigInt(INTERVAL));
+  });
+
+  it("Should notify while started", async function () {
+    watcher.pollInterval = 50;
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+    await watcher.start();
+
+    const notified = new Promise((resolve) => watcher.once("notification", resolve));
+    await time.increase(INTERVAL + GRACE_PERIOD + 1);
+
+    expect((await notified).type).to.equal(NotificationType.EXPIRED);
+  });
+
+  describe("Sinks", function () {
+    const notification = {
+      type: NotificationType.EXPIRED,
+      owner: "0x0000000000000000000000000000000000000001",
+      dossierId: 3n,
+      name: "Leak",
+      deadline: 1000n,
+      at: 5000n
+    };
+
+    it("Should write text or JSON lines to a stream", async function () {
+      const lines = [];
+      const stream = { write: (chunk) => lines.push(chunk) };
+
+      await new StdoutSink({ stream }).send(notification);
+      await new StdoutSink({ stream, json: true }).send(notification);
+
+      expect(lines[0]).to.equal(
+        '[1970-01-01T01:23:20.000Z] expired 0x0000000000000000000000000000000000000001:3 "Leak"\n'
+      );
+      expect(JSON.parse(lines[1]).dossierId).to.equal("3");
+    });
+
+    it("Should POST notifications to a webhook", async function () {
+      const requests = [];
+      const fetch = async (url, init) => {
+        requests.push({ url, init });
+        return { ok: requests.length === 1, status: 503 };
+      };
+      const sink = new WebhookSink({ url: "https://example.test/hook", headers: { authorization: "Bearer x" }, fetch });
+
+      await sink.send(notification);
+      expect(requests[0].init.method).to.equal("POST");
+      expect(requests[0].init.headers.authorization).to.equal("Bearer x");
+      expect(JSON.parse(requests[0].init.body).deadline).to.equal("1000");
+
+      await expect(sink.send(notification)).to.be.rejectedWith("responded with 503");
+    });
+
+    it("Should append notifications to a file", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-watch-"));
+      try {
+        const file = path.join(dir, "nested", "notifications.jsonl");
+        const sink = new FileSink({ file });
+        await sink.send(notification);
+        await sink.send({ ...notification, type: NotificationType.GRACE_ENTERED });
+
+        const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse);
+        expect(lines.map((l) => l.type)).to.deep.equal(["expired", "grace-entered"]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  it("Should check once through the watch task", async function () {
+    await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0);
+    await time.increase(INTERVAL + GRACE_PERIOD + 1);
+
+    const write = process.stdout.write;
+    process.stdout.write = () => true;
+    let notifications;
+    try {
+      notifications = await hre.run("watch", { address, once: true });
+    } finally {
+      process.stdout.write = write;
+    }
+
+    expect(notifications.map((n) => n.type)).to.deep.equal([NotificationType.EXPIRED]);
+  });
+
+  describe("CanaryDossierV6", function () {
+    const CUSTOM_GRACE = 6 * 3600;
+
+    beforeEach(async function () {
+      const DossierV6 = await ethers.getContractFactory("CanaryDossierV6");
+      contract = await DossierV6.deploy();
+      await contract.waitForDeployment();
+      address = await contract.getAddress();
+
+      const deployBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+      watcher = new DossierWatcher({
+        address,
+        provider: ethers.provider,
+        contractName: "CanaryDossierV6",
+        fromBlock: deployBlock,
+        warningWindow: WARNING,
+        sinks: [{ send: async (notification) => received.push(notification) }]
+      });
+      await contract.createDossier("Leak", "", INTERVAL, [recipient.address], ["ipfs://QmA"], [], 0, CUSTOM_GRACE);
+    });
+
+    it("Should expire dossiers after their own grace period", async function () {
+      await time.increase(INTERVAL + GRACE_PERIOD + 1);
+      await watcher.check();
+      expect(received.map((n) => n.type)).to.deep.equal([NotificationType.GRACE_ENTERED]);
+      expect(received[0].graceEndsAt - received[0].deadline).to.equal(BigInt(CUSTOM_GRACE));
+
+      // Lengthened during grace: the expiry moves with it
+      await contract.updateGracePeriod(0, 2 * CUSTOM_GRACE);
+      await time.increase(CUSTOM_GRACE);
+      await watcher.check();
+      expect(received.length).to.equal(1);
+      expect(await watcher.nextDeadline()).to.equal(received[0].deadline + BigInt(2 * CUSTOM_GRACE));
+
+      await time.increase(CUSTOM_GRACE);
+      await watcher.check();
+      const expired = received[1];
+      expect(expired.type).to.equal(NotificationType.EXPIRED);
+      expect(expired.graceEndsAt - expired.deadline).to.equal(BigInt(2 * CUSTOM_GRACE));
+      expect(await contract.shouldDossierStayEncrypted(owner.address, 0)).to.be.false;
+    });
+
+    it("Should watch a CanaryDossierV6 deployment through the watch task", async function () {
+      await time.increase(INTERVAL + GRACE_PERIOD + 1);
+
+      const write = process.stdout.write;
+      process.stdout.write = () => true;
+      let notifications;
+      try {
+        notifications = await hre.run("watch", { address, contract: "V6", once: true });
+      } finally {
+        process.stdout.write = write;
+      }
+
+      expect(notifications.map((n) => n.type)).to.deep.equal([NotificationType.GRACE_ENTERED]);
+    });
+  });
+});
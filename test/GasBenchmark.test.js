@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { GasStatus, compareWithBaseline, gasKey } = require("../tasks/benchmark");
+
+describe("Gas benchmark", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-gas-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function benchmark(args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run("benchmark:gas", { report: dir, json: true, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  function writeBaseline(gas) {
+    const file = path.join(dir, "baseline.json");
+    fs.writeFileSync(file, JSON.stringify({ gas }));
+    return file;
+  }
+
+  it("Should measure every function and match the committed baseline", async function () {
+    this.timeout(120000);
+    const report = await benchmark({});
+
+    expect(report.unmeasured).to.deep.equal({
+      CanaryDossier: [],
+      CanaryDossierV2: [],
+      CanaryDossierV3: [],
+      CanaryDossierV4: [],
+      CanaryDossierV5: [],
+      CanaryDossierV6: []
+    });
+    expect(report.removed).to.deep.equal([]);
+    expect(report.results.filter((r) => r.status !== GasStatus.OK).map((r) => r.key)).to.deep.equal([]);
+
+    const written = JSON.parse(fs.readFileSync(path.join(dir, "gas-report.json"), "utf8"));
+    expect(written.results.length).to.equal(report.results.length);
+    expect(fs.readFileSync(path.join(dir, "gas-report.md"), "utf8")).to.include("## CanaryDossierV3");
+  });
+
+  it("Should fail when gas rises beyond the tolerance", async function () {
+    const key = gasKey("CanaryDossierV3", "checkInAll", { dossiers: 10 });
+    const { results } = await benchmark({ contracts: "V3", functions: "checkInAll" });
+    const measured = Number(results.find((r) => r.key === key).gasUsed);
+
+    const baseline = writeBaseline({ [key]: Math.round(measured / 1.05) });
+
+    await expect(
+      benchmark({ contracts: "V3", functions: "checkInAll", baseline })
+    ).to.be.rejectedWith(/1 gas regression\(s\) beyond 2%: CanaryDossierV3\.checkInAll\(dossiers=10\) \+5\.\d\d%/);
+    expect(fs.readFileSync(path.join(dir, "gas-report.md"), "utf8")).to.include("| regression |");
+
+    const report = await benchmark({ contracts: "V3", functions: "checkInAll", baseline, tolerance: 10 });
+    expect(report.regressions).to.deep.equal([]);
+  });
+
+  it("Should update the baseline with --update-baseline", async function () {
+    const stale = gasKey("CanaryDossierV2", "createDossier", { recipients: 99 });
+    const otherContract = gasKey("CanaryDossierV3", "checkIn", {});
+    const baseline = writeBaseline({ [stale]: 1, [otherContract]: 2 });
+
+    const report = await benchmark({ contracts: "V2", functions: "createDossier", baseline, updateBaseline: true });
+    expect(report.removed).to.deep.equal([stale]);
+
+    const { gas } = JSON.parse(fs.readFileSync(baseline, "utf8"));
+    expect(gas[stale]).to.be.undefined;
+    expect(gas[otherContract]).to.equal(2);
+    expect(gas[gasKey("CanaryDossierV2", "createDossier", { recipients: 20 })]).to.be.greaterThan(0);
+
+    const rerun = await benchmark({ contracts: "V2", functions: "createDossier", baseline });
+    expect(rerun.results.every((r) => r.status === GasStatus.OK)).to.be.true;
+  });
+
+  it("Should classify changes against the tolerance", function () {
+    const results = [
+      { key: "a", gasUsed: 1010n },
+      { key: "b", gasUsed: 1030n },
+      { key: "c", gasUsed: 970n },
+      { key: "d", gasUsed: 500n }
+    ];
+    const compared = compareWithBaseline(results, { a: 1000, b: 1000, c: 1000 }, 2);
+
+    expect(compared.map((r) => r.status)).to.deep.equal([
+      GasStatus.OK,
+      GasStatus.REGRESSION,
+      GasStatus.IMPROVED,
+      GasStatus.NEW
+    ]);
+    expect(compared[1].change).to.equal(3);
+    expect(compared[3].baseline).to.be.null;
+  });
+});
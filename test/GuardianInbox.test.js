@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, GuardianInbox, GuardianError, DossierStateError } = require("../lib");
+const { confirmBlocker, revokeBlocker } = require("../lib/guardian");
+
+describe("GuardianInbox", function () {
+  let contract;
+  let address;
+  let inbox;
+  let owner, other, recipient, guardian, guardian2;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, other, recipient, guardian, guardian2] = await ethers.getSigners();
+
+    inbox = new GuardianInbox({
+      client: new DossierClient({ address, runner: guardian }),
+      guardian: guardian.address
+    });
+
+    // owner #0: expires, needs both guardians
+    await contract.createDossier(
+      "Expired", "", 3600, [recipient.address], ["ipfs://QmA"], [guardian.address, guardian2.address], 2
+    );
+    // owner #1: released, one guardian
+    await contract.createDossier("Released", "", 86400, [recipient.address], ["ipfs://QmB"], [guardian.address], 1);
+    // other #0: still active
+    await contract.connect(other).createDossier(
+      "Active", "", 86400 * 7, [recipient.address], ["ipfs://QmC"], [guardian.address], 1
+    );
+    // owner #2: not guarded by `guardian`
+    await contract.createDossier("Elsewhere", "", 3600, [recipient.address], ["ipfs://QmD"], [guardian2.address], 1);
+
+    await contract.releaseNow(1);
+    await time.increase(3600 + 3600 + 1);
+  });
+
+  it("Should list guarded dossiers with status and confirmations", async function () {
+    const entries = await inbox.list();
+    const byName = Object.fromEntries(entries.map((e) => [e.name, e]));
+
+    expect(entries.map((e) => e.name)).to.have.members(["Expired", "Released", "Active"]);
+    expect(byName.Expired.status).to.equal("expired");
+    expect(byName.Expired.threshold).to.equal(2n);
+    expect(byName.Released.status).to.equal("released");
+    expect(byName.Active.status).to.equal("active");
+    expect(byName.Active.owner).to.equal(other.address);
+    expect(byName.Active.awaitingAction).to.be.false;
+  });
+
+  it("Should put dossiers awaiting the guardian first", async function () {
+    const entries = await inbox.list();
+    expect(entries.slice(0, 2).map((e) => e.name)).to.have.members(["Expired", "Released"]);
+
+    await inbox.confirm({ owner: owner.address, dossierId: 1 });
+    const pending = await inbox.pending();
+    expect(pending.map((e) => e.name)).to.deep.equal(["Expired"]);
+
+    // Once the threshold is met by others the dossier no longer waits on this guardian
+    await contract.connect(guardian2).confirmRelease(owner.address, 0);
+    await contract.updateGuardianThreshold(0, 1);
+    expect(await inbox.pending()).to.deep.equal([]);
+  });
+
+  it("Should confirm and revoke", async function () {
+    await inbox.confirm({ owner: owner.address, dossierId: 0 });
+    let entry = await inbox.get({ owner: owner.address, dossierId: 0 });
+    expect(entry.confirmed).to.be.true;
+    expect(entry.confirmations).to.equal(1n);
+    expect(entry.confirmBlocker).to.equal("Already confirmed");
+    expect(entry.revokeBlocker).to.be.null;
+
+    await inbox.revoke({ owner: owner.address, dossierId: 0 });
+    entry = await inbox.get({ owner: owner.address, dossierId: 0 });
+    expect(entry.confirmed).to.be.false;
+    expect(entry.confirmations).to.equal(0n);
+  });
+
+  it("Should refuse actions the contract would revert, without sending", async function () {
+    const before = await ethers.provider.getTransactionCount(guardian.address);
+
+    await inbox.confirm({ owner: owner.address, dossierId: 1 });
+    await expect(inbox.confirm({ owner: owner.address, dossierId: 1 })).to.be.rejectedWith(
+      GuardianError,
+      "Already confirmed"
+    );
+    await expect(inbox.revoke({ owner: owner.address, dossierId: 1 })).to.be.rejectedWith(
+      DossierStateError,
+      "Dossier already released"
+    );
+    await expect(inbox.revoke({ owner: owner.address, dossierId: 0 })).to.be.rejectedWith(
+      GuardianError,
+      "Not confirmed"
+    );
+    await expect(inbox.confirm({ owner: owner.address, dossierId: 2 })).to.be.rejectedWith(
+      GuardianError,
+      "Not a guardian"
+    );
+
+    await contract.permanentlyDisableDossier(0);
+    await expect(inbox.confirm({ owner: owner.address, dossierId: 0 })).to.be.rejectedWith(
+      DossierStateError,
+      "Dossier permanently disabled"
+    );
+
+    expect(await ethers.provider.getTransactionCount(guardian.address)).to.equal(before + 1);
+  });
+
+  it("Should predict the same reasons the contract reverts with", async function () {
+    const cases = [
+      { id: 1, fn: "revokeConfirmation", blocker: revokeBlocker },
+      { id: 0, fn: "revokeConfirmation", blocker: revokeBlocker },
+      { id: 2, fn: "confirmRelease", blocker: confirmBlocker }
+    ];
+
+    for (const { id, fn, blocker } of cases) {
+      const entry = await inbox.get({ owner: owner.address, dossierId: id });
+      const reason = blocker(entry.dossier, guardian.address, entry.confirmed);
+      await expect(contract.connect(guardian)[fn](owner.address, id)).to.be.revertedWith(reason);
+    }
+  });
+
+  it("Should show the inbox and confirm through tasks", async function () {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const pending = await hre.run("guardian:inbox", {
+        address,
+        from: guardian.address,
+        pending: true,
+        json: true
+      });
+      expect(pending.length).to.equal(2);
+
+      await hre.run("guardian:confirm", { address, from: guardian.address, owner: owner.address, id: 0, json: true });
+      await expect(
+        hre.run("guardian:revoke", { address, from: guardian.address, owner: owner.address, id: 1, json: true })
+      ).to.be.rejectedWith("Dossier already released");
+    } finally {
+      console.log = log;
+    }
+
+    expect(await contract.hasGuardianConfirmed(owner.address, 0, guardian.address)).to.be.true;
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { LocalConditionEvaluator, ConditionNotSatisfiedError, dossierCondition } = require("../lib");
+
+describe("LocalConditionEvaluator", function () {
+  let contract;
+  let taco;
+  let condition;
+  let owner, recipient, guardian1, guardian2;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    [owner, recipient, guardian1, guardian2] = await ethers.getSigners();
+
+    await contract.createDossier(
+      "Leak", "", 3600,
+      [recipient.address], ["ipfs://QmA"],
+      [guardian1.address, guardian2.address], 2
+    );
+
+    taco = new LocalConditionEvaluator({ provider: ethers.provider });
+    condition = dossierCondition({
+      contractAddress: await contract.getAddress(),
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      owner: owner.address,
+      dossierId: 0
+    });
+  });
+
+  it("Should build a TACo contract condition on shouldDossierStayEncrypted", function () {
+    expect(condition.conditionType).to.equal("contract");
+    expect(condition.chain).to.equal(31337);
+    expect(condition.method).to.equal("shouldDossierStayEncrypted");
+    expect(condition.parameters).to.deep.equal([owner.address, "0"]);
+    expect(condition.functionAbi.outputs[0].type).to.equal("bool");
+    expect(condition.returnValueTest).to.deep.equal({ comparator: "==", value: false });
+  });
+
+  it("Should only decrypt once the guardian threshold is met after expiry", async function () {
+    const kit = await taco.encrypt("Guarded evidence", condition);
+    expect(kit.ciphertext).to.not.include(Buffer.from("Guarded evidence").toString("hex"));
+
+    await time.increase(3600 + 3600 + 1);
+    await expect(taco.decrypt(kit)).to.be.rejectedWith(ConditionNotSatisfiedError);
+
+    await contract.connect(guardian1).confirmRelease(owner.address, 0);
+    expect(await taco.canDecrypt(kit)).to.be.false;
+
+    await contract.connect(guardian2).confirmRelease(owner.address, 0);
+    expect((await taco.decrypt(kit)).toString()).to.equal("Guarded evidence");
+  });
+
+  it("Should reject kits whose conditions were tampered with", async function () {
+    const kit = await taco.encrypt("Sealed", condition);
+    const alwaysTrue = { ...condition, returnValueTest: { comparator: "==", value: true } };
+
+    await expect(taco.decrypt({ ...kit, conditions: alwaysTrue })).to.be.rejectedWith(
+      "Unsupported state or unable to authenticate data"
+    );
+  });
+
+  it("Should refuse conditions for another chain", async function () {
+    const kit = await taco.encrypt("Sealed", { ...condition, chain: 1 });
+    await expect(taco.decrypt(kit)).to.be.rejectedWith("Condition is for chain 1");
+  });
+
+  it("Should evaluate compound conditions and context variables", async function () {
+    const confirmedByUser = {
+      conditionType: "contract",
+      contractAddress: await contract.getAddress(),
+      chain: 31337,
+      method: "hasGuardianConfirmed",
+      parameters: [owner.address, "0", ":userAddress"],
+      functionAbi: JSON.parse(contract.interface.getFunction("hasGuardianConfirmed").format("json")),
+      returnValueTest: { comparator: "==", value: true }
+    };
+    const stillSealed = { ...condition, returnValueTest: { comparator: "==", value: true } };
+
+    await expect(taco.evaluate(confirmedByUser)).to.be.rejectedWith("Missing context variable :userAddress");
+
+    await contract.connect(guardian1).confirmRelease(owner.address, 0);
+    const context = { ":userAddress": guardian1.address };
+    expect(await taco.evaluate(confirmedByUser, { context })).to.be.true;
+    expect(await taco.evaluate(confirmedByUser, { context: { ":userAddress": guardian2.address } })).to.be.false;
+
+    const both = { conditionType: "compound", operator: "and", operands: [stillSealed, confirmedByUser] };
+    const either = { conditionType: "compound", operator: "or", operands: [condition, confirmedByUser] };
+    const neither = { conditionType: "compound", operator: "not", operands: [both] };
+    expect(await taco.evaluate(both, { context })).to.be.true;
+    expect(await taco.evaluate(neither, { context })).to.be.false;
+    expect(await taco.evaluate(either, { context: { ":userAddress": guardian2.address } })).to.be.false;
+  });
+});
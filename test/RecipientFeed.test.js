@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { DossierClient, RecipientFeed, RecipientState } = require("../lib");
+
+describe("RecipientFeed", function () {
+  const HOUR = 3600;
+
+  let contract;
+  let address;
+  let feed;
+  let dir;
+  let owner, other, recipient, guardian;
+
+  beforeEach(async function () {
+    const DossierV3 = await ethers.getContractFactory("CanaryDossierV3");
+    contract = await DossierV3.deploy();
+    await contract.waitForDeployment();
+    address = await contract.getAddress();
+    [owner, other, recipient, guardian] = await ethers.getSigners();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "canary-recipient-"));
+    feed = new RecipientFeed({
+      client: new DossierClient({ address, runner: ethers.provider }),
+      recipient: recipient.address,
+      manifest: path.join(dir, "manifest.json")
+    });
+  });
+
+  afterEach(function () {
+    feed.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should classify dossiers the same way shouldDossierStayEncrypted does", async function () {
+    // #0 sealed, #1 released, #2 expired awaiting guardian, #3 paused, #4 disabled, #5 expired
+    await contract.createDossier("Sealed", "", 30 * 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("Released", "", 30 * 86400, [recipient.address], ["ipfs://QmB"], [], 0);
+    await contract.createDossier("Guarded", "", HOUR, [recipient.address], ["ipfs://QmC"], [guardian.address], 1);
+    await contract.createDossier("Paused", "", HOUR, [recipient.address], ["ipfs://QmD"], [], 0);
+    await contract.createDossier("Disabled", "", HOUR, [recipient.address], ["ipfs://QmE"], [], 0);
+    await contract.createDossier("Expired", "", HOUR, [recipient.address], ["ipfs://QmF", "ipfs://QmG"], [], 0);
+    await contract.createDossier("NotMine", "", HOUR, [other.address], ["ipfs://QmH"], [], 0);
+    await contract.releaseNow(1);
+    await contract.pauseDossier(3);
+    await contract.permanentlyDisableDossier(4);
+    await time.increase(2 * HOUR + 1);
+
+    const entries = await feed.list();
+    expect(entries.map((e) => [e.name, e.state])).to.deep.equal([
+      ["Sealed", RecipientState.SEALED],
+      ["Released", RecipientState.DECRYPTABLE],
+      ["Guarded", RecipientState.PENDING_GUARDIANS],
+      ["Paused", RecipientState.SEALED],
+      ["Disabled", RecipientState.SEALED],
+      ["Expired", RecipientState.DECRYPTABLE]
+    ]);
+
+    for (const entry of entries) {
+      const stays = await contract.shouldDossierStayEncrypted(entry.owner, entry.dossierId);
+      expect(stays, entry.name).to.equal(entry.state !== RecipientState.DECRYPTABLE);
+    }
+  });
+
+  it("Should write a manifest of decryptable file hashes", async function () {
+    await contract.createDossier("Released", "", 86400, [recipient.address], ["ipfs://QmA", "ipfs://QmB"], [], 0);
+    await contract.createDossier("Sealed", "", 86400, [recipient.address], ["ipfs://QmC"], [], 0);
+    await contract.releaseNow(0);
+
+    await feed.list();
+    const written = feed.writeManifest();
+    const manifest = JSON.parse(fs.readFileSync(feed.manifest, "utf8"));
+
+    expect(manifest).to.deep.equal(JSON.parse(JSON.stringify(written)));
+    expect(manifest.recipient).to.equal(recipient.address);
+    expect(manifest.contract).to.equal(address);
+    expect(manifest.dossiers).to.deep.equal([
+      {
+        owner: owner.address,
+        dossierId: "0",
+        name: "Released",
+        status: "released",
+        files: ["ipfs://QmA", "ipfs://QmB"]
+      }
+    ]);
+  });
+
+  it("Should pick up releases, guardian confirmations and expiries when polling", async function () {
+    await contract.createDossier("Released", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("Guarded", "", 86400, [recipient.address], ["ipfs://QmB"], [guardian.address], 1);
+    await contract.createDossier("Expiring", "", HOUR, [recipient.address], ["ipfs://QmC"], [], 0);
+
+    const seen = [];
+    feed.on("decryptable", (entry) => seen.push(entry.name));
+    expect(await feed.poll()).to.deep.equal([]);
+
+    await contract.releaseNow(0);
+    await contract.releaseNow(1);
+    await feed.poll();
+    expect(seen).to.deep.equal(["Released"]);
+
+    await contract.connect(guardian).confirmRelease(owner.address, 1);
+    await feed.poll();
+    expect(seen).to.deep.equal(["Released", "Guarded"]);
+
+    await time.increase(2 * HOUR + 1);
+    await feed.poll();
+    expect(seen).to.deep.equal(["Released", "Guarded", "Expiring"]);
+
+    // Nothing new
+    await feed.poll();
+    expect(seen.length).to.equal(3);
+
+    const manifest = JSON.parse(fs.readFileSync(feed.manifest, "utf8"));
+    expect(manifest.dossiers.map((d) => d.name)).to.deep.equal(["Released", "Guarded", "Expiring"]);
+  });
+
+  it("Should pick up dossiers addressed to the recipient after the first poll", async function () {
+    await feed.poll();
+
+    await contract.createDossier("New", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.connect(other).createDossier("Added", "", 86400, [owner.address], ["ipfs://QmB"], [], 0);
+    await contract.connect(other).addRecipient(0, recipient.address);
+    await contract.releaseNow(0);
+    await contract.connect(other).releaseNow(0);
+
+    const changed = await feed.poll();
+    expect(changed.map((e) => e.name)).to.have.members(["New", "Added"]);
+  });
+
+  it("Should list and write the manifest through the recipient:feed task", async function () {
+    await contract.createDossier("Released", "", 86400, [recipient.address], ["ipfs://QmA"], [], 0);
+    await contract.createDossier("Sealed", "", 86400, [recipient.address], ["ipfs://QmB"], [], 0);
+    await contract.releaseNow(0);
+
+    const manifest = path.join(dir, "task-manifest.json");
+    const log = console.log;
+    console.log = () => {};
+    let entries;
+    try {
+      entries = await hre.run("recipient:feed", {
+        address,
+        recipient: recipient.address,
+        state: RecipientState.SEALED,
+        manifest,
+        json: true
+      });
+    } finally {
+      console.log = log;
+    }
+
+    expect(entries.map((e) => e.name)).to.deep.equal(["Sealed"]);
+    expect(JSON.parse(fs.readFileSync(manifest, "utf8")).dossiers.map((d) => d.name)).to.deep.equal(["Released"]);
+  });
+});
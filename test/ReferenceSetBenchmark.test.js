@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+describe("Reverse lookup sets", function () {
+  let holder, owner, other;
+
+  beforeEach(async function () {
+    [holder, owner, other] = (await ethers.getSigners()).map((signer) => signer.address);
+  });
+
+  async function deploy(contractName) {
+    const factory = await ethers.getContractFactory(contractName);
+    const set = await factory.deploy();
+    await set.waitForDeployment();
+    return set;
+  }
+
+  it("Should hold the same references as the sorted implementation", async function () {
+    const sorted = await deploy("SortedReferenceSetBenchmark");
+    const indexed = await deploy("IndexedReferenceSetBenchmark");
+
+    const ops = [
+      ["add", owner, 3], ["add", other, 1], ["add", owner, 1], ["add", owner, 7],
+      ["remove", owner, 3], ["add", other, 0], ["remove", owner, 99], ["remove", other, 1],
+      ["add", owner, 3], ["remove", owner, 7]
+    ];
+    for (const [fn, refOwner, id] of ops) {
+      await sorted[fn](holder, refOwner, id);
+      await indexed[fn](holder, refOwner, id);
+    }
+
+    const read = async (set) => {
+      const refs = await set.getDossiersWhereGuardian(holder);
+      expect(refs.length).to.equal(Number(await set.referenceCount(holder)));
+      return refs.map((ref) => `${ref.owner}:${ref.dossierId}`);
+    };
+
+    const sortedRefs = await read(sorted);
+    const indexedRefs = await read(indexed);
+    expect(indexedRefs).to.have.members(sortedRefs);
+    // Insertion order; a reference added again after its removal goes to the back
+    expect(indexedRefs).to.deep.equal([`${owner}:1`, `${other}:0`, `${owner}:3`]);
+  });
+
+  it("Should ignore duplicate adds and unknown removals", async function () {
+    const indexed = await deploy("IndexedReferenceSetBenchmark");
+
+    await indexed.add(holder, owner, 1);
+    await indexed.add(holder, owner, 1);
+    await indexed.remove(holder, owner, 2);
+    expect(await indexed.referenceCount(holder)).to.equal(1n);
+
+    await indexed.remove(holder, owner, 1);
+    await indexed.remove(holder, owner, 1);
+    expect(await indexed.referenceCount(holder)).to.equal(0n);
+  });
+
+  it("Should add and remove in constant gas", async function () {
+    const log = console.log;
+    console.log = () => {};
+    let rows;
+    try {
+      rows = await hre.run("benchmark:references", { sizes: "10,100", json: true });
+    } finally {
+      console.log = log;
+    }
+
+    const at = (size, operation) => rows.find((row) => row.size === size && row.operation === operation);
+    for (const operation of ["add (sorts first)", "remove first", "remove last"]) {
+      expect(at(100, operation).indexed, operation).to.equal(at(10, operation).indexed);
+    }
+    // Only the calldata for the larger dossier ID differs
+    expect(at(100, "add (sorts last)").indexed - at(10, "add (sorts last)").indexed).to.be.lessThan(100n);
+
+    // The sorted array shifts every element on a front insert or removal. An add writes a whole
+    // linked node, so it gains less than a removal at this size.
+    expect(at(100, "add (sorts first)").sorted).to.be.greaterThan(at(100, "add (sorts first)").indexed * 5n);
+    expect(at(100, "add (sorts first)").sorted).to.be.greaterThan(at(10, "add (sorts first)").sorted * 5n);
+    expect(at(100, "remove first").sorted).to.be.greaterThan(at(100, "remove first").indexed * 10n);
+  });
+
+  it("Should refuse to benchmark on live networks", async function () {
+    const { name } = hre.network;
+    hre.network.name = "statusSepolia";
+    try {
+      await expect(hre.run("benchmark:references", { sizes: "10" })).to.be.rejectedWith("throwaway contracts");
+    } finally {
+      hre.network.name = name;
+    }
+  });
+});